@@ -0,0 +1,205 @@
+// Diffs the ABIs of the port against the original Vyper Uniswap V1 ABIs bundled in vyper/,
+// so integrators moving from V1 know which calls and logs still decode the same way.
+
+const fs = require("fs");
+const path = require("path");
+const { utils } = require("ethers");
+
+// contract of this repo -> ABI of the Vyper contract it ports
+const REFERENCES = {
+  UniswapFactoryV1: path.join(__dirname, "vyper", "uniswap_factory.json"),
+  UniswapExchangeV1: path.join(__dirname, "vyper", "uniswap_exchange.json"),
+};
+const DEFAULT_REPORT = path.join(__dirname, "report.md");
+// Vyper's payable __default__, a receive or payable fallback in Solidity
+const DEFAULT_FUNCTION = "(default)";
+
+function fail(message) {
+  throw new Error(`conformance: ${message}`);
+}
+
+function readReference(contract) {
+  if (!REFERENCES[contract]) {
+    fail(`no Vyper ABI for ${contract}`);
+  }
+  return JSON.parse(fs.readFileSync(REFERENCES[contract], "utf8"));
+}
+
+// Vyper names are snake_case and the port's _camelCase: eth_sold and _ethSold are the same input
+function sameName(a, b) {
+  const normalize = (name) => name.replace(/_/g, "").toLowerCase();
+  return normalize(a) === normalize(b);
+}
+
+// Vyper ABIs predate stateMutability, "constant" covers view and pure
+function mutability(item) {
+  if (item.stateMutability) {
+    return item.stateMutability === "pure" ? "view" : item.stateMutability;
+  }
+  return item.payable ? "payable" : item.constant ? "view" : "nonpayable";
+}
+
+function index(abi) {
+  const functions = new Map();
+  const events = new Map();
+  for (const item of abi) {
+    const isDefault =
+      item.type === "receive" ||
+      (item.type === "fallback" && mutability(item) === "payable") ||
+      (item.type === "function" && item.name === "__default__");
+    if (isDefault) {
+      functions.set(DEFAULT_FUNCTION, { name: DEFAULT_FUNCTION, signature: DEFAULT_FUNCTION });
+    } else if (item.type === "function") {
+      const fragment = utils.FunctionFragment.from(item);
+      functions.set(item.name, {
+        name: item.name,
+        signature: fragment.format(),
+        selector: utils.Interface.getSighash(fragment),
+        mutability: mutability(item),
+        inputs: item.inputs,
+        outputs: `(${(item.outputs || []).map((o) => o.type).join(",")})`,
+      });
+    } else if (item.type === "event") {
+      const fragment = utils.EventFragment.from(item);
+      events.set(item.name, {
+        name: item.name,
+        signature: fragment.format(),
+        topic: utils.Interface.getEventTopic(fragment),
+        inputs: item.inputs,
+      });
+    }
+  }
+  return { functions, events };
+}
+
+function diffFunction(reference, port) {
+  if (reference.name === DEFAULT_FUNCTION) {
+    return [];
+  }
+  if (reference.selector !== port.selector) {
+    return [`selector ${reference.selector} ${reference.signature} vs ${port.selector} ${port.signature}`];
+  }
+  const differences = [];
+  if (reference.mutability !== port.mutability) {
+    differences.push(`${reference.mutability} vs ${port.mutability}`);
+  }
+  if (reference.outputs !== port.outputs) {
+    differences.push(`returns ${reference.outputs} vs ${port.outputs}`);
+  }
+  reference.inputs.forEach((input, i) => {
+    if (!sameName(input.name, port.inputs[i].name)) {
+      differences.push(`input ${i} named ${input.name} vs ${port.inputs[i].name}`);
+    }
+  });
+  return differences;
+}
+
+// decoded logs are keyed by parameter name, so event names have to match exactly
+function diffEvent(reference, port) {
+  if (reference.topic !== port.topic) {
+    return [`topic ${reference.topic} ${reference.signature} vs ${port.topic} ${port.signature}`];
+  }
+  const differences = [];
+  reference.inputs.forEach((input, i) => {
+    const other = port.inputs[i];
+    if (input.name !== other.name) {
+      differences.push(`parameter ${i} named ${input.name} vs ${other.name}`);
+    }
+    if (Boolean(input.indexed) !== Boolean(other.indexed)) {
+      differences.push(
+        `parameter ${i} ${input.indexed ? "indexed" : "not indexed"} vs ${other.indexed ? "indexed" : "not"}`
+      );
+    }
+  });
+  return differences;
+}
+
+function diffEntries(reference, port, diff) {
+  const result = { matching: [], differing: [], missing: [], added: [] };
+  for (const [name, item] of reference) {
+    if (!port.has(name)) {
+      result.missing.push(item.signature);
+      continue;
+    }
+    const differences = diff(item, port.get(name));
+    if (differences.length === 0) {
+      result.matching.push(item.signature);
+    } else {
+      result.differing.push({ name, reference: item.signature, port: port.get(name).signature, differences });
+    }
+  }
+  for (const [name, item] of port) {
+    if (!reference.has(name)) {
+      result.added.push(item.signature);
+    }
+  }
+  return result;
+}
+
+/**
+ * Diffs an ABI against the original one. Functions and events are paired by name.
+ * @param {object[]} referenceAbi ABI of the Vyper contract
+ * @param {object[]} portAbi ABI of its Solidity port
+ * @return {{functions, events}} each {matching, differing, missing, added}; differing entries
+ *         list their differences: selector or topic, mutability, return types, input names
+ *         ignoring snake or camel case, event parameter names and indexing
+ */
+function diffAbis(referenceAbi, portAbi) {
+  const reference = index(referenceAbi);
+  const port = index(portAbi);
+  return {
+    functions: diffEntries(reference.functions, port.functions, diffFunction),
+    events: diffEntries(reference.events, port.events, diffEvent),
+  };
+}
+
+/** @return the diff of every ported contract, from the compiled artifacts */
+async function checkConformance(hre) {
+  const contracts = {};
+  for (const contract of Object.keys(REFERENCES)) {
+    const { abi } = await hre.artifacts.readArtifact(contract);
+    contracts[contract] = diffAbis(readReference(contract), abi);
+  }
+  return { contracts };
+}
+
+function formatSection(title, diff) {
+  const lines = [`### ${title}`, "", `${diff.matching.length} match the original.`, ""];
+  if (diff.differing.length > 0) {
+    lines.push("| Original | Port | Differences |", "| --- | --- | --- |");
+    for (const row of diff.differing) {
+      lines.push(`| \`${row.reference}\` | \`${row.port}\` | ${row.differences.join("; ")} |`);
+    }
+    lines.push("");
+  }
+  if (diff.missing.length > 0) {
+    lines.push("Missing from the port:", "", ...diff.missing.map((s) => `- \`${s}\``), "");
+  }
+  if (diff.added.length > 0) {
+    lines.push("Only in the port:", "", ...diff.added.map((s) => `- \`${s}\``), "");
+  }
+  return lines;
+}
+
+/** @return markdown report of where each contract diverges from the original */
+function formatMarkdown(report) {
+  const lines = [
+    "# ABI conformance with Uniswap V1",
+    "",
+    "Generated by `npx hardhat uniswap:conformance --update` from the Vyper ABIs in `conformance/vyper`.",
+    "Function inputs are compared ignoring snake and camel case, event parameters exactly,",
+    "because decoded logs are keyed by their names.",
+    "",
+  ];
+  for (const [contract, diff] of Object.entries(report.contracts)) {
+    lines.push(
+      `## ${contract}`,
+      "",
+      ...formatSection("Functions", diff.functions),
+      ...formatSection("Events", diff.events)
+    );
+  }
+  return lines.join("\n").trimEnd() + "\n";
+}
+
+module.exports = { REFERENCES, DEFAULT_REPORT, readReference, diffAbis, checkConformance, formatMarkdown };
@@ -0,0 +1,63 @@
+// Runtime bytecode of the original Vyper factory and exchange, vendored in vyper/bytecode.json with
+// where it was read from. The committed file is built from the creation code Uniswap published on
+// npm, uniswap:vendor-vyper replaces it with the code deployed on a chain where V1 is. Vyper 0.1 code has no immutables, so installing
+// it with hardhat_setCode at a fresh address gives a working copy of the original contract.
+
+const fs = require("fs");
+const path = require("path");
+const { Contract, utils } = require("ethers");
+
+const { readReference } = require("./abi-diff");
+
+const BYTECODE_FILE = path.join(__dirname, "vyper", "bytecode.json");
+// the V1 factory on mainnet, it points at the exchange template forwarded to by every exchange
+const MAINNET_FACTORY = "0xc0a47dFe034B400B47bDaD5FecDa2621de6c4d95";
+
+function fail(message) {
+  throw new Error(`vyper bytecode: ${message}`);
+}
+
+async function readCode(provider, address, blockTag) {
+  const code = await provider.getCode(address, blockTag);
+  if (code === "0x") {
+    fail(`no contract at ${address}`);
+  }
+  return { address, code, codeHash: utils.keccak256(code) };
+}
+
+/**
+ * Reads the runtime code of a deployed V1 factory and of its exchange template.
+ * @param {ethers.providers.Provider} provider connected to a chain with V1, mainnet by default
+ * @param {string} [factoryAddress]
+ * @return {{source, chainId, blockNumber, factory: {address, code, codeHash}, exchange: {address, code, codeHash}}}
+ */
+async function fetchVyperBytecode(provider, factoryAddress = MAINNET_FACTORY) {
+  const [{ chainId }, blockNumber] = await Promise.all([provider.getNetwork(), provider.getBlockNumber()]);
+  const factory = await readCode(provider, utils.getAddress(factoryAddress), blockNumber);
+  const template = await new Contract(factory.address, readReference("UniswapFactoryV1"), provider).exchangeTemplate({
+    blockTag: blockNumber,
+  });
+  const exchange = await readCode(provider, template, blockNumber);
+  const source = `runtime code read from chain ${chainId} at block ${blockNumber}`;
+  return { source, chainId, blockNumber, factory, exchange };
+}
+
+/** @return the vendored bytecode, fails when it is missing or does not match its hashes */
+function readVyperBytecode(file = BYTECODE_FILE) {
+  if (!fs.existsSync(file)) {
+    fail(`${file} is missing, vendor it with npx hardhat uniswap:vendor-vyper --rpc <mainnet url>`);
+  }
+  const bytecode = JSON.parse(fs.readFileSync(file, "utf8"));
+  for (const contract of ["factory", "exchange"]) {
+    if (utils.keccak256(bytecode[contract].code) !== bytecode[contract].codeHash) {
+      fail(`${contract} code in ${file} does not match its hash`);
+    }
+  }
+  return bytecode;
+}
+
+function writeVyperBytecode(bytecode, file = BYTECODE_FILE) {
+  fs.writeFileSync(file, JSON.stringify(bytecode, null, 2) + "\n");
+}
+
+module.exports = { BYTECODE_FILE, MAINNET_FACTORY, fetchVyperBytecode, readVyperBytecode, writeVyperBytecode };
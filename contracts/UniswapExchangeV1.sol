@@ -2,10 +2,23 @@
 pragma solidity 0.8.13;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-ERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-IERC20Permit.sol";
 import "@openzeppelin/contracts/utils/Address.sol";
 
 interface Factory {
  function getExchange(address _tokenAddr) external view returns (address);
+ function getExchangeWithFee(address _tokenAddr, uint _fee) external view returns (address);
+ function feeTo() external view returns (address);
+ function protocolFeeShare() external view returns (uint);
+}
+
+interface FlashBorrower {
+ /// @notice Called by UniswapExchangeV1.flashSwap once the ETH and Tokens were sent. Before
+ ///         returning, the borrower has to pay the exchange back in ETH, Tokens or both.
+ /// @param _sender The address that called flashSwap.
+ function uniswapV1FlashCallback(address _sender, uint _ethAmount, uint _tokenAmount, bytes calldata _data)
+  external;
 }
 
 interface Exchange {
@@ -14,24 +27,163 @@ interface Exchange {
   external payable returns(uint);
  function ethToTokenTransferOutput(uint _tokensBought, uint _deadline, address _recipient) 
   external payable returns(uint);
+ function ethToTokenTransferInputSupportingFeeOnTransferTokens(uint _minTokens, uint _deadline, address _recipient)
+  external payable returns(uint);
 }
 
-contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
+contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1"), ERC20Permit("Uniswap V1") {
   using Address for address payable;
 
+  /// @dev EIP-2612 permit signature, the value and deadline come from the call it is passed to.
+  struct Signature {
+    uint8 v;
+    bytes32 r;
+    bytes32 s;
+  }
+
   event TokenPurchase(address indexed _buyer, uint indexed _ethSold, uint indexed _tokensBought);
   event EthPurchase(address indexed _buyer, uint indexed _tokensSold, uint indexed _ethBouht);
   event AddLiquidity(address indexed _provider, uint indexed _ethAmount, uint indexed _tokenAmount);
   event RemoveLiquidity(address indexed _provider, uint indexed _ethAmount, uint indexed _tokenAmount);
+  event FlashSwap(
+    address indexed _borrower,
+    uint _ethAmount,
+    uint _tokenAmount,
+    uint _ethRepaid,
+    uint _tokenRepaid
+  );
+
+  /// @dev Swap fees are in hundredths of a percent: 30 takes 0.3% of the input.
+  uint private constant FEE_DENOMINATOR = 10000;
 
   ERC20 private token;
+  /// @dev Set while a flash swap waits for its repayment, packed with token which every trade reads anyway.
+  bool private flashing;
   Factory private factory;
 
-  constructor(address _tokenAddr) {
+  /// @notice Swap fee of this exchange, out of 10000.
+  uint public immutable fee;
+
+  /// @notice Product of the reserves after the latest liquidity event, 0 while the protocol fee is off.
+  uint public kLast;
+
+  constructor(address _tokenAddr, uint _fee) {
     require(address(factory) == address(0) && address(token) == address(0) && _tokenAddr != address(0));
+    require(_fee < FEE_DENOMINATOR);
     
     factory = Factory(msg.sender);
     token = ERC20(_tokenAddr);
+    fee = _fee;
+  }
+
+  /// @dev Trades, liquidity changes and prices would see the reserves of a flash swap before it is repaid.
+  ///      The check is a function so the modifier does not copy it into every function.
+  modifier notFlashing() {
+    requireNotFlashing();
+    _;
+  }
+
+  function requireNotFlashing() private view {
+    require(!flashing, "Flash swap in progress");
+  }
+
+  /// @notice True while a flash swap waits for its repayment.
+  /// @dev The reserves are the balances, so until then they and every price read from them are
+  ///      those of a drained pool. The price functions revert, other readers should check this.
+  function isFlashing() external view returns (bool) {
+    return flashing;
+  }
+
+  /// @notice Lend ETH and Tokens to _borrower for the duration of a call to its uniswapV1FlashCallback.
+  /// @dev Repayment is in either asset: the balances afterwards, less the fee on what was paid in,
+  ///      must keep the product of the reserves, like a swap would.
+  /// @param _ethAmount ETH sent to _borrower.
+  /// @param _tokenAmount Tokens sent to _borrower.
+  /// @param _borrower Contract implementing FlashBorrower.
+  /// @param _data Passed on to the callback.
+  function flashSwap(
+    uint _ethAmount,
+    uint _tokenAmount,
+    address _borrower,
+    bytes calldata _data
+  ) external notFlashing {
+    require((_ethAmount > 0 || _tokenAmount > 0) && _borrower != address(this) && _borrower != address(0));
+    uint ethReserve = address(this).balance;
+    uint tokenReserve = token.balanceOf(address(this));
+    require(_ethAmount < ethReserve && _tokenAmount < tokenReserve);
+
+    flashing = true;
+    if (_ethAmount > 0) {
+      payable(_borrower).sendValue(_ethAmount);
+    }
+    if (_tokenAmount > 0) {
+      require(token.transfer(_borrower, _tokenAmount));
+    }
+    FlashBorrower(_borrower).uniswapV1FlashCallback(msg.sender, _ethAmount, _tokenAmount, _data);
+    flashing = false;
+
+    uint ethBalance = address(this).balance;
+    uint tokenBalance = token.balanceOf(address(this));
+    uint ethRepaid = ethBalance + _ethAmount > ethReserve ? ethBalance + _ethAmount - ethReserve : 0;
+    uint tokenRepaid = tokenBalance + _tokenAmount > tokenReserve ? tokenBalance + _tokenAmount - tokenReserve : 0;
+    require(ethRepaid > 0 || tokenRepaid > 0);
+
+    uint ethAdjusted = ethBalance * FEE_DENOMINATOR - ethRepaid * fee;
+    uint tokenAdjusted = tokenBalance * FEE_DENOMINATOR - tokenRepaid * fee;
+    require(
+      ethAdjusted * tokenAdjusted >= ethReserve * tokenReserve * FEE_DENOMINATOR * FEE_DENOMINATOR,
+      "Flash swap not repaid"
+    );
+
+    emit FlashSwap(_borrower, _ethAmount, _tokenAmount, ethRepaid, tokenRepaid);
+  }
+
+  /// @dev Mints the factory's feeTo its share of the growth of sqrt(k) since kLast, as UNI diluting
+  ///      the liquidity providers. Called before a liquidity event with the reserves before it.
+  /// @return feeOn Whether the caller has to record kLast after the liquidity event.
+  function mintProtocolFee(uint _ethReserve, uint _tokenReserve) private returns (bool feeOn) {
+    address feeTo = factory.feeTo();
+    feeOn = feeTo != address(0);
+    uint k = kLast;
+
+    if (feeOn) {
+      if (k != 0) {
+        uint rootK = sqrt(_ethReserve * _tokenReserve);
+        uint rootKLast = sqrt(k);
+        if (rootK > rootKLast) {
+          uint share = factory.protocolFeeShare();
+          // feeTo ends up with share of the growth: minted / (supply + minted) = share * (rootK - rootKLast) / rootK
+          uint numerator = totalSupply() * (rootK - rootKLast) * share;
+          uint denominator = rootK * (FEE_DENOMINATOR - share) + rootKLast * share;
+          uint liquidity = numerator / denominator;
+          if (liquidity > 0) {
+            _mint(feeTo, liquidity);
+          }
+        }
+      }
+    } else if (k != 0) {
+      kLast = 0;
+    }
+  }
+
+  function updateKLast(bool _feeOn) private {
+    if (_feeOn) {
+      kLast = address(this).balance * token.balanceOf(address(this));
+    }
+  }
+
+  /// @dev Babylonian method, rounds down.
+  function sqrt(uint _value) private pure returns (uint z) {
+    if (_value > 3) {
+      z = _value;
+      uint x = _value / 2 + 1;
+      while (x < z) {
+        z = x;
+        x = (_value / x + x) / 2;
+      }
+    } else if (_value != 0) {
+      z = 1;
+    }
   }
 
   /// @notice Deposit ETH and Tokens (token) at current ratio to mint UNI tokens.
@@ -44,15 +196,15 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
     uint _minLiquidity, 
     uint _maxTokens, 
     uint _deadline
-  ) public payable returns(uint) {
+  ) public payable notFlashing returns(uint) {
     require(_deadline > block.timestamp && _maxTokens > 0 && msg.value > 0);
+    uint ethReserve = address(this).balance - msg.value; 
+    uint tokenReserve = token.balanceOf(address(this));
+    bool feeOn = mintProtocolFee(ethReserve, tokenReserve);
     uint totalLiquidity = totalSupply();
 
     if (totalLiquidity > 0 ) {
       require(_minLiquidity > 0);
-      uint ethReserve = address(this).balance - msg.value; 
-      uint tokenReserve = token.balanceOf(address(this));
-
       uint tokenAmount = msg.value * tokenReserve / ethReserve + 1;
       uint liquidityMinted = msg.value * totalLiquidity / ethReserve;
 
@@ -60,13 +212,14 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
       _mint(msg.sender, liquidityMinted);
 
       require(token.transferFrom(msg.sender, address(this), tokenAmount));
+      updateKLast(feeOn);
 
       emit AddLiquidity(msg.sender, msg.value, tokenAmount);
 
       return liquidityMinted;
     } else {
       require(address(factory) != address(0) && address(token) != address(0) && msg.value >= 1000000000);
-      require(factory.getExchange(address(token)) == address(this));
+      require(factory.getExchangeWithFee(address(token), fee) == address(this));
 
       uint tokenAmount = _maxTokens;
       uint initialLiquidity = address(this).balance;
@@ -75,6 +228,7 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
 
       // transfering exchange token from sender to exchange (must be approved ahead)
       require(token.transferFrom(msg.sender, address(this), tokenAmount));
+      updateKLast(feeOn);
 
       emit AddLiquidity(msg.sender, msg.value, tokenAmount);
 
@@ -94,23 +248,63 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
     uint _minTokens, 
     uint _deadline
   ) public returns (uint, uint) {
+    return removeLiquidityFrom(_amount, _minEth, _minTokens, _deadline, msg.sender);
+  }
+
+  /// @notice Burn UNI of _owner, who signed a permit for msg.sender, and send _owner the ETH and Tokens.
+  /// @dev The permit covers exactly _amount and expires at _deadline. It is skipped when the
+  ///      allowance is already there, so a permit submitted by someone else first does no harm.
+  /// @param _amount Amount of UNI burned.
+  /// @param _minEth Minimum ETH withdrawn.
+  /// @param _minTokens Minimum Tokens withdrawn.
+  /// @param _deadline Time after which this transaction and the permit can no longer be executed.
+  /// @param _owner The address whose UNI is burned and that receives the ETH and Tokens.
+  /// @param _signature Permit signed by _owner for msg.sender.
+  /// @return The amount of ETH and Tokens withdrawn.
+  function removeLiquidityWithPermit(
+    uint _amount,
+    uint _minEth,
+    uint _minTokens,
+    uint _deadline,
+    address _owner,
+    Signature calldata _signature
+  ) external returns (uint, uint) {
+    if (allowance(_owner, msg.sender) < _amount) {
+      permit(_owner, msg.sender, _amount, _deadline, _signature.v, _signature.r, _signature.s);
+    }
+    _spendAllowance(_owner, msg.sender, _amount);
+
+    return removeLiquidityFrom(_amount, _minEth, _minTokens, _deadline, _owner);
+  }
+
+  /// @dev Burns UNI of _owner and pays _owner their share of the reserves.
+  function removeLiquidityFrom(
+    uint _amount, 
+    uint _minEth, 
+    uint _minTokens, 
+    uint _deadline,
+    address _owner
+  ) private notFlashing returns (uint, uint) {
     require((_amount > 0 && _deadline > block.timestamp)
      && (_minEth > 0 && _minTokens > 0));
 
+    uint ethReserve = address(this).balance;
+    uint tokenReserve = token.balanceOf(address(this));
+    bool feeOn = mintProtocolFee(ethReserve, tokenReserve);
     uint totalLiquidity = totalSupply();
     require(totalLiquidity > 0);
 
-    uint tokenReserve = token.balanceOf(address(this));
-    uint ethAmount = _amount * address(this).balance / totalLiquidity;
+    uint ethAmount = _amount * ethReserve / totalLiquidity;
     uint tokenAmount = _amount * tokenReserve / totalLiquidity;
 
     require(ethAmount >= _minEth && tokenAmount >= _minTokens);
 
-    _burn(msg.sender, _amount);
-    payable(msg.sender).sendValue(ethAmount);
-    require(token.transfer(msg.sender, tokenAmount));
+    _burn(_owner, _amount);
+    payable(_owner).sendValue(ethAmount);
+    require(token.transfer(_owner, tokenAmount));
+    updateKLast(feeOn);
 
-    emit RemoveLiquidity(msg.sender, ethAmount, tokenAmount);
+    emit RemoveLiquidity(_owner, ethAmount, tokenAmount);
 
     return (ethAmount, tokenAmount);
   }
@@ -126,13 +320,13 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
     uint _inputAmount, 
     uint _inputReserve, 
     uint _outputReserve
-  ) private pure returns (uint) {
+  ) private view returns (uint) {
     
     require(_inputReserve > 0 && _outputReserve > 0);
 
-    uint inputAmountWithFee = _inputAmount * 997;
+    uint inputAmountWithFee = _inputAmount * (FEE_DENOMINATOR - fee);
     uint numerator = inputAmountWithFee * _outputReserve;
-    uint denominator = (_inputReserve * 1000) + inputAmountWithFee;
+    uint denominator = (_inputReserve * FEE_DENOMINATOR) + inputAmountWithFee;
 
     return numerator / denominator;
   }
@@ -147,11 +341,11 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
     uint _outputAmount, 
     uint _inputReserve, 
     uint _outputReserve
-  ) private pure returns (uint) {
+  ) private view returns (uint) {
     require(_inputReserve > 0 && _outputReserve > 0);
 
-    uint numerator = _inputReserve * _outputAmount * 1000;
-    uint denominator = (_outputReserve - _outputAmount) * 997;
+    uint numerator = _inputReserve * _outputAmount * FEE_DENOMINATOR;
+    uint denominator = (_outputReserve - _outputAmount) * (FEE_DENOMINATOR - fee);
 
     return numerator / denominator + 1;
   }
@@ -169,7 +363,7 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
     uint _deadline, 
     address _buyer, 
     address _recipient
-  ) private returns (uint) {
+  ) private notFlashing returns (uint) {
     require(_deadline >= block.timestamp && (_ethSold > 0 && _minTokens > 0));
 
     uint tokenReserve = token.balanceOf(address(this));
@@ -186,8 +380,11 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
   /// @notice Convert ETH to Tokens.
   /// @dev User specifies exact input (msg.value).
   /// @dev User cannot specify minimum output or _.
+  /// @dev ETH sent during a flash swap repays it and buys nothing.
   receive() external payable {
-    ethToTokenInput(msg.value, 1, block.timestamp, msg.sender, msg.sender);
+    if (!flashing) {
+      ethToTokenInput(msg.value, 1, block.timestamp, msg.sender, msg.sender);
+    }
   }
 
   /// @notice Convert ETH to Tokens.
@@ -228,7 +425,7 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
     uint _deadline, 
     address _buyer, 
     address _recipient
-  ) private returns(uint) {
+  ) private notFlashing returns(uint) {
     require(_deadline >= block.timestamp && (_tokensBought > 0 && _maxEth > 0));
 
     uint tokenReserve = token.balanceOf(address(this));
@@ -287,7 +484,7 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
     uint _deadline, 
     address _buyer, 
     address _recipient
-  ) private returns (uint) {
+  ) private notFlashing returns (uint) {
     require(_deadline >= block.timestamp && (_tokensSold > 0 && _minEth > 0));
 
     uint tokenReserve = token.balanceOf(address(this));
@@ -347,7 +544,7 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
     uint _deadline,
     address _buyer,
     address _recipient
-   ) private returns (uint) {
+   ) private notFlashing returns (uint) {
      require(_deadline >= block.timestamp && _ethBought > 0);
 
      uint tokenReserve = token.balanceOf(address(this));
@@ -421,7 +618,7 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
     address _buyer,
     address _recipient,
     address _exchangeAddr
-    ) private returns (uint) {
+    ) private notFlashing returns (uint) {
       require((_deadline >= block.timestamp && _tokensSold > 0)
         && (_minTokensBought > 0 && _minEthBought > 0));
       require(_exchangeAddr != address(this) && _exchangeAddr != address(0));
@@ -446,7 +643,7 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
     /// @param _minTokensBought Minimum Tokens (token_addr) purchased.
     /// @param _minEthBought Minimum ETH purchased as intermediary.
     /// @param _deadline Time after which this transaction can no longer be executed.
-    /// @param _tokenAddr The address of the token being purchased.
+    /// @param _tokenAddr The address of the token being purchased, in this fee tier or else the default one.
     /// @return Amount of Tokens (token_addr) bought.
     function tokenToTokenSwapInput(
       uint _tokensSold,
@@ -455,7 +652,7 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
       uint _deadline,
       address _tokenAddr
     ) public returns(uint) {
-      address exchangeAddr = factory.getExchange(_tokenAddr);
+      address exchangeAddr = boughtExchange(_tokenAddr);
 
       return tokenToTokenInput(
         _tokensSold, 
@@ -477,7 +674,7 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
     /// @param _minEthBought Minimum ETH purchased as intermediary.
     /// @param _deadline Time after which this transaction can no longer be executed.
     /// @param _recipient The address that receives output ETH.
-    /// @param _tokenAddr The address of the token being purchased.
+    /// @param _tokenAddr The address of the token being purchased, in this fee tier or else the default one.
     /// @return Amount of Tokens (token_addr) bought.
     function tokenToTokenTransferInput(
       uint _tokensSold,
@@ -487,7 +684,7 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
       address _recipient,
       address _tokenAddr
     ) public returns(uint) {
-      address exchangeAddr = factory.getExchange(_tokenAddr);
+      address exchangeAddr = boughtExchange(_tokenAddr);
 
       return tokenToTokenInput(
         _tokensSold, 
@@ -520,7 +717,7 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
       address _buyer,
       address _recipient,
       address _exchangeAddr
-    ) private returns(uint) {
+    ) private notFlashing returns(uint) {
       require(_deadline >= block.timestamp && (_tokensBought > 0 && _maxEthSold > 0));
       require(_exchangeAddr != address(this) && _exchangeAddr != address(0));
 
@@ -548,7 +745,7 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
     /// @param _maxTokensSold Maximum Tokens (token) sold.
     /// @param _maxEthSold Maximum ETH purchased as intermediary.
     /// @param _deadline Time after which this transaction can no longer be executed.
-    /// @param _tokenAddr The address of the token being purchased.
+    /// @param _tokenAddr The address of the token being purchased, in this fee tier or else the default one.
     /// @return Amount of Tokens (token) sold.
     function tokenToTokenSwapOutput(
       uint _tokensBought,
@@ -557,7 +754,7 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
       uint _deadline,
       address _tokenAddr
     ) public returns (uint) {
-      address exchangeAddr = factory.getExchange(_tokenAddr);
+      address exchangeAddr = boughtExchange(_tokenAddr);
 
       return tokenToTokenOutput(
         _tokensBought,
@@ -579,7 +776,7 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
     /// @param _maxEthSold Maximum ETH purchased as intermediary.
     /// @param _deadline Time after which this transaction can no longer be executed.
     /// @param _recipient The address that receives output ETH.
-    /// @param _tokenAddr The address of the token being purchased.
+    /// @param _tokenAddr The address of the token being purchased, in this fee tier or else the default one.
     /// @return Amount of Tokens (token) sold.
     function tokenToTokenTransferOutput(
       uint _tokensBought,
@@ -589,7 +786,7 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
       address _recipient,
       address _tokenAddr
     ) public returns (uint) {
-      address exchangeAddr = factory.getExchange(_tokenAddr);
+      address exchangeAddr = boughtExchange(_tokenAddr);
 
       return tokenToTokenOutput(
         _tokensBought,
@@ -719,11 +916,363 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
       );
     }
 
+    /// @dev Applies a permit of the Token sold, signed by msg.sender for this exchange. A failing
+    ///      permit, e.g. one someone else submitted first, is ignored and transferFrom decides.
+    function permitTokenSold(uint _value, uint _deadline, Signature calldata _signature) private {
+      try IERC20Permit(address(token)).permit(
+        msg.sender, address(this), _value, _deadline, _signature.v, _signature.r, _signature.s
+      ) {} catch {}
+    }
+
+    /// @notice tokenToEthSwapInput for Tokens supporting EIP-2612, without a prior approve.
+    /// @param _signature Permit of _tokensSold until _deadline, signed by msg.sender for this exchange.
+    function tokenToEthSwapInputWithPermit(
+      uint _tokensSold,
+      uint _minEth,
+      uint _deadline,
+      Signature calldata _signature
+    ) external returns (uint) {
+      permitTokenSold(_tokensSold, _deadline, _signature);
+      return tokenToEthSwapInput(_tokensSold, _minEth, _deadline);
+    }
+
+    /// @notice tokenToEthTransferInput for Tokens supporting EIP-2612, without a prior approve.
+    /// @param _signature Permit of _tokensSold until _deadline, signed by msg.sender for this exchange.
+    function tokenToEthTransferInputWithPermit(
+      uint _tokensSold,
+      uint _minEth,
+      uint _deadline,
+      address _recipient,
+      Signature calldata _signature
+    ) external returns (uint) {
+      permitTokenSold(_tokensSold, _deadline, _signature);
+      return tokenToEthTransferInput(_tokensSold, _minEth, _deadline, _recipient);
+    }
+
+    /// @notice tokenToEthSwapOutput for Tokens supporting EIP-2612, without a prior approve.
+    /// @param _signature Permit of _maxTokens until _deadline, signed by msg.sender for this exchange.
+    function tokenToEthSwapOutputWithPermit(
+      uint _ethBought,
+      uint _maxTokens,
+      uint _deadline,
+      Signature calldata _signature
+    ) external returns (uint) {
+      permitTokenSold(_maxTokens, _deadline, _signature);
+      return tokenToEthSwapOutput(_ethBought, _maxTokens, _deadline);
+    }
+
+    /// @notice tokenToEthTransferOutput for Tokens supporting EIP-2612, without a prior approve.
+    /// @param _signature Permit of _maxTokens until _deadline, signed by msg.sender for this exchange.
+    function tokenToEthTransferOutputWithPermit(
+      uint _ethBought,
+      uint _maxTokens,
+      uint _deadline,
+      address _recipient,
+      Signature calldata _signature
+    ) external returns (uint) {
+      permitTokenSold(_maxTokens, _deadline, _signature);
+      return tokenToEthTransferOutput(_ethBought, _maxTokens, _deadline, _recipient);
+    }
+
+    /// @notice tokenToTokenSwapInput for Tokens supporting EIP-2612, without a prior approve.
+    /// @param _signature Permit of _tokensSold until _deadline, signed by msg.sender for this exchange.
+    function tokenToTokenSwapInputWithPermit(
+      uint _tokensSold,
+      uint _minTokensBought,
+      uint _minEthBought,
+      uint _deadline,
+      address _tokenAddr,
+      Signature calldata _signature
+    ) external returns (uint) {
+      permitTokenSold(_tokensSold, _deadline, _signature);
+      return tokenToTokenSwapInput(_tokensSold, _minTokensBought, _minEthBought, _deadline, _tokenAddr);
+    }
+
+    /// @notice tokenToTokenTransferInput for Tokens supporting EIP-2612, without a prior approve.
+    /// @param _signature Permit of _tokensSold until _deadline, signed by msg.sender for this exchange.
+    function tokenToTokenTransferInputWithPermit(
+      uint _tokensSold,
+      uint _minTokensBought,
+      uint _minEthBought,
+      uint _deadline,
+      address _recipient,
+      address _tokenAddr,
+      Signature calldata _signature
+    ) external returns (uint) {
+      permitTokenSold(_tokensSold, _deadline, _signature);
+      return tokenToTokenTransferInput(_tokensSold, _minTokensBought, _minEthBought, _deadline, _recipient, _tokenAddr);
+    }
+
+    /// @notice tokenToTokenSwapOutput for Tokens supporting EIP-2612, without a prior approve.
+    /// @param _signature Permit of _maxTokensSold until _deadline, signed by msg.sender for this exchange.
+    function tokenToTokenSwapOutputWithPermit(
+      uint _tokensBought,
+      uint _maxTokensSold,
+      uint _maxEthSold,
+      uint _deadline,
+      address _tokenAddr,
+      Signature calldata _signature
+    ) external returns (uint) {
+      permitTokenSold(_maxTokensSold, _deadline, _signature);
+      return tokenToTokenSwapOutput(_tokensBought, _maxTokensSold, _maxEthSold, _deadline, _tokenAddr);
+    }
+
+    /// @notice tokenToTokenTransferOutput for Tokens supporting EIP-2612, without a prior approve.
+    /// @param _signature Permit of _maxTokensSold until _deadline, signed by msg.sender for this exchange.
+    function tokenToTokenTransferOutputWithPermit(
+      uint _tokensBought,
+      uint _maxTokensSold,
+      uint _maxEthSold,
+      uint _deadline,
+      address _recipient,
+      address _tokenAddr,
+      Signature calldata _signature
+    ) external returns (uint) {
+      permitTokenSold(_maxTokensSold, _deadline, _signature);
+      return tokenToTokenTransferOutput(
+        _tokensBought, _maxTokensSold, _maxEthSold, _deadline, _recipient, _tokenAddr
+      );
+    }
+
+    /// @dev Exchange the tokenToToken functions buy _tokenAddr on: the one in this exchange's fee tier,
+    ///      the default tier one when the token has none there. tokenToExchange reaches any other.
+    function boughtExchange(address _tokenAddr) private view returns (address) {
+      address exchangeAddr = factory.getExchangeWithFee(_tokenAddr, fee);
+
+      return exchangeAddr != address(0) ? exchangeAddr : factory.getExchange(_tokenAddr);
+    }
+
+    /// @dev Pulls _amount Tokens from _from.
+    /// @return The amount that arrived, less than _amount for Tokens taking a fee on transfer.
+    function pullTokens(address _from, uint _amount) private returns (uint) {
+      uint balance = token.balanceOf(address(this));
+      require(token.transferFrom(_from, address(this), _amount));
+      return token.balanceOf(address(this)) - balance;
+    }
+
+    /// @notice addLiquidity for Tokens taking a fee on transfer: liquidity is minted for the
+    ///         Tokens that arrived and the ETH they match, the rest of msg.value is refunded.
+    /// @param _minLiquidity Minimum number of UNI sender will mint if total UNI supply is greater than 0.
+    /// @param _maxTokens Maximum number of tokens sent. Sends max amount if total UNI supply is 0.
+    /// @param _deadline Time after which this transaction can no longer be executed.
+    /// @return The amount of UNI minted.
+    function addLiquiditySupportingFeeOnTransferTokens(
+      uint _minLiquidity,
+      uint _maxTokens,
+      uint _deadline
+    ) external payable notFlashing returns (uint) {
+      require(_deadline > block.timestamp && _maxTokens > 0 && msg.value > 0);
+      uint ethReserve = address(this).balance - msg.value;
+      uint tokenReserve = token.balanceOf(address(this));
+      bool feeOn = mintProtocolFee(ethReserve, tokenReserve);
+      uint totalLiquidity = totalSupply();
+
+      if (totalLiquidity > 0) {
+        require(_minLiquidity > 0);
+
+        uint tokenAmount = msg.value * tokenReserve / ethReserve + 1;
+        require(_maxTokens >= tokenAmount);
+        uint tokensReceived = pullTokens(msg.sender, tokenAmount);
+
+        // the ETH matching the Tokens that arrived, rounded down
+        uint ethAmount = tokensReceived * ethReserve / tokenReserve;
+        if (ethAmount > msg.value) {
+          ethAmount = msg.value;
+        }
+        uint liquidityMinted = ethAmount * totalLiquidity / ethReserve;
+
+        require(liquidityMinted >= _minLiquidity);
+        _mint(msg.sender, liquidityMinted);
+
+        if (msg.value > ethAmount) {
+          payable(msg.sender).sendValue(msg.value - ethAmount);
+        }
+        updateKLast(feeOn);
+
+        emit AddLiquidity(msg.sender, ethAmount, tokensReceived);
+
+        return liquidityMinted;
+      } else {
+        require(msg.value >= 1000000000 && factory.getExchangeWithFee(address(token), fee) == address(this));
+
+        uint tokensReceived = pullTokens(msg.sender, _maxTokens);
+        require(tokensReceived > 0);
+        _mint(msg.sender, msg.value);
+        updateKLast(feeOn);
+
+        emit AddLiquidity(msg.sender, msg.value, tokensReceived);
+
+        return msg.value;
+      }
+    }
+
+    /// @dev ethToTokenInput with _minTokens checked against what _recipient received.
+    function ethToTokenInputSupportingFeeOnTransferTokens(
+      uint _minTokens,
+      uint _deadline,
+      address _recipient
+    ) private returns (uint) {
+      require(_minTokens > 0);
+      uint balance = token.balanceOf(_recipient);
+
+      ethToTokenInput(msg.value, 1, _deadline, msg.sender, _recipient);
+
+      uint tokensReceived = token.balanceOf(_recipient) - balance;
+      require(tokensReceived >= _minTokens);
+
+      return tokensReceived;
+    }
+
+    /// @notice ethToTokenSwapInput for Tokens taking a fee on transfer.
+    /// @param _minTokens Minimum Tokens received, after the Token's fee.
+    /// @param _deadline Time after which this transaction can no longer be executed.
+    /// @return Amount of Tokens received.
+    function ethToTokenSwapInputSupportingFeeOnTransferTokens(
+      uint _minTokens,
+      uint _deadline
+    ) external payable returns (uint) {
+      return ethToTokenInputSupportingFeeOnTransferTokens(_minTokens, _deadline, msg.sender);
+    }
+
+    /// @notice ethToTokenTransferInput for Tokens taking a fee on transfer.
+    /// @param _minTokens Minimum Tokens received by _recipient, after the Token's fee.
+    /// @param _deadline Time after which this transaction can no longer be executed.
+    /// @param _recipient The address that receives output Tokens.
+    /// @return Amount of Tokens received.
+    function ethToTokenTransferInputSupportingFeeOnTransferTokens(
+      uint _minTokens,
+      uint _deadline,
+      address _recipient
+    ) external payable returns (uint) {
+      require(_recipient != address(this) && _recipient != address(0));
+
+      return ethToTokenInputSupportingFeeOnTransferTokens(_minTokens, _deadline, _recipient);
+    }
+
+    /// @dev tokenToEthInput priced on the Tokens that arrived rather than _tokensSold.
+    function tokenToEthInputSupportingFeeOnTransferTokens(
+      uint _tokensSold,
+      uint _minEth,
+      uint _deadline,
+      address _buyer,
+      address _recipient
+    ) private notFlashing returns (uint) {
+      require(_deadline >= block.timestamp && (_tokensSold > 0 && _minEth > 0));
+
+      uint tokenReserve = token.balanceOf(address(this));
+      uint tokensReceived = pullTokens(_buyer, _tokensSold);
+      uint ethBought = getInputPrice(tokensReceived, tokenReserve, address(this).balance);
+
+      require(ethBought >= _minEth);
+      payable(_recipient).sendValue(ethBought);
+
+      emit EthPurchase(_buyer, tokensReceived, ethBought);
+
+      return ethBought;
+    }
+
+    /// @notice tokenToEthSwapInput for Tokens taking a fee on transfer.
+    /// @param _tokensSold Amount of Tokens sent, the exchange receives it less the Token's fee.
+    /// @param _minEth Minimum ETH purchased.
+    /// @param _deadline Time after which this transaction can no longer be executed.
+    /// @return Amount of ETH bought.
+    function tokenToEthSwapInputSupportingFeeOnTransferTokens(
+      uint _tokensSold,
+      uint _minEth,
+      uint _deadline
+    ) external returns (uint) {
+      return tokenToEthInputSupportingFeeOnTransferTokens(_tokensSold, _minEth, _deadline, msg.sender, msg.sender);
+    }
+
+    /// @notice tokenToEthTransferInput for Tokens taking a fee on transfer.
+    /// @param _tokensSold Amount of Tokens sent, the exchange receives it less the Token's fee.
+    /// @param _minEth Minimum ETH purchased.
+    /// @param _deadline Time after which this transaction can no longer be executed.
+    /// @param _recipient The address that receives output ETH.
+    /// @return Amount of ETH bought.
+    function tokenToEthTransferInputSupportingFeeOnTransferTokens(
+      uint _tokensSold,
+      uint _minEth,
+      uint _deadline,
+      address _recipient
+    ) external returns (uint) {
+      require(_recipient != address(this) && _recipient != address(0));
+
+      return tokenToEthInputSupportingFeeOnTransferTokens(_tokensSold, _minEth, _deadline, msg.sender, _recipient);
+    }
+
+    /// @dev tokenToTokenInput priced on the Tokens that arrived, with _minTokensBought
+    ///      checked against what _recipient received.
+    function tokenToTokenInputSupportingFeeOnTransferTokens(
+      uint _tokensSold,
+      uint _minTokensBought,
+      uint _minEthBought,
+      uint _deadline,
+      address _recipient,
+      address _tokenAddr
+    ) private notFlashing returns (uint) {
+      require((_deadline >= block.timestamp && _tokensSold > 0)
+        && (_minTokensBought > 0 && _minEthBought > 0));
+      address exchangeAddr = boughtExchange(_tokenAddr);
+      require(exchangeAddr != address(this) && exchangeAddr != address(0));
+
+      uint tokenReserve = token.balanceOf(address(this));
+      uint tokensReceived = pullTokens(msg.sender, _tokensSold);
+      uint ethBought = getInputPrice(tokensReceived, tokenReserve, address(this).balance);
+
+      require(ethBought >= _minEthBought);
+      emit EthPurchase(msg.sender, tokensReceived, ethBought);
+
+      return Exchange(exchangeAddr).ethToTokenTransferInputSupportingFeeOnTransferTokens{value: ethBought}(
+        _minTokensBought, _deadline, _recipient
+      );
+    }
+
+    /// @notice tokenToTokenSwapInput for Tokens taking a fee on transfer, sold or bought.
+    /// @param _tokensSold Amount of Tokens sent, the exchange receives it less the Token's fee.
+    /// @param _minTokensBought Minimum Tokens (token_addr) received, after the Token's fee.
+    /// @param _minEthBought Minimum ETH purchased as intermediary.
+    /// @param _deadline Time after which this transaction can no longer be executed.
+    /// @param _tokenAddr The address of the token being purchased, in this fee tier or else the default one.
+    /// @return Amount of Tokens (token_addr) received.
+    function tokenToTokenSwapInputSupportingFeeOnTransferTokens(
+      uint _tokensSold,
+      uint _minTokensBought,
+      uint _minEthBought,
+      uint _deadline,
+      address _tokenAddr
+    ) external returns (uint) {
+      return tokenToTokenInputSupportingFeeOnTransferTokens(
+        _tokensSold, _minTokensBought, _minEthBought, _deadline, msg.sender, _tokenAddr
+      );
+    }
+
+    /// @notice tokenToTokenTransferInput for Tokens taking a fee on transfer, sold or bought.
+    /// @param _tokensSold Amount of Tokens sent, the exchange receives it less the Token's fee.
+    /// @param _minTokensBought Minimum Tokens (token_addr) received by _recipient, after the Token's fee.
+    /// @param _minEthBought Minimum ETH purchased as intermediary.
+    /// @param _deadline Time after which this transaction can no longer be executed.
+    /// @param _recipient The address that receives output Tokens (token_addr).
+    /// @param _tokenAddr The address of the token being purchased, in this fee tier or else the default one.
+    /// @return Amount of Tokens (token_addr) received.
+    function tokenToTokenTransferInputSupportingFeeOnTransferTokens(
+      uint _tokensSold,
+      uint _minTokensBought,
+      uint _minEthBought,
+      uint _deadline,
+      address _recipient,
+      address _tokenAddr
+    ) external returns (uint) {
+      return tokenToTokenInputSupportingFeeOnTransferTokens(
+        _tokensSold, _minTokensBought, _minEthBought, _deadline, _recipient, _tokenAddr
+      );
+    }
+
     /// @notice Public price function for ETH to Token trades with an exact input.
     /// @param _ethSold Amount of ETH sold.
     /// @return Amount of Tokens that can be bought with input ETH.
     function getEthToTokenInputPrice(uint _ethSold) 
-    public view returns(uint) {
+    public view notFlashing returns(uint) {
       require(_ethSold > 0);
       uint tokenReserve = token.balanceOf(address(this));
 
@@ -734,7 +1283,7 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
     /// @param _tokensBought Amount of Tokens bought.
     /// @return Amount of ETH needed to buy output Tokens.
     function getEthToTokenOutputPrice(uint _tokensBought) 
-    public view returns(uint) {
+    public view notFlashing returns(uint) {
       require(_tokensBought > 0);
 
       uint tokenReserve = token.balanceOf(address(this));
@@ -747,7 +1296,7 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
     /// @param _tokensSold Amount of Tokens sold.
     /// @return Amount of ETH that can be bought with input Tokens.
     function getTokenToEthInputPrice(uint _tokensSold) 
-    public view returns(uint) {
+    public view notFlashing returns(uint) {
       require(_tokensSold > 0);
       uint tokenReserve = token.balanceOf(address(this));
       uint ethBought = getInputPrice(_tokensSold, tokenReserve, address(this).balance);
@@ -760,7 +1309,7 @@ contract UniswapExchangeV1 is ERC20("Uniswap V1", "UNI-V1") {
     /// @return Amount of Tokens needed to buy output ETH.
     function getTokenToEthOutputPrice(
       uint _ethBought
-    ) public view returns (uint) {
+    ) public view notFlashing returns (uint) {
       require(_ethBought > 0);
       uint tokenReserve = token.balanceOf(address(this));
 
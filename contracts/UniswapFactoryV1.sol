@@ -5,33 +5,104 @@ import "./UniswapExchangeV1.sol";
 
 contract UniswapFactoryV1 {
   event NewExchange(address indexed token, address indexed exchange);
+  event FeeToChanged(address indexed feeTo, uint protocolFeeShare);
+
+  /// @notice An exchange with the token and fee tier it was created for, as listed by getExchanges.
+  struct ExchangeInfo {
+    address token;
+    address exchange;
+    uint fee;
+  }
+
+  /// @notice Fee of exchanges created without a tier, 0.3% like the original Uniswap V1.
+  uint public constant DEFAULT_FEE = 30;
+
+  /// @notice Largest share of liquidity growth the protocol fee can take, out of 10000.
+  uint public constant MAX_PROTOCOL_FEE_SHARE = 5000;
 
   uint256 public tokenCount;
 
-  mapping(address => address) private tokenToExchange;
+  /// @notice Receives the protocol fee of every exchange, which is off while it is the zero address.
+  address public feeTo;
+  /// @notice The only address allowed to change feeTo, protocolFeeShare and itself.
+  address public feeToSetter;
+  /// @notice Share of the growth of sqrt(k) minted to feeTo, out of 10000. A sixth by default, as in Uniswap V2.
+  uint public protocolFeeShare = 1667;
+
+  mapping(address => mapping(uint => address)) private tokenToExchange;
   mapping(address => address) private exchangeToToken;
   mapping(uint => address) private idToToken;
+  mapping(address => uint) private tokenToId;
+  address[] private exchanges;
+
+  constructor() {
+    feeToSetter = msg.sender;
+  }
 
   function createExchange(address _tokenAddr) public returns (address) {
+    return createExchangeWithFee(_tokenAddr, DEFAULT_FEE);
+  }
+
+  /// @notice Creates an exchange for _tokenAddr charging _fee on swaps. A token has at most
+  ///         one exchange per fee tier, getExchange returns the one of DEFAULT_FEE.
+  /// @param _fee Swap fee out of 10000, one of the tiers isFeeTier accepts.
+  function createExchangeWithFee(address _tokenAddr, uint _fee) public returns (address) {
     require(_tokenAddr != address(0), "Invalid token address");
+    require(isFeeTier(_fee), "Invalid fee tier");
+    require(tokenToExchange[_tokenAddr][_fee] == address(0), "Exchange already exists");
 
-    UniswapExchangeV1 exchange = new UniswapExchangeV1(_tokenAddr);
+    UniswapExchangeV1 exchange = new UniswapExchangeV1(_tokenAddr, _fee);
     address exchangeAddr = address(exchange);
 
-    tokenToExchange[_tokenAddr] = exchangeAddr;
+    tokenToExchange[_tokenAddr][_fee] = exchangeAddr;
     exchangeToToken[exchangeAddr] = _tokenAddr;
+    exchanges.push(exchangeAddr);
 
-    uint tokenId = tokenCount + 1;
-    tokenCount = tokenId;
+    // ids number tokens, a token's exchanges in further tiers share its id
+    if (tokenToId[_tokenAddr] == 0) {
+      uint tokenId = tokenCount + 1;
+      tokenCount = tokenId;
 
-    idToToken[tokenId] = _tokenAddr;
+      idToToken[tokenId] = _tokenAddr;
+      tokenToId[_tokenAddr] = tokenId;
+    }
 
     emit NewExchange(_tokenAddr, exchangeAddr);
     return exchangeAddr;
   }
 
+  /// @notice Turns the protocol fee on, or off with the zero address. Exchanges collect it on
+  ///         their next liquidity event, for the growth since the one after it was turned on.
+  function setFeeTo(address _feeTo) external {
+    require(msg.sender == feeToSetter, "Forbidden");
+    feeTo = _feeTo;
+    emit FeeToChanged(_feeTo, protocolFeeShare);
+  }
+
+  /// @param _share Share of the growth of sqrt(k) minted to feeTo, out of 10000.
+  function setProtocolFeeShare(uint _share) external {
+    require(msg.sender == feeToSetter, "Forbidden");
+    require(_share > 0 && _share <= MAX_PROTOCOL_FEE_SHARE, "Invalid protocol fee share");
+    protocolFeeShare = _share;
+    emit FeeToChanged(feeTo, _share);
+  }
+
+  function setFeeToSetter(address _feeToSetter) external {
+    require(msg.sender == feeToSetter, "Forbidden");
+    feeToSetter = _feeToSetter;
+  }
+
+  /// @notice Fee tiers exchanges can be created with: 0.05%, 0.3% and 1%.
+  function isFeeTier(uint _fee) public pure returns (bool) {
+    return _fee == 5 || _fee == 30 || _fee == 100;
+  }
+
   function getExchange(address _tokenAddr) public view returns (address) {
-    return tokenToExchange[_tokenAddr];
+    return tokenToExchange[_tokenAddr][DEFAULT_FEE];
+  }
+
+  function getExchangeWithFee(address _tokenAddr, uint _fee) public view returns (address) {
+    return tokenToExchange[_tokenAddr][_fee];
   }
 
   function getToken(address _exchangeAddr) public view returns (address) {
@@ -40,6 +111,29 @@ contract UniswapFactoryV1 {
 
   function getTokenWithId(uint _tokenId) public view returns (address) {
     return idToToken[_tokenId];
-  } 
+  }
+
+  /// @notice Number of exchanges across all tokens and fee tiers.
+  function exchangeCount() external view returns (uint) {
+    return exchanges.length;
+  }
+
+  /// @notice Exchanges in creation order, so pages stay stable as exchanges are added.
+  /// @param _offset Index of the first exchange returned, past the end returns none.
+  /// @param _limit Maximum number of exchanges returned.
+  function getExchanges(uint _offset, uint _limit) external view returns (ExchangeInfo[] memory page) {
+    uint count = exchanges.length;
+    uint end = _offset < count && _limit < count - _offset ? _offset + _limit : count;
+    page = new ExchangeInfo[](end > _offset ? end - _offset : 0);
+
+    for (uint i = 0; i < page.length; i++) {
+      address exchangeAddr = exchanges[_offset + i];
+      page[i] = ExchangeInfo(
+        exchangeToToken[exchangeAddr],
+        exchangeAddr,
+        UniswapExchangeV1(payable(exchangeAddr)).fee()
+      );
+    }
+  }
 
-}
\ No newline at end of file
+}
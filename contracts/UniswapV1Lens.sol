@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: Unlicensed
+pragma solidity 0.8.13;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+interface LensFactory {
+  function tokenCount() external view returns (uint);
+  function getTokenWithId(uint _tokenId) external view returns (address);
+  function getExchangeWithFee(address _tokenAddr, uint _fee) external view returns (address);
+}
+
+/// @notice Reads the reserves, supply and token metadata of many exchanges in a single call.
+/// @dev Holds no state and works with any UniswapFactoryV1, so one deployment serves every factory.
+///      Token metadata is read with static calls: a token whose name or symbol is missing or a
+///      bytes32 still gets an entry, with empty or converted strings.
+contract UniswapV1Lens {
+  struct ExchangeState {
+    address token;
+    address exchange;
+    uint ethReserve;
+    uint tokenReserve;
+    uint totalSupply;
+    string name;
+    string symbol;
+    uint8 decimals;
+  }
+
+  /// @notice State of the exchanges of _tokens in the _fee tier, in the order given.
+  /// @dev A token without an exchange in the tier has a zero exchange and zero reserves.
+  function getStatesByTokens(
+    address _factoryAddr,
+    address[] calldata _tokens,
+    uint _fee
+  ) external view returns (ExchangeState[] memory states) {
+    states = new ExchangeState[](_tokens.length);
+    for (uint i = 0; i < _tokens.length; i++) {
+      states[i] = getState(LensFactory(_factoryAddr), _tokens[i], _fee);
+    }
+  }
+
+  /// @notice State of the exchanges of tokens _fromId to _toId, both included, in the _fee tier.
+  /// @dev Ids start at 1, the range is cut at the factory's tokenCount.
+  function getStatesByIds(
+    address _factoryAddr,
+    uint _fromId,
+    uint _toId,
+    uint _fee
+  ) external view returns (ExchangeState[] memory states) {
+    require(_fromId > 0, "Invalid token id");
+    LensFactory factory = LensFactory(_factoryAddr);
+    uint tokenCount = factory.tokenCount();
+    uint toId = _toId < tokenCount ? _toId : tokenCount;
+
+    states = new ExchangeState[](toId >= _fromId ? toId - _fromId + 1 : 0);
+    for (uint i = 0; i < states.length; i++) {
+      states[i] = getState(factory, factory.getTokenWithId(_fromId + i), _fee);
+    }
+  }
+
+  function getState(
+    LensFactory _factory,
+    address _tokenAddr,
+    uint _fee
+  ) private view returns (ExchangeState memory state) {
+    state.token = _tokenAddr;
+    state.exchange = _factory.getExchangeWithFee(_tokenAddr, _fee);
+    state.name = readString(_tokenAddr, abi.encodeWithSignature("name()"));
+    state.symbol = readString(_tokenAddr, abi.encodeWithSignature("symbol()"));
+    state.decimals = readDecimals(_tokenAddr);
+
+    if (state.exchange != address(0)) {
+      state.ethReserve = state.exchange.balance;
+      state.tokenReserve = IERC20(_tokenAddr).balanceOf(state.exchange);
+      state.totalSupply = IERC20(state.exchange).totalSupply();
+    }
+  }
+
+  /// @dev Decodes a string, or a bytes32 as some early tokens return, up to its first zero byte.
+  function readString(address _tokenAddr, bytes memory _call) private view returns (string memory) {
+    (bool success, bytes memory data) = _tokenAddr.staticcall(_call);
+    if (!success) {
+      return "";
+    }
+    if (data.length >= 64) {
+      return abi.decode(data, (string));
+    }
+    if (data.length != 32) {
+      return "";
+    }
+
+    bytes32 word = abi.decode(data, (bytes32));
+    uint length = 0;
+    while (length < 32 && word[length] != 0) {
+      length++;
+    }
+    bytes memory result = new bytes(length);
+    for (uint i = 0; i < length; i++) {
+      result[i] = word[i];
+    }
+    return string(result);
+  }
+
+  function readDecimals(address _tokenAddr) private view returns (uint8) {
+    (bool success, bytes memory data) = _tokenAddr.staticcall(abi.encodeWithSignature("decimals()"));
+    if (!success || data.length != 32) {
+      return 0;
+    }
+    uint decimals = abi.decode(data, (uint));
+    return decimals <= type(uint8).max ? uint8(decimals) : 0;
+  }
+}
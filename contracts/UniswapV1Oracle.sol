@@ -0,0 +1,144 @@
+// SPDX-License-Identifier: Unlicensed
+pragma solidity 0.8.13;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "./UniswapExchangeV1.sol";
+
+/// @notice Time-weighted average price oracle for exchanges registered in a UniswapFactoryV1.
+/// @dev V1 exchanges have no hooks, so the accumulator only advances when `update` is called.
+///      Between two updates the price is assumed to stay at the value seen by the first one;
+///      keepers should update right after trades for the accumulator to be exact.
+///      Prices are ETH (wei) per token unit, scaled by 1e18.
+///
+///      An exchange is observed at most once per block. The first `update` of a block accrues the
+///      price stored by the previous one for the time elapsed since, then stores the spot price.
+///      Later updates in the block change nothing, so a trade that moves the price, an update and
+///      a trade that moves it back leave the accumulator and the stored price as they were, once
+///      the block has been observed. Updates revert while the exchange lends out its reserves in a
+///      flash swap, so moving the price costs the capital of the trade.
+///
+///      The oracle cannot see the price that held before the block, as a Uniswap V2 pair does. A
+///      sandwich around the first update of a block still stores its price, which accrues until
+///      the next block is observed: the error in a TWAP over W seconds is bounded by
+///      (manipulated price - price) * (time until the next update) / W. Keepers should update
+///      every block and consumers should pick windows far longer than a block.
+///      The functions take a token and resolve its exchange in the default fee tier, their
+///      WithFee variants in any tier.
+contract UniswapV1Oracle {
+  event PriceUpdated(address indexed exchange, uint price, uint priceCumulative, uint timestamp);
+
+  struct Observation {
+    uint timestamp;
+    uint price;
+    uint priceCumulative;
+  }
+
+  Factory public immutable factory;
+
+  mapping(address => Observation) private observations;
+
+  constructor(address _factoryAddr) {
+    require(_factoryAddr != address(0), "Invalid factory address");
+
+    factory = Factory(_factoryAddr);
+  }
+
+  /// @notice Accumulate the previous price up to now and record the current spot price, once per block.
+  /// @param _tokenAddr Token whose default tier exchange is observed.
+  /// @return Current cumulative price.
+  function update(address _tokenAddr) external returns (uint) {
+    return observe(_tokenAddr, getExchangeOrRevert(_tokenAddr));
+  }
+
+  /// @notice Like `update`, for the exchange of the token in fee tier _fee.
+  function updateWithFee(address _tokenAddr, uint _fee) external returns (uint) {
+    return observe(_tokenAddr, getExchangeWithFeeOrRevert(_tokenAddr, _fee));
+  }
+
+  /// @notice Cumulative price as if `update` was called in the current block.
+  /// @param _tokenAddr Token whose default tier exchange is observed.
+  /// @return Cumulative price and current timestamp.
+  function currentCumulativePrice(address _tokenAddr) external view returns (uint, uint) {
+    return cumulativePrice(getExchangeOrRevert(_tokenAddr));
+  }
+
+  /// @notice Like `currentCumulativePrice`, for the exchange of the token in fee tier _fee.
+  function currentCumulativePriceWithFee(address _tokenAddr, uint _fee) external view returns (uint, uint) {
+    return cumulativePrice(getExchangeWithFeeOrRevert(_tokenAddr, _fee));
+  }
+
+  /// @param _tokenAddr Token whose default tier exchange is observed.
+  /// @return Timestamp, price and cumulative price stored by the last `update`.
+  function lastObservation(address _tokenAddr) external view returns (uint, uint, uint) {
+    Observation memory observation = observations[getExchangeOrRevert(_tokenAddr)];
+
+    return (observation.timestamp, observation.price, observation.priceCumulative);
+  }
+
+  /// @notice Like `lastObservation`, for the exchange of the token in fee tier _fee.
+  function lastObservationWithFee(address _tokenAddr, uint _fee) external view returns (uint, uint, uint) {
+    Observation memory observation = observations[getExchangeWithFeeOrRevert(_tokenAddr, _fee)];
+
+    return (observation.timestamp, observation.price, observation.priceCumulative);
+  }
+
+  /// @param _tokenAddr Token whose default tier exchange is observed.
+  /// @return Spot price of one token in wei, scaled by 1e18.
+  function getSpotPrice(address _tokenAddr) external view returns (uint) {
+    return spotPrice(_tokenAddr, getExchangeOrRevert(_tokenAddr));
+  }
+
+  /// @notice Like `getSpotPrice`, for the exchange of the token in fee tier _fee.
+  function getSpotPriceWithFee(address _tokenAddr, uint _fee) external view returns (uint) {
+    return spotPrice(_tokenAddr, getExchangeWithFeeOrRevert(_tokenAddr, _fee));
+  }
+
+  function observe(address _tokenAddr, address _exchangeAddr) private returns (uint) {
+    uint price = spotPrice(_tokenAddr, _exchangeAddr);
+    Observation storage observation = observations[_exchangeAddr];
+
+    // block timestamps increase, an observation at this one was made in this block
+    if (observation.timestamp == block.timestamp) {
+      return observation.priceCumulative;
+    }
+    if (observation.timestamp != 0) {
+      observation.priceCumulative += observation.price * (block.timestamp - observation.timestamp);
+    }
+    observation.timestamp = block.timestamp;
+    observation.price = price;
+
+    emit PriceUpdated(_exchangeAddr, observation.price, observation.priceCumulative, block.timestamp);
+    return observation.priceCumulative;
+  }
+
+  function cumulativePrice(address _exchangeAddr) private view returns (uint, uint) {
+    Observation memory observation = observations[_exchangeAddr];
+    require(observation.timestamp != 0, "Not initialized");
+
+    uint elapsed = block.timestamp - observation.timestamp;
+    return (observation.priceCumulative + observation.price * elapsed, block.timestamp);
+  }
+
+  function spotPrice(address _tokenAddr, address _exchangeAddr) private view returns (uint) {
+    require(!UniswapExchangeV1(payable(_exchangeAddr)).isFlashing(), "Flash swap in progress");
+    uint ethReserve = _exchangeAddr.balance;
+    uint tokenReserve = ERC20(_tokenAddr).balanceOf(_exchangeAddr);
+    require(ethReserve > 0 && tokenReserve > 0, "Empty reserves");
+
+    return ethReserve * (10 ** 18) / tokenReserve;
+  }
+
+  function getExchangeOrRevert(address _tokenAddr) private view returns (address) {
+    address exchangeAddr = factory.getExchange(_tokenAddr);
+    require(exchangeAddr != address(0), "Unknown exchange");
+
+    return exchangeAddr;
+  }
+
+  function getExchangeWithFeeOrRevert(address _tokenAddr, uint _fee) private view returns (address) {
+    address exchangeAddr = factory.getExchangeWithFee(_tokenAddr, _fee);
+    require(exchangeAddr != address(0), "Unknown exchange");
+
+    return exchangeAddr;
+  }
+}
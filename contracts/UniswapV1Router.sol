@@ -0,0 +1,147 @@
+// SPDX-License-Identifier: Unlicensed
+pragma solidity 0.8.13;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+interface RouterExchange {
+  function tokenAddress() external view returns (address);
+  function getEthToTokenInputPrice(uint _ethSold) external view returns (uint);
+  function getTokenToEthInputPrice(uint _tokensSold) external view returns (uint);
+  function ethToTokenTransferInput(uint _minTokens, uint _deadline, address _recipient)
+    external payable returns (uint);
+  function tokenToEthTransferInput(uint _tokensSold, uint _minEth, uint _deadline, address _recipient)
+    external returns (uint);
+}
+
+/// @notice Executes exact input swaps along an arbitrary path of V1 exchanges.
+/// @dev A path is a list of exchanges. The asset held alternates between ETH and a token:
+///      holding ETH, the next exchange sells it for its token; holding a token, the next
+///      exchange must trade that token and sells it for ETH. The swap starts with ETH when
+///      msg.value is sent and with the token of the first exchange otherwise, and ends with
+///      whatever the last hop returns. Exchanges may come from any factory.
+contract UniswapV1Router is ReentrancyGuard {
+  using Address for address payable;
+
+  event Swap(
+    address indexed _sender,
+    address indexed _recipient,
+    address _tokenIn,
+    address _tokenOut,
+    uint _amountIn,
+    uint _amountOut
+  );
+
+  bool private swapping;
+
+  /// @dev Only exchanges paying out an intermediate hop may send ETH.
+  receive() external payable {
+    require(swapping, "Unexpected ETH");
+  }
+
+  /// @notice Swap an exact input along _path.
+  /// @param _path Exchanges to trade through, in order.
+  /// @param _amountIn Amount of input sold. Must equal msg.value for ETH input.
+  /// @param _minAmountOut Minimum output received, the single slippage bound of the whole path.
+  /// @param _deadline Time after which this transaction can no longer be executed.
+  /// @param _recipient The address that receives the output.
+  /// @return Amount of output received by _recipient.
+  function swapExactInput(
+    address[] calldata _path,
+    uint _amountIn,
+    uint _minAmountOut,
+    uint _deadline,
+    address _recipient
+  ) external payable nonReentrant returns (uint) {
+    require(_deadline >= block.timestamp, "Expired");
+    require(_path.length > 0 && _amountIn > 0 && _minAmountOut > 0, "Invalid arguments");
+    require(_recipient != address(0) && _recipient != address(this), "Invalid recipient");
+
+    address tokenIn;
+    if (msg.value > 0) {
+      require(msg.value == _amountIn, "Invalid ETH amount");
+    } else {
+      tokenIn = RouterExchange(_path[0]).tokenAddress();
+      require(ERC20(tokenIn).transferFrom(msg.sender, address(this), _amountIn));
+    }
+
+    swapping = true;
+    (uint amountOut, address tokenOut) = executePath(_path, _amountIn, tokenIn, _minAmountOut, _deadline, _recipient);
+    swapping = false;
+
+    emit Swap(msg.sender, _recipient, tokenIn, tokenOut, _amountIn, amountOut);
+    return amountOut;
+  }
+
+  /// @notice Quote swapExactInput from the current reserves.
+  /// @dev Each hop is priced independently, so paths visiting an exchange twice are overquoted.
+  /// @param _path Exchanges to trade through, in order.
+  /// @param _amountIn Amount of input sold.
+  /// @param _ethIn True when the path starts with ETH.
+  /// @return Amount held after each hop, starting with _amountIn.
+  function getAmountsOut(address[] calldata _path, uint _amountIn, bool _ethIn)
+  public view returns (uint[] memory) {
+    require(_path.length > 0, "Invalid arguments");
+
+    uint[] memory amounts = new uint[](_path.length + 1);
+    amounts[0] = _amountIn;
+    address holding = _ethIn ? address(0) : RouterExchange(_path[0]).tokenAddress();
+
+    for (uint i = 0; i < _path.length; i++) {
+      RouterExchange exchange = RouterExchange(_path[i]);
+      address token = exchange.tokenAddress();
+      if (holding == address(0)) {
+        amounts[i + 1] = exchange.getEthToTokenInputPrice(amounts[i]);
+        holding = token;
+      } else {
+        require(token == holding, "Path token mismatch");
+        amounts[i + 1] = exchange.getTokenToEthInputPrice(amounts[i]);
+        holding = address(0);
+      }
+    }
+    return amounts;
+  }
+
+  /// @dev Walks the path; intermediate hops pay the router, the last one pays _recipient.
+  /// @param _tokenIn Input token, zero address for ETH.
+  /// @return Output amount and output token (zero address for ETH).
+  function executePath(
+    address[] calldata _path,
+    uint _amountIn,
+    address _tokenIn,
+    uint _minAmountOut,
+    uint _deadline,
+    address _recipient
+  ) private returns (uint, address) {
+    uint amount = _amountIn;
+    address holding = _tokenIn;
+
+    // intermediate hops only need to be non zero, the path is bounded at the end
+    for (uint i = 0; i + 1 < _path.length; i++) {
+      (amount, holding) = swapHop(RouterExchange(_path[i]), amount, holding, 1, _deadline, address(this));
+    }
+    return swapHop(RouterExchange(_path[_path.length - 1]), amount, holding, _minAmountOut, _deadline, _recipient);
+  }
+
+  /// @dev Sells _amount of _holding (zero address for ETH) on _exchange.
+  /// @return Amount bought and the asset bought (zero address for ETH).
+  function swapHop(
+    RouterExchange _exchange,
+    uint _amount,
+    address _holding,
+    uint _minOut,
+    uint _deadline,
+    address _to
+  ) private returns (uint, address) {
+    address token = _exchange.tokenAddress();
+
+    if (_holding == address(0)) {
+      return (_exchange.ethToTokenTransferInput{value: _amount}(_minOut, _deadline, _to), token);
+    }
+
+    require(token == _holding, "Path token mismatch");
+    require(ERC20(token).approve(address(_exchange), _amount));
+    return (_exchange.tokenToEthTransferInput(_amount, _minOut, _deadline, _to), address(0));
+  }
+}
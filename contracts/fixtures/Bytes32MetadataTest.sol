@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: Unlicensed
+pragma solidity 0.8.13;
+
+/// @notice Token metadata the way early tokens like MKR return it: name and symbol as bytes32, no decimals.
+contract Bytes32MetadataTest {
+  bytes32 public constant name = "Maker";
+  bytes32 public constant symbol = "MKR";
+
+  mapping(address => uint) public balanceOf;
+}
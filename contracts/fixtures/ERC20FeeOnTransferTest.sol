@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: Unlicensed
+pragma solidity 0.8.13;
+
+import "@openzeppelin/contracts/token/ERC20/presets/ERC20PresetFixedSupply.sol";
+
+/// @dev Burns feeBps of every transfer, so recipients receive less than the amount sent.
+contract ERC20FeeOnTransferTest is ERC20PresetFixedSupply {
+  uint public immutable feeBps;
+
+  constructor(string memory name, string memory symbol, uint initialSupply, uint _feeBps)
+   ERC20PresetFixedSupply(name, symbol, initialSupply, msg.sender)
+   {
+    require(_feeBps < 10000);
+    feeBps = _feeBps;
+   }
+
+  function _transfer(address from, address to, uint amount) internal override {
+    uint fee = amount * feeBps / 10000;
+    if (fee > 0) {
+      _burn(from, fee);
+    }
+    super._transfer(from, to, amount - fee);
+  }
+}
@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: Unlicensed
+pragma solidity 0.8.13;
+
+import "@openzeppelin/contracts/token/ERC20/presets/ERC20PresetFixedSupply.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-ERC20Permit.sol";
+
+contract ERC20PermitTest is ERC20PresetFixedSupply, ERC20Permit {
+  constructor(string memory name, string memory symbol, uint initialSupply)
+   ERC20PresetFixedSupply(name, symbol, initialSupply, msg.sender)
+   ERC20Permit(name)
+   {}
+}
@@ -0,0 +1,71 @@
+// SPDX-License-Identifier: Unlicensed
+pragma solidity 0.8.13;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+
+/// @dev Balances are shares of a total supply the owner can change at any time. Amounts
+///      are converted to shares rounding down, so a transfer can deliver a unit less.
+contract ERC20RebasingTest is IERC20Metadata, Ownable {
+  string public name;
+  string public symbol;
+  uint8 public constant decimals = 18;
+  uint public totalSupply;
+  uint public totalShares;
+
+  mapping(address => uint) public sharesOf;
+  mapping(address => mapping(address => uint)) public allowance;
+
+  event Rebase(uint totalSupply);
+
+  constructor(string memory _name, string memory _symbol, uint initialSupply) {
+    name = _name;
+    symbol = _symbol;
+    totalSupply = initialSupply;
+    totalShares = initialSupply;
+    sharesOf[msg.sender] = initialSupply;
+    emit Transfer(address(0), msg.sender, initialSupply);
+  }
+
+  /// @notice Changes every balance by _totalSupply / totalSupply.
+  function rebase(uint _totalSupply) external onlyOwner {
+    require(_totalSupply > 0);
+    totalSupply = _totalSupply;
+    emit Rebase(_totalSupply);
+  }
+
+  function balanceOf(address account) public view returns (uint) {
+    return sharesOf[account] * totalSupply / totalShares;
+  }
+
+  function transfer(address to, uint amount) external returns (bool) {
+    _transfer(msg.sender, to, amount);
+    return true;
+  }
+
+  function approve(address spender, uint amount) external returns (bool) {
+    allowance[msg.sender][spender] = amount;
+    emit Approval(msg.sender, spender, amount);
+    return true;
+  }
+
+  function transferFrom(address from, address to, uint amount) external returns (bool) {
+    uint allowed = allowance[from][msg.sender];
+    if (allowed != type(uint).max) {
+      require(allowed >= amount, "ERC20: insufficient allowance");
+      allowance[from][msg.sender] = allowed - amount;
+    }
+    _transfer(from, to, amount);
+    return true;
+  }
+
+  function _transfer(address from, address to, uint amount) private {
+    require(to != address(0), "ERC20: transfer to the zero address");
+    require(balanceOf(from) >= amount, "ERC20: transfer amount exceeds balance");
+
+    uint shares = amount * totalShares / totalSupply;
+    sharesOf[from] -= shares;
+    sharesOf[to] += shares;
+    emit Transfer(from, to, amount);
+  }
+}
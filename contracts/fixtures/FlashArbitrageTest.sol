@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: Unlicensed
+pragma solidity 0.8.13;
+
+import "../UniswapExchangeV1.sol";
+
+/// @dev Borrows Tokens from an exchange where they are cheap, sells them for ETH on another
+///      exchange of the same Token and repays the lender in ETH. The callback data is
+///      (address sellExchange, uint ethRepayment), the ETH left over is the profit.
+contract FlashArbitrageTest is FlashBorrower {
+  using Address for address payable;
+
+  address private immutable owner;
+
+  constructor() {
+    owner = msg.sender;
+  }
+
+  receive() external payable {}
+
+  function uniswapV1FlashCallback(address _sender, uint, uint _tokenAmount, bytes calldata _data) external {
+    require(_sender == owner);
+    (address sellExchange, uint ethRepayment) = abi.decode(_data, (address, uint));
+
+    ERC20 token = ERC20(UniswapExchangeV1(payable(msg.sender)).tokenAddress());
+    require(token.approve(sellExchange, _tokenAmount));
+    uint ethBought = UniswapExchangeV1(payable(sellExchange)).tokenToEthSwapInput(
+      _tokenAmount, ethRepayment, block.timestamp
+    );
+    require(ethBought >= ethRepayment, "Unprofitable");
+
+    payable(msg.sender).sendValue(ethRepayment);
+  }
+
+  function withdraw() external {
+    require(msg.sender == owner);
+    payable(owner).sendValue(address(this).balance);
+  }
+}
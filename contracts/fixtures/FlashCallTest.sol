@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: Unlicensed
+pragma solidity 0.8.13;
+
+import "../UniswapExchangeV1.sol";
+
+/// @dev Makes a call while the lender is drained, bubbling up its revert, then pays back in Tokens.
+///      The callback data is (address target, bytes call, uint tokenRepayment).
+contract FlashCallTest is FlashBorrower {
+  using Address for address;
+
+  function uniswapV1FlashCallback(address, uint, uint, bytes calldata _data) external {
+    (address target, bytes memory call, uint tokenRepayment) = abi.decode(_data, (address, bytes, uint));
+
+    target.functionCall(call);
+    ERC20 token = ERC20(UniswapExchangeV1(payable(msg.sender)).tokenAddress());
+    require(token.transfer(msg.sender, tokenRepayment));
+  }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: Unlicensed
+pragma solidity 0.8.13;
+
+import "../UniswapExchangeV1.sol";
+
+/// @dev Pays back a flash swap from its own balance with the ETH and Tokens encoded in the
+///      callback data as (uint ethRepayment, uint tokenRepayment), in whichever asset they are.
+contract FlashRepayTest is FlashBorrower {
+  using Address for address payable;
+
+  address private immutable owner;
+
+  constructor() {
+    owner = msg.sender;
+  }
+
+  receive() external payable {}
+
+  function uniswapV1FlashCallback(address _sender, uint, uint, bytes calldata _data) external {
+    require(_sender == owner);
+    (uint ethRepayment, uint tokenRepayment) = abi.decode(_data, (uint, uint));
+
+    if (ethRepayment > 0) {
+      payable(msg.sender).sendValue(ethRepayment);
+    }
+    if (tokenRepayment > 0) {
+      ERC20 token = ERC20(UniswapExchangeV1(payable(msg.sender)).tokenAddress());
+      require(token.transfer(msg.sender, tokenRepayment));
+    }
+  }
+}
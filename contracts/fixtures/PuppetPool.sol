@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: Unlicensed
+pragma solidity 0.8.13;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+/// @notice Lending pool that prices its token collateral from the spot reserves of a
+///         UniswapExchangeV1 (port of Damn Vulnerable DeFi "Puppet").
+/// @dev Vulnerable on purpose: anyone able to move the exchange reserves within a
+///      transaction controls the deposit required to borrow. For study only.
+contract PuppetPool is ReentrancyGuard {
+  using Address for address payable;
+
+  uint public constant DEPOSIT_FACTOR = 2;
+
+  address public immutable uniswapPair;
+  ERC20 public immutable token;
+
+  mapping(address => uint) public deposits;
+
+  event Borrowed(address indexed _account, address indexed _recipient, uint _depositRequired, uint _borrowAmount);
+
+  constructor(address _tokenAddr, address _uniswapPairAddr) {
+    require(_tokenAddr != address(0) && _uniswapPairAddr != address(0));
+
+    token = ERC20(_tokenAddr);
+    uniswapPair = _uniswapPairAddr;
+  }
+
+  /// @notice Borrow tokens against an ETH deposit of DEPOSIT_FACTOR times their value.
+  /// @dev Any ETH sent above the required deposit is refunded to the sender.
+  /// @param _amount Amount of tokens borrowed.
+  /// @param _recipient The address that receives the borrowed tokens.
+  function borrow(uint _amount, address _recipient) external payable nonReentrant {
+    uint depositRequired = calculateDepositRequired(_amount);
+
+    require(msg.value >= depositRequired, "Not enough collateral");
+
+    if (msg.value > depositRequired) {
+      payable(msg.sender).sendValue(msg.value - depositRequired);
+    }
+
+    deposits[msg.sender] = deposits[msg.sender] + depositRequired;
+
+    // Fails if the pool doesn't have enough tokens in liquidity
+    require(token.transfer(_recipient, _amount), "Transfer failed");
+
+    emit Borrowed(msg.sender, _recipient, depositRequired, _amount);
+  }
+
+  /// @param _amount Amount of tokens to borrow.
+  /// @return ETH deposit required to borrow _amount at the current exchange price.
+  function calculateDepositRequired(uint _amount) public view returns (uint) {
+    return _amount * computeOraclePrice() * DEPOSIT_FACTOR / 10 ** 18;
+  }
+
+  /// @dev Spot price of one token in wei, straight from the exchange balances.
+  function computeOraclePrice() private view returns (uint) {
+    return uniswapPair.balance * (10 ** 18) / token.balanceOf(uniswapPair);
+  }
+}
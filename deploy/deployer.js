@@ -0,0 +1,202 @@
+const fs = require("fs");
+const path = require("path");
+
+const { getDeadline } = require("../lib/slippage");
+
+const FACTORY = "UniswapFactoryV1";
+
+function fail(message) {
+  throw new Error(`deploy: ${message}`);
+}
+
+/**
+ * Per-network record of deployed contracts, saved after every step so an
+ * interrupted deployment resumes where it stopped.
+ */
+class Manifest {
+  constructor(file, data) {
+    this.file = file;
+    this.data = data;
+  }
+
+  static load(file, network, chainId) {
+    if (!fs.existsSync(file)) {
+      return new Manifest(file, { network, chainId, contracts: {} });
+    }
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (data.chainId !== chainId) {
+      fail(`${file} was written for chain ${data.chainId}, connected to ${chainId}`);
+    }
+    return new Manifest(file, data);
+  }
+
+  get(name) {
+    return this.data.contracts[name];
+  }
+
+  set(name, entry) {
+    this.data.contracts[name] = entry;
+    this.save();
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2) + "\n");
+  }
+}
+
+function validateConfig(config) {
+  if (!config || !Array.isArray(config.tokens)) {
+    fail("config must have a tokens array");
+  }
+  const symbols = new Set();
+  for (const token of config.tokens) {
+    if (!token.symbol) {
+      fail("every token needs a symbol");
+    }
+    if (symbols.has(token.symbol)) {
+      fail(`duplicate token symbol ${token.symbol}`);
+    }
+    symbols.add(token.symbol);
+    if (!token.address && (!token.name || !token.supply)) {
+      fail(`token ${token.symbol} needs either an address or a name and supply`);
+    }
+    if (token.liquidity && (!token.liquidity.eth || !token.liquidity.tokens)) {
+      fail(`liquidity of ${token.symbol} needs eth and tokens`);
+    }
+    if (token.liquidity && token.exchange === false) {
+      fail(`token ${token.symbol} seeds liquidity but has no exchange`);
+    }
+  }
+}
+
+async function isDeployed(hre, entry) {
+  return Boolean(entry) && (await hre.ethers.provider.getCode(entry.address)) !== "0x";
+}
+
+async function deployContract(hre, manifest, name, contract, args, log) {
+  const existing = manifest.get(name);
+  if (await isDeployed(hre, existing)) {
+    log(`Reusing ${name} at ${existing.address}`);
+    return hre.ethers.getContractAt(contract, existing.address);
+  }
+
+  const factory = await hre.ethers.getContractFactory(contract);
+  const instance = await factory.deploy(...args);
+  const receipt = await instance.deployTransaction.wait();
+  const { abi } = await hre.artifacts.readArtifact(contract);
+
+  manifest.set(name, {
+    contract,
+    address: instance.address,
+    transactionHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    args: args.map(String),
+    abi,
+  });
+  log(`Deployed ${name} at ${instance.address}`);
+  return instance;
+}
+
+async function ensureExchange(hre, manifest, factory, symbol, token, log) {
+  const name = `${symbol}_exchange`;
+  const { abi } = await hre.artifacts.readArtifact("UniswapExchangeV1");
+  const existing = manifest.get(name);
+  let exchangeAddr = await factory.getExchange(token.address);
+
+  if (exchangeAddr !== hre.ethers.constants.AddressZero) {
+    if (!existing || existing.address !== exchangeAddr) {
+      // created outside this deployment, nothing to point the tx fields at
+      manifest.set(name, { contract: "UniswapExchangeV1", address: exchangeAddr, token: token.address, abi });
+    }
+    log(`Reusing ${name} at ${exchangeAddr}`);
+  } else {
+    const receipt = await (await factory.createExchange(token.address)).wait();
+    exchangeAddr = receipt.events.find((e) => e.event === "NewExchange").args.exchange;
+
+    manifest.set(name, {
+      contract: "UniswapExchangeV1",
+      address: exchangeAddr,
+      token: token.address,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      abi,
+    });
+    log(`Created ${name} at ${exchangeAddr}`);
+  }
+  return hre.ethers.getContractAt("UniswapExchangeV1", exchangeAddr);
+}
+
+async function seedLiquidity(hre, manifest, symbol, token, exchange, liquidity, log) {
+  const name = `${symbol}_exchange`;
+  if (!(await exchange.totalSupply()).isZero()) {
+    log(`Skipping liquidity of ${name}, already seeded`);
+    return;
+  }
+
+  const { ethers } = hre;
+  const decimals = await token.decimals();
+  const ethAmount = ethers.utils.parseEther(liquidity.eth);
+  const tokenAmount = ethers.utils.parseUnits(liquidity.tokens, decimals);
+  const deadline = await getDeadline(ethers.provider);
+
+  await (await token.approve(exchange.address, tokenAmount)).wait();
+  const receipt = await (await exchange.addLiquidity(0, tokenAmount, deadline, { value: ethAmount })).wait();
+
+  manifest.set(name, {
+    ...manifest.get(name),
+    liquidity: {
+      eth: liquidity.eth,
+      tokens: liquidity.tokens,
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+    },
+  });
+  log(`Seeded ${name} with ${liquidity.eth} ETH and ${liquidity.tokens} ${symbol}`);
+}
+
+/**
+ * Deploys the factory, the configured ERC20Test tokens and their exchanges, and seeds
+ * initial liquidity. Contracts already recorded in the manifest and present on chain
+ * are reused, so re-running only performs the missing steps.
+ * @param {HardhatRuntimeEnvironment} hre
+ * @param {object} config see deploy/config.json
+ * @param {object} [options]
+ * @param {string} [options.manifest] defaults to deployments/<network>.json
+ * @param {function} [options.log]
+ * @return the manifest data
+ */
+async function deploy(hre, config, options = {}) {
+  validateConfig(config);
+  const log = options.log || console.log;
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const file = options.manifest || path.join(hre.config.paths.root, "deployments", `${hre.network.name}.json`);
+  const manifest = Manifest.load(file, hre.network.name, chainId);
+  const { ethers } = hre;
+
+  const factory = await deployContract(hre, manifest, FACTORY, FACTORY, [], log);
+
+  for (const tokenConfig of config.tokens) {
+    const { symbol } = tokenConfig;
+    let token;
+    if (tokenConfig.address) {
+      token = await ethers.getContractAt("ERC20Test", tokenConfig.address);
+    } else {
+      const supply = ethers.utils.parseEther(tokenConfig.supply);
+      token = await deployContract(hre, manifest, symbol, "ERC20Test", [tokenConfig.name, symbol, supply], log);
+    }
+
+    if (tokenConfig.exchange === false) {
+      continue;
+    }
+    const exchange = await ensureExchange(hre, manifest, factory, symbol, token, log);
+    if (tokenConfig.liquidity) {
+      await seedLiquidity(hre, manifest, symbol, token, exchange, tokenConfig.liquidity, log);
+    }
+  }
+
+  manifest.save();
+  return manifest.data;
+}
+
+module.exports = { deploy, validateConfig, Manifest };
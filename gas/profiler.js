@@ -0,0 +1,270 @@
+const fs = require("fs");
+const path = require("path");
+
+const { scenarios, ETH_RESERVE, TOKEN_RESERVE } = require("./scenarios");
+
+const CONTRACTS = ["UniswapFactoryV1", "UniswapExchangeV1"];
+const DEFAULT_THRESHOLD = 1; // percent
+// fixed rather than after the latest block, so calldata and permit signatures are the same on every run
+const DEADLINE = 4102444800; // 2100-01-01
+
+function fail(message) {
+  throw new Error(`gas: ${message}`);
+}
+
+// Fixed keys make every address, and with it calldata and storage costs, independent
+// of whatever ran on the network before.
+async function wallets(hre) {
+  const { ethers } = hre;
+  const result = {};
+  for (const name of ["owner", "trader", "recipient"]) {
+    const wallet = new ethers.Wallet(ethers.utils.id(`uniswap-v1 gas profiler ${name}`), ethers.provider);
+    await ethers.provider.send("hardhat_setBalance", [
+      wallet.address,
+      ethers.utils.hexValue(ethers.utils.parseEther("1000")),
+    ]);
+    result[name] = wallet;
+  }
+  return result;
+}
+
+async function deployFixture(hre) {
+  const { ethers } = hre;
+  const eth = ethers.utils.parseEther;
+  const { owner, trader, recipient } = await wallets(hre);
+
+  // getContractFactory only takes hardhat's own signers, plain wallets are connected after
+  const tokenFactory = (await ethers.getContractFactory("ERC20Test")).connect(owner);
+  const factory = await (await ethers.getContractFactory("UniswapFactoryV1")).connect(owner).deploy();
+  const deadline = DEADLINE;
+
+  const tokens = {};
+  const exchanges = {};
+  for (const symbol of ["HAY", "DEN", "EMPTY", "SPARE"]) {
+    tokens[symbol] = await tokenFactory.deploy(`${symbol} token`, symbol, ethers.constants.MaxUint256);
+    if (symbol === "SPARE") {
+      continue;
+    }
+    await (await factory.createExchange(tokens[symbol].address)).wait();
+    exchanges[symbol] = (
+      await ethers.getContractAt("UniswapExchangeV1", await factory.getExchange(tokens[symbol].address))
+    ).connect(owner);
+    await tokens[symbol].approve(exchanges[symbol].address, ethers.constants.MaxUint256);
+  }
+  for (const symbol of ["HAY", "DEN"]) {
+    await exchanges[symbol].addLiquidity(0, eth(TOKEN_RESERVE), deadline, { value: eth(ETH_RESERVE) });
+  }
+
+  await tokens.HAY.transfer(trader.address, eth("100"));
+  await tokens.HAY.connect(trader).approve(exchanges.HAY.address, ethers.constants.MaxUint256);
+  await exchanges.HAY.approve(trader.address, eth("100"));
+
+  // the trader never approves PERM, its swaps go through permits
+  tokens.PERM = await (await ethers.getContractFactory("ERC20PermitTest"))
+    .connect(owner)
+    .deploy("PERM token", "PERM", ethers.constants.MaxUint256);
+  await (await factory.createExchange(tokens.PERM.address)).wait();
+  exchanges.PERM = (
+    await ethers.getContractAt("UniswapExchangeV1", await factory.getExchange(tokens.PERM.address))
+  ).connect(owner);
+  await tokens.PERM.approve(exchanges.PERM.address, ethers.constants.MaxUint256);
+  await exchanges.PERM.addLiquidity(0, eth(TOKEN_RESERVE), deadline, { value: eth(ETH_RESERVE) });
+  await tokens.PERM.transfer(trader.address, eth("100"));
+
+  // 1% of every TAX transfer is burnt, it goes through the SupportingFeeOnTransferTokens variants
+  tokens.TAX = await (await ethers.getContractFactory("ERC20FeeOnTransferTest"))
+    .connect(owner)
+    .deploy("TAX token", "TAX", ethers.constants.MaxUint256, 100);
+  await (await factory.createExchange(tokens.TAX.address)).wait();
+  exchanges.TAX = (
+    await ethers.getContractAt("UniswapExchangeV1", await factory.getExchange(tokens.TAX.address))
+  ).connect(owner);
+  await tokens.TAX.approve(exchanges.TAX.address, ethers.constants.MaxUint256);
+  await exchanges.TAX.addLiquiditySupportingFeeOnTransferTokens(0, eth(TOKEN_RESERVE), deadline, {
+    value: eth(ETH_RESERVE),
+  });
+  await tokens.TAX.transfer(trader.address, eth("100"));
+  await tokens.TAX.connect(trader).approve(exchanges.TAX.address, ethers.constants.MaxUint256);
+
+  // pays back flash swaps of the owner from its own HAY
+  const borrower = await (await ethers.getContractFactory("FlashRepayTest")).connect(owner).deploy();
+  await tokens.HAY.transfer(borrower.address, eth("100"));
+
+  return { factory, tokens, exchanges, owner, trader, recipient, deadline, borrower };
+}
+
+// gas depends on the optimizer settings as much as on the version
+function compilerName({ version, settings }) {
+  const { optimizer } = settings;
+  return optimizer && optimizer.enabled ? `${version} optimized for ${optimizer.runs} runs` : `${version} unoptimized`;
+}
+
+/**
+ * Runs every scenario from a shared fixture, reverting the chain after each one, and
+ * leaves the network as it found it.
+ * @param {HardhatRuntimeEnvironment} hre connected to the in-process hardhat network
+ * @return {{solidity: string, entries: Object<string, Object<string, number>>}} compiler version
+ *         and optimizer settings, and gas per "Contract.method" and scenario
+ */
+async function profile(hre) {
+  if (hre.network.name !== "hardhat") {
+    fail(`profiling needs the hardhat network, not ${hre.network.name}`);
+  }
+  const { provider } = hre.ethers;
+  const outer = await provider.send("evm_snapshot", []);
+
+  try {
+    const ctx = await deployFixture(hre);
+    const entries = {};
+
+    for (const { contract, method, scenario, run } of scenarios(hre.ethers)) {
+      const snapshot = await provider.send("evm_snapshot", []);
+      let gas;
+      try {
+        const result = await run(ctx);
+        gas = result.wait ? (await result.wait()).gasUsed : result;
+      } catch (e) {
+        fail(`${contract}.${method} (${scenario}) failed: ${e.message}`);
+      } finally {
+        await provider.send("evm_revert", [snapshot]);
+      }
+
+      const entry = `${contract}.${method}`;
+      entries[entry] = { ...entries[entry], [scenario]: gas.toNumber() };
+    }
+
+    return { solidity: hre.config.solidity.compilers.map(compilerName).join(", "), entries };
+  } finally {
+    await provider.send("evm_revert", [outer]);
+  }
+}
+
+/** @return "Contract.method" of every public function (and receive) without a scenario */
+async function uncovered(hre, report) {
+  const missing = [];
+  for (const contract of CONTRACTS) {
+    const { abi } = await hre.artifacts.readArtifact(contract);
+    for (const item of abi) {
+      const name = item.type === "function" ? item.name : item.type;
+      if (["function", "receive", "fallback"].includes(item.type) && !report.entries[`${contract}.${name}`]) {
+        missing.push(`${contract}.${name}`);
+      }
+    }
+  }
+  return missing;
+}
+
+/**
+ * Compares a report with a baseline, scenario by scenario. Fails when they were compiled
+ * differently, as every number would change.
+ * @param {object} baseline
+ * @param {object} report
+ * @param {object} [options]
+ * @param {number} [options.threshold] percent increase tolerated before a regression
+ * @return {{regressions, improvements, unchanged, added, removed}} lists of
+ *         {entry, scenario, baseline, current, change} with change in percent
+ */
+function compare(baseline, report, options = {}) {
+  if (baseline.solidity !== report.solidity) {
+    fail(`baseline compiled with ${baseline.solidity}, this run with ${report.solidity}, refresh it with --update`);
+  }
+  const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+  const result = { regressions: [], improvements: [], unchanged: [], added: [], removed: [] };
+
+  for (const [entry, current] of Object.entries(report.entries)) {
+    for (const [scenario, gas] of Object.entries(current)) {
+      const before = baseline.entries[entry] && baseline.entries[entry][scenario];
+      if (before === undefined) {
+        result.added.push({ entry, scenario, baseline: null, current: gas, change: null });
+        continue;
+      }
+      const row = { entry, scenario, baseline: before, current: gas, change: ((gas - before) / before) * 100 };
+      if (row.change > threshold) {
+        result.regressions.push(row);
+      } else if (gas < before) {
+        result.improvements.push(row);
+      } else {
+        result.unchanged.push(row);
+      }
+    }
+  }
+  for (const [entry, before] of Object.entries(baseline.entries)) {
+    for (const [scenario, gas] of Object.entries(before)) {
+      if (!report.entries[entry] || report.entries[entry][scenario] === undefined) {
+        result.removed.push({ entry, scenario, baseline: gas, current: null, change: null });
+      }
+    }
+  }
+  return result;
+}
+
+function formatChange(change) {
+  if (change === null) {
+    return "";
+  }
+  return `${change > 0 ? "+" : ""}${change.toFixed(2)}%`;
+}
+
+/** One line per regressed scenario, for error messages. */
+function formatDiff(rows) {
+  return rows
+    .map((r) => `${r.entry} (${r.scenario}): ${r.baseline} -> ${r.current} (${formatChange(r.change)})`)
+    .join("\n");
+}
+
+/** @return markdown table of every scenario, with the baseline comparison when given */
+function formatMarkdown(report, comparison) {
+  const status = new Map();
+  if (comparison) {
+    for (const [kind, rows] of Object.entries(comparison)) {
+      for (const row of rows) {
+        status.set(`${row.entry}/${row.scenario}`, { ...row, kind });
+      }
+    }
+  }
+
+  const lines = [
+    "# Gas report",
+    "",
+    `Solidity ${report.solidity}`,
+    "",
+    "| Function | Scenario | Gas | Baseline | Change |",
+    "| --- | --- | ---: | ---: | ---: |",
+  ];
+  for (const [entry, current] of Object.entries(report.entries)) {
+    for (const [scenario, gas] of Object.entries(current)) {
+      const row = status.get(`${entry}/${scenario}`);
+      const baseline = row && row.baseline !== null ? row.baseline : "";
+      const change = row ? formatChange(row.change) + (row.kind === "regressions" ? " ⚠" : "") : "";
+      lines.push(`| ${entry} | ${scenario} | ${gas} | ${baseline} | ${change} |`);
+    }
+  }
+  if (comparison && comparison.removed.length > 0) {
+    lines.push("", "Removed since the baseline:", "");
+    lines.push(...comparison.removed.map((r) => `- ${r.entry} (${r.scenario})`));
+  }
+  return lines.join("\n") + "\n";
+}
+
+function readReport(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeReport(file, report) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(report, null, 2) + "\n");
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  profile,
+  uncovered,
+  compare,
+  formatDiff,
+  formatMarkdown,
+  readReport,
+  writeReport,
+};
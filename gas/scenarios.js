@@ -0,0 +1,398 @@
+// Representative calls of every public factory and exchange entry point. Each scenario
+// runs against the fixture built by profiler.js and returns either a transaction, whose
+// receipt gives the gas used, or a gas estimate for view functions.
+
+const { encodeRepayment } = require("../lib/flash");
+const { signPermit } = require("../lib/permit");
+
+const ETH_RESERVE = "5";
+const TOKEN_RESERVE = "10";
+const AMOUNT = "1";
+// the owner already approved the trader for UNI-V1 of HAY, so no permit is checked
+const NO_SIGNATURE = { v: 0, r: "0x" + "00".repeat(32), s: "0x" + "00".repeat(32) };
+
+// permits are signed with the deadline of the call they are passed to
+async function sign(ctx, signer, tokenAddr, spender, value) {
+  const { v, r, s } = await signPermit(signer, tokenAddr, spender, value, ctx.deadline);
+  return { v, r, s };
+}
+
+function factoryScenarios() {
+  return [
+    ["createExchange", "new token", ({ factory, tokens }) => factory.createExchange(tokens.SPARE.address)],
+    [
+      "createExchangeWithFee",
+      "new tier",
+      ({ factory, tokens }) => factory.createExchangeWithFee(tokens.HAY.address, 100),
+    ],
+    ["getExchange", "view", ({ factory, tokens }) => factory.estimateGas.getExchange(tokens.HAY.address)],
+    [
+      "getExchangeWithFee",
+      "view",
+      ({ factory, tokens }) => factory.estimateGas.getExchangeWithFee(tokens.HAY.address, 30),
+    ],
+    ["isFeeTier", "view", ({ factory }) => factory.estimateGas.isFeeTier(100)],
+    ["DEFAULT_FEE", "view", ({ factory }) => factory.estimateGas.DEFAULT_FEE()],
+    ["getToken", "view", ({ factory, exchanges }) => factory.estimateGas.getToken(exchanges.HAY.address)],
+    ["getTokenWithId", "view", ({ factory }) => factory.estimateGas.getTokenWithId(1)],
+    ["tokenCount", "view", ({ factory }) => factory.estimateGas.tokenCount()],
+    ["exchangeCount", "view", ({ factory }) => factory.estimateGas.exchangeCount()],
+    ["getExchanges", "page of 10", ({ factory }) => factory.estimateGas.getExchanges(0, 10)],
+    ["setFeeTo", "on", ({ factory, recipient }) => factory.setFeeTo(recipient.address)],
+    ["setProtocolFeeShare", "default", ({ factory }) => factory.setProtocolFeeShare(5000)],
+    ["setFeeToSetter", "default", ({ factory, recipient }) => factory.setFeeToSetter(recipient.address)],
+    ["feeTo", "view", ({ factory }) => factory.estimateGas.feeTo()],
+    ["feeToSetter", "view", ({ factory }) => factory.estimateGas.feeToSetter()],
+    ["protocolFeeShare", "view", ({ factory }) => factory.estimateGas.protocolFeeShare()],
+    ["MAX_PROTOCOL_FEE_SHARE", "view", ({ factory }) => factory.estimateGas.MAX_PROTOCOL_FEE_SHARE()],
+  ];
+}
+
+function exchangeScenarios(eth) {
+  const amount = eth(AMOUNT);
+  const max = eth("100");
+  const as = (ctx, exchange = "HAY") => ctx.exchanges[exchange].connect(ctx.trader);
+  const signSold = (ctx, value) => sign(ctx, ctx.trader, ctx.tokens.PERM.address, ctx.exchanges.PERM.address, value);
+  // protocol fee on since the last liquidity event, with a trade since to collect the fee of
+  const accrueProtocolFee = async (ctx) => {
+    await (await ctx.factory.setFeeTo(ctx.recipient.address)).wait();
+    await (await ctx.exchanges.HAY.removeLiquidity(amount, 1, 1, ctx.deadline)).wait();
+    await (await as(ctx).ethToTokenSwapInput(1, ctx.deadline, { value: amount })).wait();
+  };
+
+  return [
+    ["addLiquidity", "initial", (ctx) => ctx.exchanges.EMPTY.addLiquidity(0, max, ctx.deadline, { value: amount })],
+    ["addLiquidity", "additional", (ctx) => as(ctx).addLiquidity(1, max, ctx.deadline, { value: amount })],
+    ["removeLiquidity", "partial", (ctx) => ctx.exchanges.HAY.removeLiquidity(amount, 1, 1, ctx.deadline)],
+    ["removeLiquidity", "all", (ctx) => ctx.exchanges.HAY.removeLiquidity(eth(ETH_RESERVE), 1, 1, ctx.deadline)],
+    [
+      "addLiquidity",
+      "protocol fee",
+      async (ctx) => {
+        await accrueProtocolFee(ctx);
+        return as(ctx).addLiquidity(1, max, ctx.deadline, { value: amount });
+      },
+    ],
+    [
+      "removeLiquidity",
+      "protocol fee",
+      async (ctx) => {
+        await accrueProtocolFee(ctx);
+        return ctx.exchanges.HAY.removeLiquidity(amount, 1, 1, ctx.deadline);
+      },
+    ],
+    [
+      "removeLiquidityWithPermit",
+      "permit",
+      async (ctx) => {
+        const signature = await sign(ctx, ctx.owner, ctx.exchanges.HAY.address, ctx.trader.address, amount);
+        return as(ctx).removeLiquidityWithPermit(amount, 1, 1, ctx.deadline, ctx.owner.address, signature);
+      },
+    ],
+    [
+      "removeLiquidityWithPermit",
+      "allowance",
+      (ctx) => as(ctx).removeLiquidityWithPermit(amount, 1, 1, ctx.deadline, ctx.owner.address, NO_SIGNATURE),
+    ],
+
+    ["receive", "default", (ctx) => ctx.trader.sendTransaction({ to: ctx.exchanges.HAY.address, value: amount })],
+    ["ethToTokenSwapInput", "default", (ctx) => as(ctx).ethToTokenSwapInput(1, ctx.deadline, { value: amount })],
+    [
+      "ethToTokenTransferInput",
+      "default",
+      (ctx) => as(ctx).ethToTokenTransferInput(1, ctx.deadline, ctx.recipient.address, { value: amount }),
+    ],
+    ["ethToTokenSwapOutput", "refund", (ctx) => as(ctx).ethToTokenSwapOutput(amount, ctx.deadline, { value: max })],
+    [
+      "ethToTokenTransferOutput",
+      "refund",
+      (ctx) => as(ctx).ethToTokenTransferOutput(amount, ctx.deadline, ctx.recipient.address, { value: max }),
+    ],
+    ["tokenToEthSwapInput", "default", (ctx) => as(ctx).tokenToEthSwapInput(amount, 1, ctx.deadline)],
+    [
+      "tokenToEthTransferInput",
+      "default",
+      (ctx) => as(ctx).tokenToEthTransferInput(amount, 1, ctx.deadline, ctx.recipient.address),
+    ],
+    ["tokenToEthSwapOutput", "default", (ctx) => as(ctx).tokenToEthSwapOutput(amount, max, ctx.deadline)],
+    [
+      "tokenToEthTransferOutput",
+      "default",
+      (ctx) => as(ctx).tokenToEthTransferOutput(amount, max, ctx.deadline, ctx.recipient.address),
+    ],
+
+    [
+      "tokenToTokenSwapInput",
+      "default",
+      (ctx) => as(ctx).tokenToTokenSwapInput(amount, 1, 1, ctx.deadline, ctx.tokens.DEN.address),
+    ],
+    [
+      "tokenToTokenTransferInput",
+      "default",
+      (ctx) =>
+        as(ctx).tokenToTokenTransferInput(amount, 1, 1, ctx.deadline, ctx.recipient.address, ctx.tokens.DEN.address),
+    ],
+    [
+      "tokenToTokenSwapOutput",
+      "default",
+      (ctx) => as(ctx).tokenToTokenSwapOutput(amount, max, max, ctx.deadline, ctx.tokens.DEN.address),
+    ],
+    [
+      "tokenToTokenTransferOutput",
+      "default",
+      (ctx) =>
+        as(ctx).tokenToTokenTransferOutput(
+          amount,
+          max,
+          max,
+          ctx.deadline,
+          ctx.recipient.address,
+          ctx.tokens.DEN.address
+        ),
+    ],
+    [
+      "tokenToExchangeSwapInput",
+      "default",
+      (ctx) => as(ctx).tokenToExchangeSwapInput(amount, 1, 1, ctx.deadline, ctx.exchanges.DEN.address),
+    ],
+    [
+      "tokenToExchangeTransferInput",
+      "default",
+      (ctx) =>
+        as(ctx).tokenToExchangeTransferInput(
+          amount,
+          1,
+          1,
+          ctx.deadline,
+          ctx.recipient.address,
+          ctx.exchanges.DEN.address
+        ),
+    ],
+    [
+      "tokenToExchangeSwapOutput",
+      "default",
+      (ctx) => as(ctx).tokenToExchangeSwapOutput(amount, max, max, ctx.deadline, ctx.exchanges.DEN.address),
+    ],
+    [
+      "tokenToExchangeTransferOutput",
+      "default",
+      (ctx) =>
+        as(ctx).tokenToExchangeTransferOutput(
+          amount,
+          max,
+          max,
+          ctx.deadline,
+          ctx.recipient.address,
+          ctx.exchanges.DEN.address
+        ),
+    ],
+
+    [
+      "tokenToEthSwapInputWithPermit",
+      "default",
+      async (ctx) =>
+        as(ctx, "PERM").tokenToEthSwapInputWithPermit(amount, 1, ctx.deadline, await signSold(ctx, amount)),
+    ],
+    [
+      "tokenToEthTransferInputWithPermit",
+      "default",
+      async (ctx) =>
+        as(ctx, "PERM").tokenToEthTransferInputWithPermit(
+          amount,
+          1,
+          ctx.deadline,
+          ctx.recipient.address,
+          await signSold(ctx, amount)
+        ),
+    ],
+    [
+      "tokenToEthSwapOutputWithPermit",
+      "default",
+      async (ctx) =>
+        as(ctx, "PERM").tokenToEthSwapOutputWithPermit(amount, max, ctx.deadline, await signSold(ctx, max)),
+    ],
+    [
+      "tokenToEthTransferOutputWithPermit",
+      "default",
+      async (ctx) =>
+        as(ctx, "PERM").tokenToEthTransferOutputWithPermit(
+          amount,
+          max,
+          ctx.deadline,
+          ctx.recipient.address,
+          await signSold(ctx, max)
+        ),
+    ],
+    [
+      "tokenToTokenSwapInputWithPermit",
+      "default",
+      async (ctx) =>
+        as(ctx, "PERM").tokenToTokenSwapInputWithPermit(
+          amount,
+          1,
+          1,
+          ctx.deadline,
+          ctx.tokens.DEN.address,
+          await signSold(ctx, amount)
+        ),
+    ],
+    [
+      "tokenToTokenTransferInputWithPermit",
+      "default",
+      async (ctx) =>
+        as(ctx, "PERM").tokenToTokenTransferInputWithPermit(
+          amount,
+          1,
+          1,
+          ctx.deadline,
+          ctx.recipient.address,
+          ctx.tokens.DEN.address,
+          await signSold(ctx, amount)
+        ),
+    ],
+    [
+      "tokenToTokenSwapOutputWithPermit",
+      "default",
+      async (ctx) =>
+        as(ctx, "PERM").tokenToTokenSwapOutputWithPermit(
+          amount,
+          max,
+          max,
+          ctx.deadline,
+          ctx.tokens.DEN.address,
+          await signSold(ctx, max)
+        ),
+    ],
+    [
+      "tokenToTokenTransferOutputWithPermit",
+      "default",
+      async (ctx) =>
+        as(ctx, "PERM").tokenToTokenTransferOutputWithPermit(
+          amount,
+          max,
+          max,
+          ctx.deadline,
+          ctx.recipient.address,
+          ctx.tokens.DEN.address,
+          await signSold(ctx, max)
+        ),
+    ],
+
+    [
+      "addLiquiditySupportingFeeOnTransferTokens",
+      "initial",
+      (ctx) => ctx.exchanges.EMPTY.addLiquiditySupportingFeeOnTransferTokens(0, max, ctx.deadline, { value: amount }),
+    ],
+    [
+      "addLiquiditySupportingFeeOnTransferTokens",
+      "fee on transfer",
+      (ctx) => ctx.exchanges.TAX.addLiquiditySupportingFeeOnTransferTokens(1, max, ctx.deadline, { value: amount }),
+    ],
+    [
+      "ethToTokenSwapInputSupportingFeeOnTransferTokens",
+      "fee on transfer",
+      (ctx) => as(ctx, "TAX").ethToTokenSwapInputSupportingFeeOnTransferTokens(1, ctx.deadline, { value: amount }),
+    ],
+    [
+      "ethToTokenTransferInputSupportingFeeOnTransferTokens",
+      "fee on transfer",
+      (ctx) =>
+        as(ctx, "TAX").ethToTokenTransferInputSupportingFeeOnTransferTokens(1, ctx.deadline, ctx.recipient.address, {
+          value: amount,
+        }),
+    ],
+    [
+      "tokenToEthSwapInputSupportingFeeOnTransferTokens",
+      "fee on transfer",
+      (ctx) => as(ctx, "TAX").tokenToEthSwapInputSupportingFeeOnTransferTokens(amount, 1, ctx.deadline),
+    ],
+    [
+      "tokenToEthTransferInputSupportingFeeOnTransferTokens",
+      "fee on transfer",
+      (ctx) =>
+        as(ctx, "TAX").tokenToEthTransferInputSupportingFeeOnTransferTokens(
+          amount,
+          1,
+          ctx.deadline,
+          ctx.recipient.address
+        ),
+    ],
+    [
+      "tokenToTokenSwapInputSupportingFeeOnTransferTokens",
+      "fee on transfer",
+      (ctx) =>
+        as(ctx, "TAX").tokenToTokenSwapInputSupportingFeeOnTransferTokens(
+          amount,
+          1,
+          1,
+          ctx.deadline,
+          ctx.tokens.DEN.address
+        ),
+    ],
+    [
+      "tokenToTokenTransferInputSupportingFeeOnTransferTokens",
+      "fee on transfer",
+      (ctx) =>
+        as(ctx, "TAX").tokenToTokenTransferInputSupportingFeeOnTransferTokens(
+          amount,
+          1,
+          1,
+          ctx.deadline,
+          ctx.recipient.address,
+          ctx.tokens.DEN.address
+        ),
+    ],
+    [
+      "flashSwap",
+      "repaid in tokens",
+      // 1% back covers the 0.3% fee with room to spare
+      (ctx) =>
+        ctx.exchanges.HAY.flashSwap(0, amount, ctx.borrower.address, encodeRepayment(0, amount.mul(101).div(100))),
+    ],
+
+    ["getEthToTokenInputPrice", "view", (ctx) => ctx.exchanges.HAY.estimateGas.getEthToTokenInputPrice(amount)],
+    ["getEthToTokenOutputPrice", "view", (ctx) => ctx.exchanges.HAY.estimateGas.getEthToTokenOutputPrice(amount)],
+    ["getTokenToEthInputPrice", "view", (ctx) => ctx.exchanges.HAY.estimateGas.getTokenToEthInputPrice(amount)],
+    ["getTokenToEthOutputPrice", "view", (ctx) => ctx.exchanges.HAY.estimateGas.getTokenToEthOutputPrice(amount)],
+    ["tokenAddress", "view", (ctx) => ctx.exchanges.HAY.estimateGas.tokenAddress()],
+    ["factoryAddress", "view", (ctx) => ctx.exchanges.HAY.estimateGas.factoryAddress()],
+    ["fee", "view", (ctx) => ctx.exchanges.HAY.estimateGas.fee()],
+    ["kLast", "view", (ctx) => ctx.exchanges.HAY.estimateGas.kLast()],
+    ["isFlashing", "view", (ctx) => ctx.exchanges.HAY.estimateGas.isFlashing()],
+
+    // UNI-V1 is a plain OpenZeppelin ERC20, profiled so changes to it show up too
+    ["name", "view", (ctx) => ctx.exchanges.HAY.estimateGas.name()],
+    ["symbol", "view", (ctx) => ctx.exchanges.HAY.estimateGas.symbol()],
+    ["decimals", "view", (ctx) => ctx.exchanges.HAY.estimateGas.decimals()],
+    ["totalSupply", "view", (ctx) => ctx.exchanges.HAY.estimateGas.totalSupply()],
+    ["balanceOf", "view", (ctx) => ctx.exchanges.HAY.estimateGas.balanceOf(ctx.owner.address)],
+    ["allowance", "view", (ctx) => ctx.exchanges.HAY.estimateGas.allowance(ctx.owner.address, ctx.trader.address)],
+    ["approve", "default", (ctx) => ctx.exchanges.HAY.approve(ctx.recipient.address, amount)],
+    ["increaseAllowance", "default", (ctx) => ctx.exchanges.HAY.increaseAllowance(ctx.trader.address, amount)],
+    ["decreaseAllowance", "default", (ctx) => ctx.exchanges.HAY.decreaseAllowance(ctx.trader.address, amount)],
+    ["transfer", "default", (ctx) => ctx.exchanges.HAY.transfer(ctx.recipient.address, amount)],
+    ["transferFrom", "default", (ctx) => as(ctx).transferFrom(ctx.owner.address, ctx.recipient.address, amount)],
+    [
+      "permit",
+      "default",
+      async (ctx) => {
+        const { v, r, s } = await sign(ctx, ctx.owner, ctx.exchanges.HAY.address, ctx.trader.address, amount);
+        return as(ctx).permit(ctx.owner.address, ctx.trader.address, amount, ctx.deadline, v, r, s);
+      },
+    ],
+    ["nonces", "view", (ctx) => ctx.exchanges.HAY.estimateGas.nonces(ctx.owner.address)],
+    ["DOMAIN_SEPARATOR", "view", (ctx) => ctx.exchanges.HAY.estimateGas.DOMAIN_SEPARATOR()],
+  ];
+}
+
+/** @return scenarios as {contract, method, scenario, run} */
+function scenarios(ethers) {
+  const eth = ethers.utils.parseEther;
+  const tag =
+    (contract) =>
+    ([method, scenario, run]) => ({ contract, method, scenario, run });
+
+  return [...factoryScenarios().map(tag("UniswapFactoryV1")), ...exchangeScenarios(eth).map(tag("UniswapExchangeV1"))];
+}
+
+module.exports = { scenarios, ETH_RESERVE, TOKEN_RESERVE };
@@ -1,4 +1,5 @@
 require("@nomiclabs/hardhat-waffle");
+require("./tasks/uniswap");
 
 // You need to export an object to set up your config
 // Go to https://hardhat.org/config/ to learn more
@@ -7,5 +8,12 @@ require("@nomiclabs/hardhat-waffle");
  * @type import('hardhat/config').HardhatUserConfig
  */
 module.exports = {
-  solidity: "0.8.13",
+  solidity: {
+    version: "0.8.13",
+    settings: {
+      // without it the factory, which embeds the exchange bytecode, exceeds the 24KB limit; gas
+      // reports record these settings and gas/baseline.json only compares with the same ones
+      optimizer: { enabled: true, runs: 200 },
+    },
+  },
 };
@@ -0,0 +1,137 @@
+// Human-readable ABI fragments used by the SDK, so app code does not depend on
+// the Hardhat artifacts directory being present.
+
+module.exports.FACTORY_ABI = [
+  "event NewExchange(address indexed token, address indexed exchange)",
+  "event FeeToChanged(address indexed feeTo, uint256 protocolFeeShare)",
+  "function tokenCount() view returns (uint256)",
+  "function DEFAULT_FEE() view returns (uint256)",
+  "function createExchange(address _tokenAddr) returns (address)",
+  "function createExchangeWithFee(address _tokenAddr, uint256 _fee) returns (address)",
+  "function isFeeTier(uint256 _fee) pure returns (bool)",
+  "function getExchange(address _tokenAddr) view returns (address)",
+  "function getExchangeWithFee(address _tokenAddr, uint256 _fee) view returns (address)",
+  "function getToken(address _exchangeAddr) view returns (address)",
+  "function getTokenWithId(uint256 _tokenId) view returns (address)",
+  "function exchangeCount() view returns (uint256)",
+  "function getExchanges(uint256 _offset, uint256 _limit) view returns (tuple(address token, address exchange, uint256 fee)[] page)",
+  "function MAX_PROTOCOL_FEE_SHARE() view returns (uint256)",
+  "function feeTo() view returns (address)",
+  "function feeToSetter() view returns (address)",
+  "function protocolFeeShare() view returns (uint256)",
+  "function setFeeTo(address _feeTo)",
+  "function setProtocolFeeShare(uint256 _share)",
+  "function setFeeToSetter(address _feeToSetter)",
+];
+
+module.exports.EXCHANGE_ABI = [
+  "event TokenPurchase(address indexed _buyer, uint256 indexed _ethSold, uint256 indexed _tokensBought)",
+  "event EthPurchase(address indexed _buyer, uint256 indexed _tokensSold, uint256 indexed _ethBouht)",
+  "event AddLiquidity(address indexed _provider, uint256 indexed _ethAmount, uint256 indexed _tokenAmount)",
+  "event RemoveLiquidity(address indexed _provider, uint256 indexed _ethAmount, uint256 indexed _tokenAmount)",
+  "event FlashSwap(address indexed _borrower, uint256 _ethAmount, uint256 _tokenAmount, uint256 _ethRepaid, uint256 _tokenRepaid)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Approval(address indexed owner, address indexed spender, uint256 value)",
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function transferFrom(address from, address to, uint256 amount) returns (bool)",
+  "function addLiquidity(uint256 _minLiquidity, uint256 _maxTokens, uint256 _deadline) payable returns (uint256)",
+  "function removeLiquidity(uint256 _amount, uint256 _minEth, uint256 _minTokens, uint256 _deadline) returns (uint256, uint256)",
+  "function ethToTokenSwapInput(uint256 _minTokens, uint256 _deadline) payable returns (uint256)",
+  "function ethToTokenTransferInput(uint256 _minTokens, uint256 _deadline, address _recipient) payable returns (uint256)",
+  "function ethToTokenSwapOutput(uint256 _tokensBought, uint256 _deadline) payable returns (uint256)",
+  "function ethToTokenTransferOutput(uint256 _tokensBought, uint256 _deadline, address _recipient) payable returns (uint256)",
+  "function tokenToEthSwapInput(uint256 _tokensSold, uint256 _minEth, uint256 _deadline) returns (uint256)",
+  "function tokenToEthTransferInput(uint256 _tokensSold, uint256 _minEth, uint256 _deadline, address _recipient) returns (uint256)",
+  "function tokenToEthSwapOutput(uint256 _ethBought, uint256 _maxTokens, uint256 _deadline) returns (uint256)",
+  "function tokenToEthTransferOutput(uint256 _ethBought, uint256 _maxTokens, uint256 _deadline, address _recipient) returns (uint256)",
+  "function tokenToTokenSwapInput(uint256 _tokensSold, uint256 _minTokensBought, uint256 _minEthBought, uint256 _deadline, address _tokenAddr) returns (uint256)",
+  "function tokenToTokenTransferInput(uint256 _tokensSold, uint256 _minTokensBought, uint256 _minEthBought, uint256 _deadline, address _recipient, address _tokenAddr) returns (uint256)",
+  "function tokenToTokenSwapOutput(uint256 _tokensBought, uint256 _maxTokensSold, uint256 _maxEthSold, uint256 _deadline, address _tokenAddr) returns (uint256)",
+  "function tokenToTokenTransferOutput(uint256 _tokensBought, uint256 _maxTokenSold, uint256 _maxEthSold, uint256 _deadline, address _recipient, address _tokenAddr) returns (uint256)",
+  "function tokenToExchangeSwapInput(uint256 _tokensSold, uint256 _minTokensBought, uint256 _minEthBought, uint256 _deadline, address _exchangeAddr) returns (uint256)",
+  "function tokenToExchangeTransferInput(uint256 _tokensSold, uint256 _minTokensBought, uint256 _minEthBought, uint256 _deadline, address _recipient, address _exchangeAddr) returns (uint256)",
+  "function tokenToExchangeSwapOutput(uint256 _tokensBought, uint256 _maxTokensSold, uint256 _maxEthSold, uint256 _deadline, address _exchangeAddr) returns (uint256)",
+  "function tokenToExchangeTransferOutput(uint256 _tokensBought, uint256 _maxTokensSold, uint256 _maxEthSold, uint256 _deadline, address _recipient, address _exchangeAddr) returns (uint256)",
+  "function addLiquiditySupportingFeeOnTransferTokens(uint256 _minLiquidity, uint256 _maxTokens, uint256 _deadline) payable returns (uint256)",
+  "function ethToTokenSwapInputSupportingFeeOnTransferTokens(uint256 _minTokens, uint256 _deadline) payable returns (uint256)",
+  "function ethToTokenTransferInputSupportingFeeOnTransferTokens(uint256 _minTokens, uint256 _deadline, address _recipient) payable returns (uint256)",
+  "function tokenToEthSwapInputSupportingFeeOnTransferTokens(uint256 _tokensSold, uint256 _minEth, uint256 _deadline) returns (uint256)",
+  "function tokenToEthTransferInputSupportingFeeOnTransferTokens(uint256 _tokensSold, uint256 _minEth, uint256 _deadline, address _recipient) returns (uint256)",
+  "function tokenToTokenSwapInputSupportingFeeOnTransferTokens(uint256 _tokensSold, uint256 _minTokensBought, uint256 _minEthBought, uint256 _deadline, address _tokenAddr) returns (uint256)",
+  "function tokenToTokenTransferInputSupportingFeeOnTransferTokens(uint256 _tokensSold, uint256 _minTokensBought, uint256 _minEthBought, uint256 _deadline, address _recipient, address _tokenAddr) returns (uint256)",
+  "function getEthToTokenInputPrice(uint256 _ethSold) view returns (uint256)",
+  "function getEthToTokenOutputPrice(uint256 _tokensBought) view returns (uint256)",
+  "function getTokenToEthInputPrice(uint256 _tokensSold) view returns (uint256)",
+  "function getTokenToEthOutputPrice(uint256 _ethBought) view returns (uint256)",
+  "function tokenAddress() view returns (address)",
+  "function factoryAddress() view returns (address)",
+  "function fee() view returns (uint256)",
+  "function kLast() view returns (uint256)",
+  "function flashSwap(uint256 _ethAmount, uint256 _tokenAmount, address _borrower, bytes _data)",
+  "function isFlashing() view returns (bool)",
+  "function nonces(address owner) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+  "function removeLiquidityWithPermit(uint256 _amount, uint256 _minEth, uint256 _minTokens, uint256 _deadline, address _owner, tuple(uint8 v, bytes32 r, bytes32 s) _signature) returns (uint256, uint256)",
+  "function tokenToEthSwapInputWithPermit(uint256 _tokensSold, uint256 _minEth, uint256 _deadline, tuple(uint8 v, bytes32 r, bytes32 s) _signature) returns (uint256)",
+  "function tokenToEthTransferInputWithPermit(uint256 _tokensSold, uint256 _minEth, uint256 _deadline, address _recipient, tuple(uint8 v, bytes32 r, bytes32 s) _signature) returns (uint256)",
+  "function tokenToEthSwapOutputWithPermit(uint256 _ethBought, uint256 _maxTokens, uint256 _deadline, tuple(uint8 v, bytes32 r, bytes32 s) _signature) returns (uint256)",
+  "function tokenToEthTransferOutputWithPermit(uint256 _ethBought, uint256 _maxTokens, uint256 _deadline, address _recipient, tuple(uint8 v, bytes32 r, bytes32 s) _signature) returns (uint256)",
+  "function tokenToTokenSwapInputWithPermit(uint256 _tokensSold, uint256 _minTokensBought, uint256 _minEthBought, uint256 _deadline, address _tokenAddr, tuple(uint8 v, bytes32 r, bytes32 s) _signature) returns (uint256)",
+  "function tokenToTokenTransferInputWithPermit(uint256 _tokensSold, uint256 _minTokensBought, uint256 _minEthBought, uint256 _deadline, address _recipient, address _tokenAddr, tuple(uint8 v, bytes32 r, bytes32 s) _signature) returns (uint256)",
+  "function tokenToTokenSwapOutputWithPermit(uint256 _tokensBought, uint256 _maxTokensSold, uint256 _maxEthSold, uint256 _deadline, address _tokenAddr, tuple(uint8 v, bytes32 r, bytes32 s) _signature) returns (uint256)",
+  "function tokenToTokenTransferOutputWithPermit(uint256 _tokensBought, uint256 _maxTokensSold, uint256 _maxEthSold, uint256 _deadline, address _recipient, address _tokenAddr, tuple(uint8 v, bytes32 r, bytes32 s) _signature) returns (uint256)",
+];
+
+module.exports.ORACLE_ABI = [
+  "event PriceUpdated(address indexed exchange, uint256 price, uint256 priceCumulative, uint256 timestamp)",
+  "function factory() view returns (address)",
+  "function update(address _tokenAddr) returns (uint256)",
+  "function updateWithFee(address _tokenAddr, uint256 _fee) returns (uint256)",
+  "function currentCumulativePrice(address _tokenAddr) view returns (uint256, uint256)",
+  "function currentCumulativePriceWithFee(address _tokenAddr, uint256 _fee) view returns (uint256, uint256)",
+  "function lastObservation(address _tokenAddr) view returns (uint256, uint256, uint256)",
+  "function lastObservationWithFee(address _tokenAddr, uint256 _fee) view returns (uint256, uint256, uint256)",
+  "function getSpotPrice(address _tokenAddr) view returns (uint256)",
+  "function getSpotPriceWithFee(address _tokenAddr, uint256 _fee) view returns (uint256)",
+];
+
+module.exports.LENS_ABI = [
+  "function getStatesByTokens(address _factoryAddr, address[] _tokens, uint256 _fee) view returns (tuple(address token, address exchange, uint256 ethReserve, uint256 tokenReserve, uint256 totalSupply, string name, string symbol, uint8 decimals)[] states)",
+  "function getStatesByIds(address _factoryAddr, uint256 _fromId, uint256 _toId, uint256 _fee) view returns (tuple(address token, address exchange, uint256 ethReserve, uint256 tokenReserve, uint256 totalSupply, string name, string symbol, uint8 decimals)[] states)",
+];
+
+module.exports.ROUTER_ABI = [
+  "event Swap(address indexed _sender, address indexed _recipient, address _tokenIn, address _tokenOut, uint256 _amountIn, uint256 _amountOut)",
+  "function swapExactInput(address[] _path, uint256 _amountIn, uint256 _minAmountOut, uint256 _deadline, address _recipient) payable returns (uint256)",
+  "function getAmountsOut(address[] _path, uint256 _amountIn, bool _ethIn) view returns (uint256[])",
+];
+
+// EIP-2612 extension of ERC20, implemented by UNI-V1 and by some tokens
+module.exports.PERMIT_ABI = [
+  "function name() view returns (string)",
+  "function nonces(address owner) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+];
+
+module.exports.ERC20_ABI = [
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Approval(address indexed owner, address indexed spender, uint256 value)",
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function transferFrom(address from, address to, uint256 amount) returns (bool)",
+];
@@ -0,0 +1,306 @@
+const { BigNumber, Contract, constants, utils } = require("ethers");
+
+const { EXCHANGE_ABI, ERC20_ABI, FACTORY_ABI } = require("./abi");
+const { WAD, FEE_DENOMINATOR } = require("./pricing");
+const { iterateExchanges } = require("./client");
+
+const exchangeInterface = new utils.Interface(EXCHANGE_ABI);
+const ZERO = BigNumber.from(0);
+
+function sqrt(value) {
+  value = BigNumber.from(value);
+  if (value.lt(2)) {
+    return value;
+  }
+  let x = value;
+  let y = x.add(1).div(2);
+  while (y.lt(x)) {
+    x = y;
+    y = value.div(x).add(x).div(2);
+  }
+  return x;
+}
+
+/** @return ETH and tokens burning liquidity returns, rounded like removeLiquidity */
+function claimOf(liquidity, { ethReserve, tokenReserve, totalSupply }) {
+  if (BigNumber.from(totalSupply).isZero()) {
+    return { eth: ZERO, tokens: ZERO };
+  }
+  return {
+    eth: BigNumber.from(liquidity).mul(ethReserve).div(totalSupply),
+    tokens: BigNumber.from(liquidity).mul(tokenReserve).div(totalSupply),
+  };
+}
+
+// sqrt(k) per share, WAD scaled. Only fees (and rounding in the pool's favour) grow it.
+function growth({ ethReserve, tokenReserve, totalSupply }) {
+  if (BigNumber.from(totalSupply).isZero()) {
+    return ZERO;
+  }
+  return sqrt(BigNumber.from(ethReserve).mul(tokenReserve)).mul(WAD).div(totalSupply);
+}
+
+/** @return ETH value of eth plus tokens at the pool's current price */
+function valueInEth(eth, tokens, { ethReserve, tokenReserve }) {
+  if (BigNumber.from(tokenReserve).isZero()) {
+    return BigNumber.from(eth);
+  }
+  return BigNumber.from(tokens).mul(ethReserve).div(tokenReserve).add(eth);
+}
+
+async function poolAt(exchange, token, blockTag) {
+  const [ethReserve, tokenReserve, totalSupply] = await Promise.all([
+    exchange.provider.getBalance(exchange.address, blockTag),
+    token.balanceOf(exchange.address, { blockTag }),
+    exchange.totalSupply({ blockTag }),
+  ]);
+  return { ethReserve, tokenReserve, totalSupply };
+}
+
+// UNI-V1 movements of account, an LP mint with the AddLiquidity event it belongs to
+async function movements(exchange, account, fromBlock, toBlock) {
+  const transfer = exchangeInterface.getEventTopic("Transfer");
+  const topic = utils.hexZeroPad(account, 32);
+  const [incoming, outgoing, additions] = await Promise.all([
+    exchange.provider.getLogs({ address: exchange.address, topics: [transfer, null, topic], fromBlock, toBlock }),
+    exchange.provider.getLogs({ address: exchange.address, topics: [transfer, topic], fromBlock, toBlock }),
+    exchange.provider.getLogs({
+      address: exchange.address,
+      topics: [exchangeInterface.getEventTopic("AddLiquidity"), topic],
+      fromBlock,
+      toBlock,
+    }),
+  ]);
+
+  const key = (log) => `${log.transactionHash}:${log.logIndex}`;
+  const transfers = new Map([...incoming, ...outgoing].map((log) => [key(log), log]));
+  const sorted = [...transfers.values()]
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+    .map((log) => ({ log, transfer: exchangeInterface.parseLog(log) }));
+
+  // addLiquidity mints the provider's UNI-V1 last before its event, after any protocol fee minted to feeTo
+  const added = new Map();
+  for (const log of additions) {
+    const mint = sorted
+      .filter(
+        ({ log: { transactionHash, logIndex }, transfer: { args } }) =>
+          transactionHash === log.transactionHash && logIndex < log.logIndex && args.from === constants.AddressZero
+      )
+      .pop();
+    if (mint) {
+      added.set(key(mint.log), exchangeInterface.parseLog(log));
+    }
+  }
+
+  return sorted
+    .map((movement) => ({ ...movement, added: added.get(key(movement.log)) }))
+    .filter(({ transfer }) => transfer.args.from !== transfer.args.to); // transfers to oneself change nothing
+}
+
+/**
+ * Values the liquidity position of account in an exchange.
+ *
+ * Deposits are AddLiquidity events, valued at the amounts and the UNI-V1 they moved, and
+ * incoming UNI-V1 transfers, valued at the pool's state at the end of their block. Protocol
+ * fees minted to a feeTo that also provides liquidity are kept out of the position and
+ * reported apart. Withdrawals and outgoing transfers reduce both, and every deposit, pro
+ * rata. Fees are the part of the claim due to the growth of sqrt(k)
+ * per share since each deposit; impermanent loss compares the claim without fees to
+ * holding the deposited ETH and tokens, both valued at the current pool price.
+ *
+ * @param {ethers.providers.Provider} provider
+ * @param {string} exchangeAddress
+ * @param {string} account
+ * @param {object} [options]
+ * @param {number} [options.fromBlock] first block scanned, a balance held before it counts as deposited then
+ * @param {number|string} [options.blockTag] block the position is valued at
+ * @return claim, remaining deposit, fees and value figures, protocolFeeLiquidity and its
+ *         protocolFeeClaim; share, impermanentLoss and vsHold are WAD scaled, the last two
+ *         negative for a loss
+ */
+async function getPosition(provider, exchangeAddress, account, options = {}) {
+  const exchange = new Contract(exchangeAddress, EXCHANGE_ABI, provider);
+  const token = new Contract(await exchange.tokenAddress(), ERC20_ABI, provider);
+  account = utils.getAddress(account);
+  const fromBlock = options.fromBlock || 0;
+  const { number: blockNumber } = await provider.getBlock(options.blockTag ?? "latest");
+  if (fromBlock > blockNumber) {
+    throw new Error(`analytics: fromBlock ${fromBlock} is after block ${blockNumber}`);
+  }
+
+  let liquidity = ZERO;
+  let protocolFeeLiquidity = ZERO; // minted to account as feeTo, no part of the position
+  let deposited = { eth: ZERO, tokens: ZERO };
+  let entryGrowth = ZERO; // sum of liquidity times growth at entry
+
+  const deposit = (amount, eth, tokens, entry) => {
+    liquidity = liquidity.add(amount);
+    deposited = { eth: deposited.eth.add(eth), tokens: deposited.tokens.add(tokens) };
+    entryGrowth = entryGrowth.add(amount.mul(entry));
+  };
+  const withdraw = (amount) => {
+    // UNI-V1 is fungible, what leaves comes out of the position and the protocol fee alike
+    const fromFees = amount.mul(protocolFeeLiquidity).div(liquidity.add(protocolFeeLiquidity));
+    protocolFeeLiquidity = protocolFeeLiquidity.sub(fromFees);
+    amount = amount.sub(fromFees);
+    if (liquidity.isZero()) {
+      return;
+    }
+    const scale = (value) => value.mul(liquidity.sub(amount)).div(liquidity);
+    deposited = { eth: scale(deposited.eth), tokens: scale(deposited.tokens) };
+    entryGrowth = scale(entryGrowth);
+    liquidity = liquidity.sub(amount);
+  };
+
+  if (fromBlock > 0) {
+    const opening = await exchange.balanceOf(account, { blockTag: fromBlock - 1 });
+    if (!opening.isZero()) {
+      const pool = await poolAt(exchange, token, fromBlock - 1);
+      const claim = claimOf(opening, pool);
+      deposit(opening, claim.eth, claim.tokens, growth(pool));
+    }
+  }
+
+  for (const { log, transfer, added } of await movements(exchange, account, fromBlock, blockNumber)) {
+    const { from, value } = transfer.args;
+    if (from === account) {
+      withdraw(value);
+    } else if (added) {
+      // the pool the deposit joined, whatever else its block did to it
+      const { _ethAmount: ethAmount, _tokenAmount: tokenAmount } = added.args;
+      deposit(
+        value,
+        ethAmount,
+        tokenAmount,
+        growth({ ethReserve: ethAmount, tokenReserve: tokenAmount, totalSupply: value })
+      );
+    } else if (from === constants.AddressZero) {
+      protocolFeeLiquidity = protocolFeeLiquidity.add(value);
+    } else {
+      const pool = await poolAt(exchange, token, log.blockNumber);
+      const claim = claimOf(value, pool);
+      deposit(value, claim.eth, claim.tokens, growth(pool));
+    }
+  }
+
+  const pool = await poolAt(exchange, token, blockNumber);
+  const claim = claimOf(liquidity, pool);
+  const value = valueInEth(claim.eth, claim.tokens, pool);
+  const holdValue = valueInEth(deposited.eth, deposited.tokens, pool);
+
+  // share of the claim earned as fees: 1 - growth at entry / growth now
+  const growthNow = growth(pool);
+  let feeShare = ZERO;
+  if (!liquidity.isZero() && !growthNow.isZero()) {
+    feeShare = WAD.sub(entryGrowth.mul(WAD).div(liquidity.mul(growthNow)));
+  }
+  // sqrt rounding can dip growth by a unit, that is no negative fee
+  feeShare = feeShare.lt(0) ? ZERO : feeShare;
+  const fees = { eth: claim.eth.mul(feeShare).div(WAD), tokens: claim.tokens.mul(feeShare).div(WAD) };
+  const feesValue = valueInEth(fees.eth, fees.tokens, pool);
+
+  const relative = (amount) => (holdValue.isZero() ? ZERO : amount.sub(holdValue).mul(WAD).div(holdValue));
+
+  return {
+    exchange: exchange.address,
+    token: token.address,
+    account,
+    blockNumber,
+    liquidity,
+    share: pool.totalSupply.isZero() ? ZERO : liquidity.mul(WAD).div(pool.totalSupply),
+    ...pool,
+    claim,
+    deposited,
+    fees,
+    value,
+    feesValue,
+    holdValue,
+    impermanentLoss: relative(value.sub(feesValue)),
+    vsHold: relative(value),
+    protocolFeeLiquidity,
+    protocolFeeClaim: claimOf(protocolFeeLiquidity, pool),
+  };
+}
+
+/**
+ * UNI-V1 an exchange mints feeTo on its next liquidity event, rounded like mintProtocolFee.
+ * Nothing while the factory's feeTo is unset: the next liquidity event then resets kLast instead.
+ * @param {{ethReserve, tokenReserve, totalSupply}} pool current reserves and UNI-V1 supply
+ * @param {BigNumberish} kLast the exchange's kLast, 0 while the protocol fee is off
+ * @param {BigNumberish} share the factory's protocolFeeShare, out of 10000
+ * @param {string} feeTo the factory's feeTo
+ */
+function accruedProtocolFee({ ethReserve, tokenReserve, totalSupply }, kLast, share, feeTo) {
+  if (feeTo === constants.AddressZero || BigNumber.from(kLast).isZero()) {
+    return ZERO;
+  }
+  const rootK = sqrt(BigNumber.from(ethReserve).mul(tokenReserve));
+  const rootKLast = sqrt(kLast);
+  if (rootK.lte(rootKLast)) {
+    return ZERO;
+  }
+  const numerator = BigNumber.from(totalSupply).mul(rootK.sub(rootKLast)).mul(share);
+  const denominator = rootK.mul(BigNumber.from(FEE_DENOMINATOR).sub(share)).add(rootKLast.mul(share));
+  return numerator.div(denominator);
+}
+
+/**
+ * Protocol fees of the exchanges of a factory. Collected is the UNI-V1 feeTo holds,
+ * accrued what the next liquidity event mints it; the claim and value cover both.
+ *
+ * @param {ethers.providers.Provider} provider
+ * @param {string} factoryAddress
+ * @param {object} [options]
+ * @param {string[]} [options.exchanges] exchanges reported, by default those of every token and fee tier
+ * @param {string} [options.feeTo] account the fees are reported for, by default the factory's feeTo
+ * @param {number|string} [options.blockTag]
+ * @return {{feeTo, protocolFeeShare, blockNumber, exchanges: object[]}} value is in ETH at each pool's price
+ */
+async function getProtocolFees(provider, factoryAddress, options = {}) {
+  const factory = new Contract(factoryAddress, FACTORY_ABI, provider);
+  const { number: blockNumber } = await provider.getBlock(options.blockTag ?? "latest");
+  const overrides = { blockTag: blockNumber };
+  const [factoryFeeTo, protocolFeeShare] = await Promise.all([
+    factory.feeTo(overrides),
+    factory.protocolFeeShare(overrides),
+  ]);
+  const feeTo = options.feeTo ?? factoryFeeTo;
+
+  let addresses = options.exchanges;
+  if (!addresses) {
+    addresses = [];
+    for await (const { exchange } of iterateExchanges(factory, overrides)) {
+      addresses.push(exchange);
+    }
+  }
+
+  const exchanges = [];
+  for (const address of addresses) {
+    const exchange = new Contract(address, EXCHANGE_ABI, provider);
+    const token = new Contract(await exchange.tokenAddress(overrides), ERC20_ABI, provider);
+    const [pool, fee, kLast, collected] = await Promise.all([
+      poolAt(exchange, token, blockNumber),
+      exchange.fee(overrides),
+      exchange.kLast(overrides),
+      feeTo === constants.AddressZero ? ZERO : exchange.balanceOf(feeTo, overrides),
+    ]);
+    const accrued = accruedProtocolFee(pool, kLast, protocolFeeShare, factoryFeeTo);
+    const claim = claimOf(collected.add(accrued), { ...pool, totalSupply: pool.totalSupply.add(accrued) });
+
+    exchanges.push({
+      exchange: exchange.address,
+      token: token.address,
+      fee: fee.toNumber(),
+      kLast,
+      ...pool,
+      collected,
+      accrued,
+      claim,
+      value: valueInEth(claim.eth, claim.tokens, pool),
+    });
+  }
+
+  return { feeTo, protocolFeeShare, blockNumber, exchanges };
+}
+
+module.exports = { claimOf, getPosition, accruedProtocolFee, getProtocolFees };
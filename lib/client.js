@@ -0,0 +1,407 @@
+const { BigNumber, Contract, Signer, constants } = require("ethers");
+
+const { FACTORY_ABI, EXCHANGE_ABI, ERC20_ABI } = require("./abi");
+const { signPermit } = require("./permit");
+const { DEFAULT_FEE } = require("./pricing");
+const {
+  DEFAULT_SLIPPAGE_BPS,
+  DEFAULT_DEADLINE_TTL,
+  withSlippageDown,
+  withSlippageUp,
+  getDeadline,
+  swapLimits,
+} = require("./slippage");
+
+const BPS = 10000;
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Walks every exchange of a factory, across tokens and fee tiers, in creation order.
+ * Each getExchanges page is a single call, rather than one per token with getTokenWithId.
+ * @param {ethers.Contract} factory UniswapFactoryV1
+ * @param {object} [options]
+ * @param {number} [options.pageSize] exchanges fetched per call
+ * @param {number|string} [options.blockTag] reads every page at this block
+ * @yield {{token: string, exchange: string, fee: number}}
+ */
+async function* iterateExchanges(factory, options = {}) {
+  const pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+  const overrides = options.blockTag == null ? {} : { blockTag: options.blockTag };
+
+  for (let offset = 0; ; offset += pageSize) {
+    const page = await factory.getExchanges(offset, pageSize, overrides);
+    for (const { token, exchange, fee } of page) {
+      yield { token, exchange, fee: fee.toNumber() };
+    }
+    if (page.length < pageSize) {
+      return;
+    }
+  }
+}
+
+/**
+ * Thin wrapper around UniswapFactoryV1 and its exchanges.
+ * Write methods wait for the transaction and resolve with its receipt.
+ */
+class UniswapV1Client {
+  /**
+   * @param {string} factoryAddress address of a deployed UniswapFactoryV1
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider signer for write methods, provider is enough for reads
+   * @param {object} [options]
+   * @param {number} [options.slippageBps] default slippage tolerance in basis points
+   * @param {number} [options.deadlineTtl] default deadline in seconds after the latest block
+   * @param {number} [options.fee] fee tier of the exchanges used and created, out of 10000
+   */
+  constructor(factoryAddress, signerOrProvider, options = {}) {
+    this.factory = new Contract(factoryAddress, FACTORY_ABI, signerOrProvider);
+    this.signerOrProvider = signerOrProvider;
+    this.slippageBps = options.slippageBps ?? DEFAULT_SLIPPAGE_BPS;
+    this.deadlineTtl = options.deadlineTtl ?? DEFAULT_DEADLINE_TTL;
+    this.fee = options.fee ?? DEFAULT_FEE;
+  }
+
+  /** @return new client bound to another signer, keeping the defaults */
+  connect(signerOrProvider) {
+    return new UniswapV1Client(this.factory.address, signerOrProvider, {
+      slippageBps: this.slippageBps,
+      deadlineTtl: this.deadlineTtl,
+      fee: this.fee,
+    });
+  }
+
+  get provider() {
+    return Signer.isSigner(this.signerOrProvider) ? this.signerOrProvider.provider : this.signerOrProvider;
+  }
+
+  get signer() {
+    if (!Signer.isSigner(this.signerOrProvider)) {
+      throw new Error("UniswapV1Client: signer required for transactions");
+    }
+    return this.signerOrProvider;
+  }
+
+  token(tokenAddr) {
+    return new Contract(tokenAddr, ERC20_ABI, this.signerOrProvider);
+  }
+
+  /** @return exchange contract for the token or null if the factory has none */
+  async getExchange(tokenAddr) {
+    const exchangeAddr = await this.factory.getExchangeWithFee(tokenAddr, this.fee);
+    if (exchangeAddr === constants.AddressZero) {
+      return null;
+    }
+    return new Contract(exchangeAddr, EXCHANGE_ABI, this.signerOrProvider);
+  }
+
+  /** @return async iterator over every exchange of the factory, see iterateExchanges */
+  exchanges(options = {}) {
+    return iterateExchanges(this.factory, options);
+  }
+
+  async requireExchange(tokenAddr) {
+    const exchange = await this.getExchange(tokenAddr);
+    if (!exchange) {
+      throw new Error(`UniswapV1Client: no exchange for token ${tokenAddr}`);
+    }
+    return exchange;
+  }
+
+  async createExchange(tokenAddr) {
+    const tx = await this.factory.connect(this.signer).createExchangeWithFee(tokenAddr, this.fee);
+    const receipt = await tx.wait();
+    const event = receipt.events.find((e) => e.event === "NewExchange");
+
+    return new Contract(event.args.exchange, EXCHANGE_ABI, this.signerOrProvider);
+  }
+
+  /** @return ETH and token reserves and LP supply of the token's exchange */
+  async getReserves(tokenAddr) {
+    const exchange = await this.requireExchange(tokenAddr);
+    const [ethReserve, tokenReserve, totalSupply] = await Promise.all([
+      this.provider.getBalance(exchange.address),
+      this.token(tokenAddr).balanceOf(exchange.address),
+      exchange.totalSupply(),
+    ]);
+
+    return { exchange: exchange.address, ethReserve, tokenReserve, totalSupply };
+  }
+
+  async quoteEthToTokenInput(tokenAddr, ethSold) {
+    return (await this.requireExchange(tokenAddr)).getEthToTokenInputPrice(ethSold);
+  }
+
+  async quoteEthToTokenOutput(tokenAddr, tokensBought) {
+    return (await this.requireExchange(tokenAddr)).getEthToTokenOutputPrice(tokensBought);
+  }
+
+  async quoteTokenToEthInput(tokenAddr, tokensSold) {
+    return (await this.requireExchange(tokenAddr)).getTokenToEthInputPrice(tokensSold);
+  }
+
+  async quoteTokenToEthOutput(tokenAddr, ethBought) {
+    return (await this.requireExchange(tokenAddr)).getTokenToEthOutputPrice(ethBought);
+  }
+
+  /** @return intermediate ETH and output tokens for selling exactly tokensSold */
+  async quoteTokenToTokenInput(tokenSoldAddr, tokenBoughtAddr, tokensSold) {
+    const ethBought = await this.quoteTokenToEthInput(tokenSoldAddr, tokensSold);
+    const tokensBought = await this.quoteEthToTokenInput(tokenBoughtAddr, ethBought);
+
+    return { ethBought, tokensBought };
+  }
+
+  /** @return intermediate ETH and input tokens for buying exactly tokensBought */
+  async quoteTokenToTokenOutput(tokenSoldAddr, tokenBoughtAddr, tokensBought) {
+    const ethSold = await this.quoteEthToTokenOutput(tokenBoughtAddr, tokensBought);
+    const tokensSold = await this.quoteTokenToEthOutput(tokenSoldAddr, ethSold);
+
+    return { ethSold, tokensSold };
+  }
+
+  async swapEthToTokenInput(tokenAddr, ethSold, opts = {}) {
+    const exchange = (await this.requireExchange(tokenAddr)).connect(this.signer);
+    const { minTokens } = swapLimits(
+      "ethToTokenSwapInput",
+      await exchange.getEthToTokenInputPrice(ethSold),
+      this._slippage(opts)
+    );
+    const deadline = await this._deadline(opts);
+    const recipient = await this._recipient(opts);
+
+    const tx = recipient
+      ? await exchange.ethToTokenTransferInput(minTokens, deadline, recipient, { value: ethSold })
+      : await exchange.ethToTokenSwapInput(minTokens, deadline, { value: ethSold });
+    return tx.wait();
+  }
+
+  async swapEthToTokenOutput(tokenAddr, tokensBought, opts = {}) {
+    const exchange = (await this.requireExchange(tokenAddr)).connect(this.signer);
+    const { maxEth } = swapLimits(
+      "ethToTokenSwapOutput",
+      await exchange.getEthToTokenOutputPrice(tokensBought),
+      this._slippage(opts)
+    );
+    const deadline = await this._deadline(opts);
+    const recipient = await this._recipient(opts);
+
+    const tx = recipient
+      ? await exchange.ethToTokenTransferOutput(tokensBought, deadline, recipient, { value: maxEth })
+      : await exchange.ethToTokenSwapOutput(tokensBought, deadline, { value: maxEth });
+    return tx.wait();
+  }
+
+  async swapTokenToEthInput(tokenAddr, tokensSold, opts = {}) {
+    const exchange = (await this.requireExchange(tokenAddr)).connect(this.signer);
+    const { minEth } = swapLimits(
+      "tokenToEthSwapInput",
+      await exchange.getTokenToEthInputPrice(tokensSold),
+      this._slippage(opts)
+    );
+    const deadline = await this._deadline(opts);
+    const recipient = await this._recipient(opts);
+
+    const { suffix, args } = await this._authorize(tokenAddr, exchange.address, tokensSold, deadline, opts);
+    const tx = recipient
+      ? await exchange[`tokenToEthTransferInput${suffix}`](tokensSold, minEth, deadline, recipient, ...args)
+      : await exchange[`tokenToEthSwapInput${suffix}`](tokensSold, minEth, deadline, ...args);
+    return tx.wait();
+  }
+
+  async swapTokenToEthOutput(tokenAddr, ethBought, opts = {}) {
+    const exchange = (await this.requireExchange(tokenAddr)).connect(this.signer);
+    const { maxTokens } = swapLimits(
+      "tokenToEthSwapOutput",
+      await exchange.getTokenToEthOutputPrice(ethBought),
+      this._slippage(opts)
+    );
+    const deadline = await this._deadline(opts);
+    const recipient = await this._recipient(opts);
+
+    const { suffix, args } = await this._authorize(tokenAddr, exchange.address, maxTokens, deadline, opts);
+    const tx = recipient
+      ? await exchange[`tokenToEthTransferOutput${suffix}`](ethBought, maxTokens, deadline, recipient, ...args)
+      : await exchange[`tokenToEthSwapOutput${suffix}`](ethBought, maxTokens, deadline, ...args);
+    return tx.wait();
+  }
+
+  async swapTokenToTokenInput(tokenSoldAddr, tokenBoughtAddr, tokensSold, opts = {}) {
+    const exchange = (await this.requireExchange(tokenSoldAddr)).connect(this.signer);
+    const quote = await this.quoteTokenToTokenInput(tokenSoldAddr, tokenBoughtAddr, tokensSold);
+    const { minTokensBought, minEthBought } = swapLimits("tokenToTokenSwapInput", quote, this._slippage(opts));
+    const deadline = await this._deadline(opts);
+    const recipient = await this._recipient(opts);
+
+    const { suffix, args } = await this._authorize(tokenSoldAddr, exchange.address, tokensSold, deadline, opts);
+    const tx = recipient
+      ? await exchange[`tokenToTokenTransferInput${suffix}`](
+          tokensSold,
+          minTokensBought,
+          minEthBought,
+          deadline,
+          recipient,
+          tokenBoughtAddr,
+          ...args
+        )
+      : await exchange[`tokenToTokenSwapInput${suffix}`](
+          tokensSold,
+          minTokensBought,
+          minEthBought,
+          deadline,
+          tokenBoughtAddr,
+          ...args
+        );
+    return tx.wait();
+  }
+
+  async swapTokenToTokenOutput(tokenSoldAddr, tokenBoughtAddr, tokensBought, opts = {}) {
+    const exchange = (await this.requireExchange(tokenSoldAddr)).connect(this.signer);
+    const quote = await this.quoteTokenToTokenOutput(tokenSoldAddr, tokenBoughtAddr, tokensBought);
+    const { maxTokensSold, maxEthSold } = swapLimits("tokenToTokenSwapOutput", quote, this._slippage(opts));
+    const deadline = await this._deadline(opts);
+    const recipient = await this._recipient(opts);
+
+    const { suffix, args } = await this._authorize(tokenSoldAddr, exchange.address, maxTokensSold, deadline, opts);
+    const tx = recipient
+      ? await exchange[`tokenToTokenTransferOutput${suffix}`](
+          tokensBought,
+          maxTokensSold,
+          maxEthSold,
+          deadline,
+          recipient,
+          tokenBoughtAddr,
+          ...args
+        )
+      : await exchange[`tokenToTokenSwapOutput${suffix}`](
+          tokensBought,
+          maxTokensSold,
+          maxEthSold,
+          deadline,
+          tokenBoughtAddr,
+          ...args
+        );
+    return tx.wait();
+  }
+
+  /**
+   * Deposits ETH and tokens at the current ratio.
+   * tokenAmount is only used (and required) for the first deposit, which sets the price.
+   */
+  async addLiquidity(tokenAddr, ethAmount, tokenAmount, opts = {}) {
+    const exchange = (await this.requireExchange(tokenAddr)).connect(this.signer);
+    const { ethReserve, tokenReserve, totalSupply } = await this.getReserves(tokenAddr);
+    const deadline = await this._deadline(opts);
+    ethAmount = BigNumber.from(ethAmount);
+
+    let minLiquidity, maxTokens;
+    if (totalSupply.isZero()) {
+      if (tokenAmount == null) {
+        throw new Error("UniswapV1Client: tokenAmount required for the first deposit");
+      }
+      minLiquidity = BigNumber.from(0);
+      maxTokens = BigNumber.from(tokenAmount);
+    } else {
+      const slippage = this._slippage(opts);
+      minLiquidity = withSlippageDown(ethAmount.mul(totalSupply).div(ethReserve), slippage);
+      maxTokens = withSlippageUp(ethAmount.mul(tokenReserve).div(ethReserve).add(1), slippage);
+    }
+
+    await this.ensureAllowance(tokenAddr, exchange.address, maxTokens);
+    const tx = await exchange.addLiquidity(minLiquidity, maxTokens, deadline, { value: ethAmount });
+    return tx.wait();
+  }
+
+  /** Burns UNI-V1 for ETH and tokens at the current ratio. */
+  async removeLiquidity(tokenAddr, amount, opts = {}) {
+    const exchange = (await this.requireExchange(tokenAddr)).connect(this.signer);
+    const { ethReserve, tokenReserve, totalSupply } = await this.getReserves(tokenAddr);
+    const deadline = await this._deadline(opts);
+    const slippage = this._slippage(opts);
+
+    const minEth = withSlippageDown(BigNumber.from(amount).mul(ethReserve).div(totalSupply), slippage);
+    const minTokens = withSlippageDown(BigNumber.from(amount).mul(tokenReserve).div(totalSupply), slippage);
+
+    const tx = await exchange.removeLiquidity(amount, minEth, minTokens, deadline);
+    return tx.wait();
+  }
+
+  /**
+   * Signs a permit letting spender burn amount of the signer's UNI-V1 through
+   * removeLiquidityWithPermit. Nothing is sent, the spender submits it.
+   * @return permit as returned by signPermit, its deadline is the one of the removal
+   */
+  async signLiquidityPermit(tokenAddr, spender, amount, opts = {}) {
+    const exchange = await this.requireExchange(tokenAddr);
+    return signPermit(this.signer, exchange.address, spender, amount, await this._deadline(opts));
+  }
+
+  /**
+   * Burns the UNI-V1 of the permit's owner for them, at the current ratio. The owner
+   * receives the ETH and tokens, the signer of this client only pays for gas.
+   * @param {object} permit signed by the owner for this client's signer, see signLiquidityPermit
+   */
+  async removeLiquidityWithPermit(tokenAddr, permit, opts = {}) {
+    const exchange = (await this.requireExchange(tokenAddr)).connect(this.signer);
+    const { ethReserve, tokenReserve, totalSupply } = await this.getReserves(tokenAddr);
+    const slippage = this._slippage(opts);
+    const amount = BigNumber.from(permit.value);
+
+    const minEth = withSlippageDown(amount.mul(ethReserve).div(totalSupply), slippage);
+    const minTokens = withSlippageDown(amount.mul(tokenReserve).div(totalSupply), slippage);
+
+    const { v, r, s } = permit;
+    const tx = await exchange.removeLiquidityWithPermit(amount, minEth, minTokens, permit.deadline, permit.owner, {
+      v,
+      r,
+      s,
+    });
+    return tx.wait();
+  }
+
+  /** Approves spender for amount unless the current allowance already covers it. */
+  async ensureAllowance(tokenAddr, spender, amount) {
+    const token = this.token(tokenAddr).connect(this.signer);
+    const allowance = await token.allowance(await this.signer.getAddress(), spender);
+    if (allowance.gte(amount)) {
+      return null;
+    }
+    const tx = await token.approve(spender, amount);
+    return tx.wait();
+  }
+
+  // token-sold swaps either approve first or, with opts.permit, pass a signed permit to the WithPermit variant
+  async _authorize(tokenAddr, spender, amount, deadline, opts) {
+    if (!opts.permit) {
+      await this.ensureAllowance(tokenAddr, spender, amount);
+      return { suffix: "", args: [] };
+    }
+    const { v, r, s } = await signPermit(this.signer, tokenAddr, spender, amount, deadline);
+    return { suffix: "WithPermit", args: [{ v, r, s }] };
+  }
+
+  _slippage(opts) {
+    const bps = opts.slippageBps ?? this.slippageBps;
+    if (!Number.isInteger(bps) || bps < 0 || bps >= BPS) {
+      throw new Error(`UniswapV1Client: invalid slippage ${bps} bps`);
+    }
+    return bps;
+  }
+
+  async _deadline(opts) {
+    if (opts.deadline != null) {
+      return opts.deadline;
+    }
+    return getDeadline(this.provider, opts.deadlineTtl ?? this.deadlineTtl);
+  }
+
+  // recipient only when it differs from the signer, so the Swap variants are used by default
+  async _recipient(opts) {
+    if (!opts.recipient) {
+      return null;
+    }
+    const self = await this.signer.getAddress();
+    return opts.recipient.toLowerCase() === self.toLowerCase() ? null : opts.recipient;
+  }
+}
+
+module.exports.UniswapV1Client = UniswapV1Client;
+module.exports.iterateExchanges = iterateExchanges;
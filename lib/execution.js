@@ -0,0 +1,193 @@
+const { BigNumber, utils } = require("ethers");
+
+const { EXCHANGE_ABI } = require("./abi");
+const { WAD } = require("./pricing");
+const { ETH } = require("./router");
+const { getDeadline, swapLimits } = require("./slippage");
+
+const BPS = 10000;
+const DEFAULT_POLL_INTERVAL = 4000; // ms
+const exchangeInterface = new utils.Interface(EXCHANGE_ABI);
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/** @return output per unit of input, WAD scaled, like midPrice */
+function executionPrice(amountIn, amountOut) {
+  return BigNumber.from(amountOut).mul(WAD).div(amountIn);
+}
+
+/** Resolves once the provider's latest block is at least blockNumber, polling it. */
+async function waitForBlock(provider, blockNumber, pollInterval = DEFAULT_POLL_INTERVAL) {
+  while ((await provider.getBlockNumber()) < blockNumber) {
+    await new Promise((resolve) => setTimeout(resolve, pollInterval));
+  }
+}
+
+// output of a swap from its purchase event, the bought exchange's one for token to token
+function boughtAmount(method, receipt) {
+  const name = method === "tokenToEthSwapInput" ? "EthPurchase" : "TokenPurchase";
+  for (const log of receipt.logs) {
+    let event;
+    try {
+      event = exchangeInterface.parseLog(log);
+    } catch (e) {
+      continue;
+    }
+    if (event.name === name) {
+      return name === "EthPurchase" ? event.args._ethBouht : event.args._tokensBought;
+    }
+  }
+  throw new Error(`executeTwap: no ${name} event in ${receipt.transactionHash}`);
+}
+
+// the exact input swap of a pair: its quote, and the transaction for a minimum output
+function pairSwap(client, from, to) {
+  if (from === ETH) {
+    return {
+      method: "ethToTokenSwapInput",
+      quote: (amount) => client.quoteEthToTokenInput(to, amount),
+      bought: (quote) => quote,
+      send: async (amount, { minTokens }, deadline) =>
+        (await client.requireExchange(to)).connect(client.signer).ethToTokenSwapInput(minTokens, deadline, {
+          value: amount,
+        }),
+    };
+  }
+  if (to === ETH) {
+    return {
+      method: "tokenToEthSwapInput",
+      quote: (amount) => client.quoteTokenToEthInput(from, amount),
+      bought: (quote) => quote,
+      send: async (amount, { minEth }, deadline) =>
+        (await client.requireExchange(from)).connect(client.signer).tokenToEthSwapInput(amount, minEth, deadline),
+    };
+  }
+  return {
+    method: "tokenToTokenSwapInput",
+    quote: (amount) => client.quoteTokenToTokenInput(from, to, amount),
+    bought: (quote) => quote.tokensBought,
+    send: async (amount, { minTokensBought, minEthBought }, deadline) =>
+      (await client.requireExchange(from))
+        .connect(client.signer)
+        .tokenToTokenSwapInput(amount, minTokensBought, minEthBought, deadline, to),
+  };
+}
+
+/**
+ * Executes a large exact input order as child swaps spread over blocks, TWAP style. Before
+ * each child the order is re-quoted against live reserves: a child whose price is below the
+ * limit is skipped, and its amount carried over to the next ones like the amount of a child
+ * that reverted. Children are sent with a minimum output that honours both the slippage
+ * tolerance and the limit price.
+ * @param {UniswapV1Client} client trades with its signer, fee tier and slippage tolerance
+ * @param {object} order
+ * @param {string} order.from token address sold, or ETH
+ * @param {string} order.to token address bought, or ETH
+ * @param order.amountIn total amount sold
+ * @param [order.limitPrice] worst output per unit of input accepted, WAD scaled
+ * @param {object} schedule
+ * @param {number} schedule.children number of child swaps
+ * @param {number} schedule.interval blocks between children, the first one going out right away
+ * @param {object} [options]
+ * @param {number} [options.slippageBps] tolerance of each child against its quote
+ * @param {function} [options.waitForBlock] async (blockNumber) => void, polls the provider by default
+ * @param {function} [options.onChild] called with every child report as it completes
+ * @return {children, amountIn, amountOut, unfilled, averagePrice, singleShot: {amountOut, price},
+ *         improvementBps} amountIn and amountOut over the filled children, singleShot quoting
+ *         the whole order at once against the reserves before the first child
+ */
+async function executeTwap(client, order, schedule, options = {}) {
+  const { from, to } = order;
+  if (sameAddress(from, to)) {
+    throw new Error("executeTwap: from and to must differ");
+  }
+  const total = BigNumber.from(order.amountIn);
+  if (total.lte(0)) {
+    throw new Error("executeTwap: amountIn must be positive");
+  }
+  if (!Number.isInteger(schedule.children) || schedule.children <= 0) {
+    throw new Error(`executeTwap: invalid number of children ${schedule.children}`);
+  }
+  if (!Number.isInteger(schedule.interval) || schedule.interval < 0) {
+    throw new Error(`executeTwap: invalid interval ${schedule.interval}`);
+  }
+
+  const provider = client.provider;
+  const wait = options.waitForBlock || ((blockNumber) => waitForBlock(provider, blockNumber));
+  const slippageBps = options.slippageBps ?? client.slippageBps;
+  const limitPrice = order.limitPrice && BigNumber.from(order.limitPrice);
+  const swap = pairSwap(client, from, to);
+
+  const singleShot = swap.bought(await swap.quote(total));
+  if (from !== ETH) {
+    // approved once, for the whole order
+    await client.ensureAllowance(from, (await client.requireExchange(from)).address, total);
+  }
+
+  const startBlock = await provider.getBlockNumber();
+  const children = [];
+  const record = (child) => {
+    children.push(child);
+    options.onChild?.(child);
+  };
+  let remaining = total;
+  let amountIn = BigNumber.from(0);
+  let amountOut = BigNumber.from(0);
+
+  for (let index = 0; index < schedule.children; index++) {
+    await wait(startBlock + index * schedule.interval);
+    // what is left spread over the children left, the last one taking the rest
+    const amount = remaining.div(schedule.children - index);
+    const child = { index, amountIn: amount, amountOut: BigNumber.from(0), blockNumber: null };
+    if (amount.isZero()) {
+      record({ ...child, status: "skipped: nothing left" });
+      continue;
+    }
+
+    const quote = await swap.quote(amount);
+    child.quote = swap.bought(quote);
+    const limits = swapLimits(swap.method, quote, slippageBps);
+    if (limitPrice) {
+      const limitOut = amount.mul(limitPrice).add(WAD.sub(1)).div(WAD);
+      if (child.quote.lt(limitOut)) {
+        record({ ...child, status: "skipped: below limit price" });
+        continue;
+      }
+      // the first key is the output bought: minTokens, minEth or minTokensBought
+      const key = Object.keys(limits)[0];
+      if (limits[key].lt(limitOut)) {
+        limits[key] = limitOut;
+      }
+    }
+
+    try {
+      const deadline = await getDeadline(provider, client.deadlineTtl);
+      const receipt = await (await swap.send(amount, limits, deadline)).wait();
+      child.blockNumber = receipt.blockNumber;
+      child.amountOut = boughtAmount(swap.method, receipt);
+      child.status = "filled";
+      remaining = remaining.sub(amount);
+      amountIn = amountIn.add(amount);
+      amountOut = amountOut.add(child.amountOut);
+    } catch (e) {
+      child.status = `reverted: ${e.reason || e.message.split("\n")[0]}`;
+    }
+    record(child);
+  }
+
+  const averagePrice = amountIn.isZero() ? null : executionPrice(amountIn, amountOut);
+  const singleShotPrice = executionPrice(total, singleShot);
+  return {
+    children,
+    amountIn,
+    amountOut,
+    unfilled: remaining,
+    averagePrice,
+    singleShot: { amountOut: singleShot, price: singleShotPrice },
+    improvementBps: averagePrice && averagePrice.sub(singleShotPrice).mul(BPS).div(singleShotPrice).toNumber(),
+  };
+}
+
+module.exports = { executionPrice, waitForBlock, executeTwap };
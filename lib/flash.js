@@ -0,0 +1,74 @@
+const { BigNumber, utils } = require("ethers");
+
+const { DEFAULT_FEE, FEE_DENOMINATOR } = require("./pricing");
+
+const coder = utils.defaultAbiCoder;
+
+/** ABI encodes the data flashSwap passes to the borrower's uniswapV1FlashCallback. */
+function encodeCallbackData(types, values) {
+  return coder.encode(types, values);
+}
+
+function decodeCallbackData(types, data) {
+  return coder.decode(types, data);
+}
+
+/** Callback data of the FlashRepayTest fixture: what it pays back in each asset. */
+function encodeRepayment(ethRepayment, tokenRepayment) {
+  return encodeCallbackData(["uint256", "uint256"], [ethRepayment, tokenRepayment]);
+}
+
+/** Callback data of the FlashArbitrageTest fixture. */
+function encodeArbitrage(sellExchange, ethRepayment) {
+  return encodeCallbackData(["address", "uint256"], [sellExchange, ethRepayment]);
+}
+
+function ceilDiv(a, b) {
+  return a.add(b).sub(1).div(b);
+}
+
+/**
+ * Smallest repayment, all in one asset, that satisfies the check at the end of flashSwap.
+ * @param {{ethReserve, tokenReserve}} pool reserves before the flash swap
+ * @param {object} borrowed
+ * @param {BigNumberish} [borrowed.eth]
+ * @param {BigNumberish} [borrowed.tokens]
+ * @param {object} [options]
+ * @param {string} [options.in] "eth" or "tokens", the asset repaid, by default the one not borrowed
+ * @param {number} [options.fee] the exchange's fee(), out of FEE_DENOMINATOR
+ * @return {{eth: BigNumber, tokens: BigNumber}} amounts to pay back
+ */
+function flashRepayment({ ethReserve, tokenReserve }, borrowed, options = {}) {
+  const ethOut = BigNumber.from(borrowed.eth || 0);
+  const tokenOut = BigNumber.from(borrowed.tokens || 0);
+  ethReserve = BigNumber.from(ethReserve);
+  tokenReserve = BigNumber.from(tokenReserve);
+  const fee = options.fee ?? DEFAULT_FEE;
+  const asset = options.in || (ethOut.isZero() ? "eth" : "tokens");
+
+  if (ethOut.isZero() && tokenOut.isZero()) {
+    throw new Error("flashRepayment: nothing borrowed");
+  }
+  if (ethOut.gte(ethReserve) || tokenOut.gte(tokenReserve)) {
+    throw new Error("flashRepayment: borrowing more than the reserves");
+  }
+  if (asset !== "eth" && asset !== "tokens") {
+    throw new Error(`flashRepayment: unknown asset ${asset}`);
+  }
+
+  // repaid reserve * D - repayment * fee >= reserves' product * D^2 / (other reserve * D)
+  const [reserve, out, otherLeft] =
+    asset === "eth"
+      ? [ethReserve, ethOut, tokenReserve.sub(tokenOut)]
+      : [tokenReserve, tokenOut, ethReserve.sub(ethOut)];
+  const needed = ceilDiv(ethReserve.mul(tokenReserve).mul(FEE_DENOMINATOR), otherLeft);
+  const left = reserve.sub(out).mul(FEE_DENOMINATOR);
+  // anything borrowed makes needed exceed left
+  const repayment = ceilDiv(needed.sub(left), BigNumber.from(FEE_DENOMINATOR - fee));
+
+  return asset === "eth"
+    ? { eth: repayment, tokens: BigNumber.from(0) }
+    : { eth: BigNumber.from(0), tokens: repayment };
+}
+
+module.exports = { encodeCallbackData, decodeCallbackData, encodeRepayment, encodeArbitrage, flashRepayment };
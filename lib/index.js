@@ -0,0 +1,29 @@
+const abi = require("./abi");
+const analytics = require("./analytics");
+const client = require("./client");
+const execution = require("./execution");
+const flash = require("./flash");
+const indexer = require("./indexer");
+const lens = require("./lens");
+const permit = require("./permit");
+const pricing = require("./pricing");
+const router = require("./router");
+const sandwich = require("./sandwich");
+const slippage = require("./slippage");
+const twap = require("./twap");
+
+module.exports = {
+  ...abi,
+  ...analytics,
+  ...client,
+  ...execution,
+  ...flash,
+  ...indexer,
+  ...lens,
+  ...permit,
+  ...pricing,
+  ...router,
+  ...sandwich,
+  ...slippage,
+  ...twap,
+};
@@ -0,0 +1,314 @@
+const fs = require("fs");
+const path = require("path");
+const { BigNumber, constants, utils } = require("ethers");
+
+const { FACTORY_ABI, EXCHANGE_ABI } = require("./abi");
+
+const factoryInterface = new utils.Interface(FACTORY_ABI);
+const exchangeInterface = new utils.Interface(EXCHANGE_ABI);
+
+const DEFAULT_BATCH_SIZE = 2000;
+const TRADE_EVENTS = ["TokenPurchase", "EthPurchase"];
+const HISTORY_EVENTS = [...TRADE_EVENTS, "AddLiquidity", "RemoveLiquidity", "FlashSwap"];
+// history fields stored as decimal strings, handed out as BigNumbers
+const AMOUNT_KEYS = [
+  "ethAmount",
+  "tokenAmount",
+  "ethRepaid",
+  "tokenRepaid",
+  "ethReserve",
+  "tokenReserve",
+  "totalSupply",
+];
+
+/**
+ * JSON file holding the indexer state. Writes go through a temporary file so a
+ * crash mid-write never leaves a truncated store behind.
+ */
+class FileStore {
+  constructor(file) {
+    this.file = file;
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(this.file, "utf8"));
+  }
+
+  save(state) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+function add(a, b) {
+  return BigNumber.from(a).add(b).toString();
+}
+
+function sub(a, b) {
+  return BigNumber.from(a).sub(b).toString();
+}
+
+function emptyVolume() {
+  return { trades: 0, ethSold: "0", ethBought: "0", tokensSold: "0", tokensBought: "0" };
+}
+
+// amounts are kept as decimal strings so the state serializes as is
+function applyLog(record, parsed) {
+  const args = parsed.args;
+
+  switch (parsed.name) {
+    case "Transfer":
+      // LP supply only changes on mint and burn
+      if (args.from === constants.AddressZero) {
+        record.totalSupply = add(record.totalSupply, args.value);
+      } else if (args.to === constants.AddressZero) {
+        record.totalSupply = sub(record.totalSupply, args.value);
+      }
+      return null;
+    case "TokenPurchase":
+      record.ethReserve = add(record.ethReserve, args._ethSold);
+      record.tokenReserve = sub(record.tokenReserve, args._tokensBought);
+      return { account: args._buyer, ethAmount: args._ethSold, tokenAmount: args._tokensBought };
+    case "EthPurchase":
+      record.ethReserve = sub(record.ethReserve, args._ethBouht);
+      record.tokenReserve = add(record.tokenReserve, args._tokensSold);
+      return { account: args._buyer, ethAmount: args._ethBouht, tokenAmount: args._tokensSold };
+    case "AddLiquidity":
+      record.ethReserve = add(record.ethReserve, args._ethAmount);
+      record.tokenReserve = add(record.tokenReserve, args._tokenAmount);
+      return { account: args._provider, ethAmount: args._ethAmount, tokenAmount: args._tokenAmount };
+    case "RemoveLiquidity":
+      record.ethReserve = sub(record.ethReserve, args._ethAmount);
+      record.tokenReserve = sub(record.tokenReserve, args._tokenAmount);
+      return { account: args._provider, ethAmount: args._ethAmount, tokenAmount: args._tokenAmount };
+    case "FlashSwap":
+      // the exchange is locked during the callback, so what was lent and repaid is all that moved
+      record.ethReserve = sub(add(record.ethReserve, args._ethRepaid), args._ethAmount);
+      record.tokenReserve = sub(add(record.tokenReserve, args._tokenRepaid), args._tokenAmount);
+      return {
+        account: args._borrower,
+        ethAmount: args._ethAmount,
+        tokenAmount: args._tokenAmount,
+        ethRepaid: args._ethRepaid,
+        tokenRepaid: args._tokenRepaid,
+      };
+    default:
+      return null;
+  }
+}
+
+function recordVolume(record, event, entry) {
+  const volume = record.volume[entry.account] || emptyVolume();
+  volume.trades += 1;
+  if (event === "TokenPurchase") {
+    volume.ethSold = add(volume.ethSold, entry.ethAmount);
+    volume.tokensBought = add(volume.tokensBought, entry.tokenAmount);
+  } else {
+    volume.tokensSold = add(volume.tokensSold, entry.tokenAmount);
+    volume.ethBought = add(volume.ethBought, entry.ethAmount);
+  }
+  record.volume[entry.account] = volume;
+}
+
+function hydrate(entry) {
+  const result = { ...entry };
+  for (const key of AMOUNT_KEYS) {
+    if (key in result) {
+      result[key] = BigNumber.from(result[key]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Rebuilds per-exchange history from the events of a UniswapFactoryV1 and every
+ * exchange it created. Reserves are derived from event amounts, so ETH or tokens
+ * sent to an exchange without going through its functions are not reflected.
+ */
+class Indexer {
+  /**
+   * @param {ethers.providers.Provider} provider
+   * @param {string} factoryAddress
+   * @param {object} [options]
+   * @param {FileStore} [options.store] persists state between runs
+   * @param {number} [options.startBlock] first block scanned when the store is empty
+   * @param {number} [options.batchSize] blocks per getLogs request
+   * @param {number} [options.confirmations] blocks behind the head to stop at
+   */
+  constructor(provider, factoryAddress, options = {}) {
+    this.provider = provider;
+    this.factoryAddress = utils.getAddress(factoryAddress);
+    this.store = options.store || null;
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this.confirmations = options.confirmations || 0;
+
+    const saved = this.store && this.store.load();
+    if (saved && saved.factory !== this.factoryAddress) {
+      throw new Error(`Indexer: store belongs to factory ${saved.factory}`);
+    }
+    this.state = saved || { factory: this.factoryAddress, lastBlock: (options.startBlock || 0) - 1, exchanges: {} };
+  }
+
+  get lastBlock() {
+    return this.state.lastBlock;
+  }
+
+  /**
+   * Scans from the block after the last indexed one up to toBlock.
+   * @return number of events applied
+   */
+  async sync(toBlock) {
+    if (toBlock == null) {
+      toBlock = (await this.provider.getBlockNumber()) - this.confirmations;
+    }
+
+    let applied = 0;
+    for (let from = this.state.lastBlock + 1; from <= toBlock; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, toBlock);
+      applied += await this._scan(from, to);
+      this.state.lastBlock = to;
+      if (this.store) {
+        this.store.save(this.state);
+      }
+    }
+    return applied;
+  }
+
+  async _scan(fromBlock, toBlock) {
+    const factoryLogs = await this.provider.getLogs({
+      address: this.factoryAddress,
+      topics: [factoryInterface.getEventTopic("NewExchange")],
+      fromBlock,
+      toBlock,
+    });
+    for (const log of factoryLogs) {
+      const { token, exchange } = factoryInterface.parseLog(log).args;
+      this.state.exchanges[exchange] = {
+        token,
+        createdBlock: log.blockNumber,
+        ethReserve: "0",
+        tokenReserve: "0",
+        totalSupply: "0",
+        history: [],
+        volume: {},
+      };
+    }
+
+    let applied = 0;
+    for (const [exchange, record] of Object.entries(this.state.exchanges)) {
+      const logs = await this.provider.getLogs({ address: exchange, fromBlock, toBlock });
+      logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+      for (const log of logs) {
+        let parsed;
+        try {
+          parsed = exchangeInterface.parseLog(log);
+        } catch (e) {
+          continue; // Approval and anything else outside the ABI
+        }
+        const entry = applyLog(record, parsed);
+        if (!entry) {
+          continue;
+        }
+        if (TRADE_EVENTS.includes(parsed.name)) {
+          recordVolume(record, parsed.name, entry);
+        }
+        record.history.push({
+          event: parsed.name,
+          blockNumber: log.blockNumber,
+          logIndex: log.logIndex,
+          transactionHash: log.transactionHash,
+          account: entry.account,
+          ethAmount: entry.ethAmount.toString(),
+          tokenAmount: entry.tokenAmount.toString(),
+          ...(entry.ethRepaid && { ethRepaid: entry.ethRepaid.toString(), tokenRepaid: entry.tokenRepaid.toString() }),
+          ethReserve: record.ethReserve,
+          tokenReserve: record.tokenReserve,
+          totalSupply: record.totalSupply,
+        });
+        applied += 1;
+      }
+    }
+    return applied;
+  }
+
+  _record(exchange) {
+    const record = this.state.exchanges[utils.getAddress(exchange)];
+    if (!record) {
+      throw new Error(`Indexer: unknown exchange ${exchange}`);
+    }
+    return record;
+  }
+
+  /** @return indexed exchanges in creation order */
+  exchanges() {
+    return Object.entries(this.state.exchanges).map(([exchange, record]) => ({
+      exchange,
+      token: record.token,
+      createdBlock: record.createdBlock,
+    }));
+  }
+
+  /** @return latest reserves and LP supply of an exchange */
+  reserves(exchange) {
+    const { ethReserve, tokenReserve, totalSupply } = this._record(exchange);
+    return hydrate({ ethReserve, tokenReserve, totalSupply });
+  }
+
+  /** @return reserves and LP supply after the last event at or before blockNumber */
+  reservesAt(exchange, blockNumber) {
+    const entries = this._record(exchange).history.filter((entry) => entry.blockNumber <= blockNumber);
+    const last = entries[entries.length - 1];
+    if (!last) {
+      return hydrate({ ethReserve: "0", tokenReserve: "0", totalSupply: "0" });
+    }
+    return hydrate({ ethReserve: last.ethReserve, tokenReserve: last.tokenReserve, totalSupply: last.totalSupply });
+  }
+
+  /**
+   * @param {string} exchange
+   * @param {object} [filter]
+   * @param {string} [filter.event] one of TokenPurchase, EthPurchase, AddLiquidity, RemoveLiquidity, FlashSwap
+   * @param {string} [filter.account] buyer, liquidity provider or flash borrower
+   * @param {number} [filter.fromBlock]
+   * @param {number} [filter.toBlock]
+   */
+  history(exchange, filter = {}) {
+    if (filter.event && !HISTORY_EVENTS.includes(filter.event)) {
+      throw new Error(`Indexer: unknown event ${filter.event}`);
+    }
+    return this._record(exchange)
+      .history.filter(
+        (entry) =>
+          (!filter.event || entry.event === filter.event) &&
+          (!filter.account || entry.account === utils.getAddress(filter.account)) &&
+          (filter.fromBlock == null || entry.blockNumber >= filter.fromBlock) &&
+          (filter.toBlock == null || entry.blockNumber <= filter.toBlock)
+      )
+      .map(hydrate);
+  }
+
+  /** @return trade volume of one trader, or of every trader keyed by address */
+  volume(exchange, trader) {
+    const { volume } = this._record(exchange);
+    const toBigNumbers = (v) => ({
+      trades: v.trades,
+      ethSold: BigNumber.from(v.ethSold),
+      ethBought: BigNumber.from(v.ethBought),
+      tokensSold: BigNumber.from(v.tokensSold),
+      tokensBought: BigNumber.from(v.tokensBought),
+    });
+
+    if (trader) {
+      return toBigNumbers(volume[utils.getAddress(trader)] || emptyVolume());
+    }
+    return Object.fromEntries(Object.entries(volume).map(([account, v]) => [account, toBigNumbers(v)]));
+  }
+}
+
+module.exports = { Indexer, FileStore };
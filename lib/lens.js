@@ -0,0 +1,147 @@
+const { Contract, utils } = require("ethers");
+
+const { FACTORY_ABI, LENS_ABI } = require("./abi");
+const { DEFAULT_FEE } = require("./pricing");
+
+const DEFAULT_CHUNK_SIZE = 50;
+const DEFAULT_CACHED_BLOCKS = 8;
+
+function toState({ token, exchange, ethReserve, tokenReserve, totalSupply, name, symbol, decimals }) {
+  return { token, exchange, ethReserve, tokenReserve, totalSupply, name, symbol, decimals };
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Reads exchange reserves, LP supply and token metadata through a UniswapV1Lens, one call
+ * per chunk of chunkSize exchanges rather than two per exchange. Results are cached per
+ * block: reading the same exchanges again at a block already seen costs no call.
+ */
+class ReserveFetcher {
+  /**
+   * @param {ethers.providers.Provider} provider
+   * @param {string} lensAddress address of a deployed UniswapV1Lens
+   * @param {string} factoryAddress
+   * @param {object} [options]
+   * @param {number} [options.fee] fee tier of the exchanges read, out of 10000
+   * @param {number} [options.chunkSize] exchanges read per call
+   * @param {number} [options.cachedBlocks] blocks kept in the cache, the oldest is dropped first
+   */
+  constructor(provider, lensAddress, factoryAddress, options = {}) {
+    this.provider = provider;
+    this.lens = new Contract(lensAddress, LENS_ABI, provider);
+    this.factoryAddress = utils.getAddress(factoryAddress);
+    this.fee = options.fee ?? DEFAULT_FEE;
+    this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    this.cachedBlocks = options.cachedBlocks || DEFAULT_CACHED_BLOCKS;
+    this.calls = 0; // lens calls made, cache hits make none
+    this._blocks = new Map();
+  }
+
+  /**
+   * @param {string[]} tokens
+   * @param {object} [options]
+   * @param {number|string} [options.blockTag]
+   * @return states in the order of tokens, a token without exchange has the zero address and reserves
+   */
+  async fetchTokens(tokens, options = {}) {
+    const blockNumber = await this._blockNumber(options.blockTag);
+    const { byToken } = this._cache(blockNumber);
+    tokens = tokens.map((token) => utils.getAddress(token));
+
+    const missing = [...new Set(tokens)].filter((token) => !byToken.has(token));
+    for (const part of chunk(missing, this.chunkSize)) {
+      const states = this._call(
+        () => this.lens.getStatesByTokens(this.factoryAddress, part, this.fee, { blockTag: blockNumber }),
+        () => part.forEach((token) => byToken.delete(token))
+      );
+      part.forEach((token, i) =>
+        byToken.set(
+          token,
+          states.then((result) => result[i])
+        )
+      );
+    }
+    return Promise.all(tokens.map((token) => byToken.get(token)));
+  }
+
+  /**
+   * @param {number} fromId first token id, ids start at 1
+   * @param {number} toId last token id included, cut at the factory's tokenCount
+   * @param {object} [options]
+   * @param {number|string} [options.blockTag]
+   * @return states of the tokens with these ids, in id order
+   */
+  async fetchRange(fromId, toId, options = {}) {
+    if (!Number.isInteger(fromId) || !Number.isInteger(toId) || fromId < 1) {
+      throw new Error(`lens: invalid token id range ${fromId} to ${toId}`);
+    }
+    const blockNumber = await this._blockNumber(options.blockTag);
+    const { byToken, byRange } = this._cache(blockNumber);
+
+    const parts = [];
+    for (let start = fromId; start <= toId; start += this.chunkSize) {
+      const end = Math.min(start + this.chunkSize - 1, toId);
+      const key = `${start}-${end}`;
+      if (!byRange.has(key)) {
+        const states = this._call(
+          () => this.lens.getStatesByIds(this.factoryAddress, start, end, this.fee, { blockTag: blockNumber }),
+          () => byRange.delete(key)
+        );
+        byRange.set(key, states);
+        states.then(
+          (result) => result.forEach((state) => byToken.set(state.token, Promise.resolve(state))),
+          () => {}
+        );
+      }
+      parts.push(byRange.get(key));
+    }
+    return (await Promise.all(parts)).flat();
+  }
+
+  /** @return states of every token of the factory, in id order */
+  async fetchAll(options = {}) {
+    const blockNumber = await this._blockNumber(options.blockTag);
+    const factory = new Contract(this.factoryAddress, FACTORY_ABI, this.provider);
+    const tokenCount = (await factory.tokenCount({ blockTag: blockNumber })).toNumber();
+    return tokenCount === 0 ? [] : this.fetchRange(1, tokenCount, { blockTag: blockNumber });
+  }
+
+  // results are cached as promises so concurrent reads share a call, a failed call is forgotten
+  _call(read, forget) {
+    this.calls++;
+    return read().then(
+      (states) => states.map(toState),
+      (e) => {
+        forget();
+        throw e;
+      }
+    );
+  }
+
+  async _blockNumber(blockTag) {
+    if (Number.isInteger(blockTag)) {
+      return blockTag;
+    }
+    return (await this.provider.getBlock(blockTag ?? "latest")).number;
+  }
+
+  _cache(blockNumber) {
+    if (!this._blocks.has(blockNumber)) {
+      this._blocks.set(blockNumber, { byToken: new Map(), byRange: new Map() });
+      const others = [...this._blocks.keys()].filter((number) => number !== blockNumber).sort((a, b) => a - b);
+      others
+        .slice(0, Math.max(this._blocks.size - this.cachedBlocks, 0))
+        .forEach((number) => this._blocks.delete(number));
+    }
+    return this._blocks.get(blockNumber);
+  }
+}
+
+module.exports = { ReserveFetcher };
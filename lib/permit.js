@@ -0,0 +1,88 @@
+const { BigNumber, Contract, utils } = require("ethers");
+
+const { PERMIT_ABI } = require("./abi");
+
+// OpenZeppelin's ERC20Permit, and with it UNI-V1, signs with version "1"
+const DEFAULT_PERMIT_VERSION = "1";
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * EIP-712 domain of an EIP-2612 token, checked against its DOMAIN_SEPARATOR so a
+ * token signing with another name or version fails here rather than on chain.
+ * @param {ethers.providers.Provider} provider
+ * @param {string} tokenAddr token or exchange (UNI-V1) address
+ * @param {object} [options]
+ * @param {string} [options.name] defaults to the token's name()
+ * @param {string} [options.version]
+ */
+async function permitDomain(provider, tokenAddr, options = {}) {
+  const token = new Contract(tokenAddr, PERMIT_ABI, provider);
+  const [name, { chainId }, separator] = await Promise.all([
+    options.name ?? token.name(),
+    provider.getNetwork(),
+    token.DOMAIN_SEPARATOR(),
+  ]);
+  const domain = {
+    name,
+    version: options.version ?? DEFAULT_PERMIT_VERSION,
+    chainId,
+    verifyingContract: token.address,
+  };
+  if (utils._TypedDataEncoder.hashDomain(domain) !== separator) {
+    throw new Error(`permit: domain of ${tokenAddr} does not match its DOMAIN_SEPARATOR`);
+  }
+  return domain;
+}
+
+/** @return EIP-712 typed data of a permit, as {domain, types, value} */
+async function buildPermit(provider, tokenAddr, { owner, spender, value, deadline, nonce }, options = {}) {
+  const domain = await permitDomain(provider, tokenAddr, options);
+  if (nonce == null) {
+    nonce = await new Contract(tokenAddr, PERMIT_ABI, provider).nonces(owner);
+  }
+  return {
+    domain,
+    types: PERMIT_TYPES,
+    value: {
+      owner: utils.getAddress(owner),
+      spender: utils.getAddress(spender),
+      value: BigNumber.from(value),
+      nonce: BigNumber.from(nonce),
+      deadline: BigNumber.from(deadline),
+    },
+  };
+}
+
+/**
+ * Signs a permit letting spender move value of the signer's tokens until deadline.
+ * @param {ethers.Signer} signer owner of the tokens, must support _signTypedData
+ * @param {string} tokenAddr token or exchange (UNI-V1) address
+ * @param {string} spender
+ * @param {ethers.BigNumberish} value
+ * @param {ethers.BigNumberish} deadline
+ * @param {object} [options] name and version overrides, see permitDomain, and nonce
+ * @return {{owner, spender, value, nonce, deadline, v, r, s}} the signature with what it covers
+ */
+async function signPermit(signer, tokenAddr, spender, value, deadline, options = {}) {
+  const owner = await signer.getAddress();
+  const permit = await buildPermit(
+    signer.provider,
+    tokenAddr,
+    { owner, spender, value, deadline, nonce: options.nonce },
+    options
+  );
+  const { v, r, s } = utils.splitSignature(await signer._signTypedData(permit.domain, permit.types, permit.value));
+
+  return { ...permit.value, v, r, s };
+}
+
+module.exports = { DEFAULT_PERMIT_VERSION, PERMIT_TYPES, permitDomain, buildPermit, signPermit };
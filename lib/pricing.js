@@ -0,0 +1,257 @@
+const { BigNumber } = require("ethers");
+
+// Prices and price impact are fixed point numbers scaled by WAD (1e18 == 1.0 == 100%)
+const WAD = BigNumber.from(10).pow(18);
+// swap fees are out of FEE_DENOMINATOR, like UniswapExchangeV1.fee()
+const FEE_DENOMINATOR = 10000;
+const DEFAULT_FEE = 30; // 0.3%, UniswapFactoryV1.DEFAULT_FEE
+const BPS = 10000;
+
+function toBigNumbers(name, values) {
+  return values.map((value) => {
+    try {
+      return BigNumber.from(value);
+    } catch (e) {
+      throw new Error(`${name}: argument is not a number`);
+    }
+  });
+}
+
+function swapFee(name, fee) {
+  fee = fee ?? DEFAULT_FEE;
+  if (!Number.isInteger(fee) || fee < 0 || fee >= FEE_DENOMINATOR) {
+    throw new Error(`${name}: invalid fee ${fee}`);
+  }
+  return fee;
+}
+
+/**
+ * Mirrors UniswapExchangeV1.getInputPrice, including its rounding.
+ * @param {number} [fee] the exchange's fee(), out of FEE_DENOMINATOR
+ * @return amount of output bought for exactly inputAmount
+ */
+function getInputPrice(inputAmount, inputReserve, outputReserve, fee) {
+  [inputAmount, inputReserve, outputReserve] = toBigNumbers("getInputPrice", [
+    inputAmount,
+    inputReserve,
+    outputReserve,
+  ]);
+  if (inputReserve.lte(0) || outputReserve.lte(0)) {
+    throw new Error("getInputPrice: empty reserve");
+  }
+  fee = swapFee("getInputPrice", fee);
+
+  const inputAmountWithFee = inputAmount.mul(FEE_DENOMINATOR - fee);
+  const numerator = inputAmountWithFee.mul(outputReserve);
+  const denominator = inputReserve.mul(FEE_DENOMINATOR).add(inputAmountWithFee);
+  return numerator.div(denominator);
+}
+
+/**
+ * Mirrors UniswapExchangeV1.getOutputPrice, including the +1 it adds after flooring.
+ * @param {number} [fee] the exchange's fee(), out of FEE_DENOMINATOR
+ * @return amount of input sold for exactly outputAmount
+ */
+function getOutputPrice(outputAmount, inputReserve, outputReserve, fee) {
+  [outputAmount, inputReserve, outputReserve] = toBigNumbers("getOutputPrice", [
+    outputAmount,
+    inputReserve,
+    outputReserve,
+  ]);
+  if (inputReserve.lte(0) || outputReserve.lte(0)) {
+    throw new Error("getOutputPrice: empty reserve");
+  }
+  // the exchange reverts on underflow or division by zero here
+  if (outputAmount.gte(outputReserve)) {
+    throw new Error("getOutputPrice: insufficient output reserve");
+  }
+  fee = swapFee("getOutputPrice", fee);
+
+  const numerator = inputReserve.mul(outputAmount).mul(FEE_DENOMINATOR);
+  const denominator = outputReserve.sub(outputAmount).mul(FEE_DENOMINATOR - fee);
+  return numerator.div(denominator).add(1);
+}
+
+function transferFeeBps(name, feeBps) {
+  feeBps = feeBps || 0;
+  if (!Number.isInteger(feeBps) || feeBps < 0 || feeBps >= BPS) {
+    throw new Error(`${name}: invalid transfer fee ${feeBps} bps`);
+  }
+  return feeBps;
+}
+
+/**
+ * What arrives when amount of a token taking feeBps on every transfer is sent, the fee
+ * rounded down like ERC20FeeOnTransferTest does.
+ */
+function afterTransferFee(amount, feeBps) {
+  [amount] = toBigNumbers("afterTransferFee", [amount]);
+  feeBps = transferFeeBps("afterTransferFee", feeBps);
+  return amount.sub(amount.mul(feeBps).div(BPS));
+}
+
+/** @return smallest amount to send so that at least amount arrives after the transfer fee */
+function beforeTransferFee(amount, feeBps) {
+  [amount] = toBigNumbers("beforeTransferFee", [amount]);
+  feeBps = transferFeeBps("beforeTransferFee", feeBps);
+  return amount
+    .mul(BPS)
+    .add(BPS - feeBps - 1)
+    .div(BPS - feeBps);
+}
+
+/** @return output units per input unit at the reserves' ratio, WAD scaled */
+function midPrice(inputReserve, outputReserve) {
+  return BigNumber.from(outputReserve).mul(WAD).div(inputReserve);
+}
+
+/** @return relative shortfall of executionPrice versus midPrice, WAD scaled */
+function priceImpact(mid, execution) {
+  if (mid.isZero()) {
+    return BigNumber.from(0);
+  }
+  return mid.sub(execution).mul(WAD).div(mid);
+}
+
+/**
+ * Hop selling ETH into the exchange for its token. fee is the exchange's swap fee,
+ * transferFeeBps the token's fee on transfer, taken from the tokens the exchange sends.
+ */
+function ethToTokenHop({ ethReserve, tokenReserve, fee, transferFeeBps }) {
+  return {
+    inputReserve: BigNumber.from(ethReserve),
+    outputReserve: BigNumber.from(tokenReserve),
+    fee: fee ?? DEFAULT_FEE,
+    inputFeeBps: 0,
+    outputFeeBps: transferFeeBps || 0,
+  };
+}
+
+/**
+ * Hop selling the exchange's token for ETH. fee is the exchange's swap fee,
+ * transferFeeBps the token's fee on transfer, taken from the tokens sent to the exchange.
+ */
+function tokenToEthHop({ ethReserve, tokenReserve, fee, transferFeeBps }) {
+  return {
+    inputReserve: BigNumber.from(tokenReserve),
+    outputReserve: BigNumber.from(ethReserve),
+    fee: fee ?? DEFAULT_FEE,
+    inputFeeBps: transferFeeBps || 0,
+    outputFeeBps: 0,
+  };
+}
+
+/** Hops of tokenToTokenSwap*: token (sold exchange) -> ETH -> token (bought exchange). */
+function tokenToTokenRoute(soldReserves, boughtReserves) {
+  return [tokenToEthHop(soldReserves), ethToTokenHop(boughtReserves)];
+}
+
+// amountIn and amountOut are what reaches and leaves the exchange, transfer fees are on top
+function describeHop(hop, amountIn, amountOut, transferFees) {
+  const mid = midPrice(hop.inputReserve, hop.outputReserve);
+  const execution = amountOut.mul(WAD).div(amountIn);
+
+  return {
+    inputReserve: hop.inputReserve,
+    outputReserve: hop.outputReserve,
+    amountIn,
+    amountOut,
+    fee: amountIn.mul(swapFee("quote", hop.fee)).div(FEE_DENOMINATOR),
+    transferFees,
+    midPrice: mid,
+    executionPrice: execution,
+    priceImpact: priceImpact(mid, execution),
+  };
+}
+
+function describeRoute(hops, amountIn, amountOut) {
+  const mid = hops.reduce((price, hop) => price.mul(hop.midPrice).div(WAD), WAD);
+  const execution = amountOut.mul(WAD).div(amountIn);
+
+  return {
+    amountIn,
+    amountOut,
+    hops,
+    midPrice: mid,
+    executionPrice: execution,
+    priceImpact: priceImpact(mid, execution),
+  };
+}
+
+/**
+ * Quotes selling exactly amountIn along hops, each hop feeding its output into the next
+ * like tokenToTokenSwapInput does. With transfer fees on the hops the quote is the one of
+ * the SupportingFeeOnTransferTokens variants, which price on what the exchange received.
+ * @param {BigNumberish} amountIn
+ * @param {Array<{inputReserve, outputReserve}>} hops
+ */
+function quoteExactInput(amountIn, hops) {
+  [amountIn] = toBigNumbers("quoteExactInput", [amountIn]);
+  if (amountIn.lte(0)) {
+    throw new Error("quoteExactInput: amount must be positive");
+  }
+  if (hops.length === 0) {
+    throw new Error("quoteExactInput: empty route");
+  }
+
+  const described = [];
+  let amount = amountIn;
+  for (const hop of hops) {
+    const received = afterTransferFee(amount, hop.inputFeeBps);
+    const out = getInputPrice(received, hop.inputReserve, hop.outputReserve, hop.fee);
+    const delivered = afterTransferFee(out, hop.outputFeeBps);
+    described.push(describeHop(hop, received, out, { input: amount.sub(received), output: out.sub(delivered) }));
+    amount = delivered;
+  }
+
+  return describeRoute(described, amountIn, amount);
+}
+
+/**
+ * Quotes buying exactly amountOut at the end of hops. Hops are priced last to first
+ * like tokenToTokenSwapOutput does. A transfer fee on the bought token is added to what
+ * the exchange has to send, one on a sold token is rejected: exact output swaps pull
+ * the quoted amount and would leave the exchange short by the fee.
+ * @param {BigNumberish} amountOut
+ * @param {Array<{inputReserve, outputReserve}>} hops
+ */
+function quoteExactOutput(amountOut, hops) {
+  [amountOut] = toBigNumbers("quoteExactOutput", [amountOut]);
+  if (amountOut.lte(0)) {
+    throw new Error("quoteExactOutput: amount must be positive");
+  }
+  if (hops.length === 0) {
+    throw new Error("quoteExactOutput: empty route");
+  }
+
+  const described = [];
+  let amount = amountOut;
+  for (const hop of [...hops].reverse()) {
+    if (hop.inputFeeBps) {
+      throw new Error("quoteExactOutput: fee on transfer token sold, quote an exact input instead");
+    }
+    const out = beforeTransferFee(amount, hop.outputFeeBps);
+    const input = getOutputPrice(out, hop.inputReserve, hop.outputReserve, hop.fee);
+    described.unshift(describeHop(hop, input, out, { input: BigNumber.from(0), output: out.sub(amount) }));
+    amount = input;
+  }
+
+  return describeRoute(described, amount, amountOut);
+}
+
+module.exports = {
+  WAD,
+  FEE_DENOMINATOR,
+  DEFAULT_FEE,
+  getInputPrice,
+  getOutputPrice,
+  afterTransferFee,
+  beforeTransferFee,
+  midPrice,
+  priceImpact,
+  ethToTokenHop,
+  tokenToEthHop,
+  tokenToTokenRoute,
+  quoteExactInput,
+  quoteExactOutput,
+};
@@ -0,0 +1,231 @@
+const { BigNumber, Contract, constants } = require("ethers");
+
+const { FACTORY_ABI, ROUTER_ABI, ERC20_ABI } = require("./abi");
+const { getInputPrice } = require("./pricing");
+const { iterateExchanges } = require("./client");
+const { DEFAULT_SLIPPAGE_BPS, withSlippageDown, getDeadline } = require("./slippage");
+
+// ETH is the zero address in paths, like in UniswapV1Router
+const ETH = constants.AddressZero;
+const DEFAULT_MAX_HOPS = 4;
+const DEFAULT_SPLIT_PARTS = 10;
+const DEFAULT_SPLIT_ROUTES = 3;
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Finds the best path of exchanges between two assets across one or more factories and
+ * their fee tiers. Works on a snapshot of reserves taken by load(); quotes use each
+ * exchange's fee and exact rounding, and account for a path or a split visiting the same
+ * exchange more than once.
+ */
+class PathFinder {
+  /**
+   * @param {ethers.providers.Provider} provider
+   * @param {string[]} factoryAddresses
+   * @param {object} [options]
+   * @param {number} [options.maxHops] maximum number of exchanges in a path
+   */
+  constructor(provider, factoryAddresses, options = {}) {
+    this.provider = provider;
+    this.factories = factoryAddresses.map((address) => new Contract(address, FACTORY_ABI, provider));
+    this.maxHops = options.maxHops || DEFAULT_MAX_HOPS;
+    this.exchanges = [];
+  }
+
+  /** Enumerates the exchanges of every factory and fee tier, and their reserves. */
+  async load() {
+    const seen = new Set();
+    this.exchanges = [];
+
+    for (const factory of this.factories) {
+      for await (const { token, exchange, fee } of iterateExchanges(factory)) {
+        if (seen.has(exchange)) {
+          continue;
+        }
+        seen.add(exchange);
+
+        const [ethReserve, tokenReserve] = await Promise.all([
+          this.provider.getBalance(exchange),
+          new Contract(token, ERC20_ABI, this.provider).balanceOf(exchange),
+        ]);
+        this.exchanges.push({ exchange, token, fee, factory: factory.address, ethReserve, tokenReserve });
+      }
+    }
+    return this.exchanges;
+  }
+
+  _reserves() {
+    return new Map(
+      this.exchanges.map((e) => [e.exchange, { ethReserve: e.ethReserve, tokenReserve: e.tokenReserve, fee: e.fee }])
+    );
+  }
+
+  /**
+   * @param {string} tokenIn token address or ETH
+   * @param {string} tokenOut token address or ETH
+   * @return every path of distinct, funded exchanges of at most maxHops from tokenIn to tokenOut
+   */
+  routes(tokenIn, tokenOut) {
+    if (sameAddress(tokenIn, tokenOut)) {
+      throw new Error("PathFinder: tokenIn and tokenOut must differ");
+    }
+    const funded = this.exchanges.filter((e) => !e.ethReserve.isZero() && !e.tokenReserve.isZero());
+    const routes = [];
+
+    const visit = (holding, path) => {
+      if (path.length > 0 && sameAddress(holding, tokenOut)) {
+        routes.push({ tokenIn, tokenOut, path: path.map((e) => e.exchange) });
+      }
+      if (path.length === this.maxHops) {
+        return;
+      }
+      for (const candidate of funded) {
+        if (path.includes(candidate)) {
+          continue;
+        }
+        if (holding === ETH) {
+          visit(candidate.token, [...path, candidate]);
+        } else if (sameAddress(candidate.token, holding)) {
+          visit(ETH, [...path, candidate]);
+        }
+      }
+    };
+    visit(tokenIn, []);
+
+    return routes;
+  }
+
+  /**
+   * Simulates selling amountIn along route, updating reserves in place.
+   * @return amount received at the end of the route
+   */
+  simulate(route, amountIn, reserves = this._reserves()) {
+    let amount = BigNumber.from(amountIn);
+    let holding = route.tokenIn;
+
+    for (const exchange of route.path) {
+      const state = reserves.get(exchange);
+      if (holding === ETH) {
+        const bought = getInputPrice(amount, state.ethReserve, state.tokenReserve, state.fee);
+        state.ethReserve = state.ethReserve.add(amount);
+        state.tokenReserve = state.tokenReserve.sub(bought);
+        amount = bought;
+        holding = this.exchanges.find((e) => e.exchange === exchange).token;
+      } else {
+        const bought = getInputPrice(amount, state.tokenReserve, state.ethReserve, state.fee);
+        state.tokenReserve = state.tokenReserve.add(amount);
+        state.ethReserve = state.ethReserve.sub(bought);
+        amount = bought;
+        holding = ETH;
+      }
+    }
+    return amount;
+  }
+
+  /** @return the single route with the highest output, or null if none exists */
+  bestRoute(tokenIn, tokenOut, amountIn) {
+    let best = null;
+    for (const route of this.routes(tokenIn, tokenOut)) {
+      const amountOut = this.simulate(route, amountIn);
+      if (!best || amountOut.gt(best.amountOut)) {
+        best = { ...route, amountIn: BigNumber.from(amountIn), amountOut };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Splits amountIn into equal parts and routes each one through whichever of the best
+   * maxRoutes routes pays most given the parts already routed.
+   * @return total output and the amount routed through each used route, quoted for
+   *         executing the splits in order
+   */
+  bestSplit(tokenIn, tokenOut, amountIn, options = {}) {
+    const parts = options.parts || DEFAULT_SPLIT_PARTS;
+    const maxRoutes = options.maxRoutes || DEFAULT_SPLIT_ROUTES;
+    amountIn = BigNumber.from(amountIn);
+
+    const candidates = this.routes(tokenIn, tokenOut)
+      .map((route) => ({ route, amountOut: this.simulate(route, amountIn) }))
+      .sort((a, b) => (b.amountOut.gt(a.amountOut) ? 1 : b.amountOut.lt(a.amountOut) ? -1 : 0))
+      .slice(0, maxRoutes)
+      .map(({ route }) => ({ ...route, amountIn: BigNumber.from(0), amountOut: BigNumber.from(0) }));
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const reserves = this._reserves();
+    const part = amountIn.div(parts);
+    for (let i = 0; i < parts; i++) {
+      // the last part takes the rounding remainder
+      const amount = i === parts - 1 ? amountIn.sub(part.mul(parts - 1)) : part;
+      if (amount.isZero()) {
+        continue;
+      }
+
+      let best = null;
+      for (const candidate of candidates) {
+        const trial = new Map([...reserves].map(([k, v]) => [k, { ...v }]));
+        const out = this.simulate(candidate, amount, trial);
+        if (!best || out.gt(best.out)) {
+          best = { candidate, out, trial };
+        }
+      }
+      best.candidate.amountIn = best.candidate.amountIn.add(amount);
+      best.candidate.amountOut = best.candidate.amountOut.add(best.out);
+      for (const [k, v] of best.trial) {
+        reserves.set(k, v);
+      }
+    }
+
+    // splits execute one after the other, so quote them that way rather than part by part
+    const splits = candidates.filter((c) => !c.amountIn.isZero());
+    const sequential = this._reserves();
+    for (const split of splits) {
+      split.amountOut = this.simulate(split, split.amountIn, sequential);
+    }
+    return {
+      tokenIn,
+      tokenOut,
+      amountIn,
+      amountOut: splits.reduce((sum, s) => sum.add(s.amountOut), BigNumber.from(0)),
+      splits,
+    };
+  }
+}
+
+/**
+ * Executes a route (or one split) through UniswapV1Router, approving the router for
+ * token input when needed. The minimum output is the route's quote less slippage.
+ * @return transaction receipt
+ */
+async function executeRoute(router, route, opts = {}) {
+  const signer = router.signer;
+  const sender = await signer.getAddress();
+  const amountOut = opts.amountOut || route.amountOut;
+  const minAmountOut = withSlippageDown(amountOut, opts.slippageBps ?? DEFAULT_SLIPPAGE_BPS);
+  const deadline = opts.deadline ?? (await getDeadline(signer.provider, opts.deadlineTtl));
+  const recipient = opts.recipient || sender;
+
+  let overrides = {};
+  if (route.tokenIn === ETH) {
+    overrides = { value: route.amountIn };
+  } else {
+    const token = new Contract(route.tokenIn, ERC20_ABI, signer);
+    if ((await token.allowance(sender, router.address)).lt(route.amountIn)) {
+      await (await token.approve(router.address, route.amountIn)).wait();
+    }
+  }
+
+  const tx = await router.swapExactInput(route.path, route.amountIn, minAmountOut, deadline, recipient, overrides);
+  return tx.wait();
+}
+
+function routerAt(address, signerOrProvider) {
+  return new Contract(address, ROUTER_ABI, signerOrProvider);
+}
+
+module.exports = { ETH, PathFinder, executeRoute, routerAt };
@@ -0,0 +1,122 @@
+const { BigNumber } = require("ethers");
+
+const { getInputPrice } = require("./pricing");
+
+// Sandwich of a victim buying tokens with ETH on an exchange: the attacker buys first with
+// frontRun ETH, moving the price up to the victim's minimum, the victim's swap executes at
+// that price and the attacker sells everything it bought. tokenToTokenSwapInput is attacked
+// on its ETH to token leg, on the exchange of the token bought.
+
+function reserves(pool) {
+  const ethReserve = BigNumber.from(pool.ethReserve);
+  const tokenReserve = BigNumber.from(pool.tokenReserve);
+  if (ethReserve.lte(0) || tokenReserve.lte(0)) {
+    throw new Error("sandwich: empty reserve");
+  }
+  return { ethReserve, tokenReserve };
+}
+
+/**
+ * Replays a sandwich with the exchange's rounding.
+ * @param {object} pool {ethReserve, tokenReserve, fee} of the exchange the victim buys on
+ * @param {object} victim {ethIn, minTokens} of its ethToTokenSwapInput, or of the ETH to
+ *        token leg of its tokenToTokenSwapInput
+ * @param frontRun ETH the attacker sells first, 0 for no attack
+ * @return {frontRun, attackerTokens, victimTokens, backRunEth, profit, executes} profit being
+ *         the attacker's ETH gain before gas and executes whether the victim's minimum holds
+ */
+function sandwichOutcome(pool, victim, frontRun) {
+  const { ethReserve, tokenReserve } = reserves(pool);
+  const ethIn = BigNumber.from(victim.ethIn);
+  frontRun = BigNumber.from(frontRun);
+
+  const attackerTokens = frontRun.isZero() ? frontRun : getInputPrice(frontRun, ethReserve, tokenReserve, pool.fee);
+  const victimTokens = getInputPrice(ethIn, ethReserve.add(frontRun), tokenReserve.sub(attackerTokens), pool.fee);
+  const backRunEth = attackerTokens.isZero()
+    ? attackerTokens
+    : getInputPrice(
+        attackerTokens,
+        tokenReserve.sub(attackerTokens).sub(victimTokens),
+        ethReserve.add(frontRun).add(ethIn),
+        pool.fee
+      );
+  return {
+    frontRun,
+    attackerTokens,
+    victimTokens,
+    backRunEth,
+    profit: backRunEth.sub(frontRun),
+    executes: victimTokens.gte(victim.minTokens),
+  };
+}
+
+/**
+ * Finds the front-run that maximizes the attacker's profit while leaving the victim's swap
+ * executable: the largest one the victim's minimum allows, unless the fees make a smaller
+ * one more profitable.
+ * @param {object} pool see sandwichOutcome
+ * @param {object} victim see sandwichOutcome
+ * @param {object} [options]
+ * @param [options.maxFrontRun] attacker capital, unbounded by default as with a flash loan
+ * @return sandwichOutcome of the best front-run, or of none when no sandwich is profitable
+ */
+function optimalSandwich(pool, victim, options = {}) {
+  const { ethReserve } = reserves(pool);
+  if (BigNumber.from(victim.minTokens).lte(0)) {
+    throw new Error("sandwich: the victim's minimum must be positive, as the exchange requires");
+  }
+  const none = sandwichOutcome(pool, victim, 0);
+  if (!none.executes) {
+    throw new Error("sandwich: the victim's swap fails its minimum without any front-run");
+  }
+  const outcome = (frontRun) => sandwichOutcome(pool, victim, frontRun);
+
+  // largest executable front-run, the victim's output falling as the front-run grows
+  let hi = options.maxFrontRun !== undefined ? BigNumber.from(options.maxFrontRun) : ethReserve;
+  if (options.maxFrontRun === undefined) {
+    while (outcome(hi).executes) {
+      hi = hi.mul(2);
+    }
+  }
+  let lo = BigNumber.from(0);
+  if (outcome(hi).executes) {
+    lo = hi;
+  }
+  while (lo.lt(hi)) {
+    const mid = lo.add(hi).add(1).div(2);
+    if (outcome(mid).executes) {
+      lo = mid;
+    } else {
+      hi = mid.sub(1);
+    }
+  }
+  const limit = lo;
+
+  // profit rises then falls with the front-run, its peak may lie below the limit
+  let left = BigNumber.from(0);
+  let right = limit;
+  while (right.sub(left).gt(2)) {
+    const third = right.sub(left).div(3);
+    const m1 = left.add(third);
+    const m2 = right.sub(third);
+    if (outcome(m1).profit.lt(outcome(m2).profit)) {
+      left = m1.add(1);
+    } else {
+      right = m2;
+    }
+  }
+  let best = none;
+  for (let frontRun = left; frontRun.lte(right); frontRun = frontRun.add(1)) {
+    const candidate = outcome(frontRun);
+    if (candidate.profit.gt(best.profit)) {
+      best = candidate;
+    }
+  }
+  const atLimit = outcome(limit);
+  if (atLimit.profit.gt(best.profit)) {
+    best = atLimit;
+  }
+  return best;
+}
+
+module.exports = { sandwichOutcome, optimalSandwich };
@@ -0,0 +1,124 @@
+const { BigNumber } = require("ethers");
+
+const BPS = 10000;
+const DEFAULT_SLIPPAGE_BPS = 50; // 0.5%
+const DEFAULT_DEADLINE_TTL = 20 * 60; // 20 minutes
+
+// the swap variants by what is exact, with or without a recipient, permit or fee on transfer suffix
+const SWAP_METHOD = /^(ethToToken|tokenToEth|tokenToToken|tokenToExchange)(Swap|Transfer)(Input|Output)/;
+
+function slippageBps(bps) {
+  bps = bps ?? DEFAULT_SLIPPAGE_BPS;
+  if (!Number.isInteger(bps) || bps < 0 || bps >= BPS) {
+    throw new Error(`slippage: invalid slippage ${bps} bps`);
+  }
+  return bps;
+}
+
+// lowers amount by bps, never below 1 because the exchange rejects zero minimums
+function withSlippageDown(amount, bps) {
+  const bounded = BigNumber.from(amount)
+    .mul(BPS - bps)
+    .div(BPS);
+  return bounded.gt(0) ? bounded : BigNumber.from(1);
+}
+
+function withSlippageUp(amount, bps) {
+  return BigNumber.from(amount)
+    .mul(BPS + bps)
+    .add(BPS - 1)
+    .div(BPS);
+}
+
+/**
+ * @param {ethers.providers.Provider} provider
+ * @param {number} [ttl] seconds after the latest block, not the local clock
+ * @return deadline for a transaction sent now
+ */
+async function getDeadline(provider, ttl = DEFAULT_DEADLINE_TTL) {
+  return (await provider.getBlock("latest")).timestamp + ttl;
+}
+
+/**
+ * Slippage bounds of a swap, named like the exchange's arguments.
+ * @param {string} method exchange method, e.g. ethToTokenTransferOutput or tokenToEthSwapInputWithPermit
+ * @param quote what the swap returns at the current price: tokens or ETH bought for Input
+ *        methods, sold for Output ones, {tokensBought, ethBought} or {tokensSold, ethSold}
+ *        for token to token
+ * @param {number} [bps] tolerance in basis points, defaults to DEFAULT_SLIPPAGE_BPS
+ * @return {minTokens} | {maxEth} | {minEth} | {maxTokens} | {minTokensBought, minEthBought}
+ *         | {maxTokensSold, maxEthSold}, maxEth being the value to send
+ */
+function swapLimits(method, quote, bps) {
+  const match = SWAP_METHOD.exec(method);
+  if (!match) {
+    throw new Error(`slippage: ${method} is not a swap`);
+  }
+  const [, kind, , side] = match;
+  bps = slippageBps(bps);
+  const down = (amount) => withSlippageDown(amount, bps);
+  const up = (amount) => withSlippageUp(amount, bps);
+
+  if (kind === "ethToToken") {
+    return side === "Input" ? { minTokens: down(quote) } : { maxEth: up(quote) };
+  }
+  if (kind === "tokenToEth") {
+    return side === "Input" ? { minEth: down(quote) } : { maxTokens: up(quote) };
+  }
+  return side === "Input"
+    ? { minTokensBought: down(quote.tokensBought), minEthBought: down(quote.ethBought) }
+    : { maxTokensSold: up(quote.tokensSold), maxEthSold: up(quote.ethSold) };
+}
+
+/**
+ * Quotes a swap on the exchange's price functions and derives its slippage bounds and deadline.
+ * Quotes assume tokens without fee on transfer.
+ * @param {ethers.Contract} exchange exchange the swap is sent to
+ * @param {string} method see swapLimits
+ * @param amount exact amount of the swap: sold for Input methods, bought for Output ones
+ * @param {object} [options]
+ * @param {ethers.Contract} [options.boughtExchange] exchange of the token bought, token to token only
+ * @param {number} [options.slippageBps]
+ * @param {number} [options.deadlineTtl]
+ * @return {quote, deadline, ...limits} limits as returned by swapLimits
+ */
+async function quoteSwapLimits(exchange, method, amount, options = {}) {
+  const match = SWAP_METHOD.exec(method);
+  if (!match) {
+    throw new Error(`slippage: ${method} is not a swap`);
+  }
+  const [, kind, , side] = match;
+  const input = side === "Input";
+
+  let quote;
+  if (kind === "ethToToken") {
+    quote = await (input ? exchange.getEthToTokenInputPrice(amount) : exchange.getEthToTokenOutputPrice(amount));
+  } else if (kind === "tokenToEth") {
+    quote = await (input ? exchange.getTokenToEthInputPrice(amount) : exchange.getTokenToEthOutputPrice(amount));
+  } else {
+    const bought = options.boughtExchange;
+    if (!bought) {
+      throw new Error(`slippage: ${method} needs the boughtExchange`);
+    }
+    if (input) {
+      const ethBought = await exchange.getTokenToEthInputPrice(amount);
+      quote = { ethBought, tokensBought: await bought.getEthToTokenInputPrice(ethBought) };
+    } else {
+      const ethSold = await bought.getEthToTokenOutputPrice(amount);
+      quote = { ethSold, tokensSold: await exchange.getTokenToEthOutputPrice(ethSold) };
+    }
+  }
+
+  const deadline = await getDeadline(exchange.provider, options.deadlineTtl);
+  return { quote, deadline, ...swapLimits(method, quote, options.slippageBps) };
+}
+
+module.exports = {
+  DEFAULT_SLIPPAGE_BPS,
+  DEFAULT_DEADLINE_TTL,
+  withSlippageDown,
+  withSlippageUp,
+  getDeadline,
+  swapLimits,
+  quoteSwapLimits,
+};
@@ -0,0 +1,78 @@
+const { BigNumber, Contract } = require("ethers");
+
+const { ORACLE_ABI } = require("./abi");
+const { DEFAULT_FEE, WAD } = require("./pricing");
+
+function oracleAt(address, provider) {
+  return new Contract(address, ORACLE_ABI, provider);
+}
+
+/**
+ * Reads the oracle accumulator as of blockTag. Like the other helpers, it takes the fee
+ * tier of the token's exchange as an optional last argument.
+ * @return {{ blockTag, timestamp: number, priceCumulative: BigNumber }}
+ */
+async function observe(oracle, tokenAddr, blockTag = "latest", fee = DEFAULT_FEE) {
+  let result;
+  try {
+    result = await oracle.currentCumulativePriceWithFee(tokenAddr, fee, { blockTag });
+  } catch (e) {
+    throw new Error(`twap: no observation for ${tokenAddr} at block ${blockTag}`);
+  }
+  const [priceCumulative, timestamp] = result;
+  return { blockTag, timestamp: timestamp.toNumber(), priceCumulative };
+}
+
+/** @return average price between two observations, ETH per token scaled by 1e18 */
+function computeTwap(start, end) {
+  const elapsed = end.timestamp - start.timestamp;
+  if (elapsed <= 0) {
+    throw new Error("twap: observations must be at increasing timestamps");
+  }
+  return BigNumber.from(end.priceCumulative).sub(start.priceCumulative).div(elapsed);
+}
+
+/** @return number of the first block mined at or after timestamp, at most toBlock */
+async function findBlock(provider, timestamp, toBlock) {
+  let low = 0;
+  let high = toBlock;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if ((await provider.getBlock(mid)).timestamp < timestamp) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * TWAP over the last windowSeconds before blockTag. The window starts at the first
+ * block mined inside it, so the effective window can be shorter; it is returned
+ * alongside the price.
+ */
+async function twapOverWindow(oracle, tokenAddr, windowSeconds, blockTag = "latest", fee = DEFAULT_FEE) {
+  if (!Number.isInteger(windowSeconds) || windowSeconds <= 0) {
+    throw new Error(`twap: invalid window ${windowSeconds}`);
+  }
+  const endBlock = await oracle.provider.getBlock(blockTag);
+  const end = await observe(oracle, tokenAddr, endBlock.number, fee);
+  const startBlock = await findBlock(oracle.provider, end.timestamp - windowSeconds, endBlock.number);
+  const start = await observe(oracle, tokenAddr, startBlock, fee);
+
+  return { twap: computeTwap(start, end), window: end.timestamp - start.timestamp, start, end };
+}
+
+/**
+ * Compares the TWAP to the current spot price.
+ * @return twap, spot and their relative deviation (spot - twap) / twap, scaled by 1e18
+ */
+async function compareToSpot(oracle, tokenAddr, windowSeconds, blockTag = "latest", fee = DEFAULT_FEE) {
+  const { twap, window } = await twapOverWindow(oracle, tokenAddr, windowSeconds, blockTag, fee);
+  const spot = await oracle.getSpotPriceWithFee(tokenAddr, fee, { blockTag });
+
+  return { twap, spot, window, deviation: spot.sub(twap).mul(WAD).div(twap) };
+}
+
+module.exports = { oracleAt, observe, computeTwap, findBlock, twapOverWindow, compareToSpot };
@@ -0,0 +1,357 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+const { DEFAULT_FEE, midPrice } = require("../lib/pricing");
+const { getDeadline } = require("../lib/slippage");
+
+// Declarative market scenarios: tokens, their initial reserves, actors and an ordered list of
+// operations, run against a fresh UniswapFactoryV1 with the state recorded after every step.
+// See scenarios/example.yaml.
+
+const ETH = "ETH";
+
+// swap variants, each sending its call from the step's resolved amounts and addresses
+const SWAPS = {
+  ethToTokenSwapInput: (x) => x.exchange.ethToTokenSwapInput(x.min, x.deadline, { value: x.amount }),
+  ethToTokenTransferInput: (x) =>
+    x.exchange.ethToTokenTransferInput(x.min, x.deadline, x.recipient, { value: x.amount }),
+  ethToTokenSwapOutput: (x) => x.exchange.ethToTokenSwapOutput(x.amount, x.deadline, { value: x.max }),
+  ethToTokenTransferOutput: (x) =>
+    x.exchange.ethToTokenTransferOutput(x.amount, x.deadline, x.recipient, { value: x.max }),
+  tokenToEthSwapInput: (x) => x.exchange.tokenToEthSwapInput(x.amount, x.min, x.deadline),
+  tokenToEthTransferInput: (x) => x.exchange.tokenToEthTransferInput(x.amount, x.min, x.deadline, x.recipient),
+  tokenToEthSwapOutput: (x) => x.exchange.tokenToEthSwapOutput(x.amount, x.max, x.deadline),
+  tokenToEthTransferOutput: (x) => x.exchange.tokenToEthTransferOutput(x.amount, x.max, x.deadline, x.recipient),
+  tokenToTokenSwapInput: (x) => x.exchange.tokenToTokenSwapInput(x.amount, x.min, 1, x.deadline, x.to.token.address),
+  tokenToTokenTransferInput: (x) =>
+    x.exchange.tokenToTokenTransferInput(x.amount, x.min, 1, x.deadline, x.recipient, x.to.token.address),
+  tokenToTokenSwapOutput: (x) =>
+    x.exchange.tokenToTokenSwapOutput(x.amount, x.max, x.maxEth, x.deadline, x.to.token.address),
+  tokenToTokenTransferOutput: (x) =>
+    x.exchange.tokenToTokenTransferOutput(x.amount, x.max, x.maxEth, x.deadline, x.recipient, x.to.token.address),
+  tokenToExchangeSwapInput: (x) =>
+    x.exchange.tokenToExchangeSwapInput(x.amount, x.min, 1, x.deadline, x.to.exchange.address),
+  tokenToExchangeTransferInput: (x) =>
+    x.exchange.tokenToExchangeTransferInput(x.amount, x.min, 1, x.deadline, x.recipient, x.to.exchange.address),
+  tokenToExchangeSwapOutput: (x) =>
+    x.exchange.tokenToExchangeSwapOutput(x.amount, x.max, x.maxEth, x.deadline, x.to.exchange.address),
+  tokenToExchangeTransferOutput: (x) =>
+    x.exchange.tokenToExchangeTransferOutput(x.amount, x.max, x.maxEth, x.deadline, x.recipient, x.to.exchange.address),
+};
+const ACTIONS = [...Object.keys(SWAPS), "addLiquidity", "removeLiquidity", "wait"];
+
+function fail(message) {
+  throw new Error(`scenario: ${message}`);
+}
+
+/** Reads a scenario from a .json, .yaml or .yml file. */
+function loadScenario(file) {
+  const text = fs.readFileSync(file, "utf8");
+  switch (path.extname(file).toLowerCase()) {
+    case ".json":
+      return JSON.parse(text);
+    case ".yaml":
+    case ".yml":
+      return yaml.load(text);
+    default:
+      fail(`${file} is neither JSON nor YAML`);
+  }
+}
+
+function validateScenario(scenario) {
+  if (!scenario || !Array.isArray(scenario.tokens) || scenario.tokens.length === 0) {
+    fail("scenario must have a tokens array");
+  }
+  const symbols = new Set();
+  const fees = {};
+  for (const token of scenario.tokens) {
+    if (!token.symbol || token.symbol.toUpperCase() === ETH) {
+      fail(`invalid token symbol ${token.symbol}`);
+    }
+    if (symbols.has(token.symbol)) {
+      fail(`duplicate token symbol ${token.symbol}`);
+    }
+    symbols.add(token.symbol);
+    fees[token.symbol] = token.fee ?? DEFAULT_FEE;
+    if (token.reserves && (!token.reserves.eth || !token.reserves.tokens)) {
+      fail(`reserves of ${token.symbol} need eth and tokens`);
+    }
+  }
+
+  const actors = new Set();
+  for (const actor of scenario.actors || []) {
+    if (!actor.name || actors.has(actor.name)) {
+      fail(`every actor needs a unique name, got ${actor.name}`);
+    }
+    actors.add(actor.name);
+    for (const symbol of Object.keys(actor.tokens || {})) {
+      if (!symbols.has(symbol)) {
+        fail(`actor ${actor.name} holds unknown token ${symbol}`);
+      }
+    }
+  }
+
+  if (!Array.isArray(scenario.steps)) {
+    fail("scenario must have a steps array");
+  }
+  scenario.steps.forEach((step, i) => {
+    const where = `step ${i + 1} (${step.action})`;
+    if (!ACTIONS.includes(step.action)) {
+      fail(`${where}: unknown action, expected one of ${ACTIONS.join(", ")}`);
+    }
+    if (step.action === "wait") {
+      if (!Number.isInteger(step.seconds) || step.seconds <= 0) {
+        fail(`${where}: seconds must be a positive integer`);
+      }
+      return;
+    }
+    if (!actors.has(step.actor)) {
+      fail(`${where}: unknown actor ${step.actor}`);
+    }
+    if (!symbols.has(step.token)) {
+      fail(`${where}: unknown token ${step.token}`);
+    }
+    if (step.action === "addLiquidity" ? !step.eth : !step.amount) {
+      fail(`${where}: missing ${step.action === "addLiquidity" ? "eth" : "amount"}`);
+    }
+    if (/^tokenTo(Token|Exchange)/.test(step.action) && (!symbols.has(step.to) || step.to === step.token)) {
+      fail(`${where}: to must be another token, got ${step.to}`);
+    }
+    // the contract buys in the seller's tier, falling back to the default one
+    if (step.action.startsWith("tokenToToken") && ![fees[step.token], DEFAULT_FEE].includes(fees[step.to])) {
+      fail(`${where}: ${step.to} is in neither the fee tier of ${step.token} nor the default one, use tokenToExchange`);
+    }
+    if (step.action.includes("Transfer") && !actors.has(step.recipient)) {
+      fail(`${where}: unknown recipient ${step.recipient}`);
+    }
+  });
+}
+
+async function deployMarket(hre, scenario) {
+  const { ethers } = hre;
+  const [deployer, ...signers] = await ethers.getSigners();
+  const actorConfigs = scenario.actors || [];
+  if (actorConfigs.length > signers.length) {
+    fail(`${actorConfigs.length} actors but only ${signers.length} accounts besides the deployer`);
+  }
+
+  const factory = await (await ethers.getContractFactory("UniswapFactoryV1")).deploy();
+  const tokenFactory = await ethers.getContractFactory("ERC20Test");
+  const deadline = await getDeadline(ethers.provider);
+
+  const tokens = {};
+  for (const config of scenario.tokens) {
+    const fee = config.fee ?? DEFAULT_FEE;
+    const token = await tokenFactory.deploy(
+      config.name || `${config.symbol} token`,
+      config.symbol,
+      ethers.constants.MaxUint256
+    );
+    await factory.createExchangeWithFee(token.address, fee);
+    const exchange = await ethers.getContractAt(
+      "UniswapExchangeV1",
+      await factory.getExchangeWithFee(token.address, fee)
+    );
+    if (config.reserves) {
+      const tokenAmount = ethers.utils.parseEther(config.reserves.tokens);
+      await token.approve(exchange.address, tokenAmount);
+      await exchange.addLiquidity(0, tokenAmount, deadline, {
+        value: ethers.utils.parseEther(config.reserves.eth),
+      });
+    }
+    tokens[config.symbol] = { token, exchange };
+  }
+
+  const actors = {};
+  for (const [i, config] of actorConfigs.entries()) {
+    const signer = signers[i];
+    for (const [symbol, amount] of Object.entries(config.tokens || {})) {
+      await tokens[symbol].token.transfer(signer.address, ethers.utils.parseEther(amount));
+    }
+    for (const { token, exchange } of Object.values(tokens)) {
+      await token.connect(signer).approve(exchange.address, ethers.constants.MaxUint256);
+    }
+    // after the approvals, so the scenario starts with exactly this balance
+    if (config.eth) {
+      const balance = ethers.utils.parseEther(config.eth);
+      await ethers.provider.send("hardhat_setBalance", [signer.address, ethers.utils.hexValue(balance)]);
+    }
+    actors[config.name] = signer;
+  }
+  // gas paid by each actor during the steps, added back to their ETH balance
+  const gasSpent = Object.fromEntries(Object.keys(actors).map((name) => [name, ethers.BigNumber.from(0)]));
+  return { factory, tokens, actors, gasSpent };
+}
+
+async function sendStep(hre, market, step) {
+  const { ethers } = hre;
+  const parse = (value, fallback) => (value === undefined ? fallback : ethers.utils.parseEther(String(value)));
+  const signer = market.actors[step.actor];
+  const exchange = market.tokens[step.token].exchange.connect(signer);
+  const deadline = await getDeadline(ethers.provider);
+
+  if (step.action === "addLiquidity") {
+    const maxTokens = parse(step.maxTokens, await market.tokens[step.token].token.balanceOf(signer.address));
+    return exchange.addLiquidity(parse(step.minLiquidity, 1), maxTokens, deadline, { value: parse(step.eth) });
+  }
+  if (step.action === "removeLiquidity") {
+    return exchange.removeLiquidity(parse(step.amount), parse(step.minEth, 1), parse(step.minTokens, 1), deadline);
+  }
+
+  const amount = parse(step.amount);
+  // without a limit, ETH paid is the quote and tokens paid are bounded by the allowance
+  const max = step.action.startsWith("ethToToken")
+    ? parse(step.max, step.action.endsWith("Output") ? await exchange.getEthToTokenOutputPrice(amount) : undefined)
+    : parse(step.max, ethers.constants.MaxUint256);
+  return SWAPS[step.action]({
+    exchange,
+    amount,
+    min: parse(step.min, 1),
+    max,
+    maxEth: parse(step.maxEth, ethers.constants.MaxUint256),
+    deadline,
+    recipient: step.recipient && market.actors[step.recipient].address,
+    to: step.to && market.tokens[step.to],
+  });
+}
+
+async function snapshotState(hre, market) {
+  const { ethers } = hre;
+  const format = (amount) => ethers.utils.formatEther(amount);
+  const pools = {};
+  for (const [symbol, { token, exchange }] of Object.entries(market.tokens)) {
+    const [ethReserve, tokenReserve, totalSupply] = await Promise.all([
+      ethers.provider.getBalance(exchange.address),
+      token.balanceOf(exchange.address),
+      exchange.totalSupply(),
+    ]);
+    pools[symbol] = {
+      ethReserve: format(ethReserve),
+      tokenReserve: format(tokenReserve),
+      totalSupply: format(totalSupply),
+      // ETH per token
+      price: tokenReserve.isZero() ? null : format(midPrice(tokenReserve, ethReserve)),
+    };
+  }
+
+  const actors = {};
+  for (const [name, signer] of Object.entries(market.actors)) {
+    const balance = await ethers.provider.getBalance(signer.address);
+    const balances = { [ETH]: format(balance.add(market.gasSpent[name])) };
+    for (const [symbol, { token, exchange }] of Object.entries(market.tokens)) {
+      balances[symbol] = format(await token.balanceOf(signer.address));
+      balances[`${symbol}-LP`] = format(await exchange.balanceOf(signer.address));
+    }
+    actors[name] = balances;
+  }
+  return { pools, actors };
+}
+
+/**
+ * Runs a scenario against a fresh factory, on a Hardhat network: actor ETH balances are set
+ * with hardhat_setBalance and waits use evm_increaseTime. A reverting step is recorded and
+ * the scenario carries on.
+ * @param {HardhatRuntimeEnvironment} hre
+ * @param {object} scenario see scenarios/example.yaml, amounts in ether units
+ * @param {object} [options]
+ * @param {function} [options.log]
+ * @return {{factory, tokens, timeline}} tokens maps symbols to {token, exchange} addresses, the
+ *         timeline has the state before the first step then after each step: pools' reserves,
+ *         LP supply and ETH per token price, and actors' balances, ETH ones net of gas
+ */
+async function runScenario(hre, scenario, options = {}) {
+  validateScenario(scenario);
+  const { ethers } = hre;
+  const log = options.log || (() => {});
+  const market = await deployMarket(hre, scenario);
+
+  const record = async (index, step, status) => {
+    const block = await ethers.provider.getBlock("latest");
+    return {
+      step: index,
+      action: step ? step.action : "initial",
+      actor: (step && step.actor) || null,
+      status,
+      blockNumber: block.number,
+      timestamp: block.timestamp,
+      ...(await snapshotState(hre, market)),
+    };
+  };
+
+  const timeline = [await record(0, null, "ok")];
+  for (const [i, step] of scenario.steps.entries()) {
+    let status = "ok";
+    if (step.action === "wait") {
+      await ethers.provider.send("evm_increaseTime", [step.seconds]);
+      await ethers.provider.send("evm_mine", []);
+    } else {
+      let receipt;
+      try {
+        receipt = await (await sendStep(hre, market, step)).wait();
+      } catch (e) {
+        // a mined transaction that reverted still paid for gas
+        receipt = e.receipt;
+        status = `reverted: ${e.reason || e.message.split("\n")[0]}`;
+      }
+      if (receipt) {
+        const gas = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+        market.gasSpent[step.actor] = market.gasSpent[step.actor].add(gas);
+      }
+    }
+    log(`${i + 1}. ${step.actor ? `${step.actor} ` : ""}${step.action}: ${status}`);
+    timeline.push(await record(i + 1, step, status));
+  }
+
+  const tokens = {};
+  for (const [symbol, { token, exchange }] of Object.entries(market.tokens)) {
+    tokens[symbol] = { token: token.address, exchange: exchange.address };
+  }
+  return { factory: market.factory.address, tokens, timeline };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** @return the timeline as CSV, one row per step, pool and actor columns named <pool>.<field> */
+function formatCsv(timeline) {
+  const flatten = (row) => {
+    const columns = {
+      step: row.step,
+      action: row.action,
+      actor: row.actor,
+      status: row.status,
+      blockNumber: row.blockNumber,
+      timestamp: row.timestamp,
+    };
+    for (const group of ["pools", "actors"]) {
+      for (const [name, fields] of Object.entries(row[group])) {
+        for (const [field, value] of Object.entries(fields)) {
+          columns[`${name}.${field}`] = value;
+        }
+      }
+    }
+    return columns;
+  };
+
+  const rows = timeline.map(flatten);
+  const header = Object.keys(rows[0]);
+  return [header, ...rows.map((row) => header.map((column) => row[column]))]
+    .map((fields) => fields.map(csvField).join(","))
+    .join("\n")
+    .concat("\n");
+}
+
+/** Writes the timeline as CSV or JSON, by the extension of file. */
+function writeTimeline(file, timeline) {
+  const extension = path.extname(file).toLowerCase();
+  if (extension !== ".csv" && extension !== ".json") {
+    fail(`${file} must end in .csv or .json`);
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, extension === ".csv" ? formatCsv(timeline) : JSON.stringify(timeline, null, 2) + "\n");
+}
+
+module.exports = { ACTIONS, loadScenario, validateScenario, deployMarket, runScenario, formatCsv, writeTimeline };
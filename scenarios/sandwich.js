@@ -0,0 +1,159 @@
+const { DEFAULT_FEE } = require("../lib/pricing");
+const { optimalSandwich } = require("../lib/sandwich");
+const { DEFAULT_SLIPPAGE_BPS, quoteSwapLimits } = require("../lib/slippage");
+const { deployMarket } = require("./runner");
+
+// Sandwich simulations: a victim's pending ethToTokenSwapInput or tokenToTokenSwapInput on a
+// fresh factory, the attacker's optimal front-run from lib/sandwich.js, then front-run, victim
+// and back-run executed in that order on the Hardhat network.
+
+const METHODS = ["ethToTokenSwapInput", "tokenToTokenSwapInput"];
+const BOUGHT = "BUY";
+const SOLD = "SELL";
+// left to the victim and attacker for gas, on top of what they swap
+const GAS_ETH = "1";
+const GAS_LIMIT = 300000;
+
+function fail(message) {
+  throw new Error(`sandwich: ${message}`);
+}
+
+function validateConfig(config) {
+  if (!METHODS.includes(config.method)) {
+    fail(`method must be one of ${METHODS.join(", ")}, got ${config.method}`);
+  }
+  const pools = config.method === "tokenToTokenSwapInput" ? ["pool", "soldPool"] : ["pool"];
+  for (const name of pools) {
+    if (!config[name] || !config[name].eth || !config[name].tokens) {
+      fail(`${name} needs eth and tokens`);
+    }
+  }
+  // tokenToTokenSwapInput buys in the sold token's tier, falling back to the default one
+  const tiers = pools.map((name) => config[name].fee ?? DEFAULT_FEE);
+  if (tiers.length > 1 && ![tiers[1], DEFAULT_FEE].includes(tiers[0])) {
+    fail("pool is in neither the fee tier of soldPool nor the default one");
+  }
+  if (!config.amount) {
+    fail("missing amount");
+  }
+}
+
+/**
+ * Runs one sandwich against a fresh factory.
+ * @param {HardhatRuntimeEnvironment} hre
+ * @param {object} config amounts in ether units:
+ *        method ethToTokenSwapInput or tokenToTokenSwapInput,
+ *        pool {eth, tokens, fee} of the exchange the victim buys on,
+ *        soldPool {eth, tokens, fee} of the token sold, tokenToTokenSwapInput only,
+ *        amount ETH or tokens the victim sells,
+ *        slippageBps the victim's tolerance, its minimum being quoted like lib/slippage.js does,
+ *        maxFrontRun attacker capital in ETH, unbounded by default
+ * @return {slippageBps, quote, minTokens, frontRun, predictedProfit, attackerProfit, attackerGas,
+ *         victimTokens, victimShortfall, shortfallBps} wei amounts, attackerProfit being its ETH
+ *         gain before the attackerGas it paid and victimShortfall the tokens it got under quote
+ */
+async function simulateSandwich(hre, config) {
+  validateConfig(config);
+  const { ethers } = hre;
+  const eth = ethers.utils.parseEther;
+  const tokenToToken = config.method === "tokenToTokenSwapInput";
+  const amount = eth(config.amount);
+
+  const token = (symbol, pool) => ({ symbol, reserves: { eth: pool.eth, tokens: pool.tokens }, fee: pool.fee });
+  const tokens = [token(BOUGHT, config.pool)];
+  const victimConfig = { name: "victim", eth: GAS_ETH };
+  if (tokenToToken) {
+    tokens.push(token(SOLD, config.soldPool));
+    victimConfig.tokens = { [SOLD]: config.amount };
+  } else {
+    victimConfig.eth = ethers.utils.formatEther(amount.add(eth(GAS_ETH)));
+  }
+  const market = await deployMarket(hre, { tokens, actors: [victimConfig, { name: "attacker" }] });
+  const { victim, attacker } = market.actors;
+  const bought = market.tokens[BOUGHT];
+  const victimExchange = market.tokens[tokenToToken ? SOLD : BOUGHT].exchange.connect(victim);
+
+  // the victim's pending swap, quoted before the attack
+  const limits = await quoteSwapLimits(victimExchange, config.method, amount, {
+    boughtExchange: bought.exchange,
+    slippageBps: config.slippageBps,
+  });
+  const quote = tokenToToken ? limits.quote.tokensBought : limits.quote;
+  const minTokens = tokenToToken ? limits.minTokensBought : limits.minTokens;
+  const pool = {
+    ethReserve: await ethers.provider.getBalance(bought.exchange.address),
+    tokenReserve: await bought.token.balanceOf(bought.exchange.address),
+    fee: (await bought.exchange.fee()).toNumber(),
+  };
+  const plan = optimalSandwich(
+    pool,
+    { ethIn: tokenToToken ? limits.quote.ethBought : amount, minTokens },
+    { maxFrontRun: config.maxFrontRun === undefined ? undefined : eth(config.maxFrontRun) }
+  );
+
+  // funded after deployMarket's approvals, so its balance only moves with the sandwich
+  const balance = plan.frontRun.add(eth(GAS_ETH));
+  await ethers.provider.send("hardhat_setBalance", [attacker.address, ethers.utils.hexValue(balance)]);
+  const attackerExchange = bought.exchange.connect(attacker);
+  const overrides = { gasLimit: GAS_LIMIT };
+  let attackerGas = ethers.BigNumber.from(0);
+  const attack = async (tx) => {
+    const receipt = await (await tx).wait();
+    attackerGas = attackerGas.add(receipt.gasUsed.mul(receipt.effectiveGasPrice));
+  };
+
+  if (plan.frontRun.gt(0)) {
+    await attack(attackerExchange.ethToTokenSwapInput(1, limits.deadline, { ...overrides, value: plan.frontRun }));
+  }
+  const victimBefore = await bought.token.balanceOf(victim.address);
+  const victimTx = tokenToToken
+    ? victimExchange.tokenToTokenSwapInput(
+        amount,
+        limits.minTokensBought,
+        limits.minEthBought,
+        limits.deadline,
+        bought.token.address,
+        overrides
+      )
+    : victimExchange.ethToTokenSwapInput(limits.minTokens, limits.deadline, { ...overrides, value: amount });
+  await (await victimTx).wait();
+  const victimTokens = (await bought.token.balanceOf(victim.address)).sub(victimBefore);
+  const attackerTokens = await bought.token.balanceOf(attacker.address);
+  if (attackerTokens.gt(0)) {
+    await attack(attackerExchange.tokenToEthSwapInput(attackerTokens, 1, limits.deadline, overrides));
+  }
+
+  const victimShortfall = quote.sub(victimTokens);
+  return {
+    slippageBps: config.slippageBps ?? DEFAULT_SLIPPAGE_BPS,
+    quote,
+    minTokens,
+    frontRun: plan.frontRun,
+    predictedProfit: plan.profit,
+    attackerProfit: (await ethers.provider.getBalance(attacker.address)).add(attackerGas).sub(balance),
+    attackerGas,
+    victimTokens,
+    victimShortfall,
+    shortfallBps: victimShortfall.mul(10000).div(quote).toNumber(),
+  };
+}
+
+/**
+ * Runs the same sandwich at every slippage tolerance, reverting the chain after each run.
+ * @param {number[]} slippages victim tolerances in basis points
+ * @return simulateSandwich results, one per tolerance
+ */
+async function sweepSandwich(hre, config, slippages) {
+  const results = [];
+  for (const slippageBps of slippages) {
+    const snapshot = await hre.ethers.provider.send("evm_snapshot", []);
+    try {
+      results.push(await simulateSandwich(hre, { ...config, slippageBps }));
+    } finally {
+      await hre.ethers.provider.send("evm_revert", [snapshot]);
+    }
+  }
+  return results;
+}
+
+module.exports = { METHODS, simulateSandwich, sweepSandwich };
@@ -0,0 +1,522 @@
+const fs = require("fs");
+const path = require("path");
+
+const { utils } = require("ethers");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+const { EXCHANGE_ABI, UniswapV1Client, getProtocolFees } = require("../lib");
+const { deploy } = require("../deploy/deployer");
+const gas = require("../gas/profiler");
+const conformance = require("../conformance/abi-diff");
+const vyper = require("../conformance/vyper-bytecode");
+const scenarios = require("../scenarios/runner");
+const sandwich = require("../scenarios/sandwich");
+
+const PLUGIN = "uniswap";
+// pseudo token address accepted by --from / --to
+const ETH = "ETH";
+const exchangeInterface = new utils.Interface(EXCHANGE_ABI);
+
+function fail(message) {
+  throw new HardhatPluginError(PLUGIN, message);
+}
+
+function requireAddress(ethers, name, value) {
+  if (!ethers.utils.isAddress(value)) {
+    fail(`--${name} is not a valid address: ${value}`);
+  }
+  return ethers.utils.getAddress(value);
+}
+
+function requireSlippage(value) {
+  if (!Number.isInteger(value) || value < 0 || value >= 10000) {
+    fail(`--slippage must be an integer number of basis points below 10000, got ${value}`);
+  }
+  return value;
+}
+
+function isEth(value) {
+  return value.toUpperCase() === ETH;
+}
+
+async function getSigner(ethers, index) {
+  const signers = await ethers.getSigners();
+  if (!Number.isInteger(index) || index < 0 || index >= signers.length) {
+    fail(`--account must be between 0 and ${signers.length - 1}, got ${index}`);
+  }
+  return signers[index];
+}
+
+async function getClient(hre, args) {
+  const factory = requireAddress(hre.ethers, "factory", args.factory);
+  if ((await hre.ethers.provider.getCode(factory)) === "0x") {
+    fail(`no contract deployed at factory ${factory}`);
+  }
+  const signer = await getSigner(hre.ethers, args.account);
+  return new UniswapV1Client(factory, signer, { slippageBps: requireSlippage(args.slippage), fee: args.fee });
+}
+
+async function tokenInfo(client, address) {
+  if (isEth(address)) {
+    return { address: ETH, symbol: ETH, decimals: 18 };
+  }
+  const token = client.token(address);
+  const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+  return { address, symbol, decimals };
+}
+
+function parseAmount(ethers, name, value, decimals) {
+  let amount;
+  try {
+    amount = ethers.utils.parseUnits(value, decimals);
+  } catch (e) {
+    fail(`--${name} is not a valid amount: ${value}`);
+  }
+  if (amount.lte(0)) {
+    fail(`--${name} must be positive, got ${value}`);
+  }
+  return amount;
+}
+
+// only a missing exchange is reported as such, RPC and contract errors go through
+async function requireExchange(client, token) {
+  const exchange = await client.getExchange(token);
+  if (!exchange) {
+    fail(`no exchange for token ${token} in fee tier ${client.fee}`);
+  }
+  return exchange;
+}
+
+function format(ethers, amount, info) {
+  return `${ethers.utils.formatUnits(amount, info.decimals)} ${info.symbol}`;
+}
+
+// Resolves --from/--to/--amount into the client method suffix and parsed amount.
+async function resolveTrade(hre, client, args) {
+  const { ethers } = hre;
+  if (isEth(args.from) && isEth(args.to)) {
+    fail("--from and --to cannot both be ETH");
+  }
+  const from = isEth(args.from) ? ETH : requireAddress(ethers, "from", args.from);
+  const to = isEth(args.to) ? ETH : requireAddress(ethers, "to", args.to);
+  if (from === to) {
+    fail("--from and --to must differ");
+  }
+
+  const fromInfo = await tokenInfo(client, from);
+  const toInfo = await tokenInfo(client, to);
+  const amount = parseAmount(ethers, "amount", args.amount, args.exactOutput ? toInfo.decimals : fromInfo.decimals);
+  const side = args.exactOutput ? "Output" : "Input";
+
+  let kind, tokens;
+  if (from === ETH) {
+    kind = "EthToToken";
+    tokens = [to];
+  } else if (to === ETH) {
+    kind = "TokenToEth";
+    tokens = [from];
+  } else {
+    kind = "TokenToToken";
+    tokens = [from, to];
+  }
+  for (const token of tokens) {
+    await requireExchange(client, token);
+  }
+
+  return { method: `${kind}${side}`, tokens, amount, fromInfo, toInfo };
+}
+
+// quote* returns a plain amount for single hops and an object for token to token
+function quotedAmounts(trade, quote, exactOutput) {
+  if (trade.tokens.length === 1) {
+    return exactOutput ? { amountIn: quote, amountOut: trade.amount } : { amountIn: trade.amount, amountOut: quote };
+  }
+  return exactOutput
+    ? { amountIn: quote.tokensSold, amountOut: trade.amount }
+    : { amountIn: trade.amount, amountOut: quote.tokensBought };
+}
+
+// what the exchanges took and paid, from the purchase events of a swap's receipt: token to
+// token emits EthPurchase on the exchange sold to and TokenPurchase on the one bought from
+function swappedAmounts(trade, receipt) {
+  const events = {};
+  for (const log of receipt.logs) {
+    try {
+      const parsed = exchangeInterface.parseLog(log);
+      events[parsed.name] = parsed.args;
+    } catch (e) {
+      // not an exchange event
+    }
+  }
+  const { TokenPurchase, EthPurchase } = events;
+  return {
+    amountIn: trade.fromInfo.address === ETH ? TokenPurchase._ethSold : EthPurchase._tokensSold,
+    amountOut: trade.toInfo.address === ETH ? EthPurchase._ethBouht : TokenPurchase._tokensBought,
+  };
+}
+
+function withTradeParams(definition) {
+  return definition
+    .addParam("factory", "UniswapFactoryV1 address")
+    .addParam("from", "Token address sold, or ETH")
+    .addParam("to", "Token address bought, or ETH")
+    .addParam("amount", "Amount sold, or bought with --exact-output, in token units (e.g. 1.5)")
+    .addFlag("exactOutput", "Treat --amount as the exact amount bought")
+    .addOptionalParam("fee", "Fee tier out of 10000 of the exchanges traded on", 30, types.int)
+    .addOptionalParam("account", "Index of the signer to use", 0, types.int)
+    .addOptionalParam("slippage", "Slippage tolerance in basis points", 50, types.int);
+}
+
+task("uniswap:deploy-factory", "Deploys UniswapFactoryV1").setAction(async (args, hre) => {
+  const factoryFactory = await hre.ethers.getContractFactory("UniswapFactoryV1");
+  const factory = await factoryFactory.deploy();
+  await factory.deployed();
+
+  console.log(`UniswapFactoryV1 deployed at ${factory.address}`);
+  return factory.address;
+});
+
+task("uniswap:deploy", "Deploys the factory, test tokens and exchanges described by a config file")
+  .addOptionalParam("spec", "Deployment config file", "deploy/config.json")
+  .addOptionalParam("manifest", "Manifest path, defaults to deployments/<network>.json")
+  .setAction(async (args, hre) => {
+    const file = path.resolve(hre.config.paths.root, args.spec);
+    if (!fs.existsSync(file)) {
+      fail(`config file not found: ${file}`);
+    }
+    const config = JSON.parse(fs.readFileSync(file, "utf8"));
+    const manifest = args.manifest && path.resolve(hre.config.paths.root, args.manifest);
+
+    return deploy(hre, config, { manifest });
+  });
+
+task("uniswap:scenario", "Runs a JSON or YAML market scenario against a fresh factory and exports its timeline")
+  .addParam("file", "Scenario file, see scenarios/example.yaml")
+  .addOptionalParam("output", "Timeline file written, .csv or .json")
+  .setAction(async (args, hre) => {
+    const root = hre.config.paths.root;
+    const file = path.resolve(root, args.file);
+    if (!fs.existsSync(file)) {
+      fail(`no scenario at ${file}`);
+    }
+    if (args.output && ![".csv", ".json"].includes(path.extname(args.output).toLowerCase())) {
+      fail(`--output must end in .csv or .json, got ${args.output}`);
+    }
+
+    let result;
+    try {
+      result = await scenarios.runScenario(hre, scenarios.loadScenario(file), { log: console.log });
+    } catch (e) {
+      fail(e.message);
+    }
+    if (args.output) {
+      const output = path.resolve(root, args.output);
+      scenarios.writeTimeline(output, result.timeline);
+      console.log(`Timeline of ${result.timeline.length} states written to ${output}`);
+    }
+    return result;
+  });
+
+task("uniswap:sandwich", "Simulates sandwiching a pending swap and reports attacker profit and victim shortfall")
+  .addOptionalParam("method", `Victim's swap: ${sandwich.METHODS.join(" or ")}`, "ethToTokenSwapInput")
+  .addParam("ethReserve", "ETH reserve of the exchange the victim buys on")
+  .addParam("tokenReserve", "Token reserve of the exchange the victim buys on")
+  .addOptionalParam("fee", "Fee tier of that exchange", 30, types.int)
+  .addOptionalParam("soldEthReserve", "ETH reserve of the exchange of the token sold, tokenToTokenSwapInput only")
+  .addOptionalParam("soldTokenReserve", "Token reserve of the exchange of the token sold")
+  .addOptionalParam("soldFee", "Fee tier of the exchange of the token sold", 30, types.int)
+  .addParam("amount", "ETH or tokens the victim sells")
+  .addOptionalParam("slippage", "Victim's slippage tolerance in basis points", 50, types.int)
+  .addOptionalParam("sweep", "Comma separated tolerances in basis points, instead of --slippage")
+  .addOptionalParam("maxFrontRun", "Attacker capital in ETH, unbounded by default")
+  .setAction(async (args, hre) => {
+    const { formatEther } = hre.ethers.utils;
+    const slippages = args.sweep ? args.sweep.split(",").map((value) => Number(value.trim())) : [args.slippage];
+    slippages.forEach(requireSlippage);
+    const config = {
+      method: args.method,
+      pool: { eth: args.ethReserve, tokens: args.tokenReserve, fee: args.fee },
+      amount: args.amount,
+      maxFrontRun: args.maxFrontRun,
+    };
+    if (args.soldEthReserve || args.soldTokenReserve) {
+      config.soldPool = { eth: args.soldEthReserve, tokens: args.soldTokenReserve, fee: args.soldFee };
+    }
+
+    let results;
+    try {
+      results = await sandwich.sweepSandwich(hre, config, slippages);
+    } catch (e) {
+      fail(e.message);
+    }
+    for (const result of results) {
+      console.log(
+        `${result.slippageBps} bps: front-run ${formatEther(result.frontRun)} ETH, ` +
+          `attacker profit ${formatEther(result.attackerProfit)} ETH before ${formatEther(
+            result.attackerGas
+          )} ETH gas, ` +
+          `victim shortfall ${formatEther(result.victimShortfall)} tokens (${result.shortfallBps} bps of the quote)`
+      );
+    }
+    return results;
+  });
+
+task("uniswap:gas", "Profiles gas of every factory and exchange function and compares it to the baseline")
+  .addOptionalParam("baseline", "Baseline report", "gas/baseline.json")
+  .addOptionalParam("output", "Directory the report.json and report.md are written to", "gas")
+  .addOptionalParam("threshold", "Increase in percent tolerated per scenario", gas.DEFAULT_THRESHOLD, types.float)
+  .addFlag("update", "Overwrite the baseline with this run")
+  .setAction(async (args, hre) => {
+    const root = hre.config.paths.root;
+    const baselineFile = path.resolve(root, args.baseline);
+    const output = path.resolve(root, args.output);
+
+    const report = await gas.profile(hre);
+    const missing = await gas.uncovered(hre, report);
+    if (missing.length > 0) {
+      fail(`no gas scenario for ${missing.join(", ")}`);
+    }
+
+    const baseline = gas.readReport(baselineFile);
+    // --update replaces a baseline of other compiler settings rather than failing on it
+    const comparable = baseline && (!args.update || baseline.solidity === report.solidity);
+    const comparison = comparable && gas.compare(baseline, report, { threshold: args.threshold });
+    gas.writeReport(path.join(output, "report.json"), report);
+    fs.writeFileSync(path.join(output, "report.md"), gas.formatMarkdown(report, comparison));
+
+    if (args.update) {
+      gas.writeReport(baselineFile, report);
+      console.log(`Baseline written to ${baselineFile}`);
+      return { report, comparison };
+    }
+    if (!comparison) {
+      fail(`no baseline at ${baselineFile}, run with --update to create it`);
+    }
+    if (comparison.regressions.length > 0) {
+      fail(`gas regressed by more than ${args.threshold}%:\n${gas.formatDiff(comparison.regressions)}`);
+    }
+
+    console.log(
+      `${Object.keys(report.entries).length} functions profiled: ${comparison.improvements.length} improved, ` +
+        `${comparison.added.length} new, ${comparison.removed.length} removed scenarios`
+    );
+    return { report, comparison };
+  });
+
+task("uniswap:conformance", "Diffs the factory and exchange ABIs against the original Vyper Uniswap V1")
+  .addOptionalParam("report", "Committed conformance report", "conformance/report.md")
+  .addFlag("update", "Overwrite the report with this run")
+  .setAction(async (args, hre) => {
+    const reportFile = path.resolve(hre.config.paths.root, args.report);
+    await hre.run("compile", { quiet: true });
+
+    const report = await conformance.checkConformance(hre);
+    const markdown = conformance.formatMarkdown(report);
+    if (args.update) {
+      fs.writeFileSync(reportFile, markdown);
+      console.log(`Report written to ${reportFile}`);
+    } else if (!fs.existsSync(reportFile) || fs.readFileSync(reportFile, "utf8") !== markdown) {
+      fail(`${args.report} is out of date with the ABIs, run with --update and review the diff`);
+    }
+    return report;
+  });
+
+task("uniswap:vendor-vyper", "Vendors the runtime bytecode of the original Vyper factory and exchange")
+  .addOptionalParam("rpc", "JSON-RPC URL of a chain where V1 is deployed, --network otherwise")
+  .addOptionalParam("factory", "Address of the V1 factory there", vyper.MAINNET_FACTORY)
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const provider = args.rpc ? new ethers.providers.JsonRpcProvider(args.rpc) : ethers.provider;
+    const factory = requireAddress(ethers, "factory", args.factory);
+
+    const bytecode = await vyper.fetchVyperBytecode(provider, factory).catch((e) => fail(e.message));
+    vyper.writeVyperBytecode(bytecode);
+    console.log(
+      `Factory ${bytecode.factory.address} and exchange template ${bytecode.exchange.address} ` +
+        `of chain ${bytecode.chainId} at block ${bytecode.blockNumber} written to ${vyper.BYTECODE_FILE}`
+    );
+    return bytecode;
+  });
+
+task("uniswap:create-exchange", "Creates an exchange for a token")
+  .addParam("factory", "UniswapFactoryV1 address")
+  .addParam("token", "ERC20 token address")
+  .addOptionalParam("fee", "Fee tier out of 10000 (5, 30 or 100)", 30, types.int)
+  .addOptionalParam("account", "Index of the signer to use", 0, types.int)
+  .setAction(async (args, hre) => {
+    const client = await getClient(hre, { ...args, slippage: 0 });
+    const token = requireAddress(hre.ethers, "token", args.token);
+
+    if (!(await client.factory.isFeeTier(args.fee))) {
+      fail(`--fee ${args.fee} is not a fee tier of the factory`);
+    }
+    const existing = await client.getExchange(token);
+    if (existing) {
+      fail(`token ${token} already has exchange ${existing.address} in fee tier ${args.fee}`);
+    }
+    const exchange = await client.createExchange(token);
+
+    console.log(`Exchange for ${token} created at ${exchange.address}`);
+    return exchange.address;
+  });
+
+task("uniswap:add-liquidity", "Deposits ETH and tokens into an exchange")
+  .addParam("factory", "UniswapFactoryV1 address")
+  .addParam("token", "ERC20 token address")
+  .addParam("eth", "ETH deposited (e.g. 1.5)")
+  .addOptionalParam("tokens", "Tokens deposited, required for the first deposit only")
+  .addOptionalParam("fee", "Fee tier out of 10000 of the exchange", 30, types.int)
+  .addOptionalParam("account", "Index of the signer to use", 0, types.int)
+  .addOptionalParam("slippage", "Slippage tolerance in basis points", 50, types.int)
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const client = await getClient(hre, args);
+    const token = requireAddress(ethers, "token", args.token);
+    const info = await tokenInfo(client, token);
+    const exchange = await requireExchange(client, token);
+    const totalSupply = await exchange.totalSupply();
+
+    const ethAmount = parseAmount(ethers, "eth", args.eth, 18);
+    let tokenAmount;
+    if (args.tokens !== undefined) {
+      tokenAmount = parseAmount(ethers, "tokens", args.tokens, info.decimals);
+    } else if (totalSupply.isZero()) {
+      fail("--tokens is required for the first deposit");
+    }
+
+    const receipt = await client.addLiquidity(token, ethAmount, tokenAmount);
+    const event = receipt.events.find((e) => e.event === "AddLiquidity");
+    const minted = (await exchange.totalSupply()).sub(totalSupply);
+
+    console.log(
+      `Added ${format(ethers, event.args._ethAmount, { symbol: ETH, decimals: 18 })} and ` +
+        `${format(ethers, event.args._tokenAmount, info)}, minted ${ethers.utils.formatEther(minted)} UNI-V1`
+    );
+    return { ethAmount: event.args._ethAmount, tokenAmount: event.args._tokenAmount, liquidityMinted: minted };
+  });
+
+task("uniswap:remove-liquidity", "Burns UNI-V1 for ETH and tokens")
+  .addParam("factory", "UniswapFactoryV1 address")
+  .addParam("token", "ERC20 token address")
+  .addParam("amount", "UNI-V1 burned (e.g. 1.5)")
+  .addOptionalParam("fee", "Fee tier out of 10000 of the exchange", 30, types.int)
+  .addOptionalParam("account", "Index of the signer to use", 0, types.int)
+  .addOptionalParam("slippage", "Slippage tolerance in basis points", 50, types.int)
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const client = await getClient(hre, args);
+    const token = requireAddress(ethers, "token", args.token);
+    const info = await tokenInfo(client, token);
+    const amount = parseAmount(ethers, "amount", args.amount, 18);
+
+    const exchange = await requireExchange(client, token);
+    const balance = await exchange.balanceOf(await client.signer.getAddress());
+    if (balance.lt(amount)) {
+      fail(`account holds only ${ethers.utils.formatEther(balance)} UNI-V1`);
+    }
+
+    const receipt = await client.removeLiquidity(token, amount);
+    const event = receipt.events.find((e) => e.event === "RemoveLiquidity");
+
+    console.log(
+      `Burned ${args.amount} UNI-V1 for ${format(ethers, event.args._ethAmount, { symbol: ETH, decimals: 18 })} and ` +
+        `${format(ethers, event.args._tokenAmount, info)}`
+    );
+    return { ethAmount: event.args._ethAmount, tokenAmount: event.args._tokenAmount };
+  });
+
+withTradeParams(task("uniswap:quote", "Quotes a swap without sending a transaction")).setAction(async (args, hre) => {
+  const client = await getClient(hre, args);
+  const trade = await resolveTrade(hre, client, args);
+
+  const quote = await client[`quote${trade.method}`](...trade.tokens, trade.amount);
+  const { amountIn, amountOut } = quotedAmounts(trade, quote, args.exactOutput);
+
+  console.log(
+    `${format(hre.ethers, amountIn, trade.fromInfo)} -> ${format(hre.ethers, amountOut, trade.toInfo)}` +
+      ` (before ${args.slippage} bps slippage)`
+  );
+  return { amountIn, amountOut };
+});
+
+withTradeParams(task("uniswap:swap", "Executes a swap")).setAction(async (args, hre) => {
+  const { ethers } = hre;
+  const client = await getClient(hre, args);
+  const trade = await resolveTrade(hre, client, args);
+
+  const quote = await client[`quote${trade.method}`](...trade.tokens, trade.amount);
+  const quoted = quotedAmounts(trade, quote, args.exactOutput);
+  const receipt = await client[`swap${trade.method}`](...trade.tokens, trade.amount);
+  // the price may have moved since the quote, within the slippage tolerance
+  const swapped = swappedAmounts(trade, receipt);
+
+  console.log(
+    `Swapped ${format(ethers, swapped.amountIn, trade.fromInfo)} for ${format(
+      ethers,
+      swapped.amountOut,
+      trade.toInfo
+    )}` +
+      ` in ${receipt.transactionHash}, quoted ${format(ethers, quoted.amountIn, trade.fromInfo)} for ${format(
+        ethers,
+        quoted.amountOut,
+        trade.toInfo
+      )}`
+  );
+  return { ...swapped, quoted, transactionHash: receipt.transactionHash };
+});
+
+task("uniswap:list-exchanges", "Lists the exchanges registered in a factory")
+  .addParam("factory", "UniswapFactoryV1 address")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const client = await getClient(hre, { ...args, account: 0, slippage: 0 });
+
+    const exchanges = [];
+    for await (const { token, exchange, fee } of client.exchanges()) {
+      const info = await tokenInfo(client, token);
+      const tierClient = new UniswapV1Client(client.factory.address, client.signerOrProvider, { fee });
+      const reserves = await tierClient.getReserves(token);
+      exchanges.push({ token, symbol: info.symbol, fee, ...reserves });
+
+      console.log(
+        `${info.symbol} ${fee / 100}% ${token} -> ${exchange}: ` +
+          `${format(ethers, reserves.ethReserve, { symbol: ETH, decimals: 18 })} / ${format(
+            ethers,
+            reserves.tokenReserve,
+            info
+          )}, ${ethers.utils.formatEther(reserves.totalSupply)} UNI-V1`
+      );
+    }
+    if (exchanges.length === 0) {
+      console.log("No exchanges");
+    }
+    return exchanges;
+  });
+
+task("uniswap:protocol-fees", "Reports the protocol fees collected and accrued in every exchange of a factory")
+  .addParam("factory", "UniswapFactoryV1 address")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const client = await getClient(hre, { ...args, account: 0, slippage: 0 });
+    const report = await getProtocolFees(ethers.provider, client.factory.address);
+
+    if (report.feeTo === ethers.constants.AddressZero) {
+      console.log("Protocol fee is off");
+    } else {
+      console.log(
+        `Protocol fee of ${report.protocolFeeShare.toNumber() / 100}% of liquidity growth goes to ${report.feeTo}`
+      );
+    }
+    for (const entry of report.exchanges) {
+      const info = await tokenInfo(client, entry.token);
+      console.log(
+        `${info.symbol} ${entry.fee / 100}% ${entry.exchange}: ${ethers.utils.formatEther(entry.collected)} UNI-V1 ` +
+          `collected, ${ethers.utils.formatEther(entry.accrued)} accrued, worth ${format(ethers, entry.claim.eth, {
+            symbol: ETH,
+            decimals: 18,
+          })} and ${format(ethers, entry.claim.tokens, info)}`
+      );
+    }
+    return report;
+  });
@@ -0,0 +1,230 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+const { claimOf, getPosition } = require("../lib/analytics");
+const { WAD } = require("../lib/pricing");
+const { getDeadline } = require("../lib/slippage");
+const { expectRejection } = require("./utils");
+const { ETH_RESERVE, HAY_RESERVE } = require("./constants");
+
+const eth = ethers.utils.parseEther;
+
+const deadline = () => getDeadline(ethers.provider, 300);
+
+// sent with a gas limit, so they are not estimated against the pending block
+const GAS = { gasLimit: 300000 };
+
+// theoretical impermanent loss of a constant product pool, 2 sqrt(r) / (1 + r) - 1
+function expectedLoss(priceRatio) {
+  return (2 * Math.sqrt(priceRatio)) / (1 + priceRatio) - 1;
+}
+
+function ratio(value) {
+  return Number(ethers.utils.formatEther(value));
+}
+
+describe("Liquidity position analytics", function () {
+  beforeEach(async function () {
+    [this.wallet, this.provider, this.trader, this.other] = await ethers.getSigners();
+
+    const tokenFactory = await ethers.getContractFactory("ERC20Test");
+    this.HAY_token = await tokenFactory.deploy("Hay token", "HAY", ethers.constants.MaxUint256);
+    const uniswapFactoryFactory = await ethers.getContractFactory("UniswapFactoryV1");
+    const uniswapFactory = (this.uniswapFactory = await uniswapFactoryFactory.deploy());
+    await uniswapFactory.createExchange(this.HAY_token.address);
+    this.HAY_exchange = await ethers.getContractAt(
+      "UniswapExchangeV1",
+      await uniswapFactory.getExchange(this.HAY_token.address)
+    );
+
+    for (const account of [this.wallet, this.provider, this.trader]) {
+      if (account !== this.wallet) {
+        await this.HAY_token.transfer(account.address, eth("1000"));
+      }
+      await this.HAY_token.connect(account).approve(this.HAY_exchange.address, ethers.constants.MaxUint256);
+    }
+    await this.HAY_exchange.addLiquidity(0, HAY_RESERVE, await deadline(), { value: ETH_RESERVE });
+
+    this.position = (account = this.provider.address, options) =>
+      getPosition(ethers.provider, this.HAY_exchange.address, account, options);
+  });
+
+  it("mirrors removeLiquidity for the current claim", async function () {
+    const { HAY_exchange, provider, trader } = this;
+    await HAY_exchange.connect(provider).addLiquidity(1, eth("100"), await deadline(), { value: eth("3") });
+    await HAY_exchange.connect(trader).ethToTokenSwapInput(1, await deadline(), { value: eth("0.7") });
+
+    const position = await this.position();
+    const [ethAmount, tokenAmount] = await HAY_exchange.connect(provider).callStatic.removeLiquidity(
+      position.liquidity,
+      1,
+      1,
+      await deadline()
+    );
+    expect(position.claim.eth).to.be.eq(ethAmount);
+    expect(position.claim.tokens).to.be.eq(tokenAmount);
+    expect(position.share).to.be.eq(position.liquidity.mul(WAD).div(position.totalSupply));
+    expect(position.share).to.be.eq(eth("0.375")); // 3 of 8 ETH deposited
+  });
+
+  it("earns the fees of trades that leave the price unchanged", async function () {
+    const { HAY_exchange, HAY_token, provider, trader } = this;
+    await HAY_exchange.connect(provider).addLiquidity(1, eth("100"), await deadline(), { value: eth("5") });
+
+    // round trips pay the fee twice and bring the price back close to where it was
+    for (let i = 0; i < 5; i++) {
+      const before = await HAY_token.balanceOf(trader.address);
+      await HAY_exchange.connect(trader).ethToTokenSwapInput(1, await deadline(), { value: eth("2") });
+      const bought = (await HAY_token.balanceOf(trader.address)).sub(before);
+      await HAY_exchange.connect(trader).tokenToEthSwapInput(bought, 1, await deadline());
+    }
+
+    const position = await this.position();
+    expect(position.fees.eth).to.be.gt(0);
+    expect(position.fees.tokens).to.be.gt(0);
+    // at most half of 0.3% of the 10 ETH sold and of the tokens sold back for them
+    expect(position.feesValue).to.be.gt(0);
+    expect(ratio(position.feesValue)).to.be.lt(0.03);
+    // almost everything gained over holding is fees
+    expect(ratio(position.value.sub(position.holdValue))).to.be.closeTo(ratio(position.feesValue), 1e-3);
+    expect(position.impermanentLoss).to.be.lte(0);
+    expect(ratio(position.impermanentLoss)).to.be.closeTo(0, 1e-3);
+  });
+
+  it("reports impermanent loss after the price moves", async function () {
+    const { HAY_exchange, provider, trader } = this;
+    await HAY_exchange.connect(provider).addLiquidity(1, eth("100"), await deadline(), { value: eth("5") });
+    const before = await this.position();
+    const priceBefore = ratio(before.ethReserve.mul(WAD).div(before.tokenReserve));
+
+    await HAY_exchange.connect(trader).ethToTokenSwapInput(1, await deadline(), { value: eth("10") });
+    const position = await this.position();
+    const priceAfter = ratio(position.ethReserve.mul(WAD).div(position.tokenReserve));
+
+    const loss = expectedLoss(priceAfter / priceBefore);
+    expect(loss).to.be.lt(-0.1);
+    expect(ratio(position.impermanentLoss)).to.be.closeTo(loss, 1e-6);
+    // the single trade's fee offsets a little of it
+    expect(position.vsHold).to.be.gt(position.impermanentLoss);
+    expect(ratio(position.vsHold.sub(position.impermanentLoss))).to.be.closeTo(
+      ratio(position.feesValue.mul(WAD).div(position.holdValue)),
+      1e-9
+    );
+  });
+
+  it("follows partial withdrawals and transfers of UNI-V1", async function () {
+    const { HAY_exchange, provider, trader, other } = this;
+    await HAY_exchange.connect(provider).addLiquidity(1, eth("100"), await deadline(), { value: eth("4") });
+    await HAY_exchange.connect(trader).ethToTokenSwapInput(1, await deadline(), { value: eth("1") });
+    await HAY_exchange.connect(provider).addLiquidity(1, eth("100"), await deadline(), { value: eth("2") });
+
+    let position = await this.position();
+    const deposited = position.deposited;
+    expect(deposited.eth).to.be.eq(eth("6"));
+
+    // a quarter burnt and a quarter given away leave half of every deposit
+    const quarter = position.liquidity.div(4);
+    await HAY_exchange.connect(provider).removeLiquidity(quarter, 1, 1, await deadline());
+    await HAY_exchange.connect(provider).transfer(other.address, quarter);
+
+    position = await this.position();
+    expect(position.liquidity).to.be.eq(await HAY_exchange.balanceOf(provider.address));
+    expect(ratio(position.deposited.eth)).to.be.closeTo(ratio(deposited.eth) / 2, 1e-12);
+    expect(ratio(position.deposited.tokens)).to.be.closeTo(ratio(deposited.tokens) / 2, 1e-12);
+
+    // the receiver's basis is the claim it got
+    const received = await this.position(other.address);
+    const { claim } = received;
+    expect(received.liquidity).to.be.eq(quarter);
+    expect(received.deposited.eth).to.be.eq(claim.eth);
+    expect(received.deposited.tokens).to.be.eq(claim.tokens);
+    expect(received.fees.eth).to.be.eq(0);
+    expect(received.impermanentLoss).to.be.eq(0);
+
+    // scanning from a later block takes the balance held then as the deposit
+    await ethers.provider.send("evm_mine", []);
+    const { number } = await ethers.provider.getBlock("latest");
+    const late = await this.position(provider.address, { fromBlock: number });
+    expect(late.deposited.eth).to.be.eq(position.claim.eth);
+    expect(late.fees.eth).to.be.eq(0);
+  });
+
+  it("values a deposit at the pool it joined, not at the end of its block", async function () {
+    const { HAY_exchange, provider, trader } = this;
+    await ethers.provider.send("evm_setAutomine", [false]);
+    try {
+      await HAY_exchange.connect(provider).addLiquidity(1, eth("100"), await deadline(), { ...GAS, value: eth("5") });
+      await HAY_exchange.connect(trader).ethToTokenSwapInput(1, await deadline(), { ...GAS, value: eth("10") });
+      await ethers.provider.send("evm_mine", []);
+    } finally {
+      await ethers.provider.send("evm_setAutomine", [true]);
+    }
+
+    const position = await this.position();
+    expect(position.deposited.eth).to.be.eq(eth("5"));
+    // the trade after the deposit in its block paid it fees
+    expect(position.fees.eth).to.be.gt(0);
+    expect(position.feesValue).to.be.gt(0);
+  });
+
+  it("keeps the protocol fee minted to a feeTo that provides liquidity out of its position", async function () {
+    const { uniswapFactory, HAY_exchange, provider, trader } = this;
+    await uniswapFactory.setFeeTo(provider.address);
+
+    // UNI-V1 minted to provider by addLiquidity, the protocol fee mint, if any, comes first
+    const minted = async (tx) => {
+      const { events } = await tx.wait();
+      return events.filter(({ event, args }) => event === "Transfer" && args.to === provider.address).pop().args.value;
+    };
+    const trade = async () => {
+      await HAY_exchange.connect(trader).ethToTokenSwapInput(1, await deadline(), { value: eth("2") });
+      await HAY_exchange.connect(trader).tokenToEthSwapInput(eth("10"), 1, await deadline());
+    };
+
+    let provided = await minted(
+      await HAY_exchange.connect(provider).addLiquidity(1, eth("100"), await deadline(), { value: eth("3") })
+    );
+    await trade();
+    provided = provided.add(
+      await minted(
+        await HAY_exchange.connect(provider).addLiquidity(1, eth("100"), await deadline(), { value: eth("2") })
+      )
+    );
+    await trade();
+    await HAY_exchange.addLiquidity(1, eth("100"), await deadline(), { value: eth("1") });
+    let position = await this.position();
+    const balance = await HAY_exchange.balanceOf(provider.address);
+    expect(position.liquidity).to.be.eq(provided);
+    const protocolFee = position.protocolFeeLiquidity;
+    expect(protocolFee).to.be.gt(0);
+    expect(protocolFee).to.be.eq(balance.sub(provided));
+    expect(position.protocolFeeClaim).to.deep.eq(claimOf(position.protocolFeeLiquidity, position));
+    expect(position.deposited.eth).to.be.eq(eth("5"));
+    expect(position.share).to.be.eq(provided.mul(WAD).div(position.totalSupply));
+
+    // burning half of the balance takes half of each
+    await HAY_exchange.connect(provider).removeLiquidity(balance.div(2), 1, 1, await deadline());
+    position = await this.position();
+    expect(ratio(position.liquidity)).to.be.closeTo(ratio(provided) / 2, 1e-12);
+    expect(ratio(position.protocolFeeLiquidity)).to.be.closeTo(ratio(protocolFee) / 2, 1e-12);
+    expect(ratio(position.deposited.eth)).to.be.closeTo(2.5, 1e-12);
+    expect(position.liquidity.add(position.protocolFeeLiquidity)).to.be.eq(
+      await HAY_exchange.balanceOf(provider.address)
+    );
+  });
+
+  it("values a position at a past block", async function () {
+    const { HAY_exchange, provider } = this;
+    await HAY_exchange.connect(provider).addLiquidity(1, eth("100"), await deadline(), { value: eth("5") });
+    const { number } = await ethers.provider.getBlock("latest");
+    await HAY_exchange.connect(provider).removeLiquidity(eth("5"), 1, 1, await deadline());
+
+    expect((await this.position()).liquidity).to.be.eq(0);
+    expect((await this.position()).holdValue).to.be.eq(0);
+    const past = await this.position(provider.address, { blockTag: number });
+    expect(past.liquidity).to.be.eq(eth("5"));
+    expect(past.claim).to.deep.eq(claimOf(eth("5"), past));
+    expect(past.claim.eth).to.be.eq(eth("5"));
+    await expectRejection(this.position(provider.address, { fromBlock: number + 10 }), "is after block");
+  });
+});
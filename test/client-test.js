@@ -0,0 +1,211 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+const { UniswapV1Client } = require("../lib");
+const { swapInput, swapOutput, expectRejection } = require("./utils");
+const { loadFixture, seededPools } = require("./fixtures");
+const {
+  ETH_RESERVE,
+  HAY_RESERVE,
+  DEN_RESERVE,
+  ETH_SOLD,
+  HAY_SOLD,
+  HAY_BOUGHT,
+  ETH_BOUGHT,
+  DEN_BOUGHT,
+} = require("./constants");
+
+describe("UniswapV1Client", function () {
+  beforeEach(async function () {
+    Object.assign(this, await loadFixture(seededPools));
+    this.client = new UniswapV1Client(this.uniswapFactory.address, this.deployer);
+  });
+
+  it("creates and looks up exchanges", async function () {
+    const { client, uniswapFactory, HAY_token, HAY_exchange } = this;
+
+    expect(await uniswapFactory.tokenCount()).to.be.eq(2);
+    expect((await client.getExchange(HAY_token.address)).address).to.be.eq(HAY_exchange.address);
+    expect(await client.getExchange(uniswapFactory.address)).to.be.null;
+
+    await expectRejection(
+      client.quoteEthToTokenInput(uniswapFactory.address, ETH_SOLD),
+      "UniswapV1Client: no exchange for token"
+    );
+
+    const reserves = await client.getReserves(HAY_token.address);
+    expect(reserves.exchange).to.be.eq(HAY_exchange.address);
+    expect(reserves.ethReserve).to.be.eq(ETH_RESERVE);
+    expect(reserves.tokenReserve).to.be.eq(HAY_RESERVE);
+    expect(reserves.totalSupply).to.be.eq(ETH_RESERVE);
+  });
+
+  it("iterates over every exchange of the factory", async function () {
+    const { client, HAY_token, DEN_token, HAY_exchange, DEN_exchange } = this;
+    const tiered = await new UniswapV1Client(client.factory.address, client.signer, { fee: 100 }).createExchange(
+      HAY_token.address
+    );
+
+    const expected = [
+      { token: HAY_token.address, exchange: HAY_exchange.address, fee: 30 },
+      { token: DEN_token.address, exchange: DEN_exchange.address, fee: 30 },
+      { token: HAY_token.address, exchange: tiered.address, fee: 100 },
+    ];
+    for (const pageSize of [1, 2, 3, 100]) {
+      const exchanges = [];
+      for await (const exchange of client.exchanges({ pageSize })) {
+        exchanges.push(exchange);
+      }
+      expect(exchanges).to.be.deep.eq(expected);
+    }
+  });
+
+  it("quotes all directions", async function () {
+    const { client, HAY_token, DEN_token } = this;
+
+    expect(await client.quoteEthToTokenInput(HAY_token.address, ETH_SOLD)).to.be.eq(
+      swapInput(ETH_SOLD, ETH_RESERVE, HAY_RESERVE)
+    );
+    expect(await client.quoteEthToTokenOutput(HAY_token.address, HAY_BOUGHT)).to.be.eq(
+      swapOutput(HAY_BOUGHT, ETH_RESERVE, HAY_RESERVE)
+    );
+    expect(await client.quoteTokenToEthInput(HAY_token.address, HAY_SOLD)).to.be.eq(
+      swapInput(HAY_SOLD, HAY_RESERVE, ETH_RESERVE)
+    );
+    expect(await client.quoteTokenToEthOutput(HAY_token.address, ETH_BOUGHT)).to.be.eq(
+      swapOutput(ETH_BOUGHT, HAY_RESERVE, ETH_RESERVE)
+    );
+
+    const ETH_PURCHASED = swapInput(HAY_SOLD, HAY_RESERVE, ETH_RESERVE);
+    const inputQuote = await client.quoteTokenToTokenInput(HAY_token.address, DEN_token.address, HAY_SOLD);
+    expect(inputQuote.ethBought).to.be.eq(ETH_PURCHASED);
+    expect(inputQuote.tokensBought).to.be.eq(swapInput(ETH_PURCHASED, ETH_RESERVE, DEN_RESERVE));
+
+    const ETH_COST = swapOutput(DEN_BOUGHT, ETH_RESERVE, DEN_RESERVE);
+    const outputQuote = await client.quoteTokenToTokenOutput(HAY_token.address, DEN_token.address, DEN_BOUGHT);
+    expect(outputQuote.ethSold).to.be.eq(ETH_COST);
+    expect(outputQuote.tokensSold).to.be.eq(swapOutput(ETH_COST, HAY_RESERVE, ETH_RESERVE));
+  });
+
+  it("swaps ETH for tokens", async function () {
+    const [a0, a1, a2] = await ethers.getSigners();
+    const client = this.client.connect(a1);
+    const { HAY_token, HAY_exchange } = this;
+
+    const HAY_PURCHASED = swapInput(ETH_SOLD, ETH_RESERVE, HAY_RESERVE);
+    await client.swapEthToTokenInput(HAY_token.address, ETH_SOLD);
+    expect(await HAY_token.balanceOf(a1.address)).to.be.eq(HAY_PURCHASED);
+
+    const ethReserve = ETH_RESERVE.add(ETH_SOLD);
+    const hayReserve = HAY_RESERVE.sub(HAY_PURCHASED);
+    const ETH_COST = swapOutput(HAY_BOUGHT, ethReserve, hayReserve);
+    await client.swapEthToTokenOutput(HAY_token.address, HAY_BOUGHT, { recipient: a2.address });
+
+    expect(await HAY_token.balanceOf(a2.address)).to.be.eq(HAY_BOUGHT);
+    expect(await ethers.provider.getBalance(HAY_exchange.address)).to.be.eq(ethReserve.add(ETH_COST));
+  });
+
+  it("swaps tokens for ETH and handles approvals", async function () {
+    const [a0, a1] = await ethers.getSigners();
+    const client = this.client.connect(a1);
+    const { HAY_token, HAY_exchange } = this;
+
+    await HAY_token.transfer(a1.address, HAY_SOLD.mul(3));
+
+    const ETH_PURCHASED = swapInput(HAY_SOLD, HAY_RESERVE, ETH_RESERVE);
+    await client.swapTokenToEthInput(HAY_token.address, HAY_SOLD);
+    expect(await ethers.provider.getBalance(HAY_exchange.address)).to.be.eq(ETH_RESERVE.sub(ETH_PURCHASED));
+    expect(await HAY_token.allowance(a1.address, HAY_exchange.address)).to.be.eq(0);
+
+    const ethReserve = ETH_RESERVE.sub(ETH_PURCHASED);
+    const hayReserve = HAY_RESERVE.add(HAY_SOLD);
+    const HAY_COST = swapOutput(ETH_BOUGHT, hayReserve, ethReserve);
+    await client.swapTokenToEthOutput(HAY_token.address, ETH_BOUGHT);
+
+    expect(await HAY_token.balanceOf(HAY_exchange.address)).to.be.eq(hayReserve.add(HAY_COST));
+    expect(await HAY_token.balanceOf(a1.address)).to.be.eq(HAY_SOLD.mul(2).sub(HAY_COST));
+  });
+
+  it("swaps tokens for tokens", async function () {
+    const [a0, a1, a2] = await ethers.getSigners();
+    const client = this.client.connect(a1);
+    const { HAY_token, DEN_token } = this;
+
+    await HAY_token.transfer(a1.address, HAY_SOLD.mul(5));
+
+    const { tokensBought } = await client.quoteTokenToTokenInput(HAY_token.address, DEN_token.address, HAY_SOLD);
+    await client.swapTokenToTokenInput(HAY_token.address, DEN_token.address, HAY_SOLD);
+    expect(await DEN_token.balanceOf(a1.address)).to.be.eq(tokensBought);
+
+    const { tokensSold } = await client.quoteTokenToTokenOutput(HAY_token.address, DEN_token.address, DEN_BOUGHT);
+    await client.swapTokenToTokenOutput(HAY_token.address, DEN_token.address, DEN_BOUGHT, { recipient: a2.address });
+    expect(await DEN_token.balanceOf(a2.address)).to.be.eq(DEN_BOUGHT);
+    expect(await HAY_token.balanceOf(a1.address)).to.be.eq(HAY_SOLD.mul(4).sub(tokensSold));
+  });
+
+  it("trades in the exchanges of its fee tier", async function () {
+    const [a0, a1] = await ethers.getSigners();
+    const { HAY_token, DEN_token, HAY_exchange, DEN_exchange } = this;
+    const tiered = new UniswapV1Client(this.uniswapFactory.address, a0, { fee: 100 });
+
+    const HAY_tiered = await tiered.createExchange(HAY_token.address);
+    const DEN_tiered = await tiered.createExchange(DEN_token.address);
+    expect(await HAY_tiered.fee()).to.be.eq(100);
+    await tiered.addLiquidity(HAY_token.address, ETH_RESERVE, HAY_RESERVE);
+    await tiered.addLiquidity(DEN_token.address, ETH_RESERVE, DEN_RESERVE);
+
+    const client = tiered.connect(a1);
+    await HAY_token.transfer(a1.address, HAY_SOLD);
+    const { ethBought, tokensBought } = await client.quoteTokenToTokenInput(
+      HAY_token.address,
+      DEN_token.address,
+      HAY_SOLD
+    );
+    expect(ethBought).to.be.eq(swapInput(HAY_SOLD, HAY_RESERVE, ETH_RESERVE, 100));
+    await client.swapTokenToTokenInput(HAY_token.address, DEN_token.address, HAY_SOLD);
+
+    expect(await DEN_token.balanceOf(a1.address)).to.be.eq(tokensBought);
+    expect(await ethers.provider.getBalance(DEN_tiered.address)).to.be.eq(ETH_RESERVE.add(ethBought));
+    expect(await ethers.provider.getBalance(HAY_exchange.address)).to.be.eq(ETH_RESERVE);
+    expect(await ethers.provider.getBalance(DEN_exchange.address)).to.be.eq(ETH_RESERVE);
+  });
+
+  it("adds and removes liquidity", async function () {
+    const [a0, a1] = await ethers.getSigners();
+    const client = this.client.connect(a1);
+    const { HAY_token, HAY_exchange } = this;
+
+    await HAY_token.transfer(a1.address, HAY_RESERVE);
+
+    await client.addLiquidity(HAY_token.address, ETH_SOLD);
+    expect(await HAY_exchange.balanceOf(a1.address)).to.be.eq(ETH_SOLD);
+    expect(await HAY_token.balanceOf(HAY_exchange.address)).to.be.eq(
+      HAY_RESERVE.add(ETH_SOLD.mul(HAY_RESERVE).div(ETH_RESERVE)).add(1)
+    );
+
+    await client.removeLiquidity(HAY_token.address, ETH_SOLD);
+    expect(await HAY_exchange.balanceOf(a1.address)).to.be.eq(0);
+    expect(await ethers.provider.getBalance(HAY_exchange.address)).to.be.eq(ETH_RESERVE);
+  });
+
+  it("validates arguments", async function () {
+    const { client, uniswapFactory, HAY_token } = this;
+
+    await expectRejection(
+      client.swapEthToTokenInput(HAY_token.address, ETH_SOLD, { slippageBps: 10000 }),
+      "UniswapV1Client: invalid slippage"
+    );
+
+    const readOnly = client.connect(ethers.provider);
+    await expectRejection(
+      readOnly.swapEthToTokenInput(HAY_token.address, ETH_SOLD),
+      "UniswapV1Client: signer required"
+    );
+
+    const tokenFactory = await ethers.getContractFactory("ERC20Test");
+    const token = await tokenFactory.deploy("Token", "TKN", ethers.constants.MaxUint256);
+    await client.createExchange(token.address);
+    await expectRejection(client.addLiquidity(token.address, ETH_SOLD), "UniswapV1Client: tokenAmount required");
+    expect(await uniswapFactory.tokenCount()).to.be.eq(3);
+  });
+});
@@ -0,0 +1,110 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const { expect } = require("chai");
+
+const {
+  DEFAULT_REPORT,
+  readReference,
+  diffAbis,
+  checkConformance,
+  formatMarkdown,
+} = require("../conformance/abi-diff");
+const { runTask, expectRejection } = require("./utils");
+
+const uint = (name, extra = {}) => ({ name, type: "uint256", ...extra });
+
+describe("ABI conformance", function () {
+  it("pairs functions by name and reports how they differ", function () {
+    const reference = [
+      {
+        name: "swap",
+        type: "function",
+        constant: false,
+        payable: true,
+        inputs: [uint("eth_sold")],
+        outputs: [uint("out")],
+      },
+      {
+        name: "name",
+        type: "function",
+        constant: true,
+        payable: false,
+        inputs: [],
+        outputs: [{ name: "out", type: "bytes32" }],
+      },
+      {
+        name: "price",
+        type: "function",
+        constant: true,
+        payable: false,
+        inputs: [uint("amount")],
+        outputs: [uint("out")],
+      },
+      { name: "setup", type: "function", constant: false, payable: false, inputs: [], outputs: [] },
+      { name: "__default__", type: "function", constant: false, payable: true, inputs: [], outputs: [] },
+    ];
+    const port = [
+      { name: "swap", type: "function", stateMutability: "payable", inputs: [uint("_ethSold")], outputs: [uint("")] },
+      { name: "name", type: "function", stateMutability: "view", inputs: [], outputs: [{ name: "", type: "string" }] },
+      {
+        name: "price",
+        type: "function",
+        stateMutability: "view",
+        inputs: [uint("_amount"), uint("_fee")],
+        outputs: [],
+      },
+      { name: "fee", type: "function", stateMutability: "pure", inputs: [], outputs: [uint("")] },
+      { type: "receive", stateMutability: "payable" },
+    ];
+
+    const { functions } = diffAbis(reference, port);
+    expect(functions.matching).to.be.deep.eq(["swap(uint256)", "(default)"]);
+    expect(functions.differing).to.be.deep.eq([
+      { name: "name", reference: "name()", port: "name()", differences: ["returns (bytes32) vs (string)"] },
+      {
+        name: "price",
+        reference: "price(uint256)",
+        port: "price(uint256,uint256)",
+        differences: ["selector 0x26a49e37 price(uint256) vs 0x487a2395 price(uint256,uint256)"],
+      },
+    ]);
+    expect(functions.missing).to.be.deep.eq(["setup()"]);
+    expect(functions.added).to.be.deep.eq(["fee()"]);
+  });
+
+  it("compares event parameter names and indexing exactly", function () {
+    const event = (buyer, ethSold, indexed) => ({
+      name: "TokenPurchase",
+      type: "event",
+      anonymous: false,
+      inputs: [{ name: buyer, type: "address", indexed: true }, uint(ethSold, { indexed })],
+    });
+
+    expect(
+      diffAbis([event("buyer", "eth_sold", true)], [event("buyer", "eth_sold", true)]).events.matching
+    ).to.have.length(1);
+    const [row] = diffAbis([event("buyer", "eth_sold", true)], [event("_buyer", "_ethSold", false)]).events.differing;
+    expect(row.differences).to.be.deep.eq([
+      "parameter 0 named buyer vs _buyer",
+      "parameter 1 named eth_sold vs _ethSold",
+      "parameter 1 indexed vs not",
+    ]);
+  });
+
+  it("keeps the committed report up to date", async function () {
+    await runTask(hre, "uniswap:conformance");
+    const report = await checkConformance(hre);
+    expect(fs.readFileSync(DEFAULT_REPORT, "utf8")).to.be.eq(formatMarkdown(report));
+
+    // the port keeps every V1 swap, pricing and liquidity selector
+    const exchange = report.contracts.UniswapExchangeV1.functions;
+    expect(exchange.missing).to.be.deep.eq(["setup(address)"]);
+    expect(exchange.matching).to.include.members([
+      "ethToTokenSwapInput(uint256,uint256)",
+      "getEthToTokenInputPrice(uint256)",
+    ]);
+    expect(readReference("UniswapFactoryV1").map((item) => item.name)).to.include("NewExchange");
+    expect(() => readReference("UniswapV1Lens")).to.throw("no Vyper ABI for UniswapV1Lens");
+    await expectRejection(hre.run("uniswap:conformance", { report: "conformance/missing.md" }), "out of date");
+  });
+});
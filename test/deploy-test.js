@@ -0,0 +1,108 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { deploy } = require("../deploy/deployer");
+const { expectRejection } = require("./utils");
+
+const { ethers } = hre;
+const eth = ethers.utils.parseEther;
+
+const CONFIG = {
+  tokens: [
+    { name: "Hay token", symbol: "HAY", supply: "1000", liquidity: { eth: "5", tokens: "10" } },
+    { name: "Den token", symbol: "DEN", supply: "1000" },
+  ],
+};
+
+describe("Deployment manifest", function () {
+  beforeEach(function () {
+    this.dir = fs.mkdtempSync(path.join(os.tmpdir(), "uniswap-deploy-"));
+    this.manifest = path.join(this.dir, "hardhat.json");
+    this.logs = [];
+    this.options = { manifest: this.manifest, log: (line) => this.logs.push(line) };
+  });
+
+  afterEach(function () {
+    fs.rmSync(this.dir, { recursive: true, force: true });
+  });
+
+  it("deploys from config and writes the manifest", async function () {
+    const data = await deploy(hre, CONFIG, this.options);
+    const written = JSON.parse(fs.readFileSync(this.manifest, "utf8"));
+
+    expect(written).to.be.deep.eq(JSON.parse(JSON.stringify(data)));
+    expect(written.network).to.be.eq("hardhat");
+    expect(written.chainId).to.be.eq(31337);
+    expect(Object.keys(written.contracts)).to.be.deep.eq([
+      "UniswapFactoryV1",
+      "HAY",
+      "HAY_exchange",
+      "DEN",
+      "DEN_exchange",
+    ]);
+
+    const { UniswapFactoryV1, HAY, HAY_exchange } = written.contracts;
+    for (const entry of [UniswapFactoryV1, HAY, HAY_exchange]) {
+      const receipt = await ethers.provider.getTransactionReceipt(entry.transactionHash);
+      expect(receipt.blockNumber).to.be.eq(entry.blockNumber);
+      expect(entry.abi).to.be.an("array").that.is.not.empty;
+    }
+    expect(HAY.args).to.be.deep.eq(["Hay token", "HAY", eth("1000").toString()]);
+
+    const factory = await ethers.getContractAt("UniswapFactoryV1", UniswapFactoryV1.address);
+    expect(await factory.getExchange(HAY.address)).to.be.eq(HAY_exchange.address);
+    expect(await ethers.provider.getBalance(HAY_exchange.address)).to.be.eq(eth("5"));
+    expect(HAY_exchange.liquidity.eth).to.be.eq("5");
+    expect(written.contracts.DEN_exchange.liquidity).to.be.undefined;
+  });
+
+  it("skips deployed contracts and resumes missing ones", async function () {
+    const first = await deploy(hre, CONFIG, this.options);
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    const second = await deploy(hre, CONFIG, this.options);
+    expect(await ethers.provider.getBlockNumber()).to.be.eq(blockNumber);
+    expect(second.contracts).to.be.deep.eq(first.contracts);
+    expect(this.logs.filter((line) => line.startsWith("Reusing"))).to.have.length(5);
+
+    // a forgotten token and a config extended with a new one
+    const manifest = JSON.parse(fs.readFileSync(this.manifest, "utf8"));
+    delete manifest.contracts.DEN;
+    delete manifest.contracts.DEN_exchange;
+    fs.writeFileSync(this.manifest, JSON.stringify(manifest));
+
+    const extended = {
+      tokens: [
+        ...CONFIG.tokens,
+        { name: "Bar token", symbol: "BAR", supply: "50", liquidity: { eth: "1", tokens: "2" } },
+      ],
+    };
+    const third = await deploy(hre, extended, this.options);
+
+    expect(third.contracts.UniswapFactoryV1).to.be.deep.eq(first.contracts.UniswapFactoryV1);
+    expect(third.contracts.HAY_exchange).to.be.deep.eq(first.contracts.HAY_exchange);
+    expect(third.contracts.DEN.address).to.not.be.eq(first.contracts.DEN.address);
+    expect(third.contracts.BAR_exchange.liquidity.tokens).to.be.eq("2");
+
+    const factory = await ethers.getContractAt("UniswapFactoryV1", third.contracts.UniswapFactoryV1.address);
+    expect(await factory.tokenCount()).to.be.eq(4);
+  });
+
+  it("rejects invalid configs and foreign manifests", async function () {
+    await expectRejection(deploy(hre, {}, this.options), "deploy: config must have a tokens array");
+    await expectRejection(
+      deploy(hre, { tokens: [{ symbol: "HAY", name: "Hay" }] }, this.options),
+      "needs either an address or a name and supply"
+    );
+    await expectRejection(
+      deploy(hre, { tokens: [CONFIG.tokens[1], CONFIG.tokens[1]] }, this.options),
+      "duplicate token symbol DEN"
+    );
+
+    fs.writeFileSync(this.manifest, JSON.stringify({ network: "mainnet", chainId: 1, contracts: {} }));
+    await expectRejection(deploy(hre, CONFIG, this.options), "was written for chain 1, connected to 31337");
+  });
+});
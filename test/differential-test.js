@@ -0,0 +1,54 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+const { readVyperBytecode } = require("../conformance/vyper-bytecode");
+const { deployPort, seedFromEnv } = require("./fuzz");
+const { deployVyper, deployDifferential, compareSteps, differentialFuzz } = require("./differential");
+
+const env = (name, fallback) => (process.env[name] ? Number(process.env[name]) : fallback);
+
+describe("UniswapExchangeV1: differential", function () {
+  this.timeout(600000);
+
+  it("behaves like the original Vyper V1 over random sequences", async function () {
+    // conformance/vyper/bytecode.json is committed, a missing or corrupted file fails here
+    const bytecode = readVyperBytecode();
+    const differential = await deployDifferential({ vyper: deployVyper(bytecode), port: deployPort });
+    await differentialFuzz(differential, {
+      seed: seedFromEnv(),
+      runs: env("FUZZ_RUNS", 5),
+      steps: env("FUZZ_STEPS", 20),
+    });
+  });
+
+  it("reports the first step where implementations diverge", async function () {
+    const deployTier = (fee) => async () => {
+      const factory = await (await ethers.getContractFactory("UniswapFactoryV1")).deploy();
+      return async (token) => {
+        await factory.createExchangeWithFee(token.address, fee);
+        return ethers.getContractAt("UniswapExchangeV1", await factory.getExchangeWithFee(token.address, fee));
+      };
+    };
+    const differential = await deployDifferential({ port: deployPort, "0.3% tier": deployTier(30) });
+    await differentialFuzz(differential, { seed: 11, runs: 1, steps: 10 });
+
+    const diverging = await deployDifferential({ port: deployPort, "1% tier": deployTier(100) });
+    const step = { action: "ethToTokenSwapInput", exchange: "HAY", account: 0, amount: "1000000000000000000" };
+    const divergence = await compareSteps(diverging, [
+      { action: "removeLiquidity", exchange: "DEN", account: 1, amount: "1" },
+      step,
+    ]);
+    expect(divergence.index).to.be.eq(1);
+    expect(divergence.message).to.match(/^port vs 1% tier: returned \d+ vs returned \d+; tokenReserve /);
+
+    let error;
+    try {
+      await differentialFuzz(diverging, { seed: 11, runs: 1, steps: 10 });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.include("Implementations diverge at step");
+    expect(error.message).to.include("Seed: 11");
+    expect(error.steps).to.have.length.above(0);
+  });
+});
@@ -0,0 +1,157 @@
+const { ethers } = require("hardhat");
+
+const { readReference } = require("../conformance/abi-diff");
+const {
+  DEFAULT_SEED,
+  Random,
+  deployPools,
+  resetFixture,
+  readPool,
+  readAccount,
+  send,
+  gasSpent,
+  generateStep,
+} = require("./fuzz");
+
+// Differential harness: the random steps of fuzz.js run against the pools of two
+// implementations deployed side by side, which must return the same values, revert on the
+// same steps and leave the same reserves, LP supply and balances, gas aside.
+
+/**
+ * Installs the vendored runtime code of the Vyper factory and exchange template at fresh
+ * addresses, see conformance/vyper-bytecode.js.
+ * @return a deployFactory for deployPools creating exchanges through the Vyper factory
+ */
+function deployVyper(bytecode) {
+  return async () => {
+    const install = async ({ code }) => {
+      const address = ethers.utils.getAddress(ethers.utils.hexlify(ethers.utils.randomBytes(20)));
+      await ethers.provider.send("hardhat_setCode", [address, code]);
+      return address;
+    };
+    const template = await install(bytecode.exchange);
+    const [wallet] = await ethers.getSigners();
+    const factory = new ethers.Contract(await install(bytecode.factory), readReference("UniswapFactoryV1"), wallet);
+    await factory.initializeFactory(template);
+
+    return async (token) => {
+      await factory.createExchange(token.address);
+      return new ethers.Contract(await factory.getExchange(token.address), readReference("UniswapExchangeV1"), wallet);
+    };
+  };
+}
+
+/**
+ * Deploys the pools of every implementation under one snapshot.
+ * @param {object} implementations name -> deployFactory, as taken by deployPools
+ */
+async function deployDifferential(implementations) {
+  const fixtures = {};
+  for (const [name, deployFactory] of Object.entries(implementations)) {
+    fixtures[name] = await deployPools(deployFactory);
+  }
+  return { fixtures, snapshot: await ethers.provider.send("evm_snapshot", []) };
+}
+
+/** Runs a step, @return what it returned or that it reverted, and the state it left */
+async function observe(fixture, step) {
+  const sender = fixture.traders[step.account].address;
+  const addresses = [...new Set([sender, ...fixture.traders.map((t) => t.address)])];
+  const read = async () => Promise.all(addresses.map((a) => readAccount(fixture, step.exchange, a)));
+
+  const before = await read();
+  const { timestamp } = await ethers.provider.getBlock("latest");
+  const deadline = timestamp + 300;
+  const startBlock = await ethers.provider.getBlockNumber();
+
+  let outcome;
+  try {
+    const returned = await send(fixture, step, deadline, { callStatic: true });
+    await (await send(fixture, step, deadline)).wait();
+    outcome = `returned ${returned}`;
+  } catch (e) {
+    outcome = "reverted";
+  }
+  const gas = await gasSpent(sender, startBlock + 1);
+  const after = await read();
+
+  const accounts = {};
+  addresses.forEach((address, i) => {
+    const eth = after[i].eth.sub(before[i].eth).add(address === sender ? gas : 0);
+    accounts[address] = { eth, tokens: after[i].tokens, liquidity: after[i].liquidity };
+  });
+  return { outcome, pool: await readPool(fixture, step.exchange), accounts };
+}
+
+function differences(expected, actual) {
+  const found = [];
+  if (expected.outcome !== actual.outcome) {
+    found.push(`${expected.outcome} vs ${actual.outcome}`);
+  }
+  for (const key of ["ethReserve", "tokenReserve", "totalSupply"]) {
+    if (!expected.pool[key].eq(actual.pool[key])) {
+      found.push(`${key} ${expected.pool[key]} vs ${actual.pool[key]}`);
+    }
+  }
+  for (const [address, account] of Object.entries(expected.accounts)) {
+    for (const key of ["eth", "tokens", "liquidity"]) {
+      if (!account[key].eq(actual.accounts[address][key])) {
+        const label = key === "eth" ? "ETH received" : key;
+        found.push(`${address} ${label} ${account[key]} vs ${actual.accounts[address][key]}`);
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Runs steps on every implementation, the first one being the reference.
+ * @return the first divergence as {index, message}, or null
+ */
+async function compareSteps(differential, steps) {
+  const [reference, ...others] = Object.keys(differential.fixtures);
+  for (let index = 0; index < steps.length; index++) {
+    const expected = await observe(differential.fixtures[reference], steps[index]);
+    for (const name of others) {
+      const found = differences(expected, await observe(differential.fixtures[name], steps[index]));
+      if (found.length > 0) {
+        return { index, message: `${reference} vs ${name}: ${found.join("; ")}` };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Runs the same random steps on every implementation from seed, steps being sized against
+ * the reference pools. Throws at the first divergence with the steps that lead to it.
+ * @param {object} differential from deployDifferential
+ * @param {object} [options] {seed, runs, steps} as taken by fuzz
+ */
+async function differentialFuzz(differential, options = {}) {
+  const seed = options.seed ?? DEFAULT_SEED;
+  const rng = new Random(seed);
+  const reference = Object.values(differential.fixtures)[0];
+
+  for (let run = 0; run < (options.runs || 10); run++) {
+    await resetFixture(differential);
+    const steps = [];
+    for (let i = 0; i < (options.steps || 20); i++) {
+      steps.push(await generateStep(rng, reference));
+      const divergence = await compareSteps(differential, steps.slice(i));
+      if (divergence) {
+        const error = new Error(
+          [
+            `Implementations diverge at step ${i + 1}: ${divergence.message}`,
+            `Seed: ${seed}`,
+            `Steps: ${JSON.stringify(steps)}`,
+          ].join("\n")
+        );
+        error.steps = steps;
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = { deployVyper, deployDifferential, compareSteps, differentialFuzz };
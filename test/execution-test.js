@@ -0,0 +1,178 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+const { UniswapV1Client, ETH, WAD, executeTwap, executionPrice, getDeadline } = require("../lib");
+const { expectRejection } = require("./utils");
+const { world, withTokens, withTraders, loadFixture } = require("./fixtures");
+const { ETH_RESERVE, HAY_RESERVE, DEN_RESERVE, ETH_SOLD, HAY_SOLD } = require("./constants");
+
+const eth = ethers.utils.parseEther;
+
+// the exchange test pools and a competing trader, holding HAY to trade against the order
+const market = world(
+  withTokens({ HAY: { reserves: [ETH_RESERVE, HAY_RESERVE] }, DEN: { reserves: [ETH_RESERVE, DEN_RESERVE] } }),
+  withTraders(1, { eth: eth("100"), tokens: { HAY: eth("50") } })
+);
+
+async function mineTo(blockNumber) {
+  while ((await ethers.provider.getBlockNumber()) < blockNumber) {
+    await ethers.provider.send("evm_mine", []);
+  }
+}
+
+describe("TWAP execution", function () {
+  beforeEach(async function () {
+    Object.assign(this, await loadFixture(market));
+    this.client = new UniswapV1Client(this.uniswapFactory.address, this.deployer);
+    this.competitor = this.HAY_exchange.connect(this.traders[0]);
+  });
+
+  it("beats a single shot when the price reverts between children", async function () {
+    const { client, competitor, HAY_token, deployer } = this;
+    const amountIn = ETH_SOLD.mul(2);
+    const before = await HAY_token.balanceOf(deployer.address);
+
+    // an arbitrageur sells back part of what each child bought before the next one
+    let bought = ethers.BigNumber.from(0);
+    const waitForBlock = async (blockNumber) => {
+      if (bought.gt(0)) {
+        await competitor.tokenToEthSwapInput(bought.div(2), 1, await getDeadline(ethers.provider));
+      }
+      await mineTo(blockNumber);
+    };
+    const onChild = (child) => {
+      bought = child.amountOut;
+    };
+    const result = await executeTwap(
+      client,
+      { from: ETH, to: HAY_token.address, amountIn },
+      { children: 4, interval: 3 },
+      { waitForBlock, onChild }
+    );
+
+    expect(result.children.map((c) => c.status)).to.be.deep.eq(Array(4).fill("filled"));
+    expect(result.amountIn).to.be.eq(amountIn);
+    expect(result.unfilled).to.be.eq(0);
+    expect(result.amountOut).to.be.eq((await HAY_token.balanceOf(deployer.address)).sub(before));
+    expect(result.averagePrice).to.be.eq(executionPrice(amountIn, result.amountOut));
+    expect(result.averagePrice).to.be.gt(result.singleShot.price);
+    expect(result.improvementBps).to.be.gt(0);
+
+    const blocks = result.children.map((c) => c.blockNumber);
+    for (let i = 1; i < blocks.length; i++) {
+      expect(blocks[i] - blocks[0]).to.be.gte(i * 3);
+    }
+  });
+
+  it("skips children below the limit price and carries their amount over", async function () {
+    const { client, competitor, HAY_token } = this;
+    const amountIn = ETH_SOLD.mul(2);
+    // 1% under the marginal price of a quarter of the order
+    const limitPrice = executionPrice(
+      amountIn.div(4),
+      await client.quoteEthToTokenInput(HAY_token.address, amountIn.div(4))
+    )
+      .mul(99)
+      .div(100);
+
+    // a large buy right after the first child pushes the price beyond the limit
+    const children = [];
+    const waitForBlock = async (blockNumber) => {
+      if (children.length === 1) {
+        await competitor.ethToTokenSwapInput(1, await getDeadline(ethers.provider), { value: eth("10") });
+      }
+      await mineTo(blockNumber);
+    };
+    const result = await executeTwap(
+      client,
+      { from: ETH, to: HAY_token.address, amountIn, limitPrice },
+      { children: 4, interval: 1 },
+      { waitForBlock, onChild: (child) => children.push(child.status) }
+    );
+
+    expect(children).to.be.deep.eq(["filled", ...Array(3).fill("skipped: below limit price")]);
+    expect(result.children[0].amountIn).to.be.eq(amountIn.div(4));
+    // the skipped children retried ever larger shares of what was left
+    expect(result.children[3].amountIn).to.be.eq(amountIn.sub(amountIn.div(4)));
+    expect(result.amountIn).to.be.eq(amountIn.div(4));
+    expect(result.unfilled).to.be.eq(amountIn.sub(amountIn.div(4)));
+    expect(result.averagePrice).to.be.gte(limitPrice);
+  });
+
+  it("splits token to ETH and token to token orders", async function () {
+    const { client, HAY_token, DEN_token, HAY_exchange, deployer } = this;
+    const waitForBlock = mineTo;
+
+    const toEth = await executeTwap(
+      client,
+      { from: HAY_token.address, to: ETH, amountIn: HAY_SOLD },
+      { children: 3, interval: 2 },
+      { waitForBlock }
+    );
+    expect(toEth.amountIn).to.be.eq(HAY_SOLD);
+    expect(toEth.unfilled).to.be.eq(0);
+    // without competition splitting only pays the fee on a moving price, a few bps
+    expect(toEth.improvementBps).to.be.within(-10, 0);
+    expect(await HAY_token.allowance(deployer.address, HAY_exchange.address)).to.be.eq(0);
+
+    const quote = await client.quoteTokenToTokenInput(HAY_token.address, DEN_token.address, HAY_SOLD);
+    const before = await DEN_token.balanceOf(deployer.address);
+    const toDen = await executeTwap(
+      client,
+      { from: HAY_token.address, to: DEN_token.address, amountIn: HAY_SOLD, limitPrice: WAD.div(2) },
+      { children: 2, interval: 0 },
+      { waitForBlock }
+    );
+    expect(toDen.singleShot.amountOut).to.be.eq(quote.tokensBought);
+    expect(toDen.amountOut).to.be.eq((await DEN_token.balanceOf(deployer.address)).sub(before));
+    expect(toDen.children.every((c) => c.status === "filled")).to.be.true;
+  });
+
+  it("trades token to token on the client's fee tier", async function () {
+    const { uniswapFactory, deployer, HAY_token, DEN_token, DEN_exchange } = this;
+    const tier = new UniswapV1Client(uniswapFactory.address, deployer, { fee: 100 });
+    for (const [token, tokenReserve] of [
+      [HAY_token, HAY_RESERVE],
+      [DEN_token, DEN_RESERVE.mul(2)],
+    ]) {
+      await tier.createExchange(token.address);
+      await tier.addLiquidity(token.address, ETH_RESERVE, tokenReserve);
+    }
+    const denTier = await tier.requireExchange(DEN_token.address);
+
+    const result = await executeTwap(
+      tier,
+      { from: HAY_token.address, to: DEN_token.address, amountIn: HAY_SOLD },
+      { children: 2, interval: 0 },
+      { waitForBlock: mineTo }
+    );
+    expect(result.children.map((c) => c.status)).to.be.deep.eq(["filled", "filled"]);
+    // quoted and bought on the 1% DEN exchange, the default one untouched
+    expect(await DEN_token.balanceOf(denTier.address)).to.be.eq(DEN_RESERVE.mul(2).sub(result.amountOut));
+    expect(await DEN_token.balanceOf(DEN_exchange.address)).to.be.eq(DEN_RESERVE);
+    expect(result.children[0].amountOut).to.be.eq(result.children[0].quote);
+  });
+
+  it("rejects invalid orders and reports reverted children", async function () {
+    const { client, HAY_token } = this;
+    const order = { from: ETH, to: HAY_token.address, amountIn: ETH_SOLD };
+
+    await expectRejection(executeTwap(client, { ...order, to: ETH }, { children: 2, interval: 1 }), "must differ");
+    await expectRejection(executeTwap(client, { ...order, amountIn: 0 }, { children: 2, interval: 1 }), "positive");
+    await expectRejection(executeTwap(client, order, { children: 0, interval: 1 }), "invalid number of children 0");
+    await expectRejection(executeTwap(client, order, { children: 2, interval: -1 }), "invalid interval -1");
+
+    // a signer without HAY approves the exchange, then every child fails to pay it
+    const [, , broke] = await ethers.getSigners();
+    const result = await executeTwap(
+      new UniswapV1Client(client.factory.address, broke),
+      { from: HAY_token.address, to: ETH, amountIn: HAY_SOLD },
+      { children: 2, interval: 0 }
+    );
+    expect(result.children.map((c) => c.status.split(":")[0])).to.be.deep.eq(["reverted", "reverted"]);
+    expect(result.children[1].amountIn).to.be.eq(HAY_SOLD);
+    expect(result.unfilled).to.be.eq(HAY_SOLD);
+    expect(result.averagePrice).to.be.null;
+    expect(result.improvementBps).to.be.null;
+  });
+});
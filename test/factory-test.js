@@ -20,7 +20,7 @@ describe("UniswapFactoryV1", function () {
 
     expect(await uniswapFactory.tokenCount()).to.be.eq(1);
 
-    const [tokenAddr, exchangeAddr] = receipt.events.find(e => e.event === "NewExchange")?.args;
+    const [tokenAddr, exchangeAddr] = receipt.events.find((e) => e.event === "NewExchange")?.args;
 
     expect(tokenAddr).to.be.eq(token.address);
     expect(ethers.utils.isAddress(exchangeAddr)).to.be.true;
@@ -41,4 +41,75 @@ describe("UniswapFactoryV1", function () {
     expect(await token.balanceOf(exchangeAddr)).to.be.eq(0);
     expect(await ethers.provider.getBalance(exchangeAddr)).to.be.eq(0);
   });
+
+  it("creates one exchange per fee tier", async function () {
+    const uniswapFactory = await (await ethers.getContractFactory("UniswapFactoryV1")).deploy();
+    const uniswapExchangeFactory = await ethers.getContractFactory("UniswapExchangeV1");
+    const token = await (await ethers.getContractFactory("ERC20")).deploy("Token", "TKN");
+
+    expect(await uniswapFactory.DEFAULT_FEE()).to.be.eq(30);
+    expect(await uniswapFactory.isFeeTier(5)).to.be.true;
+    expect(await uniswapFactory.isFeeTier(100)).to.be.true;
+    expect(await uniswapFactory.isFeeTier(50)).to.be.false;
+    await expect(uniswapFactory.createExchangeWithFee(token.address, 50)).to.be.revertedWith("Invalid fee tier");
+
+    await uniswapFactory.createExchange(token.address);
+    await uniswapFactory.createExchangeWithFee(token.address, 100);
+    const standard = uniswapExchangeFactory.attach(await uniswapFactory.getExchange(token.address));
+    const tiered = uniswapExchangeFactory.attach(await uniswapFactory.getExchangeWithFee(token.address, 100));
+
+    expect(tiered.address).to.not.be.eq(standard.address);
+    expect(await uniswapFactory.getExchangeWithFee(token.address, 30)).to.be.eq(standard.address);
+    expect(await uniswapFactory.getExchangeWithFee(token.address, 5)).to.be.eq(ethers.constants.AddressZero);
+    expect(await standard.fee()).to.be.eq(30);
+    expect(await tiered.fee()).to.be.eq(100);
+    expect(await uniswapFactory.getToken(tiered.address)).to.be.eq(token.address);
+
+    // tokens are numbered once, whatever their number of exchanges
+    expect(await uniswapFactory.tokenCount()).to.be.eq(1);
+    expect(await uniswapFactory.getTokenWithId(1)).to.be.eq(token.address);
+  });
+
+  it("rejects a second exchange for a token and tier", async function () {
+    const uniswapFactory = await (await ethers.getContractFactory("UniswapFactoryV1")).deploy();
+    const token = await (await ethers.getContractFactory("ERC20")).deploy("Token", "TKN");
+
+    await uniswapFactory.createExchange(token.address);
+    const exchangeAddr = await uniswapFactory.getExchange(token.address);
+
+    await expect(uniswapFactory.createExchange(token.address)).to.be.revertedWith("Exchange already exists");
+    await expect(uniswapFactory.createExchangeWithFee(token.address, 30)).to.be.revertedWith("Exchange already exists");
+    expect(await uniswapFactory.getExchange(token.address)).to.be.eq(exchangeAddr);
+    expect(await uniswapFactory.exchangeCount()).to.be.eq(1);
+  });
+
+  it("pages through exchanges in creation order", async function () {
+    const uniswapFactory = await (await ethers.getContractFactory("UniswapFactoryV1")).deploy();
+    const tokenFactory = await ethers.getContractFactory("ERC20");
+    const first = await tokenFactory.deploy("First", "ONE");
+    const second = await tokenFactory.deploy("Second", "TWO");
+
+    expect(await uniswapFactory.getExchanges(0, 10)).to.be.empty;
+    await uniswapFactory.createExchange(first.address);
+    await uniswapFactory.createExchangeWithFee(second.address, 5);
+    await uniswapFactory.createExchangeWithFee(first.address, 100);
+
+    expect(await uniswapFactory.exchangeCount()).to.be.eq(3);
+    const all = await uniswapFactory.getExchanges(0, 10);
+    expect(all.map((e) => [e.token, e.fee.toNumber()])).to.be.deep.eq([
+      [first.address, 30],
+      [second.address, 5],
+      [first.address, 100],
+    ]);
+    expect(all[1].exchange).to.be.eq(await uniswapFactory.getExchangeWithFee(second.address, 5));
+
+    const page = await uniswapFactory.getExchanges(1, 1);
+    expect(page).to.have.length(1);
+    expect(page[0].exchange).to.be.eq(all[1].exchange);
+    expect(await uniswapFactory.getExchanges(2, 5)).to.have.length(1);
+    expect(await uniswapFactory.getExchanges(3, 5)).to.be.empty;
+    expect(await uniswapFactory.getExchanges(1, ethers.constants.MaxUint256)).to.have.length(2);
+    expect(await uniswapFactory.getExchanges(ethers.constants.MaxUint256, 1)).to.be.empty;
+    expect(await uniswapFactory.getExchanges(0, 0)).to.be.empty;
+  });
 });
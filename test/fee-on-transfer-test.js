@@ -0,0 +1,216 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+const {
+  getInputPrice,
+  afterTransferFee,
+  beforeTransferFee,
+  ethToTokenHop,
+  tokenToEthHop,
+  tokenToTokenRoute,
+  quoteExactInput,
+  quoteExactOutput,
+} = require("../lib/pricing");
+const { expectRejection } = require("./utils");
+const { getDeadline } = require("../lib");
+const { ETH_RESERVE, HAY_RESERVE, DEN_RESERVE, ETH_SOLD, HAY_SOLD } = require("./constants");
+
+const FEE_BPS = 100; // 1%
+
+describe("Fee on transfer and rebasing tokens", function () {
+  beforeEach(async function () {
+    this.deadline = await getDeadline(ethers.provider);
+    const [a0, a1] = await ethers.getSigners();
+    this.trader = a1;
+
+    this.TAX_token = await (
+      await ethers.getContractFactory("ERC20FeeOnTransferTest")
+    ).deploy("Tax token", "TAX", ethers.constants.MaxUint256, FEE_BPS);
+    this.DEN_token = await (
+      await ethers.getContractFactory("ERC20Test")
+    ).deploy("Den token", "DEN", ethers.constants.MaxUint256);
+    this.REB_token = await (
+      await ethers.getContractFactory("ERC20RebasingTest")
+    ).deploy("Rebasing token", "REB", ethers.constants.WeiPerEther.mul(1000000));
+
+    const uniswapExchangeFactory = await ethers.getContractFactory("UniswapExchangeV1");
+    const uniswapFactory = await (await ethers.getContractFactory("UniswapFactoryV1")).deploy();
+    for (const symbol of ["TAX", "DEN", "REB"]) {
+      const token = this[`${symbol}_token`];
+      await uniswapFactory.createExchange(token.address);
+      this[`${symbol}_exchange`] = uniswapExchangeFactory.attach(await uniswapFactory.getExchange(token.address));
+      await token.approve(this[`${symbol}_exchange`].address, ethers.constants.MaxUint256);
+      await token.transfer(a1.address, HAY_SOLD.mul(10));
+      await token.connect(a1).approve(this[`${symbol}_exchange`].address, ethers.constants.MaxUint256);
+    }
+
+    await this.TAX_exchange.addLiquiditySupportingFeeOnTransferTokens(0, HAY_RESERVE, this.deadline, {
+      value: ETH_RESERVE,
+    });
+    await this.DEN_exchange.addLiquidity(0, DEN_RESERVE, this.deadline, { value: ETH_RESERVE });
+    await this.REB_exchange.addLiquidity(0, HAY_RESERVE, this.deadline, { value: ETH_RESERVE });
+
+    this.reserves = async (symbol) => ({
+      ethReserve: await ethers.provider.getBalance(this[`${symbol}_exchange`].address),
+      tokenReserve: await this[`${symbol}_token`].balanceOf(this[`${symbol}_exchange`].address),
+    });
+  });
+
+  it("seeds the pool with the tokens that arrived", async function () {
+    const { TAX_exchange, reserves } = this;
+    const { ethReserve, tokenReserve } = await reserves("TAX");
+
+    expect(ethReserve).to.be.eq(ETH_RESERVE);
+    expect(tokenReserve).to.be.eq(afterTransferFee(HAY_RESERVE, FEE_BPS));
+    expect(await TAX_exchange.totalSupply()).to.be.eq(ETH_RESERVE);
+  });
+
+  it("underpays the pool through the plain swap", async function () {
+    const { trader, TAX_exchange, reserves } = this;
+    const before = await reserves("TAX");
+
+    await TAX_exchange.connect(trader).tokenToEthSwapInput(HAY_SOLD, 1, this.deadline);
+    const after = await reserves("TAX");
+
+    // priced on HAY_SOLD, paid with 1% less: the product of the reserves shrinks
+    expect(after.tokenReserve).to.be.eq(before.tokenReserve.add(afterTransferFee(HAY_SOLD, FEE_BPS)));
+    expect(after.ethReserve.mul(after.tokenReserve)).to.be.lt(before.ethReserve.mul(before.tokenReserve));
+  });
+
+  it("sells tokens priced on the amount received", async function () {
+    const { trader, TAX_exchange, reserves } = this;
+    const before = await reserves("TAX");
+    const quote = quoteExactInput(HAY_SOLD, [tokenToEthHop({ ...before, transferFeeBps: FEE_BPS })]);
+
+    expect(quote.hops[0].transferFees.input).to.be.eq(HAY_SOLD.mul(FEE_BPS).div(10000));
+    await expect(
+      TAX_exchange.connect(trader).tokenToEthSwapInputSupportingFeeOnTransferTokens(
+        HAY_SOLD,
+        quote.amountOut,
+        this.deadline
+      )
+    )
+      .to.emit(TAX_exchange, "EthPurchase")
+      .withArgs(trader.address, afterTransferFee(HAY_SOLD, FEE_BPS), quote.amountOut);
+
+    const after = await reserves("TAX");
+    expect(after.ethReserve).to.be.eq(before.ethReserve.sub(quote.amountOut));
+    expect(after.ethReserve.mul(after.tokenReserve)).to.be.gt(before.ethReserve.mul(before.tokenReserve));
+  });
+
+  it("checks the minimum against what the buyer received", async function () {
+    const { trader, TAX_token, TAX_exchange, reserves } = this;
+    const quote = quoteExactInput(ETH_SOLD, [ethToTokenHop({ ...(await reserves("TAX")), transferFeeBps: FEE_BPS })]);
+    const sent = quote.hops[0].amountOut;
+
+    await expectRejection(
+      TAX_exchange.connect(trader).ethToTokenSwapInputSupportingFeeOnTransferTokens(sent, this.deadline, {
+        value: ETH_SOLD,
+      }),
+      "reverted"
+    );
+    await expect(() =>
+      TAX_exchange.connect(trader).ethToTokenSwapInputSupportingFeeOnTransferTokens(quote.amountOut, this.deadline, {
+        value: ETH_SOLD,
+      })
+    ).to.changeTokenBalance(TAX_token, trader, quote.amountOut);
+  });
+
+  it("swaps between tokens with a fee on either side", async function () {
+    const { trader, TAX_token, DEN_token, TAX_exchange, DEN_exchange, reserves } = this;
+
+    const sell = quoteExactInput(
+      HAY_SOLD,
+      tokenToTokenRoute({ ...(await reserves("TAX")), transferFeeBps: FEE_BPS }, await reserves("DEN"))
+    );
+    await expect(() =>
+      TAX_exchange.connect(trader).tokenToTokenSwapInputSupportingFeeOnTransferTokens(
+        HAY_SOLD,
+        sell.amountOut,
+        sell.hops[0].amountOut,
+        this.deadline,
+        DEN_token.address
+      )
+    ).to.changeTokenBalance(DEN_token, trader, sell.amountOut);
+
+    const buy = quoteExactInput(
+      HAY_SOLD,
+      tokenToTokenRoute(await reserves("DEN"), { ...(await reserves("TAX")), transferFeeBps: FEE_BPS })
+    );
+    await expect(() =>
+      DEN_exchange.connect(trader).tokenToTokenSwapInputSupportingFeeOnTransferTokens(
+        HAY_SOLD,
+        buy.amountOut,
+        buy.hops[0].amountOut,
+        this.deadline,
+        TAX_token.address
+      )
+    ).to.changeTokenBalance(TAX_token, trader, buy.amountOut);
+  });
+
+  it("adds liquidity for the tokens received and refunds the rest", async function () {
+    const { trader, TAX_exchange, reserves } = this;
+    const before = await reserves("TAX");
+    const supply = await TAX_exchange.totalSupply();
+
+    const tokenAmount = ETH_SOLD.mul(before.tokenReserve).div(before.ethReserve).add(1);
+    const received = afterTransferFee(tokenAmount, FEE_BPS);
+    const ethAmount = received.mul(before.ethReserve).div(before.tokenReserve);
+    const minted = ethAmount.mul(supply).div(before.ethReserve);
+
+    await expect(
+      TAX_exchange.connect(trader).addLiquiditySupportingFeeOnTransferTokens(1, tokenAmount, this.deadline, {
+        value: ETH_SOLD,
+      })
+    )
+      .to.emit(TAX_exchange, "AddLiquidity")
+      .withArgs(trader.address, ethAmount, received);
+
+    const after = await reserves("TAX");
+    expect(await TAX_exchange.balanceOf(trader.address)).to.be.eq(minted);
+    expect(after.ethReserve).to.be.eq(before.ethReserve.add(ethAmount));
+    // the existing shares are worth no less in either reserve
+    expect(after.ethReserve.mul(supply)).to.be.gte(before.ethReserve.mul(supply.add(minted)));
+    expect(after.tokenReserve.mul(supply)).to.be.gte(before.tokenReserve.mul(supply.add(minted)));
+  });
+
+  it("quotes exact outputs of fee on transfer tokens", async function () {
+    const { trader, TAX_token, TAX_exchange, reserves } = this;
+    const wanted = HAY_SOLD;
+    const quote = quoteExactOutput(wanted, [ethToTokenHop({ ...(await reserves("TAX")), transferFeeBps: FEE_BPS })]);
+    const sent = quote.hops[0].amountOut;
+
+    expect(sent).to.be.eq(beforeTransferFee(wanted, FEE_BPS));
+    await expect(() =>
+      TAX_exchange.connect(trader).ethToTokenSwapOutput(sent, this.deadline, { value: quote.amountIn })
+    ).to.changeTokenBalance(TAX_token, trader, afterTransferFee(sent, FEE_BPS));
+    expect(afterTransferFee(sent, FEE_BPS)).to.be.gte(wanted);
+
+    expect(() =>
+      quoteExactOutput(ETH_SOLD, [tokenToEthHop({ ethReserve: 1, tokenReserve: 1, transferFeeBps: FEE_BPS })])
+    ).to.throw("fee on transfer token sold");
+    expect(() => afterTransferFee(1, 10000)).to.throw("invalid transfer fee");
+  });
+
+  it("prices rebasing tokens on their current balance", async function () {
+    const { trader, REB_token, REB_exchange, reserves } = this;
+
+    // a third more tokens everywhere, which rounds transfers down by up to a unit
+    await REB_token.rebase((await REB_token.totalSupply()).mul(4).div(3));
+    const rebased = await reserves("REB");
+    expect(rebased.tokenReserve).to.be.eq(HAY_RESERVE.mul(4).div(3));
+    expect(await REB_exchange.getTokenToEthInputPrice(HAY_SOLD)).to.be.eq(
+      getInputPrice(HAY_SOLD, rebased.tokenReserve, rebased.ethReserve)
+    );
+
+    const sold = HAY_SOLD.add(1);
+    await REB_exchange.connect(trader).tokenToEthSwapInputSupportingFeeOnTransferTokens(sold, 1, this.deadline);
+    const after = await reserves("REB");
+    const received = after.tokenReserve.sub(rebased.tokenReserve);
+
+    expect(received).to.be.lte(sold);
+    expect(after.ethReserve).to.be.eq(
+      rebased.ethReserve.sub(getInputPrice(received, rebased.tokenReserve, rebased.ethReserve))
+    );
+  });
+});
@@ -0,0 +1,63 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+const { world, withTokens, withTraders, loadFixture, seededPools } = require("./fixtures");
+const { getDeadline } = require("../lib");
+const { ETH_RESERVE, HAY_RESERVE, ETH_SOLD } = require("./constants");
+
+const eth = ethers.utils.parseEther;
+
+describe("Test fixtures", function () {
+  it("composes tokens, fee tiers and funded traders", async function () {
+    const fixture = world(
+      withTokens({
+        HAY: { reserves: [ETH_RESERVE, HAY_RESERVE] },
+        DEN: { reserves: [eth("1"), eth("3")], fee: 100 },
+        PMT: { contract: "ERC20PermitTest", args: ["Permit token", "PMT", eth("100")] },
+      }),
+      withTraders(2, { eth: eth("50"), tokens: { HAY: eth("7") } }),
+      withTraders(1)
+    );
+    const built = await loadFixture(fixture);
+
+    expect(built.symbols).to.be.deep.eq(["HAY", "DEN", "PMT"]);
+    expect(await built.uniswapFactory.getExchangeWithFee(built.DEN_token.address, 100)).to.be.eq(
+      built.DEN_exchange.address
+    );
+    expect(await ethers.provider.getBalance(built.DEN_exchange.address)).to.be.eq(eth("1"));
+    expect(await built.PMT_token.totalSupply()).to.be.eq(eth("100"));
+    expect(await built.PMT_exchange.totalSupply()).to.be.eq(0);
+
+    const signers = await ethers.getSigners();
+    expect(built.traders.map((t) => t.address)).to.be.deep.eq(signers.slice(1, 4).map((s) => s.address));
+    const [trader, , last] = built.traders;
+    expect(await ethers.provider.getBalance(trader.address)).to.be.eq(eth("50"));
+    expect(await built.HAY_token.balanceOf(trader.address)).to.be.eq(eth("7"));
+    expect(await built.HAY_token.allowance(last.address, built.HAY_exchange.address)).to.be.eq(
+      ethers.constants.MaxUint256
+    );
+  });
+
+  it("reverts to the built world on every load", async function () {
+    const { HAY_exchange, uniswapFactory } = await loadFixture(seededPools);
+    await HAY_exchange.ethToTokenSwapInput(1, await getDeadline(ethers.provider), { value: ETH_SOLD });
+    expect(await ethers.provider.getBalance(HAY_exchange.address)).to.be.eq(ETH_RESERVE.add(ETH_SOLD));
+
+    const reloaded = await loadFixture(seededPools);
+    expect(reloaded.uniswapFactory.address).to.be.eq(uniswapFactory.address);
+    expect(await ethers.provider.getBalance(HAY_exchange.address)).to.be.eq(ETH_RESERVE);
+  });
+
+  it("rebuilds a world whose snapshot was dropped", async function () {
+    const earlier = await ethers.provider.send("evm_snapshot", []);
+    const fixture = world(withTokens({ HAY: { reserves: [ETH_RESERVE, HAY_RESERVE] } }));
+    const first = await loadFixture(fixture);
+
+    // reverting to a snapshot taken before the fixture drops the fixture's snapshot too
+    await ethers.provider.send("evm_revert", [earlier]);
+    expect(await ethers.provider.getCode(first.HAY_exchange.address)).to.be.eq("0x");
+
+    const rebuilt = await loadFixture(fixture);
+    expect(await ethers.provider.getBalance(rebuilt.HAY_exchange.address)).to.be.eq(ETH_RESERVE);
+  });
+});
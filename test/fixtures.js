@@ -0,0 +1,126 @@
+const { ethers } = require("hardhat");
+
+const { getDeadline } = require("../lib/slippage");
+const { ETH_RESERVE, HAY_RESERVE, DEN_RESERVE } = require("./constants");
+
+// Shared test worlds: a factory, tokens with their exchanges and funded traders, built by
+// composing builders into a fixture. loadFixture deploys a fixture once, snapshots the
+// chain and reverts to that snapshot on every later load, so suites pay for the setup once.
+
+/**
+ * @param {...Function} builders async (world) => void, run in order on the world being built
+ * @return fixture for loadFixture, building {deployer, uniswapFactory, symbols, traders} plus
+ *         what the builders add
+ */
+function world(...builders) {
+  return async function () {
+    const [deployer] = await ethers.getSigners();
+    const uniswapFactory = await (await ethers.getContractFactory("UniswapFactoryV1")).deploy();
+    const built = { deployer, uniswapFactory, symbols: [], traders: [] };
+    for (const builder of builders) {
+      await builder(built);
+    }
+    return built;
+  };
+}
+
+/**
+ * Deploys tokens and their exchanges as <SYMBOL>_token and <SYMBOL>_exchange, the deployer
+ * seeding the pools given reserves.
+ * @param {object} specs symbol -> {reserves: [eth, tokens], fee, contract, args}, contract
+ *        defaulting to ERC20Test deployed with (`${symbol} token`, symbol, MaxUint256)
+ */
+function withTokens(specs) {
+  return async (built) => {
+    const deadline = await getDeadline(ethers.provider);
+    for (const [symbol, spec] of Object.entries(specs)) {
+      const args = spec.args || [`${symbol} token`, symbol, ethers.constants.MaxUint256];
+      const token = await (await ethers.getContractFactory(spec.contract || "ERC20Test")).deploy(...args);
+
+      const { uniswapFactory } = built;
+      if (spec.fee === undefined) {
+        await uniswapFactory.createExchange(token.address);
+      } else {
+        await uniswapFactory.createExchangeWithFee(token.address, spec.fee);
+      }
+      const exchange = await ethers.getContractAt(
+        "UniswapExchangeV1",
+        spec.fee === undefined
+          ? await uniswapFactory.getExchange(token.address)
+          : await uniswapFactory.getExchangeWithFee(token.address, spec.fee)
+      );
+
+      if (spec.reserves) {
+        const [ethReserve, tokenReserve] = spec.reserves;
+        await token.approve(exchange.address, tokenReserve);
+        await exchange.addLiquidity(0, tokenReserve, deadline, { value: ethReserve });
+      }
+      built[`${symbol}_token`] = token;
+      built[`${symbol}_exchange`] = exchange;
+      built.symbols.push(symbol);
+    }
+  };
+}
+
+/**
+ * Funds the next count signers after the deployer and approves every exchange of the world
+ * for their tokens.
+ * @param {object} [funds] {eth, tokens: symbol -> amount}, eth replacing their balance
+ */
+function withTraders(count, funds = {}) {
+  return async (built) => {
+    const signers = await ethers.getSigners();
+    const traders = signers.slice(1 + built.traders.length, 1 + built.traders.length + count);
+    if (traders.length < count) {
+      throw new Error(`fixtures: ${count} traders but only ${traders.length} accounts left`);
+    }
+    for (const trader of traders) {
+      for (const [symbol, amount] of Object.entries(funds.tokens || {})) {
+        await built[`${symbol}_token`].transfer(trader.address, amount);
+      }
+      for (const symbol of built.symbols) {
+        await built[`${symbol}_token`]
+          .connect(trader)
+          .approve(built[`${symbol}_exchange`].address, ethers.constants.MaxUint256);
+      }
+      // after the approvals, so their gas is not taken from it
+      if (funds.eth !== undefined) {
+        await ethers.provider.send("hardhat_setBalance", [trader.address, ethers.utils.hexValue(funds.eth)]);
+      }
+    }
+    built.traders.push(...traders);
+  };
+}
+
+// fixture -> {id, built}, most recent snapshot last
+const snapshots = [];
+
+/**
+ * Builds the fixture on its first load and reverts the chain to that state on later ones.
+ * A snapshot dropped meanwhile, by reverting to an earlier snapshot, is rebuilt.
+ * @return a copy of the world the fixture built
+ */
+async function loadFixture(fixture) {
+  const index = snapshots.findIndex((snapshot) => snapshot.fixture === fixture);
+  if (index >= 0) {
+    const { id, built } = snapshots[index];
+    // reverting drops the snapshots taken after this one, this one included
+    snapshots.splice(index);
+    if (await ethers.provider.send("evm_revert", [id])) {
+      snapshots.push({ fixture, built, id: await ethers.provider.send("evm_snapshot", []) });
+      return { ...built };
+    }
+  }
+  const built = await fixture();
+  snapshots.push({ fixture, built, id: await ethers.provider.send("evm_snapshot", []) });
+  return { ...built };
+}
+
+// the HAY and DEN pools at the reserves of the exchange tests
+const seededPools = world(
+  withTokens({ HAY: { reserves: [ETH_RESERVE, HAY_RESERVE] }, DEN: { reserves: [ETH_RESERVE, DEN_RESERVE] } })
+);
+// the same exchanges with only HAY seeded
+const seededHay = world(withTokens({ HAY: { reserves: [ETH_RESERVE, HAY_RESERVE] }, DEN: {} }));
+
+module.exports = { world, withTokens, withTraders, loadFixture, seededPools, seededHay };
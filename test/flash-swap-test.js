@@ -0,0 +1,175 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+const {
+  encodeCallbackData,
+  encodeRepayment,
+  encodeArbitrage,
+  decodeCallbackData,
+  flashRepayment,
+  getInputPrice,
+  getDeadline,
+} = require("../lib");
+const { expectRejection } = require("./utils");
+const { ETH_RESERVE, HAY_RESERVE } = require("./constants");
+
+const eth = ethers.utils.parseEther;
+const BORROWED = eth("1");
+
+describe("UniswapExchangeV1: flash swaps", function () {
+  beforeEach(async function () {
+    this.deadline = await getDeadline(ethers.provider);
+    const [a0] = await ethers.getSigners();
+    this.HAY_token = await (
+      await ethers.getContractFactory("ERC20Test")
+    ).deploy("Hay token", "HAY", ethers.constants.MaxUint256);
+    const uniswapExchangeFactory = await ethers.getContractFactory("UniswapExchangeV1");
+    this.uniswapFactory = await (await ethers.getContractFactory("UniswapFactoryV1")).deploy();
+
+    await this.uniswapFactory.createExchange(this.HAY_token.address);
+    this.HAY_exchange = uniswapExchangeFactory.attach(await this.uniswapFactory.getExchange(this.HAY_token.address));
+    await this.HAY_token.approve(this.HAY_exchange.address, HAY_RESERVE);
+    await this.HAY_exchange.addLiquidity(0, HAY_RESERVE, this.deadline, { value: ETH_RESERVE });
+    this.pool = { ethReserve: ETH_RESERVE, tokenReserve: HAY_RESERVE };
+
+    this.borrower = await (await ethers.getContractFactory("FlashRepayTest")).deploy();
+    await this.HAY_token.transfer(this.borrower.address, HAY_RESERVE);
+    await a0.sendTransaction({ to: this.borrower.address, value: ETH_RESERVE });
+
+    this.reserves = async () => ({
+      ethReserve: await ethers.provider.getBalance(this.HAY_exchange.address),
+      tokenReserve: await this.HAY_token.balanceOf(this.HAY_exchange.address),
+    });
+  });
+
+  it("lends tokens repaid in tokens", async function () {
+    const { HAY_exchange, borrower, pool, reserves } = this;
+    const repayment = flashRepayment(pool, { tokens: BORROWED }, { in: "tokens" });
+    expect(repayment.eth).to.be.eq(0);
+
+    await expectRejection(
+      HAY_exchange.flashSwap(0, BORROWED, borrower.address, encodeRepayment(0, repayment.tokens.sub(1))),
+      "Flash swap not repaid"
+    );
+    await expect(HAY_exchange.flashSwap(0, BORROWED, borrower.address, encodeRepayment(0, repayment.tokens)))
+      .to.emit(HAY_exchange, "FlashSwap")
+      .withArgs(borrower.address, 0, BORROWED, 0, repayment.tokens);
+
+    const after = await reserves();
+    expect(after.ethReserve).to.be.eq(ETH_RESERVE);
+    // the fee on the repayment stays in the pool
+    expect(after.tokenReserve).to.be.eq(HAY_RESERVE.sub(BORROWED).add(repayment.tokens));
+    expect(repayment.tokens.mul(1000).div(BORROWED)).to.be.eq(1003);
+  });
+
+  it("takes the repayment in the other asset", async function () {
+    const { HAY_exchange, borrower, pool, reserves } = this;
+
+    // borrowing tokens for ETH costs what buying them would
+    const forTokens = flashRepayment(pool, { tokens: BORROWED });
+    expect(forTokens.tokens).to.be.eq(0);
+    expect(forTokens.eth).to.be.eq(await HAY_exchange.getEthToTokenOutputPrice(BORROWED));
+    await expectRejection(
+      HAY_exchange.flashSwap(0, BORROWED, borrower.address, encodeRepayment(forTokens.eth.sub(1), 0)),
+      "Flash swap not repaid"
+    );
+    await HAY_exchange.flashSwap(0, BORROWED, borrower.address, encodeRepayment(forTokens.eth, 0));
+
+    const afterTokens = await reserves();
+    expect(afterTokens.ethReserve).to.be.eq(ETH_RESERVE.add(forTokens.eth));
+    expect(afterTokens.tokenReserve).to.be.eq(HAY_RESERVE.sub(BORROWED));
+
+    const forEth = flashRepayment(afterTokens, { eth: BORROWED });
+    expect(forEth.eth).to.be.eq(0);
+    await HAY_exchange.flashSwap(BORROWED, 0, borrower.address, encodeRepayment(0, forEth.tokens));
+    expect((await reserves()).ethReserve).to.be.eq(afterTokens.ethReserve.sub(BORROWED));
+  });
+
+  it("funds arbitrage between fee tiers", async function () {
+    const [a0] = await ethers.getSigners();
+    const { uniswapFactory, HAY_token, HAY_exchange } = this;
+
+    // HAY is half the price in the 1% tier
+    await uniswapFactory.createExchangeWithFee(HAY_token.address, 100);
+    const cheap = HAY_exchange.attach(await uniswapFactory.getExchangeWithFee(HAY_token.address, 100));
+    await HAY_token.approve(cheap.address, HAY_RESERVE.mul(2));
+    await cheap.addLiquidity(0, HAY_RESERVE.mul(2), this.deadline, { value: ETH_RESERVE });
+
+    const arbitrage = await (await ethers.getContractFactory("FlashArbitrageTest")).deploy();
+    const { eth: ethRepayment } = flashRepayment(
+      { ethReserve: ETH_RESERVE, tokenReserve: HAY_RESERVE.mul(2) },
+      { tokens: BORROWED },
+      { fee: 100 }
+    );
+    const proceeds = getInputPrice(BORROWED, HAY_RESERVE, ETH_RESERVE);
+
+    await cheap.flashSwap(0, BORROWED, arbitrage.address, encodeArbitrage(HAY_exchange.address, ethRepayment));
+    expect(await ethers.provider.getBalance(arbitrage.address)).to.be.eq(proceeds.sub(ethRepayment));
+    expect(await ethers.provider.getBalance(cheap.address)).to.be.eq(ETH_RESERVE.add(ethRepayment));
+    await expect(() => arbitrage.withdraw()).to.changeEtherBalance(a0, proceeds.sub(ethRepayment));
+
+    await expectRejection(
+      cheap.flashSwap(0, BORROWED, arbitrage.address, encodeArbitrage(HAY_exchange.address, eth("10"))),
+      "reverted"
+    );
+  });
+
+  it("locks the exchange until repaid", async function () {
+    const { HAY_exchange, borrower } = this;
+    const arbitrage = await (await ethers.getContractFactory("FlashArbitrageTest")).deploy();
+
+    // selling the borrowed tokens back to the lender would trade against lent out reserves
+    await expectRejection(
+      HAY_exchange.flashSwap(0, BORROWED, arbitrage.address, encodeArbitrage(HAY_exchange.address, 1)),
+      "Flash swap in progress"
+    );
+    await expectRejection(HAY_exchange.flashSwap(0, 0, borrower.address, encodeRepayment(0, 0)), "reverted");
+    await expectRejection(
+      HAY_exchange.flashSwap(ETH_RESERVE, 0, borrower.address, encodeRepayment(ETH_RESERVE, 0)),
+      "reverted"
+    );
+  });
+
+  it("refuses to price the exchange until repaid", async function () {
+    const { uniswapFactory, HAY_token, HAY_exchange, pool } = this;
+    const oracle = await (await ethers.getContractFactory("UniswapV1Oracle")).deploy(uniswapFactory.address);
+    await oracle.update(HAY_token.address);
+    const caller = await (await ethers.getContractFactory("FlashCallTest")).deploy();
+    const { tokens: repayment } = flashRepayment(pool, { tokens: BORROWED }, { in: "tokens" });
+    await HAY_token.transfer(caller.address, repayment);
+    const flashCall = (contract, method, args) =>
+      HAY_exchange.flashSwap(
+        0,
+        BORROWED,
+        caller.address,
+        encodeCallbackData(
+          ["address", "bytes", "uint256"],
+          [contract.address, contract.interface.encodeFunctionData(method, args), repayment]
+        )
+      );
+
+    for (const [contract, method, args] of [
+      [oracle, "update", [HAY_token.address]],
+      [oracle, "getSpotPrice", [HAY_token.address]],
+      [HAY_exchange, "getEthToTokenInputPrice", [BORROWED]],
+      [HAY_exchange, "getEthToTokenOutputPrice", [BORROWED]],
+      [HAY_exchange, "getTokenToEthInputPrice", [BORROWED]],
+      [HAY_exchange, "getTokenToEthOutputPrice", [BORROWED]],
+    ]) {
+      await expectRejection(flashCall(contract, method, args), "Flash swap in progress");
+    }
+    // other reads go through, and the flag is down again once repaid
+    await flashCall(HAY_token, "balanceOf", [HAY_exchange.address]);
+    expect(await HAY_exchange.isFlashing()).to.be.false;
+    expect(await HAY_exchange.getEthToTokenInputPrice(BORROWED)).to.be.gt(0);
+  });
+
+  it("encodes callback data", function () {
+    const [ethRepayment, tokenRepayment] = decodeCallbackData(["uint256", "uint256"], encodeRepayment(3, 4));
+    expect(ethRepayment).to.be.eq(3);
+    expect(tokenRepayment).to.be.eq(4);
+
+    expect(() => flashRepayment(this.pool, {})).to.throw("nothing borrowed");
+    expect(() => flashRepayment(this.pool, { tokens: HAY_RESERVE })).to.throw("more than the reserves");
+  });
+});
@@ -0,0 +1,670 @@
+const { ethers } = require("hardhat");
+const { BigNumber } = require("ethers");
+
+const { getInputPrice, getOutputPrice } = require("../lib/pricing");
+
+// Property-based harness for UniswapExchangeV1: random sequences of liquidity and swap
+// steps are run against two exchanges, checking invariants after every step. A failing
+// sequence is shrunk and printed with the command that replays it.
+
+const eth = ethers.utils.parseEther;
+
+const SYMBOLS = ["HAY", "DEN"];
+const TRADERS = 3;
+const TRADER_TOKENS = eth("1000");
+const SEED_ETH = eth("5");
+const SEED_TOKENS = { HAY: eth("10"), DEN: eth("20") };
+const MAX_SHRINK_RUNS = 150;
+// the seed of every run without FUZZ_SEED, so a failing build fails the same way again
+const DEFAULT_SEED = 1;
+
+const SWAPS = [
+  "ethToTokenSwapInput",
+  "ethToTokenTransferInput",
+  "ethToTokenSwapOutput",
+  "ethToTokenTransferOutput",
+  "tokenToEthSwapInput",
+  "tokenToEthTransferInput",
+  "tokenToEthSwapOutput",
+  "tokenToEthTransferOutput",
+];
+const ACTIONS = ["addLiquidity", "removeLiquidity", ...SWAPS];
+
+/** Deterministic PRNG (mulberry32), so a seed reproduces a whole run. */
+class Random {
+  constructor(seed) {
+    this.state = seed >>> 0;
+  }
+
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  pick(values) {
+    return values[this.int(values.length)];
+  }
+
+  /**
+   * Amount spread over many orders of magnitude below limit, with the edges
+   * (1 wei, all of it, slightly more than all of it) drawn on purpose.
+   */
+  amount(limit) {
+    limit = BigNumber.from(limit);
+    const roll = this.next();
+    if (roll < 0.05 || limit.lte(1)) {
+      return BigNumber.from(1);
+    }
+    if (roll < 0.1) {
+      return limit;
+    }
+    if (roll < 0.13) {
+      return limit.add(1 + this.int(1000));
+    }
+    const scaled = limit.mul(1 + this.int(10000)).div(10000);
+    const amount = scaled.div(BigNumber.from(10).pow(this.int(8)));
+    return amount.isZero() ? BigNumber.from(1) : amount;
+  }
+}
+
+/** Deploys UniswapFactoryV1, @return a function creating the exchange of a token */
+async function deployPort() {
+  const factory = await (await ethers.getContractFactory("UniswapFactoryV1")).deploy();
+  return async (token) => {
+    await factory.createExchange(token.address);
+    return ethers.getContractAt("UniswapExchangeV1", await factory.getExchange(token.address));
+  };
+}
+
+/**
+ * Deploys HAY and DEN and their exchanges seeded with liquidity, and funds the traders.
+ * @param {function} [deployFactory] resolves to a function creating the exchange of a token
+ */
+async function deployPools(deployFactory = deployPort) {
+  const [wallet, ...others] = await ethers.getSigners();
+  const traders = others.slice(0, TRADERS);
+
+  const tokenFactory = await ethers.getContractFactory("ERC20Test");
+  const createExchange = await deployFactory();
+  const { timestamp } = await ethers.provider.getBlock("latest");
+
+  const tokens = {};
+  const exchanges = {};
+  for (const symbol of SYMBOLS) {
+    tokens[symbol] = await tokenFactory.deploy(`${symbol} token`, symbol, ethers.constants.MaxUint256);
+    exchanges[symbol] = await createExchange(tokens[symbol]);
+
+    await tokens[symbol].approve(exchanges[symbol].address, SEED_TOKENS[symbol]);
+    await exchanges[symbol].addLiquidity(0, SEED_TOKENS[symbol], timestamp + 3600, { value: SEED_ETH });
+
+    for (const trader of traders) {
+      await tokens[symbol].transfer(trader.address, TRADER_TOKENS);
+      await tokens[symbol].connect(trader).approve(exchanges[symbol].address, ethers.constants.MaxUint256);
+    }
+  }
+  return { traders, tokens, exchanges };
+}
+
+/** Deploys the factory, HAY and DEN exchanges seeded with liquidity, and funds the traders. */
+async function deployFixture() {
+  const fixture = await deployPools();
+  fixture.snapshot = await ethers.provider.send("evm_snapshot", []);
+  return fixture;
+}
+
+// snapshots are consumed by evm_revert, so take a new one each time
+async function resetFixture(fixture) {
+  await ethers.provider.send("evm_revert", [fixture.snapshot]);
+  fixture.snapshot = await ethers.provider.send("evm_snapshot", []);
+}
+
+async function readPool(fixture, symbol) {
+  const exchange = fixture.exchanges[symbol];
+  const [ethReserve, tokenReserve, totalSupply] = await Promise.all([
+    ethers.provider.getBalance(exchange.address),
+    fixture.tokens[symbol].balanceOf(exchange.address),
+    exchange.totalSupply(),
+  ]);
+  return { ethReserve, tokenReserve, totalSupply };
+}
+
+async function readAccount(fixture, symbol, address) {
+  const [eth, tokens, liquidity] = await Promise.all([
+    ethers.provider.getBalance(address),
+    fixture.tokens[symbol].balanceOf(address),
+    fixture.exchanges[symbol].balanceOf(address),
+  ]);
+  return { eth, tokens, liquidity };
+}
+
+/** Picks a random step sized against the current chain state. */
+async function generateStep(rng, fixture) {
+  const action = rng.pick(ACTIONS);
+  const exchange = rng.pick(SYMBOLS);
+  const account = rng.int(TRADERS);
+  const trader = fixture.traders[account];
+  const pool = await readPool(fixture, exchange);
+  const balances = await readAccount(fixture, exchange, trader.address);
+  const step = { action, exchange, account };
+
+  if (action === "addLiquidity") {
+    step.amount = rng.amount(SEED_ETH);
+    step.max =
+      rng.next() < 0.5
+        ? balances.tokens
+        : rng.amount(pool.tokenReserve.isZero() ? SEED_TOKENS[exchange] : pool.tokenReserve);
+  } else if (action === "removeLiquidity") {
+    step.amount = rng.amount(balances.liquidity.isZero() ? pool.totalSupply : balances.liquidity);
+  } else if (action.startsWith("ethToToken") && action.endsWith("Input")) {
+    step.amount = rng.amount(pool.ethReserve.isZero() ? SEED_ETH : pool.ethReserve);
+  } else if (action.startsWith("ethToToken")) {
+    step.amount = rng.amount(pool.tokenReserve);
+    // the exchange refunds what it does not use
+    step.max = rng.amount(pool.ethReserve.mul(4));
+  } else if (action.endsWith("Input")) {
+    step.amount = rng.amount(pool.tokenReserve.isZero() ? SEED_TOKENS[exchange] : pool.tokenReserve);
+  } else {
+    step.amount = rng.amount(pool.ethReserve);
+    step.max = rng.next() < 0.5 ? balances.tokens : rng.amount(pool.tokenReserve.mul(4));
+  }
+  if (action.includes("Transfer")) {
+    step.recipient = rng.int(TRADERS);
+  }
+
+  step.amount = step.amount.toString();
+  if (step.max) {
+    step.max = step.max.toString();
+  }
+  return step;
+}
+
+/**
+ * Expected effect of a step, following the exchange's formulas and rounding.
+ * @return null when the exchange must revert, otherwise deltas of the pool and of the
+ *         sender and recipient keyed by role
+ */
+function predict(step, pool, sender) {
+  const amount = BigNumber.from(step.amount);
+  const max = step.max && BigNumber.from(step.max);
+  const { ethReserve, tokenReserve, totalSupply } = pool;
+  const zero = BigNumber.from(0);
+  const effect = (poolEth, poolTokens, poolLiquidity, senderDelta, recipientDelta) => ({
+    pool: { eth: poolEth, tokens: poolTokens, liquidity: poolLiquidity },
+    sender: { eth: zero, tokens: zero, liquidity: zero, ...senderDelta },
+    recipient: { eth: zero, tokens: zero, liquidity: zero, ...recipientDelta },
+  });
+
+  try {
+    switch (step.action) {
+      case "addLiquidity": {
+        if (amount.isZero() || max.isZero()) {
+          return null;
+        }
+        if (totalSupply.isZero()) {
+          if (amount.lt(1000000000) || sender.tokens.lt(max)) {
+            return null;
+          }
+          const minted = ethReserve.add(amount);
+          return effect(amount, max, minted, { eth: amount.mul(-1), tokens: max.mul(-1), liquidity: minted });
+        }
+        if (ethReserve.isZero()) {
+          return null;
+        }
+        const tokenAmount = amount.mul(tokenReserve).div(ethReserve).add(1);
+        const minted = amount.mul(totalSupply).div(ethReserve);
+        if (max.lt(tokenAmount) || minted.isZero() || sender.tokens.lt(tokenAmount)) {
+          return null;
+        }
+        return effect(amount, tokenAmount, minted, {
+          eth: amount.mul(-1),
+          tokens: tokenAmount.mul(-1),
+          liquidity: minted,
+        });
+      }
+      case "removeLiquidity": {
+        if (amount.isZero() || totalSupply.isZero() || sender.liquidity.lt(amount)) {
+          return null;
+        }
+        const ethAmount = amount.mul(ethReserve).div(totalSupply);
+        const tokenAmount = amount.mul(tokenReserve).div(totalSupply);
+        if (ethAmount.isZero() || tokenAmount.isZero()) {
+          return null;
+        }
+        return effect(ethAmount.mul(-1), tokenAmount.mul(-1), amount.mul(-1), {
+          eth: ethAmount,
+          tokens: tokenAmount,
+          liquidity: amount.mul(-1),
+        });
+      }
+      case "ethToTokenSwapInput":
+      case "ethToTokenTransferInput": {
+        const bought = getInputPrice(amount, ethReserve, tokenReserve);
+        if (amount.isZero() || bought.isZero()) {
+          return null;
+        }
+        return effect(amount, bought.mul(-1), zero, { eth: amount.mul(-1) }, { tokens: bought });
+      }
+      case "ethToTokenSwapOutput":
+      case "ethToTokenTransferOutput": {
+        const sold = getOutputPrice(amount, ethReserve, tokenReserve);
+        if (amount.isZero() || max.isZero() || sold.gt(max)) {
+          return null;
+        }
+        return effect(sold, amount.mul(-1), zero, { eth: sold.mul(-1) }, { tokens: amount });
+      }
+      case "tokenToEthSwapInput":
+      case "tokenToEthTransferInput": {
+        const bought = getInputPrice(amount, tokenReserve, ethReserve);
+        if (amount.isZero() || bought.isZero() || sender.tokens.lt(amount)) {
+          return null;
+        }
+        return effect(bought.mul(-1), amount, zero, { tokens: amount.mul(-1) }, { eth: bought });
+      }
+      case "tokenToEthSwapOutput":
+      case "tokenToEthTransferOutput": {
+        const sold = getOutputPrice(amount, tokenReserve, ethReserve);
+        if (amount.isZero() || sold.gt(max) || sender.tokens.lt(sold)) {
+          return null;
+        }
+        return effect(amount.mul(-1), sold, zero, { tokens: sold.mul(-1) }, { eth: amount });
+      }
+      default:
+        throw new Error(`unknown action ${step.action}`);
+    }
+  } catch (e) {
+    // empty reserves and outputs the reserve cannot cover revert on chain too
+    if (/empty reserve|insufficient output reserve/.test(e.message)) {
+      return null;
+    }
+    throw e;
+  }
+}
+
+// with callStatic, resolves to what the step returns instead of sending it
+async function send(fixture, step, deadline, { callStatic = false } = {}) {
+  const signed = fixture.exchanges[step.exchange].connect(fixture.traders[step.account]);
+  const exchange = callStatic ? signed.callStatic : signed;
+  const recipient = step.recipient !== undefined && fixture.traders[step.recipient].address;
+  const amount = step.amount;
+
+  switch (step.action) {
+    case "addLiquidity":
+      return exchange.addLiquidity(1, step.max, deadline, { value: amount });
+    case "removeLiquidity":
+      return exchange.removeLiquidity(amount, 1, 1, deadline);
+    case "ethToTokenSwapInput":
+      return exchange.ethToTokenSwapInput(1, deadline, { value: amount });
+    case "ethToTokenTransferInput":
+      return exchange.ethToTokenTransferInput(1, deadline, recipient, { value: amount });
+    case "ethToTokenSwapOutput":
+      return exchange.ethToTokenSwapOutput(amount, deadline, { value: step.max });
+    case "ethToTokenTransferOutput":
+      return exchange.ethToTokenTransferOutput(amount, deadline, recipient, { value: step.max });
+    case "tokenToEthSwapInput":
+      return exchange.tokenToEthSwapInput(amount, 1, deadline);
+    case "tokenToEthTransferInput":
+      return exchange.tokenToEthTransferInput(amount, 1, deadline, recipient);
+    case "tokenToEthSwapOutput":
+      return exchange.tokenToEthSwapOutput(amount, step.max, deadline);
+    case "tokenToEthTransferOutput":
+      return exchange.tokenToEthTransferOutput(amount, step.max, deadline, recipient);
+    default:
+      throw new Error(`unknown action ${step.action}`);
+  }
+}
+
+function sameDeltas(actual, expected) {
+  return ["eth", "tokens", "liquidity"].every((key) => actual[key].eq(expected[key]));
+}
+
+function describeDeltas(deltas) {
+  return `eth ${deltas.eth}, tokens ${deltas.tokens}, liquidity ${deltas.liquidity}`;
+}
+
+function deltas(before, after) {
+  return {
+    eth: after.eth.sub(before.eth),
+    tokens: after.tokens.sub(before.tokens),
+    liquidity: after.liquidity.sub(before.liquidity),
+  };
+}
+
+function sumDeltas(a, b) {
+  return { eth: a.eth.add(b.eth), tokens: a.tokens.add(b.tokens), liquidity: a.liquidity.add(b.liquidity) };
+}
+
+function redemptionValue(liquidity, pool) {
+  if (pool.totalSupply.isZero()) {
+    return { eth: BigNumber.from(0), tokens: BigNumber.from(0) };
+  }
+  return {
+    eth: liquidity.mul(pool.ethReserve).div(pool.totalSupply),
+    tokens: liquidity.mul(pool.tokenReserve).div(pool.totalSupply),
+  };
+}
+
+/**
+ * Invariants checked after every step. Each receives
+ * {step, expected, before: {pool, accounts}, after: {pool, accounts}, actors, reverted}
+ * and returns an error message, or nothing when it holds.
+ */
+const INVARIANTS = {
+  "matches the model": ({ expected, reverted }) => {
+    if (expected && reverted) {
+      return `reverted with ${reverted}, expected to succeed`;
+    }
+    if (!expected && !reverted) {
+      return "succeeded, expected to revert";
+    }
+  },
+
+  "reserves match swapInput/swapOutput": ({ expected, before, after }) => {
+    const actual = deltas(
+      { eth: before.pool.ethReserve, tokens: before.pool.tokenReserve, liquidity: before.pool.totalSupply },
+      { eth: after.pool.ethReserve, tokens: after.pool.tokenReserve, liquidity: after.pool.totalSupply }
+    );
+    const wanted = expected
+      ? expected.pool
+      : { eth: actual.eth.mul(0), tokens: actual.tokens.mul(0), liquidity: actual.liquidity.mul(0) };
+    if (!sameDeltas(actual, wanted)) {
+      return `pool moved by ${describeDeltas(actual)}, expected ${describeDeltas(wanted)}`;
+    }
+  },
+
+  "balances match swapInput/swapOutput": ({ expected, actors }) => {
+    for (const [role, actor] of Object.entries(actors.roles)) {
+      const wanted = expected
+        ? role === "both"
+          ? sumDeltas(expected.sender, expected.recipient)
+          : expected[role]
+        : { eth: BigNumber.from(0), tokens: BigNumber.from(0), liquidity: BigNumber.from(0) };
+      if (!sameDeltas(actor.deltas, wanted)) {
+        return `${role} moved by ${describeDeltas(actor.deltas)}, expected ${describeDeltas(wanted)}`;
+      }
+    }
+  },
+
+  "product never decreases on swaps": ({ step, before, after }) => {
+    if (!SWAPS.includes(step.action)) {
+      return;
+    }
+    const k0 = before.pool.ethReserve.mul(before.pool.tokenReserve);
+    const k1 = after.pool.ethReserve.mul(after.pool.tokenReserve);
+    if (k1.lt(k0)) {
+      return `product fell from ${k0} to ${k1}`;
+    }
+  },
+
+  "share redemption value is conserved": ({ step, before, after }) => {
+    // swaps move value between ETH and tokens, liquidity steps must not dilute either
+    if (SWAPS.includes(step.action) || before.pool.totalSupply.isZero() || after.pool.totalSupply.isZero()) {
+      return;
+    }
+    const { pool: p0 } = before;
+    const { pool: p1 } = after;
+    if (p1.ethReserve.mul(p0.totalSupply).lt(p0.ethReserve.mul(p1.totalSupply))) {
+      return "ETH per share decreased";
+    }
+    if (p1.tokenReserve.mul(p0.totalSupply).lt(p0.tokenReserve.mul(p1.totalSupply))) {
+      return "tokens per share decreased";
+    }
+  },
+
+  "no value for free": ({ before, after, actors }) => {
+    // everything the actors hold, shares counted at redemption value
+    const held = (state, liquidity) => {
+      const value = redemptionValue(liquidity, state.pool);
+      return { eth: value.eth, tokens: value.tokens };
+    };
+    const start = held(before, actors.liquidityBefore);
+    const end = held(after, actors.liquidityAfter);
+    const gainEth = end.eth.sub(start.eth).add(actors.total.eth);
+    const gainTokens = end.tokens.sub(start.tokens).add(actors.total.tokens);
+    if (gainEth.gte(0) && gainTokens.gte(0) && (gainEth.gt(0) || gainTokens.gt(0))) {
+      return `gained ${gainEth} wei and ${gainTokens} tokens without paying anything`;
+    }
+  },
+};
+
+class InvariantError extends Error {}
+
+async function gasSpent(address, fromBlock) {
+  let total = BigNumber.from(0);
+  for (let number = fromBlock; number <= (await ethers.provider.getBlockNumber()); number++) {
+    const block = await ethers.provider.getBlockWithTransactions(number);
+    for (const tx of block.transactions.filter((t) => t.from === address)) {
+      const receipt = await ethers.provider.getTransactionReceipt(tx.hash);
+      total = total.add(receipt.gasUsed.mul(receipt.effectiveGasPrice));
+    }
+  }
+  return total;
+}
+
+/**
+ * Runs one step and checks every invariant.
+ * @throws InvariantError naming the broken invariant
+ */
+async function checkStep(fixture, step, invariants) {
+  const sender = fixture.traders[step.account].address;
+  const recipient = step.recipient !== undefined ? fixture.traders[step.recipient].address : sender;
+  const addresses = [...new Set([sender, recipient])];
+
+  const read = async () => ({
+    pool: await readPool(fixture, step.exchange),
+    accounts: Object.fromEntries(
+      await Promise.all(addresses.map(async (a) => [a, await readAccount(fixture, step.exchange, a)]))
+    ),
+  });
+
+  const before = await read();
+  const expected = predict(step, before.pool, before.accounts[sender]);
+  const { timestamp } = await ethers.provider.getBlock("latest");
+
+  const startBlock = await ethers.provider.getBlockNumber();
+
+  let reverted = null;
+  try {
+    await (await send(fixture, step, timestamp + 300)).wait();
+  } catch (e) {
+    reverted = e.message.split("\n")[0];
+  }
+  // reverted transactions may still be mined and pay for gas
+  const gas = await gasSpent(sender, startBlock + 1);
+  const after = await read();
+
+  const accountDeltas = {};
+  for (const address of addresses) {
+    accountDeltas[address] = deltas(before.accounts[address], after.accounts[address]);
+  }
+  accountDeltas[sender].eth = accountDeltas[sender].eth.add(gas);
+
+  const roles =
+    sender === recipient
+      ? { both: { deltas: accountDeltas[sender] } }
+      : {
+          sender: { deltas: accountDeltas[sender] },
+          recipient: { deltas: accountDeltas[recipient] },
+        };
+  const sum = (key, state) => addresses.reduce((total, a) => total.add(state.accounts[a][key]), BigNumber.from(0));
+  const actors = {
+    roles,
+    total: Object.values(accountDeltas).reduce(sumDeltas),
+    liquidityBefore: sum("liquidity", before),
+    liquidityAfter: sum("liquidity", after),
+  };
+
+  for (const [name, invariant] of Object.entries(invariants)) {
+    const message = invariant({ step, expected, before, after, actors, reverted });
+    if (message) {
+      throw new InvariantError(`${name}: ${message}`);
+    }
+  }
+}
+
+/**
+ * Replays steps from the fixture snapshot.
+ * @return the first failure as {index, message}, or null
+ */
+async function replay(fixture, steps, invariants = INVARIANTS) {
+  await resetFixture(fixture);
+  for (let index = 0; index < steps.length; index++) {
+    try {
+      await checkStep(fixture, steps[index], invariants);
+    } catch (e) {
+      if (!(e instanceof InvariantError)) {
+        throw e;
+      }
+      return { index, message: e.message };
+    }
+  }
+  return null;
+}
+
+/**
+ * Shrinks a failing sequence by dropping chunks of steps, then single steps, then
+ * halving amounts, keeping every candidate that still fails.
+ * @return {steps, failure} smallest failing sequence found
+ */
+async function shrink(fixture, steps, failure, invariants = INVARIANTS) {
+  let best = { steps: steps.slice(0, failure.index + 1), failure };
+  let budget = MAX_SHRINK_RUNS;
+
+  const attempt = async (candidate) => {
+    if (budget-- <= 0 || candidate.length === 0) {
+      return false;
+    }
+    const result = await replay(fixture, candidate, invariants);
+    if (!result) {
+      return false;
+    }
+    best = { steps: candidate.slice(0, result.index + 1), failure: result };
+    return true;
+  };
+
+  for (let chunk = Math.floor(best.steps.length / 2); chunk >= 1 && budget > 0; chunk = Math.floor(chunk / 2)) {
+    for (let start = 0; start + chunk <= best.steps.length && budget > 0; ) {
+      const candidate = [...best.steps.slice(0, start), ...best.steps.slice(start + chunk)];
+      if (!(await attempt(candidate))) {
+        start += chunk;
+      }
+    }
+  }
+
+  for (let i = 0; i < best.steps.length && budget > 0; i++) {
+    for (const key of ["amount", "max"]) {
+      while (best.steps[i] && best.steps[i][key] && budget > 0) {
+        const value = BigNumber.from(best.steps[i][key]);
+        if (value.lte(1)) {
+          break;
+        }
+        const candidate = best.steps.map((step, j) => (j === i ? { ...step, [key]: value.div(2).toString() } : step));
+        if (!(await attempt(candidate))) {
+          break;
+        }
+      }
+    }
+  }
+
+  return best;
+}
+
+/** Formats a failing sequence as a mocha replay command and readable steps. */
+function formatScript(steps, failure, seed) {
+  const lines = [
+    `Invariant broken at step ${failure.index + 1}: ${failure.message}`,
+    seed !== undefined ? `Seed: ${seed}` : null,
+    "Replay with:",
+    `  FUZZ_REPLAY='${JSON.stringify(steps)}' npx hardhat test test/invariants-test.js`,
+    "Steps:",
+    ...steps.map((step, i) => {
+      const to = step.recipient !== undefined ? ` -> trader ${step.recipient}` : "";
+      const max = step.max !== undefined ? ` (max ${step.max})` : "";
+      return `  ${i + 1}. trader ${step.account} ${step.action} ${step.amount}${max} on ${step.exchange}${to}`;
+    }),
+  ];
+  return lines.filter((line) => line !== null).join("\n");
+}
+
+/**
+ * @param {string} [value] FUZZ_SEED: unset for DEFAULT_SEED, an integer, or "random" for a new
+ *        seed on every run, which failures print
+ * @return the seed
+ */
+function seedFromEnv(value = process.env.FUZZ_SEED) {
+  if (!value) {
+    return DEFAULT_SEED;
+  }
+  if (value === "random") {
+    return Math.floor(Math.random() * 2 ** 32);
+  }
+  const seed = Number(value);
+  if (!Number.isInteger(seed) || seed < 0) {
+    throw new Error(`fuzz: FUZZ_SEED must be a non-negative integer or random, got ${value}`);
+  }
+  return seed;
+}
+
+/**
+ * Generates runs of random steps from seed. Stops at the first failing run, shrinks it
+ * and throws an Error whose message is the replay script.
+ * @param {object} fixture from deployFixture
+ * @param {object} [options]
+ * @param {number} [options.seed] DEFAULT_SEED by default
+ * @param {number} [options.runs]
+ * @param {number} [options.steps] steps per run
+ * @param {object} [options.invariants] defaults to INVARIANTS
+ */
+async function fuzz(fixture, options = {}) {
+  const seed = options.seed ?? DEFAULT_SEED;
+  const invariants = options.invariants || INVARIANTS;
+  const rng = new Random(seed);
+
+  for (let run = 0; run < (options.runs || 10); run++) {
+    await resetFixture(fixture);
+    const steps = [];
+    for (let i = 0; i < (options.steps || 20); i++) {
+      const step = await generateStep(rng, fixture);
+      steps.push(step);
+      try {
+        await checkStep(fixture, step, invariants);
+      } catch (e) {
+        if (!(e instanceof InvariantError)) {
+          throw e;
+        }
+        const shrunk = await shrink(fixture, steps, { index: i, message: e.message }, invariants);
+        const error = new Error(formatScript(shrunk.steps, shrunk.failure, seed));
+        error.steps = shrunk.steps;
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_SEED,
+  Random,
+  ACTIONS,
+  INVARIANTS,
+  deployPort,
+  deployPools,
+  deployFixture,
+  resetFixture,
+  readPool,
+  readAccount,
+  send,
+  gasSpent,
+  generateStep,
+  predict,
+  replay,
+  shrink,
+  formatScript,
+  seedFromEnv,
+  fuzz,
+};
@@ -0,0 +1,77 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+
+const { profile, uncovered, compare, formatDiff, formatMarkdown, readReport, writeReport } = require("../gas/profiler");
+const { expectRejection } = require("./utils");
+
+const BASELINE = path.join(__dirname, "..", "gas", "baseline.json");
+
+describe("Gas report", function () {
+  this.timeout(300000);
+
+  before(async function () {
+    this.report = await profile(hre);
+  });
+
+  it("records the compiler settings", function () {
+    expect(this.report.solidity).to.be.eq("0.8.13 optimized for 200 runs");
+  });
+
+  it("covers every public factory and exchange function", async function () {
+    expect(await uncovered(hre, this.report)).to.deep.eq([]);
+  });
+
+  it("does not regress against the committed baseline", async function () {
+    const comparison = compare(readReport(BASELINE), this.report);
+    // refresh with `npx hardhat uniswap:gas --update` when a change is intended
+    expect(comparison.regressions, formatDiff(comparison.regressions)).to.be.empty;
+    expect(comparison.added.map((r) => `${r.entry} (${r.scenario})`)).to.be.empty;
+    expect(comparison.removed.map((r) => `${r.entry} (${r.scenario})`)).to.be.empty;
+  });
+
+  it("is the same whatever ran before", async function () {
+    await hre.ethers.provider.send("evm_mine", []);
+    const [signer] = await hre.ethers.getSigners();
+    await signer.sendTransaction({ to: signer.address, value: 1 });
+
+    expect(await profile(hre)).to.deep.eq(this.report);
+  });
+
+  it("fails uniswap:gas with the regressed functions", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gas-"));
+    const baseline = JSON.parse(JSON.stringify(this.report));
+    baseline.entries["UniswapExchangeV1.ethToTokenSwapInput"].default -= 1000;
+    writeReport(path.join(dir, "baseline.json"), baseline);
+
+    await expectRejection(
+      hre.run("uniswap:gas", { baseline: path.join(dir, "baseline.json"), output: dir }),
+      "UniswapExchangeV1.ethToTokenSwapInput (default)"
+    );
+    expect(fs.readFileSync(path.join(dir, "report.md"), "utf8")).to.include("⚠");
+  });
+
+  it("flags scenarios above the threshold", function () {
+    const baseline = { solidity: "0.8.13", entries: { "A.f": { default: 1000, other: 1000 }, "A.g": { view: 500 } } };
+    const report = { solidity: "0.8.13", entries: { "A.f": { default: 1011, other: 990 }, "A.h": { view: 200 } } };
+
+    const comparison = compare(baseline, report, { threshold: 1 });
+    expect(comparison.regressions.map((r) => [r.entry, r.scenario])).to.deep.eq([["A.f", "default"]]);
+    expect(comparison.improvements.map((r) => r.scenario)).to.deep.eq(["other"]);
+    expect(comparison.added.map((r) => r.entry)).to.deep.eq(["A.h"]);
+    expect(comparison.removed.map((r) => r.entry)).to.deep.eq(["A.g"]);
+    expect(compare(baseline, report, { threshold: 2 }).regressions).to.be.empty;
+
+    expect(formatDiff(comparison.regressions)).to.be.eq("A.f (default): 1000 -> 1011 (+1.10%)");
+    const markdown = formatMarkdown(report, comparison);
+    expect(markdown).to.include("| A.f | default | 1011 | 1000 | +1.10% ⚠ |");
+    expect(markdown).to.include("| A.f | other | 990 | 1000 | -1.00% |");
+    expect(markdown).to.include("- A.g (view)");
+
+    expect(() => compare({ ...baseline, solidity: "0.8.13 unoptimized" }, report)).to.throw(
+      "gas: baseline compiled with 0.8.13 unoptimized, this run with 0.8.13"
+    );
+  });
+});
@@ -0,0 +1,170 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { UniswapV1Client, Indexer, FileStore, encodeRepayment, flashRepayment } = require("../lib");
+const { ETH_RESERVE, HAY_RESERVE, DEN_RESERVE, ETH_SOLD, HAY_SOLD, DEN_BOUGHT } = require("./constants");
+
+async function onChainState(exchange, token) {
+  return {
+    ethReserve: await ethers.provider.getBalance(exchange.address),
+    tokenReserve: await token.balanceOf(exchange.address),
+    totalSupply: await exchange.totalSupply(),
+  };
+}
+
+describe("Event indexer", function () {
+  beforeEach(async function () {
+    const [a0, a1] = await ethers.getSigners();
+    this.startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    const tokenFactory = await ethers.getContractFactory("ERC20Test");
+    this.HAY_token = await tokenFactory.deploy("Hay token", "HAY", ethers.constants.MaxUint256);
+    this.DEN_token = await tokenFactory.deploy("Den token", "DEN", ethers.constants.MaxUint256);
+
+    const uniswapFactoryFactory = await ethers.getContractFactory("UniswapFactoryV1");
+    this.uniswapFactory = await uniswapFactoryFactory.deploy();
+
+    this.client = new UniswapV1Client(this.uniswapFactory.address, a0);
+    this.HAY_exchange = await this.client.createExchange(this.HAY_token.address);
+    this.DEN_exchange = await this.client.createExchange(this.DEN_token.address);
+    await this.client.addLiquidity(this.HAY_token.address, ETH_RESERVE, HAY_RESERVE);
+    await this.client.addLiquidity(this.DEN_token.address, ETH_RESERVE, DEN_RESERVE);
+
+    await this.HAY_token.transfer(a1.address, HAY_SOLD.mul(10));
+
+    this.dir = fs.mkdtempSync(path.join(os.tmpdir(), "uniswap-indexer-"));
+    this.store = new FileStore(path.join(this.dir, "index.json"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(this.dir, { recursive: true, force: true });
+  });
+
+  it("reconstructs reserves, LP supply and volume", async function () {
+    const [a0, a1, a2] = await ethers.getSigners();
+    const { HAY_token, DEN_token, HAY_exchange, DEN_exchange } = this;
+    const trader = this.client.connect(a1);
+
+    await trader.swapEthToTokenInput(HAY_token.address, ETH_SOLD);
+    await trader.swapTokenToEthInput(HAY_token.address, HAY_SOLD);
+    await trader.swapTokenToTokenOutput(HAY_token.address, DEN_token.address, DEN_BOUGHT, { recipient: a2.address });
+    await trader.addLiquidity(HAY_token.address, ETH_SOLD);
+    await trader.removeLiquidity(HAY_token.address, ETH_SOLD.div(2));
+
+    const indexer = new Indexer(ethers.provider, this.uniswapFactory.address, {
+      startBlock: this.startBlock,
+      batchSize: 3,
+    });
+    const applied = await indexer.sync();
+    expect(applied).to.be.eq(8);
+
+    expect(indexer.exchanges().map((e) => e.exchange)).to.be.deep.eq([HAY_exchange.address, DEN_exchange.address]);
+    expect(indexer.exchanges()[0].token).to.be.eq(HAY_token.address);
+
+    for (const [exchange, token] of [
+      [HAY_exchange, HAY_token],
+      [DEN_exchange, DEN_token],
+    ]) {
+      const expected = await onChainState(exchange, token);
+      const actual = indexer.reserves(exchange.address);
+      expect(actual.ethReserve).to.be.eq(expected.ethReserve);
+      expect(actual.tokenReserve).to.be.eq(expected.tokenReserve);
+      expect(actual.totalSupply).to.be.eq(expected.totalSupply);
+    }
+
+    const history = indexer.history(HAY_exchange.address);
+    expect(history.map((e) => e.event)).to.be.deep.eq([
+      "AddLiquidity",
+      "TokenPurchase",
+      "EthPurchase",
+      "EthPurchase",
+      "AddLiquidity",
+      "RemoveLiquidity",
+    ]);
+    expect(history[0].ethReserve).to.be.eq(ETH_RESERVE);
+    expect(history[0].tokenReserve).to.be.eq(HAY_RESERVE);
+    expect(history[0].totalSupply).to.be.eq(ETH_RESERVE);
+    expect(history[1].ethReserve).to.be.eq(ETH_RESERVE.add(ETH_SOLD));
+    expect(history[1].ethAmount).to.be.eq(ETH_SOLD);
+    expect(history[5].totalSupply).to.be.eq(history[4].totalSupply.sub(ETH_SOLD.div(2)));
+
+    const beforeTrades = indexer.reservesAt(HAY_exchange.address, history[1].blockNumber - 1);
+    expect(beforeTrades.ethReserve).to.be.eq(ETH_RESERVE);
+
+    expect(indexer.history(HAY_exchange.address, { event: "AddLiquidity", account: a1.address })).to.have.length(1);
+    expect(() => indexer.history(HAY_exchange.address, { event: "Transfer" })).to.throw("unknown event");
+    expect(() => indexer.reserves(a1.address)).to.throw("unknown exchange");
+
+    const volume = indexer.volume(HAY_exchange.address, a1.address);
+    expect(volume.trades).to.be.eq(3);
+    expect(volume.ethSold).to.be.eq(ETH_SOLD);
+    expect(volume.tokensBought).to.be.eq(history[1].tokenAmount);
+    expect(volume.tokensSold).to.be.eq(HAY_SOLD.add(history[3].tokenAmount));
+
+    // the DEN side of token to token is bought by the HAY exchange
+    expect(Object.keys(indexer.volume(DEN_exchange.address))).to.be.deep.eq([HAY_exchange.address]);
+  });
+
+  it("replays flash swaps", async function () {
+    const [a0, a1] = await ethers.getSigners();
+    const { HAY_token, HAY_exchange, uniswapFactory } = this;
+    const borrower = await (await ethers.getContractFactory("FlashRepayTest")).deploy();
+    await HAY_token.transfer(borrower.address, HAY_RESERVE);
+    await a0.sendTransaction({ to: borrower.address, value: ETH_RESERVE });
+
+    // ETH repaid in tokens, then tokens repaid in both assets with some to spare
+    const pool = await onChainState(HAY_exchange, HAY_token);
+    const repayment = flashRepayment(pool, { eth: ETH_SOLD }, { in: "tokens" });
+    await HAY_exchange.flashSwap(ETH_SOLD, 0, borrower.address, encodeRepayment(0, repayment.tokens));
+    await HAY_exchange.flashSwap(0, HAY_SOLD, borrower.address, encodeRepayment(ETH_SOLD, HAY_SOLD));
+    await this.client.connect(a1).swapEthToTokenInput(HAY_token.address, ETH_SOLD);
+
+    const indexer = new Indexer(ethers.provider, uniswapFactory.address, { startBlock: this.startBlock });
+    await indexer.sync();
+    const expected = await onChainState(HAY_exchange, HAY_token);
+    const actual = indexer.reserves(HAY_exchange.address);
+    expect(actual.ethReserve).to.be.eq(expected.ethReserve);
+    expect(actual.tokenReserve).to.be.eq(expected.tokenReserve);
+
+    const flashes = indexer.history(HAY_exchange.address, { event: "FlashSwap" });
+    expect(flashes.map((e) => e.account)).to.be.deep.eq([borrower.address, borrower.address]);
+    expect(flashes[0].ethAmount).to.be.eq(ETH_SOLD);
+    expect(flashes[0].tokenRepaid).to.be.eq(repayment.tokens);
+    expect(flashes[0].ethReserve).to.be.eq(ETH_RESERVE.sub(ETH_SOLD));
+    expect(flashes[1].ethRepaid).to.be.eq(ETH_SOLD);
+    expect(flashes[1].tokenReserve).to.be.eq(HAY_RESERVE.add(repayment.tokens));
+    // lending is no trade
+    expect(indexer.volume(HAY_exchange.address, borrower.address).trades).to.be.eq(0);
+  });
+
+  it("catches up incrementally from the store", async function () {
+    const [a0, a1] = await ethers.getSigners();
+    const { HAY_token, HAY_exchange, uniswapFactory, store } = this;
+    const trader = this.client.connect(a1);
+
+    await trader.swapEthToTokenInput(HAY_token.address, ETH_SOLD);
+
+    const first = new Indexer(ethers.provider, uniswapFactory.address, { store, startBlock: this.startBlock });
+    expect(await first.sync()).to.be.eq(3);
+    const lastBlock = first.lastBlock;
+    expect(lastBlock).to.be.eq(await ethers.provider.getBlockNumber());
+
+    await trader.swapTokenToEthInput(HAY_token.address, HAY_SOLD);
+
+    // a fresh instance resumes from the persisted block instead of rescanning
+    const second = new Indexer(ethers.provider, uniswapFactory.address, { store });
+    expect(second.lastBlock).to.be.eq(lastBlock);
+    expect(await second.sync()).to.be.eq(1);
+    expect(await second.sync()).to.be.eq(0);
+
+    const expected = await onChainState(HAY_exchange, HAY_token);
+    expect(second.reserves(HAY_exchange.address).ethReserve).to.be.eq(expected.ethReserve);
+    expect(second.reserves(HAY_exchange.address).tokenReserve).to.be.eq(expected.tokenReserve);
+    expect(second.history(HAY_exchange.address)).to.have.length(3);
+
+    expect(() => new Indexer(ethers.provider, HAY_token.address, { store })).to.throw("store belongs to factory");
+  });
+});
@@ -0,0 +1,77 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+const { DEFAULT_SEED, INVARIANTS, Random, deployFixture, generateStep, replay, fuzz, seedFromEnv } = require("./fuzz");
+
+const env = (name, fallback) => (process.env[name] ? Number(process.env[name]) : fallback);
+
+describe("UniswapExchangeV1: invariants", function () {
+  this.timeout(600000);
+
+  before(async function () {
+    this.fixture = await deployFixture();
+  });
+
+  it("holds over random sequences of liquidity and swap steps", async function () {
+    // the same steps on every run, FUZZ_SEED=random explores others; FUZZ_RUNS and FUZZ_STEPS make it longer
+    await fuzz(this.fixture, {
+      seed: seedFromEnv(),
+      runs: env("FUZZ_RUNS", 5),
+      steps: env("FUZZ_STEPS", 20),
+    });
+  });
+
+  if (process.env.FUZZ_REPLAY) {
+    it("holds on the FUZZ_REPLAY sequence", async function () {
+      const failure = await replay(this.fixture, JSON.parse(process.env.FUZZ_REPLAY));
+      expect(failure).to.be.null;
+    });
+  }
+
+  it("generates the same steps from the same seed", async function () {
+    const generate = async () => {
+      const rng = new Random(42);
+      const steps = [];
+      for (let i = 0; i < 10; i++) {
+        steps.push(await generateStep(rng, this.fixture));
+      }
+      return steps;
+    };
+    expect(await generate()).to.deep.eq(await generate());
+  });
+
+  it("runs a fixed seed unless FUZZ_SEED is random", function () {
+    expect(seedFromEnv(undefined)).to.be.eq(DEFAULT_SEED);
+    expect(seedFromEnv("")).to.be.eq(DEFAULT_SEED);
+    expect(seedFromEnv("1234")).to.be.eq(1234);
+    expect(Number.isInteger(seedFromEnv("random"))).to.be.true;
+    expect(() => seedFromEnv("abc")).to.throw("FUZZ_SEED must be a non-negative integer or random, got abc");
+  });
+
+  it("shrinks a failing sequence into a replayable script", async function () {
+    // deliberately wrong invariant, broken by any step leaving more than 5.5 ETH in the HAY pool
+    const invariants = {
+      ...INVARIANTS,
+      "HAY pool stays small": ({ step, after }) =>
+        step.exchange === "HAY" && after.pool.ethReserve.gt(ethers.utils.parseEther("5.5"))
+          ? "too much ETH"
+          : undefined,
+    };
+
+    let error;
+    try {
+      await fuzz(this.fixture, { seed: 7, runs: 5, steps: 20, invariants });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.not.be.undefined;
+    expect(error.message).to.include("HAY pool stays small: too much ETH");
+    expect(error.message).to.include("FUZZ_REPLAY='");
+    expect(error.steps.length).to.be.eq(1);
+
+    const [step] = error.steps;
+    expect(step.exchange).to.be.eq("HAY");
+    expect(await replay(this.fixture, error.steps, invariants)).to.not.be.null;
+    expect(await replay(this.fixture, error.steps)).to.be.null;
+  });
+});
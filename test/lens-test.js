@@ -0,0 +1,122 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+const { ReserveFetcher, getDeadline } = require("../lib");
+const { expectRejection } = require("./utils");
+const { ETH_RESERVE, HAY_RESERVE, DEN_RESERVE, ETH_SOLD } = require("./constants");
+
+describe("UniswapV1Lens", function () {
+  beforeEach(async function () {
+    this.deadline = await getDeadline(ethers.provider);
+    const tokenFactory = await ethers.getContractFactory("ERC20Test");
+    this.HAY_token = await tokenFactory.deploy("Hay token", "HAY", ethers.constants.MaxUint256);
+    this.DEN_token = await tokenFactory.deploy("Den token", "DEN", ethers.constants.MaxUint256);
+    this.MKR_token = await (await ethers.getContractFactory("Bytes32MetadataTest")).deploy();
+    this.uniswapFactory = await (await ethers.getContractFactory("UniswapFactoryV1")).deploy();
+    this.lens = await (await ethers.getContractFactory("UniswapV1Lens")).deploy();
+
+    for (const [symbol, reserve] of [
+      ["HAY", HAY_RESERVE],
+      ["DEN", DEN_RESERVE],
+    ]) {
+      const token = this[`${symbol}_token`];
+      await this.uniswapFactory.createExchange(token.address);
+      this[`${symbol}_exchange`] = await ethers.getContractAt(
+        "UniswapExchangeV1",
+        await this.uniswapFactory.getExchange(token.address)
+      );
+      await token.approve(this[`${symbol}_exchange`].address, reserve);
+      await this[`${symbol}_exchange`].addLiquidity(0, reserve, this.deadline, { value: ETH_RESERVE });
+    }
+    await this.uniswapFactory.createExchange(this.MKR_token.address);
+  });
+
+  it("reads the exchanges of a list of tokens", async function () {
+    const { lens, uniswapFactory, HAY_token, DEN_token, HAY_exchange } = this;
+    const unlisted = await (await ethers.getContractFactory("ERC20Test")).deploy("Unlisted", "NOPE", 1);
+
+    const [hay, missing, den] = await lens.getStatesByTokens(
+      uniswapFactory.address,
+      [HAY_token.address, unlisted.address, DEN_token.address],
+      30
+    );
+    expect(hay.token).to.be.eq(HAY_token.address);
+    expect(hay.exchange).to.be.eq(HAY_exchange.address);
+    expect(hay.ethReserve).to.be.eq(ETH_RESERVE);
+    expect(hay.tokenReserve).to.be.eq(HAY_RESERVE);
+    expect(hay.totalSupply).to.be.eq(ETH_RESERVE);
+    expect([hay.name, hay.symbol, hay.decimals]).to.be.deep.eq(["Hay token", "HAY", 18]);
+
+    expect(missing.exchange).to.be.eq(ethers.constants.AddressZero);
+    expect(missing.ethReserve).to.be.eq(0);
+    expect(missing.symbol).to.be.eq("NOPE");
+    expect(den.tokenReserve).to.be.eq(DEN_RESERVE);
+
+    const [other] = await lens.getStatesByTokens(uniswapFactory.address, [HAY_token.address], 100);
+    expect(other.exchange).to.be.eq(ethers.constants.AddressZero);
+  });
+
+  it("reads a range of token ids", async function () {
+    const { lens, uniswapFactory, HAY_token, MKR_token } = this;
+
+    const states = await lens.getStatesByIds(uniswapFactory.address, 1, 10, 30);
+    expect(states.map((s) => s.symbol)).to.be.deep.eq(["HAY", "DEN", "MKR"]);
+    expect(states[0].token).to.be.eq(HAY_token.address);
+
+    // bytes32 metadata and no decimals
+    expect(states[2].token).to.be.eq(MKR_token.address);
+    expect(states[2].name).to.be.eq("Maker");
+    expect(states[2].decimals).to.be.eq(0);
+    expect(states[2].tokenReserve).to.be.eq(0);
+
+    expect(await lens.getStatesByIds(uniswapFactory.address, 2, 2, 30)).to.have.length(1);
+    expect(await lens.getStatesByIds(uniswapFactory.address, 4, 10, 30)).to.be.empty;
+    expect(await lens.getStatesByIds(uniswapFactory.address, 3, 2, 30)).to.be.empty;
+    await expectRejection(lens.getStatesByIds(uniswapFactory.address, 0, 2, 30), "Invalid token id");
+  });
+
+  it("fetches in chunks and caches per block", async function () {
+    const [a0] = await ethers.getSigners();
+    const { lens, uniswapFactory, HAY_token, DEN_token, HAY_exchange } = this;
+    const fetcher = new ReserveFetcher(ethers.provider, lens.address, uniswapFactory.address, { chunkSize: 2 });
+    const before = await ethers.provider.getBlockNumber();
+
+    const all = await fetcher.fetchAll();
+    expect(all.map((s) => s.symbol)).to.be.deep.eq(["HAY", "DEN", "MKR"]);
+    expect(fetcher.calls).to.be.eq(2);
+
+    // the same block again, by range or by token, comes from the cache
+    expect(await fetcher.fetchAll()).to.be.deep.eq(all);
+    const [den, hay] = await fetcher.fetchTokens([DEN_token.address, HAY_token.address.toLowerCase()]);
+    expect(hay).to.be.deep.eq(all[0]);
+    expect(den).to.be.deep.eq(all[1]);
+    expect(fetcher.calls).to.be.eq(2);
+
+    await HAY_exchange.connect(a0).ethToTokenSwapInput(1, this.deadline, { value: ETH_SOLD });
+    const [traded, again] = await fetcher.fetchTokens([HAY_token.address, HAY_token.address]);
+    expect(traded.ethReserve).to.be.eq(ETH_RESERVE.add(ETH_SOLD));
+    expect(again).to.be.deep.eq(traded);
+    expect(fetcher.calls).to.be.eq(3);
+
+    const [old] = await fetcher.fetchTokens([HAY_token.address], { blockTag: before });
+    expect(old.ethReserve).to.be.eq(ETH_RESERVE);
+    expect(fetcher.calls).to.be.eq(3);
+
+    await expectRejection(fetcher.fetchRange(0, 2), "invalid token id range");
+  });
+
+  it("forgets the oldest blocks and failed calls", async function () {
+    const { lens, uniswapFactory, HAY_token } = this;
+    const fetcher = new ReserveFetcher(ethers.provider, lens.address, uniswapFactory.address, { cachedBlocks: 1 });
+    const block = await ethers.provider.getBlockNumber();
+
+    await fetcher.fetchTokens([HAY_token.address], { blockTag: block - 1 });
+    await fetcher.fetchTokens([HAY_token.address], { blockTag: block });
+    await fetcher.fetchTokens([HAY_token.address], { blockTag: block - 1 });
+    expect(fetcher.calls).to.be.eq(3);
+
+    await expectRejection(fetcher.fetchRange(1, 2, { blockTag: block + 100 }), "");
+    await fetcher.fetchRange(1, 2, { blockTag: block });
+    expect(fetcher.calls).to.be.eq(5);
+  });
+});
@@ -4,13 +4,15 @@ const { ethers } = require("hardhat");
 
 const eth = ethers.utils.parseEther;
 
-const { ETH_RESERVE, HAY_RESERVE, DEN_RESERVE, INITIAL_ETH, DEADLINE } = require("./constants");
+const { getDeadline } = require("../lib");
+const { ETH_RESERVE, HAY_RESERVE, DEN_RESERVE, INITIAL_ETH } = require("./constants");
 
 const ONE_ETHER = eth("1");
 const TWO_ETHER = eth("2");
 
 describe("UniswapExchangeV1: Liquidity pool", function () {
   before(async function () {
+    this.deadline = await getDeadline(ethers.provider);
     const tokenFactory = await ethers.getContractFactory("ERC20Test");
 
     this.HAY_token = await tokenFactory.deploy("Hay token", "HAY", ethers.constants.MaxUint256);
@@ -36,7 +38,7 @@ describe("UniswapExchangeV1: Liquidity pool", function () {
 
     // First liquidity provider (signer0) adds liquidity
     await this.HAY_token.approve(this.HAY_exchange.address, HAY_RESERVE);
-    await this.HAY_exchange.addLiquidity(0, HAY_RESERVE, DEADLINE, { value: ETH_RESERVE });
+    await this.HAY_exchange.addLiquidity(0, HAY_RESERVE, this.deadline, { value: ETH_RESERVE });
   });
 
   it("adds and removes liquidity", async function () {
@@ -52,7 +54,7 @@ describe("UniswapExchangeV1: Liquidity pool", function () {
     expect(await this.HAY_token.balanceOf(this.HAY_exchange.address)).to.be.eq(HAY_RESERVE);
 
     await this.DEN_token.approve(this.DEN_exchange.address, DEN_RESERVE);
-    await this.DEN_exchange.addLiquidity(0, DEN_RESERVE, DEADLINE, { value: ETH_RESERVE });
+    await this.DEN_exchange.addLiquidity(0, DEN_RESERVE, this.deadline, { value: ETH_RESERVE });
 
     expect(await ethers.provider.getBalance(this.DEN_exchange.address)).to.be.eq(ETH_RESERVE);
     expect(await this.DEN_token.balanceOf(this.DEN_exchange.address)).to.be.eq(DEN_RESERVE);
@@ -63,18 +65,18 @@ describe("UniswapExchangeV1: Liquidity pool", function () {
     const HAY_ADDED = eth("5"); // 5 * 10 ** 18;
 
     // minLiquidity == 0 (while totalSupply > 0)
-    await expect(this.HAY_exchange.connect(signer1).addLiquidity(0, eth("15"), DEADLINE, { value: ETH_ADDED })).to.be
-      .reverted;
+    await expect(this.HAY_exchange.connect(signer1).addLiquidity(0, eth("15"), this.deadline, { value: ETH_ADDED })).to
+      .be.reverted;
 
     // maxTokens < tokens needed
-    await expect(this.HAY_exchange.connect(signer1).addLiquidity(1, HAY_ADDED - 1, DEADLINE, { value: ETH_ADDED })).to
-      .be.reverted;
+    await expect(this.HAY_exchange.connect(signer1).addLiquidity(1, HAY_ADDED - 1, this.deadline, { value: ETH_ADDED }))
+      .to.be.reverted;
 
     // _deadline < block.timestamp
     await expect(this.HAY_exchange.connect(signer1).addLiquidity(1, eth("15"), 1, { value: ETH_ADDED })).to.be.reverted;
 
     // Second liquidity provider (a1) adds liquidity
-    await this.HAY_exchange.connect(signer1).addLiquidity(1, eth("15"), DEADLINE, { value: ETH_ADDED });
+    await this.HAY_exchange.connect(signer1).addLiquidity(1, eth("15"), this.deadline, { value: ETH_ADDED });
     expect(await this.HAY_exchange.totalSupply()).to.be.eq(ETH_RESERVE.add(ETH_ADDED));
     expect(await this.HAY_exchange.balanceOf(signer0.address)).to.be.eq(ETH_RESERVE);
     expect(await this.HAY_exchange.balanceOf(signer1.address)).to.be.eq(ETH_ADDED);
@@ -97,29 +99,30 @@ describe("UniswapExchangeV1: Liquidity pool", function () {
     );
 
     // amount == 0
-    await expect(this.HAY_exchange.connect(signer2).removeLiquidity(0, 1, 1, DEADLINE)).to.be.reverted;
+    await expect(this.HAY_exchange.connect(signer2).removeLiquidity(0, 1, 1, this.deadline)).to.be.reverted;
 
     // amount > owned (liquidity)
-    await expect(this.HAY_exchange.connect(signer2).removeLiquidity(ONE_ETHER.add(BigNumber.from(1)), 1, 1, DEADLINE))
-      .to.be.reverted;
+    await expect(
+      this.HAY_exchange.connect(signer2).removeLiquidity(ONE_ETHER.add(BigNumber.from(1)), 1, 1, this.deadline)
+    ).to.be.reverted;
 
     // min eth > eth divested
     await expect(
-      this.HAY_exchange.connect(signer2).removeLiquidity(ONE_ETHER, ONE_ETHER.add(BigNumber.from(1)), 1, DEADLINE)
+      this.HAY_exchange.connect(signer2).removeLiquidity(ONE_ETHER, ONE_ETHER.add(BigNumber.from(1)), 1, this.deadline)
     ).to.be.reverted;
 
     // min tokens > tokens divested
     await expect(
-      this.HAY_exchange.connect(signer2).removeLiquidity(ONE_ETHER, 1, TWO_ETHER.add(BigNumber.from(1)), DEADLINE)
+      this.HAY_exchange.connect(signer2).removeLiquidity(ONE_ETHER, 1, TWO_ETHER.add(BigNumber.from(1)), this.deadline)
     ).to.be.reverted;
 
     // deadline < block.timestamp
     await expect(this.HAY_exchange.removeLiquidity(ONE_ETHER, 1, 1, 1)).to.be.reverted;
 
     // First, second and third liquidity providers remove their remaining liquidity
-    await this.HAY_exchange.removeLiquidity(ETH_RESERVE, 1, 1, DEADLINE);
-    await this.HAY_exchange.connect(signer1).removeLiquidity(ETH_ADDED.sub(ONE_ETHER), 1, 1, DEADLINE);
-    await this.HAY_exchange.connect(signer2).removeLiquidity(ONE_ETHER, 1, 1, DEADLINE);
+    await this.HAY_exchange.removeLiquidity(ETH_RESERVE, 1, 1, this.deadline);
+    await this.HAY_exchange.connect(signer1).removeLiquidity(ETH_ADDED.sub(ONE_ETHER), 1, 1, this.deadline);
+    await this.HAY_exchange.connect(signer2).removeLiquidity(ONE_ETHER, 1, 1, this.deadline);
 
     expect(await this.HAY_exchange.totalSupply()).to.be.eq(0);
     expect(await this.HAY_exchange.balanceOf(signer0.address)).to.be.eq(0);
@@ -132,6 +135,6 @@ describe("UniswapExchangeV1: Liquidity pool", function () {
 
     // Can add liquidity again after all liquidity is divested
     await this.HAY_token.approve(this.HAY_exchange.address, eth("100"));
-    await this.HAY_exchange.addLiquidity(0, HAY_RESERVE, DEADLINE, { value: ETH_RESERVE });
+    await this.HAY_exchange.addLiquidity(0, HAY_RESERVE, this.deadline, { value: ETH_RESERVE });
   });
 });
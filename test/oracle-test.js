@@ -0,0 +1,239 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+const { oracleAt, observe, computeTwap, twapOverWindow, compareToSpot } = require("../lib/twap");
+const { getInputPrice } = require("../lib/pricing");
+const { getDeadline } = require("../lib/slippage");
+const { expectRejection } = require("./utils");
+const { ETH_RESERVE, HAY_RESERVE, ETH_SOLD } = require("./constants");
+
+const eth = ethers.utils.parseEther;
+
+async function increaseTime(seconds) {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine", []);
+}
+
+const deadline = () => getDeadline(ethers.provider, 300);
+
+// sent with a gas limit, so they are not estimated against the pending block
+const GAS = { gasLimit: 300000 };
+
+// mines the transactions sent by each function, in order, in a single block
+async function inOneBlock(sends) {
+  await ethers.provider.send("evm_setAutomine", [false]);
+  try {
+    for (const send of sends) {
+      await send();
+    }
+    await ethers.provider.send("evm_mine", []);
+  } finally {
+    await ethers.provider.send("evm_setAutomine", [true]);
+  }
+}
+
+// block timestamp of a mined transaction
+async function minedAt(tx) {
+  const { blockNumber } = await tx.wait();
+  return (await ethers.provider.getBlock(blockNumber)).timestamp;
+}
+
+describe("UniswapV1Oracle", function () {
+  beforeEach(async function () {
+    const tokenFactory = await ethers.getContractFactory("ERC20Test");
+    this.HAY_token = await tokenFactory.deploy("Hay token", "HAY", ethers.constants.MaxUint256);
+    this.DEN_token = await tokenFactory.deploy("Den token", "DEN", ethers.constants.MaxUint256);
+
+    const uniswapFactoryFactory = await ethers.getContractFactory("UniswapFactoryV1");
+    this.uniswapFactory = await uniswapFactoryFactory.deploy();
+    await this.uniswapFactory.createExchange(this.HAY_token.address);
+    this.HAY_exchange = await ethers.getContractAt(
+      "UniswapExchangeV1",
+      await this.uniswapFactory.getExchange(this.HAY_token.address)
+    );
+
+    await this.HAY_token.approve(this.HAY_exchange.address, HAY_RESERVE);
+    await this.HAY_exchange.addLiquidity(0, HAY_RESERVE, await deadline(), { value: ETH_RESERVE });
+
+    const oracleFactory = await ethers.getContractFactory("UniswapV1Oracle");
+    this.oracle = await oracleFactory.deploy(this.uniswapFactory.address);
+    this.reader = oracleAt(this.oracle.address, ethers.provider);
+  });
+
+  it("accumulates the price between updates", async function () {
+    const { oracle, HAY_token, HAY_exchange } = this;
+
+    const price0 = ETH_RESERVE.mul(eth("1")).div(HAY_RESERVE);
+    expect(await oracle.getSpotPrice(HAY_token.address)).to.be.eq(price0);
+
+    const t0 = await minedAt(await oracle.update(HAY_token.address));
+    const [timestamp0, storedPrice, storedCumulative] = await oracle.lastObservation(HAY_token.address);
+    expect(timestamp0).to.be.eq(t0);
+    expect(storedPrice).to.be.eq(price0);
+    expect(storedCumulative).to.be.eq(0);
+
+    await increaseTime(100);
+    const tokensBought = getInputPrice(ETH_SOLD, ETH_RESERVE, HAY_RESERVE);
+    await HAY_exchange.ethToTokenSwapInput(1, await deadline(), { value: ETH_SOLD });
+    const price1 = ETH_RESERVE.add(ETH_SOLD).mul(eth("1")).div(HAY_RESERVE.sub(tokensBought));
+
+    const tx = await oracle.update(HAY_token.address);
+    const t1 = await minedAt(tx);
+    const cumulative1 = price0.mul(t1 - t0);
+    await expect(tx).to.emit(oracle, "PriceUpdated").withArgs(HAY_exchange.address, price1, cumulative1, t1);
+
+    await increaseTime(300);
+    const [cumulative, timestamp] = await oracle.currentCumulativePrice(HAY_token.address);
+    expect(cumulative).to.be.eq(cumulative1.add(price1.mul(timestamp.toNumber() - t1)));
+
+    const t2 = await minedAt(await oracle.update(HAY_token.address));
+    const cumulative2 = cumulative1.add(price1.mul(t2 - t1));
+    expect((await oracle.lastObservation(HAY_token.address))[2]).to.be.eq(cumulative2);
+
+    const { twap, window, start, end } = await twapOverWindow(this.reader, HAY_token.address, t2 - t0);
+    expect(start.timestamp).to.be.eq(t0);
+    expect(end.timestamp).to.be.eq(t2);
+    expect(window).to.be.eq(t2 - t0);
+    expect(twap).to.be.eq(cumulative2.div(t2 - t0));
+    // weighted towards price1, which held three times longer
+    expect(twap).to.be.gt(price0);
+    expect(twap).to.be.lt(price1);
+
+    // a window inside the second interval sees price1 only
+    const recent = await twapOverWindow(this.reader, HAY_token.address, 200);
+    expect(recent.twap).to.be.eq(price1);
+  });
+
+  it("resists a manipulation around an update in a block already observed", async function () {
+    const { oracle, HAY_token, HAY_exchange } = this;
+    const price0 = ETH_RESERVE.mul(eth("1")).div(HAY_RESERVE);
+    const dumped = eth("1000");
+    await HAY_token.approve(HAY_exchange.address, ethers.constants.MaxUint256);
+
+    const t0 = await minedAt(await oracle.update(HAY_token.address));
+    await increaseTime(600);
+
+    // a keeper updates, then tokens are dumped, the oracle poked and the tokens bought back
+    const time = await deadline();
+    await inOneBlock([
+      () => oracle.update(HAY_token.address, GAS),
+      () => HAY_exchange.tokenToEthSwapInput(dumped, 1, time, GAS),
+      () => oracle.update(HAY_token.address, GAS),
+      () =>
+        HAY_exchange.ethToTokenSwapInput(1, time, { ...GAS, value: getInputPrice(dumped, HAY_RESERVE, ETH_RESERVE) }),
+    ]);
+    const { number, timestamp: t1 } = await ethers.provider.getBlock("latest");
+    expect(await oracle.queryFilter(oracle.filters.PriceUpdated(), number)).to.have.length(1);
+    const [timestamp, storedPrice, cumulative] = await oracle.lastObservation(HAY_token.address);
+    expect(timestamp).to.be.eq(t1);
+    expect(storedPrice).to.be.eq(price0);
+    expect(cumulative).to.be.eq(price0.mul(t1 - t0));
+
+    await increaseTime(600);
+    const window = (await ethers.provider.getBlock("latest")).timestamp - t0;
+    const { twap, spot } = await compareToSpot(this.reader, HAY_token.address, window);
+    expect(twap).to.be.eq(price0);
+    // back to about where it was, the round trip's fees aside
+    expect(spot).to.be.closeTo(price0, price0.div(50));
+  });
+
+  it("bounds a manipulation around the first update of a block to the time until the next one", async function () {
+    const { oracle, HAY_token, HAY_exchange } = this;
+    const price0 = ETH_RESERVE.mul(eth("1")).div(HAY_RESERVE);
+    const dumped = eth("1000");
+    await HAY_token.approve(HAY_exchange.address, ethers.constants.MaxUint256);
+
+    await oracle.update(HAY_token.address);
+    await increaseTime(600);
+    const before = await oracle.lastObservation(HAY_token.address);
+
+    // dump tokens, poke the oracle and buy the tokens back, then a keeper updates in the same block
+    const time = await deadline();
+    await inOneBlock([
+      () => HAY_exchange.tokenToEthSwapInput(dumped, 1, time, GAS),
+      () => oracle.update(HAY_token.address, GAS),
+      () =>
+        HAY_exchange.ethToTokenSwapInput(1, time, { ...GAS, value: getInputPrice(dumped, HAY_RESERVE, ETH_RESERVE) }),
+      () => oracle.update(HAY_token.address, GAS),
+    ]);
+    // the price stored before accrued up to the block, the keeper's update changed nothing
+    const [tm, manipulated, cumulative] = await oracle.lastObservation(HAY_token.address);
+    expect(cumulative).to.be.eq(before[2].add(before[1].mul(tm.sub(before[0]))));
+    expect(manipulated).to.be.lt(price0.div(1000));
+    const spot = await oracle.getSpotPrice(HAY_token.address);
+    expect(spot).to.be.closeTo(price0, price0.div(50));
+
+    // the manipulated price accrues until the next block is observed
+    await increaseTime(12);
+    const tk = await minedAt(await oracle.update(HAY_token.address));
+    await increaseTime(1200);
+    const window = (await ethers.provider.getBlock("latest")).timestamp - tm.toNumber();
+    const { twap, deviation } = await compareToSpot(this.reader, HAY_token.address, window);
+    const keeperDelay = tk - tm.toNumber();
+    expect(twap).to.be.eq(
+      manipulated
+        .mul(keeperDelay)
+        .add(spot.mul(window - keeperDelay))
+        .div(window)
+    );
+    // off by the share of the window the manipulated price held at most
+    expect(spot.sub(twap)).to.be.lte(spot.mul(keeperDelay).div(window));
+    expect(deviation).to.be.gt(0);
+  });
+
+  it("observes exchanges of every fee tier", async function () {
+    const { oracle, uniswapFactory, HAY_token } = this;
+    await uniswapFactory.createExchangeWithFee(HAY_token.address, 100);
+    const tiered = await ethers.getContractAt(
+      "UniswapExchangeV1",
+      await uniswapFactory.getExchangeWithFee(HAY_token.address, 100)
+    );
+    await HAY_token.approve(tiered.address, HAY_RESERVE);
+    await tiered.addLiquidity(0, HAY_RESERVE, await deadline(), { value: ETH_RESERVE.mul(2) });
+
+    const price100 = ETH_RESERVE.mul(2).mul(eth("1")).div(HAY_RESERVE);
+    expect(await oracle.getSpotPriceWithFee(HAY_token.address, 100)).to.be.eq(price100);
+    expect(await oracle.getSpotPriceWithFee(HAY_token.address, 30)).to.be.eq(
+      await oracle.getSpotPrice(HAY_token.address)
+    );
+
+    const tx = await oracle.updateWithFee(HAY_token.address, 100);
+    await expect(tx)
+      .to.emit(oracle, "PriceUpdated")
+      .withArgs(tiered.address, price100, 0, await minedAt(tx));
+    await expect(oracle.currentCumulativePrice(HAY_token.address)).to.be.revertedWith("Not initialized");
+    await expect(oracle.updateWithFee(HAY_token.address, 5)).to.be.revertedWith("Unknown exchange");
+
+    await increaseTime(100);
+    await oracle.updateWithFee(HAY_token.address, 100);
+    expect((await oracle.lastObservationWithFee(HAY_token.address, 100))[1]).to.be.eq(price100);
+    const { twap } = await twapOverWindow(this.reader, HAY_token.address, 50, "latest", 100);
+    expect(twap).to.be.eq(price100);
+    await expectRejection(observe(this.reader, HAY_token.address), "twap: no observation");
+  });
+
+  it("computes TWAP from raw observations", async function () {
+    const start = { timestamp: 100, priceCumulative: eth("100") };
+    const end = { timestamp: 110, priceCumulative: eth("120") };
+
+    expect(computeTwap(start, end)).to.be.eq(eth("2"));
+    expect(() => computeTwap(end, start)).to.throw("increasing timestamps");
+  });
+
+  it("rejects unknown and uninitialized exchanges", async function () {
+    const { oracle, HAY_token, DEN_token } = this;
+
+    await expect(oracle.update(DEN_token.address)).to.be.revertedWith("Unknown exchange");
+    await expect(oracle.currentCumulativePrice(HAY_token.address)).to.be.revertedWith("Not initialized");
+    await expectRejection(observe(this.reader, HAY_token.address), "twap: no observation");
+
+    await this.uniswapFactory.createExchange(DEN_token.address);
+    await expect(oracle.update(DEN_token.address)).to.be.revertedWith("Empty reserves");
+
+    const oracleFactory = await ethers.getContractFactory("UniswapV1Oracle");
+    await expect(oracleFactory.deploy(ethers.constants.AddressZero)).to.be.revertedWith("Invalid factory address");
+
+    await oracle.update(HAY_token.address);
+    await expectRejection(twapOverWindow(this.reader, HAY_token.address, 0), "twap: invalid window");
+  });
+});
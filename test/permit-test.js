@@ -0,0 +1,178 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+const { UniswapV1Client, signPermit, permitDomain } = require("../lib");
+const { swapInput, expectRejection } = require("./utils");
+const { ETH_RESERVE, HAY_RESERVE, DEN_RESERVE, HAY_SOLD, DEN_BOUGHT } = require("./constants");
+
+const eth = ethers.utils.parseEther;
+const LIQUIDITY = eth("1");
+
+describe("Permit", function () {
+  beforeEach(async function () {
+    const [a0, a1, a2] = await ethers.getSigners();
+    this.owner = a0;
+    this.relayer = a1;
+    this.trader = a2;
+
+    this.HAY_token = await (
+      await ethers.getContractFactory("ERC20PermitTest")
+    ).deploy("Hay token", "HAY", ethers.constants.MaxUint256);
+    this.DEN_token = await (
+      await ethers.getContractFactory("ERC20Test")
+    ).deploy("Den token", "DEN", ethers.constants.MaxUint256);
+    this.uniswapFactory = await (await ethers.getContractFactory("UniswapFactoryV1")).deploy();
+
+    this.client = new UniswapV1Client(this.uniswapFactory.address, a0);
+    this.HAY_exchange = await this.client.createExchange(this.HAY_token.address);
+    this.DEN_exchange = await this.client.createExchange(this.DEN_token.address);
+    await this.client.addLiquidity(this.HAY_token.address, ETH_RESERVE, HAY_RESERVE);
+    await this.client.addLiquidity(this.DEN_token.address, ETH_RESERVE, DEN_RESERVE);
+    await this.HAY_token.transfer(a2.address, HAY_SOLD.mul(10));
+
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    this.deadline = timestamp + 3600;
+  });
+
+  it("signs permits of UNI-V1", async function () {
+    const { owner, relayer, HAY_exchange, deadline } = this;
+
+    const domain = await permitDomain(ethers.provider, HAY_exchange.address);
+    expect(domain.name).to.be.eq("Uniswap V1");
+    expect(domain.version).to.be.eq("1");
+
+    const permit = await signPermit(owner, HAY_exchange.address, relayer.address, LIQUIDITY, deadline);
+    expect(permit.nonce).to.be.eq(0);
+    await HAY_exchange.permit(owner.address, relayer.address, LIQUIDITY, deadline, permit.v, permit.r, permit.s);
+
+    expect(await HAY_exchange.allowance(owner.address, relayer.address)).to.be.eq(LIQUIDITY);
+    expect(await HAY_exchange.nonces(owner.address)).to.be.eq(1);
+
+    await expectRejection(
+      HAY_exchange.permit(owner.address, relayer.address, LIQUIDITY, deadline, permit.v, permit.r, permit.s),
+      "ERC20Permit: invalid signature"
+    );
+    await expectRejection(
+      permitDomain(ethers.provider, HAY_exchange.address, { version: "2" }),
+      "does not match its DOMAIN_SEPARATOR"
+    );
+  });
+
+  it("removes liquidity of the signer for the sender", async function () {
+    const { owner, relayer, HAY_token, HAY_exchange, deadline } = this;
+    const { v, r, s } = await signPermit(owner, HAY_exchange.address, relayer.address, LIQUIDITY, deadline);
+    const ethAmount = LIQUIDITY.mul(ETH_RESERVE).div(ETH_RESERVE);
+    const tokenAmount = LIQUIDITY.mul(HAY_RESERVE).div(ETH_RESERVE);
+
+    const relayerBalance = await relayer.getBalance();
+    await expect(() =>
+      HAY_exchange.connect(relayer).removeLiquidityWithPermit(LIQUIDITY, 1, 1, deadline, owner.address, { v, r, s })
+    ).to.changeEtherBalance(owner, ethAmount);
+
+    expect(await HAY_exchange.balanceOf(owner.address)).to.be.eq(ETH_RESERVE.sub(LIQUIDITY));
+    expect(await HAY_exchange.allowance(owner.address, relayer.address)).to.be.eq(0);
+    expect(await HAY_token.balanceOf(HAY_exchange.address)).to.be.eq(HAY_RESERVE.sub(tokenAmount));
+    expect(await HAY_token.balanceOf(relayer.address)).to.be.eq(0);
+    expect(await relayer.getBalance()).to.be.lt(relayerBalance);
+  });
+
+  it("removes liquidity when the permit was submitted first", async function () {
+    const { owner, relayer, trader, HAY_exchange, deadline } = this;
+    const { v, r, s } = await signPermit(owner, HAY_exchange.address, relayer.address, LIQUIDITY, deadline);
+
+    // anyone can submit the permit seen in the mempool, that must not make the removal fail
+    await HAY_exchange.connect(trader).permit(owner.address, relayer.address, LIQUIDITY, deadline, v, r, s);
+    await HAY_exchange.connect(relayer).removeLiquidityWithPermit(LIQUIDITY, 1, 1, deadline, owner.address, {
+      v,
+      r,
+      s,
+    });
+
+    expect(await HAY_exchange.balanceOf(owner.address)).to.be.eq(ETH_RESERVE.sub(LIQUIDITY));
+  });
+
+  it("rejects permits of another owner, spender or amount", async function () {
+    const { owner, relayer, trader, HAY_exchange, deadline } = this;
+    const permit = await signPermit(owner, HAY_exchange.address, relayer.address, LIQUIDITY, deadline);
+    const signature = { v: permit.v, r: permit.r, s: permit.s };
+
+    await expectRejection(
+      HAY_exchange.connect(trader).removeLiquidityWithPermit(LIQUIDITY, 1, 1, deadline, owner.address, signature),
+      "ERC20Permit: invalid signature"
+    );
+    await expectRejection(
+      HAY_exchange.connect(relayer).removeLiquidityWithPermit(
+        LIQUIDITY.mul(2),
+        1,
+        1,
+        deadline,
+        owner.address,
+        signature
+      ),
+      "ERC20Permit: invalid signature"
+    );
+    await expectRejection(
+      HAY_exchange.connect(relayer).removeLiquidityWithPermit(LIQUIDITY, 1, 1, deadline - 1, owner.address, signature),
+      "ERC20Permit: invalid signature"
+    );
+  });
+
+  it("swaps tokens supporting permit without an approval", async function () {
+    const { client, trader, HAY_token, DEN_token, HAY_exchange } = this;
+    const traderClient = client.connect(trader);
+
+    const ethBought = swapInput(HAY_SOLD, HAY_RESERVE, ETH_RESERVE);
+    await expect(() =>
+      traderClient.swapTokenToEthInput(HAY_token.address, HAY_SOLD, { permit: true })
+    ).to.changeTokenBalance(HAY_token, trader, HAY_SOLD.mul(-1));
+    expect(await ethers.provider.getBalance(HAY_exchange.address)).to.be.eq(ETH_RESERVE.sub(ethBought));
+    expect(await HAY_token.allowance(trader.address, HAY_exchange.address)).to.be.eq(0);
+    expect(await HAY_token.nonces(trader.address)).to.be.eq(1);
+
+    await traderClient.swapTokenToTokenOutput(HAY_token.address, DEN_token.address, DEN_BOUGHT, { permit: true });
+    expect(await DEN_token.balanceOf(trader.address)).to.be.eq(DEN_BOUGHT);
+    expect(await HAY_token.nonces(trader.address)).to.be.eq(2);
+  });
+
+  it("swaps when the token permit was submitted first", async function () {
+    const { trader, relayer, HAY_token, HAY_exchange, deadline } = this;
+    const { v, r, s } = await signPermit(trader, HAY_token.address, HAY_exchange.address, HAY_SOLD, deadline);
+
+    await HAY_token.connect(relayer).permit(trader.address, HAY_exchange.address, HAY_SOLD, deadline, v, r, s);
+    await HAY_exchange.connect(trader).tokenToEthSwapInputWithPermit(HAY_SOLD, 1, deadline, { v, r, s });
+
+    expect(await HAY_token.balanceOf(HAY_exchange.address)).to.be.eq(HAY_RESERVE.add(HAY_SOLD));
+  });
+
+  it("falls back to the allowance for tokens without permit", async function () {
+    const { owner, trader, DEN_token, DEN_exchange, deadline } = this;
+    const signature = { v: 27, r: ethers.constants.HashZero, s: ethers.constants.HashZero };
+    await DEN_token.transfer(trader.address, HAY_SOLD);
+
+    await expectRejection(
+      DEN_exchange.connect(trader).tokenToEthSwapInputWithPermit(HAY_SOLD, 1, deadline, signature),
+      "ERC20: insufficient allowance"
+    );
+    await expectRejection(
+      signPermit(owner, DEN_token.address, DEN_exchange.address, HAY_SOLD, deadline),
+      "DOMAIN_SEPARATOR"
+    );
+
+    await DEN_token.connect(trader).approve(DEN_exchange.address, HAY_SOLD);
+    await DEN_exchange.connect(trader).tokenToEthSwapInputWithPermit(HAY_SOLD, 1, deadline, signature);
+    expect(await DEN_token.balanceOf(trader.address)).to.be.eq(0);
+  });
+
+  it("relays liquidity removals through the client", async function () {
+    const { client, owner, relayer, HAY_token, HAY_exchange } = this;
+
+    const permit = await client.signLiquidityPermit(HAY_token.address, relayer.address, LIQUIDITY);
+    expect(permit.owner).to.be.eq(owner.address);
+    expect(permit.spender).to.be.eq(relayer.address);
+
+    const receipt = await client.connect(relayer).removeLiquidityWithPermit(HAY_token.address, permit);
+    const event = receipt.events.find((e) => e.event === "RemoveLiquidity");
+    expect(event.args._provider).to.be.eq(owner.address);
+    expect(await HAY_exchange.balanceOf(owner.address)).to.be.eq(ETH_RESERVE.sub(LIQUIDITY));
+  });
+});
@@ -0,0 +1,183 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+const { BigNumber } = require("ethers");
+
+const {
+  WAD,
+  getInputPrice,
+  getOutputPrice,
+  ethToTokenHop,
+  tokenToEthHop,
+  tokenToTokenRoute,
+  quoteExactInput,
+  quoteExactOutput,
+} = require("../lib/pricing");
+const { swapInput, swapOutput } = require("./utils");
+const { loadFixture, seededPools } = require("./fixtures");
+const { getDeadline } = require("../lib");
+const { ETH_RESERVE, HAY_RESERVE, DEN_RESERVE, HAY_SOLD, DEN_BOUGHT, MAX_HAY_SOLD } = require("./constants");
+
+const eth = ethers.utils.parseEther;
+
+// odd amounts exercise the rounding of both formulas
+const AMOUNTS = [1, 999, 1000003, eth("0.000000001").add(7), eth("0.3333333"), eth("1"), eth("4.2").add(13)].map((a) =>
+  BigNumber.from(a)
+);
+
+describe("Pricing engine", function () {
+  beforeEach(async function () {
+    Object.assign(this, await loadFixture(seededPools));
+    this.deadline = await getDeadline(ethers.provider);
+
+    this.HAY_reserves = { ethReserve: ETH_RESERVE, tokenReserve: HAY_RESERVE };
+    this.DEN_reserves = { ethReserve: ETH_RESERVE, tokenReserve: DEN_RESERVE };
+  });
+
+  it("matches the exchange price getters", async function () {
+    const { HAY_exchange } = this;
+
+    for (const amount of AMOUNTS) {
+      expect(getInputPrice(amount, ETH_RESERVE, HAY_RESERVE)).to.be.eq(
+        await HAY_exchange.getEthToTokenInputPrice(amount)
+      );
+      expect(getOutputPrice(amount, ETH_RESERVE, HAY_RESERVE)).to.be.eq(
+        await HAY_exchange.getEthToTokenOutputPrice(amount)
+      );
+      expect(getInputPrice(amount, HAY_RESERVE, ETH_RESERVE)).to.be.eq(
+        await HAY_exchange.getTokenToEthInputPrice(amount)
+      );
+      expect(getOutputPrice(amount, HAY_RESERVE, ETH_RESERVE)).to.be.eq(
+        await HAY_exchange.getTokenToEthOutputPrice(amount)
+      );
+      expect(getInputPrice(amount, ETH_RESERVE, HAY_RESERVE)).to.be.eq(swapInput(amount, ETH_RESERVE, HAY_RESERVE));
+      expect(getOutputPrice(amount, ETH_RESERVE, HAY_RESERVE)).to.be.eq(swapOutput(amount, ETH_RESERVE, HAY_RESERVE));
+    }
+
+    // the +1 makes exact output strictly more expensive than the inverse input quote
+    expect(getOutputPrice(1, ETH_RESERVE, HAY_RESERVE)).to.be.eq(1);
+    expect(getInputPrice(1, ETH_RESERVE, HAY_RESERVE)).to.be.eq(1);
+    expect(getInputPrice(0, ETH_RESERVE, HAY_RESERVE)).to.be.eq(0);
+
+    expect(() => getOutputPrice(HAY_RESERVE, ETH_RESERVE, HAY_RESERVE)).to.throw("insufficient output reserve");
+    expect(() => getInputPrice(1, 0, HAY_RESERVE)).to.throw("empty reserve");
+    expect(() => getInputPrice("x", 1, 1)).to.throw("argument is not a number");
+  });
+
+  it("matches exchanges of every fee tier", async function () {
+    const { uniswapFactory, HAY_token } = this;
+    const uniswapExchangeFactory = await ethers.getContractFactory("UniswapExchangeV1");
+
+    for (const fee of [5, 100]) {
+      await uniswapFactory.createExchangeWithFee(HAY_token.address, fee);
+      const exchange = uniswapExchangeFactory.attach(await uniswapFactory.getExchangeWithFee(HAY_token.address, fee));
+      await HAY_token.approve(exchange.address, HAY_RESERVE);
+      await exchange.addLiquidity(0, HAY_RESERVE, this.deadline, { value: ETH_RESERVE });
+
+      for (const amount of AMOUNTS) {
+        expect(getInputPrice(amount, ETH_RESERVE, HAY_RESERVE, fee)).to.be.eq(
+          await exchange.getEthToTokenInputPrice(amount)
+        );
+        expect(getOutputPrice(amount, HAY_RESERVE, ETH_RESERVE, fee)).to.be.eq(
+          await exchange.getTokenToEthOutputPrice(amount)
+        );
+      }
+
+      const quote = quoteExactInput(HAY_SOLD, [
+        tokenToEthHop({ ethReserve: ETH_RESERVE, tokenReserve: HAY_RESERVE, fee }),
+      ]);
+      expect(quote.hops[0].fee).to.be.eq(HAY_SOLD.mul(fee).div(10000));
+      await HAY_token.approve(exchange.address, HAY_SOLD);
+      await expect(() => exchange.tokenToEthSwapInput(HAY_SOLD, quote.amountOut, this.deadline)).to.changeEtherBalance(
+        exchange,
+        quote.amountOut.mul(-1)
+      );
+    }
+
+    // a cheaper tier buys more for the same input
+    expect(getInputPrice(HAY_SOLD, HAY_RESERVE, ETH_RESERVE, 5)).to.be.gt(
+      getInputPrice(HAY_SOLD, HAY_RESERVE, ETH_RESERVE)
+    );
+    expect(() => getInputPrice(1, 1, 1, 10000)).to.throw("invalid fee");
+  });
+
+  it("matches token to token swap input", async function () {
+    const [a0, a1] = await ethers.getSigners();
+    const { HAY_token, HAY_exchange, DEN_token, DEN_exchange } = this;
+
+    const quote = quoteExactInput(HAY_SOLD, tokenToTokenRoute(this.HAY_reserves, this.DEN_reserves));
+    const [hayHop, denHop] = quote.hops;
+
+    expect(hayHop.amountIn).to.be.eq(HAY_SOLD);
+    expect(hayHop.amountOut).to.be.eq(swapInput(HAY_SOLD, HAY_RESERVE, ETH_RESERVE));
+    expect(denHop.amountIn).to.be.eq(hayHop.amountOut);
+    expect(quote.amountOut).to.be.eq(denHop.amountOut);
+
+    await HAY_token.transfer(a1.address, HAY_SOLD);
+    await HAY_token.connect(a1).approve(HAY_exchange.address, HAY_SOLD);
+    await HAY_exchange.connect(a1).tokenToTokenSwapInput(
+      HAY_SOLD,
+      quote.amountOut,
+      hayHop.amountOut,
+      this.deadline,
+      DEN_token.address
+    );
+
+    expect(await DEN_token.balanceOf(a1.address)).to.be.eq(quote.amountOut);
+    expect(await ethers.provider.getBalance(DEN_exchange.address)).to.be.eq(ETH_RESERVE.add(hayHop.amountOut));
+  });
+
+  it("matches token to token swap output", async function () {
+    const [a0, a1] = await ethers.getSigners();
+    const { HAY_token, HAY_exchange, DEN_token, DEN_exchange } = this;
+
+    const quote = quoteExactOutput(DEN_BOUGHT, tokenToTokenRoute(this.HAY_reserves, this.DEN_reserves));
+    const [hayHop, denHop] = quote.hops;
+
+    expect(denHop.amountOut).to.be.eq(DEN_BOUGHT);
+    expect(denHop.amountIn).to.be.eq(swapOutput(DEN_BOUGHT, ETH_RESERVE, DEN_RESERVE));
+    expect(hayHop.amountOut).to.be.eq(denHop.amountIn);
+    expect(quote.amountIn).to.be.eq(hayHop.amountIn);
+
+    await HAY_token.transfer(a1.address, MAX_HAY_SOLD);
+    await HAY_token.connect(a1).approve(HAY_exchange.address, MAX_HAY_SOLD);
+    await HAY_exchange.connect(a1).tokenToTokenSwapOutput(
+      DEN_BOUGHT,
+      quote.amountIn,
+      denHop.amountIn,
+      this.deadline,
+      DEN_token.address
+    );
+
+    expect(await HAY_token.balanceOf(a1.address)).to.be.eq(MAX_HAY_SOLD.sub(quote.amountIn));
+    expect(await DEN_token.balanceOf(DEN_exchange.address)).to.be.eq(DEN_RESERVE.sub(DEN_BOUGHT));
+  });
+
+  it("reports mid price, execution price, impact and fees", async function () {
+    const single = quoteExactInput(eth("1"), [ethToTokenHop(this.HAY_reserves)]);
+    const [hop] = single.hops;
+
+    // 10 HAY / 5 ETH
+    expect(hop.midPrice).to.be.eq(eth("2"));
+    expect(hop.fee).to.be.eq(eth("0.003"));
+    expect(hop.executionPrice).to.be.eq(hop.amountOut.mul(WAD).div(eth("1")));
+    expect(hop.priceImpact).to.be.eq(hop.midPrice.sub(hop.executionPrice).mul(WAD).div(hop.midPrice));
+    expect(single.priceImpact).to.be.eq(hop.priceImpact);
+
+    // impact of a trade 1/5 of the reserve is ~ 1/6 plus the fee
+    expect(hop.priceImpact).to.be.gt(eth("0.1687"));
+    expect(hop.priceImpact).to.be.lt(eth("0.1688"));
+
+    const route = quoteExactInput(eth("1"), tokenToTokenRoute(this.HAY_reserves, this.DEN_reserves));
+    // 0.5 ETH per HAY * 4 DEN per ETH
+    expect(route.midPrice).to.be.eq(eth("2"));
+    expect(route.priceImpact).to.be.gt(route.hops[0].priceImpact);
+    expect(route.hops[1].fee).to.be.eq(route.hops[0].amountOut.mul(3).div(1000));
+
+    const back = quoteExactOutput(eth("1"), [tokenToEthHop(this.HAY_reserves)]);
+    expect(back.midPrice).to.be.eq(eth("0.5"));
+    expect(back.amountIn).to.be.eq(swapOutput(eth("1"), HAY_RESERVE, ETH_RESERVE));
+
+    expect(() => quoteExactInput(0, [])).to.throw("amount must be positive");
+    expect(() => quoteExactOutput(1, [])).to.throw("empty route");
+  });
+});
@@ -0,0 +1,166 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+const { WAD, accruedProtocolFee, getProtocolFees, getDeadline } = require("../lib");
+const { expectRejection } = require("./utils");
+const { ETH_RESERVE, HAY_RESERVE, ETH_SOLD } = require("./constants");
+
+const eth = ethers.utils.parseEther;
+
+describe("Protocol fee", function () {
+  beforeEach(async function () {
+    this.deadline = await getDeadline(ethers.provider);
+    const [a0, a1, a2] = await ethers.getSigners();
+    this.feeTo = a1;
+    this.trader = a2;
+
+    this.HAY_token = await (
+      await ethers.getContractFactory("ERC20Test")
+    ).deploy("Hay token", "HAY", ethers.constants.MaxUint256);
+    this.uniswapFactory = await (await ethers.getContractFactory("UniswapFactoryV1")).deploy();
+    await this.uniswapFactory.createExchange(this.HAY_token.address);
+    this.HAY_exchange = await ethers.getContractAt(
+      "UniswapExchangeV1",
+      await this.uniswapFactory.getExchange(this.HAY_token.address)
+    );
+    await this.HAY_token.approve(this.HAY_exchange.address, ethers.constants.MaxUint256);
+    await this.HAY_token.transfer(a2.address, HAY_RESERVE);
+    await this.HAY_token.connect(a2).approve(this.HAY_exchange.address, ethers.constants.MaxUint256);
+
+    this.pool = async () => ({
+      ethReserve: await ethers.provider.getBalance(this.HAY_exchange.address),
+      tokenReserve: await this.HAY_token.balanceOf(this.HAY_exchange.address),
+      totalSupply: await this.HAY_exchange.totalSupply(),
+    });
+    // round trips that leave the price about where it was and the fees in the pool
+    this.trade = async () => {
+      const exchange = this.HAY_exchange.connect(this.trader);
+      for (let i = 0; i < 3; i++) {
+        const { events } = await (await exchange.ethToTokenSwapInput(1, this.deadline, { value: ETH_SOLD })).wait();
+        const bought = events.find((e) => e.event === "TokenPurchase").args._tokensBought;
+        await exchange.tokenToEthSwapInput(bought, 1, this.deadline);
+      }
+    };
+  });
+
+  it("lets only feeToSetter configure the fee", async function () {
+    const [a0] = await ethers.getSigners();
+    const { uniswapFactory, feeTo } = this;
+
+    expect(await uniswapFactory.feeToSetter()).to.be.eq(a0.address);
+    expect(await uniswapFactory.feeTo()).to.be.eq(ethers.constants.AddressZero);
+    expect(await uniswapFactory.protocolFeeShare()).to.be.eq(1667);
+
+    await expect(uniswapFactory.setFeeTo(feeTo.address))
+      .to.emit(uniswapFactory, "FeeToChanged")
+      .withArgs(feeTo.address, 1667);
+    await expect(uniswapFactory.setProtocolFeeShare(5000))
+      .to.emit(uniswapFactory, "FeeToChanged")
+      .withArgs(feeTo.address, 5000);
+    await expectRejection(uniswapFactory.setProtocolFeeShare(5001), "Invalid protocol fee share");
+    await expectRejection(uniswapFactory.setProtocolFeeShare(0), "Invalid protocol fee share");
+
+    await uniswapFactory.setFeeToSetter(feeTo.address);
+    await expectRejection(uniswapFactory.setFeeTo(a0.address), "Forbidden");
+    await expectRejection(uniswapFactory.setProtocolFeeShare(1), "Forbidden");
+    await expectRejection(uniswapFactory.setFeeToSetter(a0.address), "Forbidden");
+    await uniswapFactory.connect(feeTo).setFeeTo(ethers.constants.AddressZero);
+  });
+
+  it("leaves all fees to liquidity providers while off", async function () {
+    const [a0] = await ethers.getSigners();
+    const { HAY_exchange, trade } = this;
+
+    await HAY_exchange.addLiquidity(0, HAY_RESERVE, this.deadline, { value: ETH_RESERVE });
+    await trade();
+    await HAY_exchange.addLiquidity(1, HAY_RESERVE, this.deadline, { value: ETH_RESERVE });
+
+    expect(await HAY_exchange.kLast()).to.be.eq(0);
+    expect(await HAY_exchange.totalSupply()).to.be.eq(await HAY_exchange.balanceOf(a0.address));
+  });
+
+  it("mints feeTo its share of the growth on liquidity events", async function () {
+    const [a0] = await ethers.getSigners();
+    const { uniswapFactory, HAY_exchange, feeTo, pool, trade } = this;
+    await uniswapFactory.setFeeTo(feeTo.address);
+
+    await HAY_exchange.addLiquidity(0, HAY_RESERVE, this.deadline, { value: ETH_RESERVE });
+    const initial = await pool();
+    expect(await HAY_exchange.kLast()).to.be.eq(initial.ethReserve.mul(initial.tokenReserve));
+
+    await trade();
+    const grown = await pool();
+    const accrued = accruedProtocolFee(grown, await HAY_exchange.kLast(), 1667, feeTo.address);
+    expect(accrued).to.be.gt(0);
+    expect(await HAY_exchange.balanceOf(feeTo.address)).to.be.eq(0);
+
+    await HAY_exchange.removeLiquidity(eth("1"), 1, 1, this.deadline);
+    expect(await HAY_exchange.balanceOf(feeTo.address)).to.be.eq(accrued);
+    const after = await pool();
+    expect(await HAY_exchange.kLast()).to.be.eq(after.ethReserve.mul(after.tokenReserve));
+
+    // feeTo owns share f of the pool worth a sixth of the growth of sqrt(k): (1 - f / sixth)^2 = kLast / k
+    const f = accrued.mul(WAD).div(grown.totalSupply.add(accrued));
+    const rest = WAD.sub(f.mul(10000).div(1667));
+    const kRatio = initial.ethReserve.mul(initial.tokenReserve).mul(WAD).div(grown.ethReserve.mul(grown.tokenReserve));
+    expect(rest.mul(rest).div(WAD)).to.be.closeTo(kRatio, 1e9);
+
+    // liquidity events right after each other add nothing
+    await HAY_exchange.addLiquidity(1, HAY_RESERVE, this.deadline, { value: ETH_RESERVE });
+    expect(await HAY_exchange.balanceOf(feeTo.address)).to.be.eq(accrued);
+    expect(await HAY_exchange.balanceOf(a0.address)).to.be.gt(0);
+  });
+
+  it("charges no growth from while the fee was off", async function () {
+    const { uniswapFactory, HAY_exchange, feeTo, pool, trade } = this;
+    await uniswapFactory.setFeeTo(feeTo.address);
+    await HAY_exchange.addLiquidity(0, HAY_RESERVE, this.deadline, { value: ETH_RESERVE });
+
+    await trade();
+    await uniswapFactory.setFeeTo(ethers.constants.AddressZero);
+    // kLast is still set, but switched off the fee is no longer owed to anyone
+    expect(await HAY_exchange.kLast()).to.be.gt(0);
+    const off = await getProtocolFees(ethers.provider, uniswapFactory.address, { feeTo: feeTo.address });
+    expect(off.exchanges[0].accrued).to.be.eq(0);
+    expect(accruedProtocolFee(await pool(), await HAY_exchange.kLast(), 1667, ethers.constants.AddressZero)).to.be.eq(
+      0
+    );
+
+    await HAY_exchange.removeLiquidity(eth("1"), 1, 1, this.deadline);
+    expect(await HAY_exchange.kLast()).to.be.eq(0);
+    expect(await HAY_exchange.balanceOf(feeTo.address)).to.be.eq(0);
+    await trade();
+
+    await uniswapFactory.setFeeTo(feeTo.address);
+    await HAY_exchange.removeLiquidity(eth("1"), 1, 1, this.deadline);
+    expect(await HAY_exchange.balanceOf(feeTo.address)).to.be.eq(0);
+    expect(await HAY_exchange.kLast()).to.be.gt(0);
+  });
+
+  it("reports collected and accrued fees per exchange", async function () {
+    const { uniswapFactory, HAY_token, HAY_exchange, feeTo, pool, trade } = this;
+    await uniswapFactory.setFeeTo(feeTo.address);
+    await uniswapFactory.setProtocolFeeShare(5000);
+    await HAY_exchange.addLiquidity(0, HAY_RESERVE, this.deadline, { value: ETH_RESERVE });
+    await uniswapFactory.createExchangeWithFee(HAY_token.address, 100);
+    await trade();
+
+    let report = await getProtocolFees(ethers.provider, uniswapFactory.address);
+    expect(report.feeTo).to.be.eq(feeTo.address);
+    expect(report.protocolFeeShare).to.be.eq(5000);
+    expect(report.exchanges.map((e) => e.fee)).to.be.deep.eq([30, 100]);
+    const [hay, empty] = report.exchanges;
+    expect(hay.exchange).to.be.eq(HAY_exchange.address);
+    expect(hay.collected).to.be.eq(0);
+    expect(hay.accrued).to.be.gt(0);
+    expect(empty.accrued).to.be.eq(0);
+    expect(empty.value).to.be.eq(0);
+
+    await HAY_exchange.removeLiquidity(eth("1"), 1, 1, this.deadline);
+    report = await getProtocolFees(ethers.provider, uniswapFactory.address, { exchanges: [HAY_exchange.address] });
+    expect(report.exchanges[0].collected).to.be.eq(hay.accrued);
+    expect(report.exchanges[0].accrued).to.be.eq(0);
+    const current = await pool();
+    expect(report.exchanges[0].claim.eth).to.be.eq(hay.accrued.mul(current.ethReserve).div(current.totalSupply));
+  });
+});
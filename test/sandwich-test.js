@@ -0,0 +1,128 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+
+const { sandwichOutcome, optimalSandwich, swapLimits } = require("../lib");
+const { simulateSandwich, sweepSandwich } = require("../scenarios/sandwich");
+const { swapInput, runTask, expectRejection } = require("./utils");
+const { ETH_RESERVE, HAY_RESERVE, DEN_RESERVE, ETH_SOLD, HAY_SOLD } = require("./constants");
+
+const { ethers } = hre;
+
+describe("Sandwich simulator", function () {
+  const pool = { ethReserve: ETH_RESERVE, tokenReserve: HAY_RESERVE, fee: 30 };
+  const quote = swapInput(ETH_SOLD, ETH_RESERVE, HAY_RESERVE);
+
+  it("front-runs up to the victim's minimum", function () {
+    const { minTokens } = swapLimits("ethToTokenSwapInput", quote, 100);
+    const victim = { ethIn: ETH_SOLD, minTokens };
+    const best = optimalSandwich(pool, victim);
+
+    expect(best.executes).to.be.true;
+    expect(best.profit).to.be.gt(0);
+    expect(best.victimTokens).to.be.eq(minTokens);
+    // rounding leaves a few wei of slack at the boundary
+    expect(sandwichOutcome(pool, victim, best.frontRun.mul(10001).div(10000)).executes).to.be.false;
+    expect(sandwichOutcome(pool, victim, best.frontRun.div(2)).profit).to.be.lt(best.profit);
+
+    const capped = optimalSandwich(pool, victim, { maxFrontRun: best.frontRun.div(2) });
+    expect(capped.frontRun).to.be.eq(best.frontRun.div(2));
+  });
+
+  it("leaves the victim alone when fees eat the profit", function () {
+    // a small swap barely moves the price, the attacker's round trip pays the 1% fee twice
+    const expensive = { ...pool, fee: 100 };
+    const ethIn = ETH_SOLD.div(100);
+    const { minTokens } = swapLimits("ethToTokenSwapInput", swapInput(ethIn, ETH_RESERVE, HAY_RESERVE, 100), 10);
+    const none = optimalSandwich(expensive, { ethIn, minTokens });
+    expect(none.frontRun).to.be.eq(0);
+    expect(none.profit).to.be.eq(0);
+
+    expect(() => optimalSandwich(pool, { ethIn: ETH_SOLD, minTokens: quote.add(1) })).to.throw(
+      "sandwich: the victim's swap fails its minimum without any front-run"
+    );
+    expect(() => optimalSandwich(pool, { ethIn: ETH_SOLD, minTokens: 0 })).to.throw("must be positive");
+  });
+
+  it("executes the sandwich as predicted", async function () {
+    const config = {
+      method: "ethToTokenSwapInput",
+      pool: { eth: "5", tokens: "10" },
+      amount: ethers.utils.formatEther(ETH_SOLD),
+      slippageBps: 100,
+    };
+    const result = await simulateSandwich(hre, config);
+    expect(result.quote).to.be.eq(quote);
+    expect(result.attackerProfit).to.be.eq(result.predictedProfit);
+    expect(result.attackerGas).to.be.gt(0);
+    expect(result.victimTokens).to.be.gte(result.minTokens);
+    expect(result.victimShortfall).to.be.eq(quote.sub(result.victimTokens));
+    expect(result.shortfallBps).to.be.within(90, 100);
+
+    const tokenToToken = await simulateSandwich(hre, {
+      method: "tokenToTokenSwapInput",
+      pool: { eth: "5", tokens: ethers.utils.formatEther(DEN_RESERVE) },
+      soldPool: { eth: "5", tokens: ethers.utils.formatEther(HAY_RESERVE) },
+      amount: ethers.utils.formatEther(HAY_SOLD),
+      slippageBps: 100,
+    });
+    const ethBought = swapInput(HAY_SOLD, HAY_RESERVE, ETH_RESERVE);
+    expect(tokenToToken.quote).to.be.eq(swapInput(ethBought, ETH_RESERVE, DEN_RESERVE));
+    expect(tokenToToken.frontRun).to.be.gt(0);
+    expect(tokenToToken.attackerProfit).to.be.eq(tokenToToken.predictedProfit);
+
+    // both tokens listed at 1% only
+    const tiered = await simulateSandwich(hre, {
+      method: "tokenToTokenSwapInput",
+      pool: { eth: "5", tokens: ethers.utils.formatEther(DEN_RESERVE), fee: 100 },
+      soldPool: { eth: "5", tokens: ethers.utils.formatEther(HAY_RESERVE), fee: 100 },
+      amount: ethers.utils.formatEther(HAY_SOLD),
+      slippageBps: 300,
+    });
+    const tieredEth = swapInput(HAY_SOLD, HAY_RESERVE, ETH_RESERVE, 100);
+    expect(tiered.quote).to.be.eq(swapInput(tieredEth, ETH_RESERVE, DEN_RESERVE, 100));
+    expect(tiered.victimTokens).to.be.gte(tiered.minTokens);
+    expect(tiered.attackerProfit).to.be.eq(tiered.predictedProfit);
+  });
+
+  it("sweeps slippage tolerances", async function () {
+    const config = { method: "ethToTokenSwapInput", pool: { eth: "5", tokens: "10" }, amount: "1" };
+    const results = await sweepSandwich(hre, config, [0, 50, 300]);
+
+    expect(results.map((r) => r.slippageBps)).to.be.deep.eq([0, 50, 300]);
+    expect(results[0].frontRun).to.be.eq(0);
+    expect(results[0].victimShortfall).to.be.eq(0);
+    expect(results[1].victimShortfall).to.be.gt(0);
+    expect(results[2].victimShortfall).to.be.gt(results[1].victimShortfall);
+    expect(results[2].attackerProfit).to.be.gt(results[1].attackerProfit);
+
+    const fromTask = await runTask(hre, "uniswap:sandwich", {
+      ethReserve: "5",
+      tokenReserve: "10",
+      amount: "1",
+      sweep: "50",
+    });
+    expect(fromTask[0].attackerProfit).to.be.eq(results[1].attackerProfit);
+    await expectRejection(
+      hre.run("uniswap:sandwich", { ethReserve: "5", tokenReserve: "10", amount: "1", sweep: "50,10000" }),
+      "--slippage must be an integer number of basis points below 10000, got 10000"
+    );
+    await expectRejection(
+      hre.run("uniswap:sandwich", {
+        method: "tokenToTokenSwapInput",
+        ethReserve: "5",
+        tokenReserve: "10",
+        amount: "1",
+      }),
+      "sandwich: soldPool needs eth and tokens"
+    );
+    await expectRejection(
+      simulateSandwich(hre, {
+        method: "tokenToTokenSwapInput",
+        pool: { eth: "5", tokens: "10", fee: 5 },
+        soldPool: { eth: "5", tokens: "10", fee: 100 },
+        amount: "1",
+      }),
+      "sandwich: pool is in neither the fee tier of soldPool nor the default one"
+    );
+  });
+});
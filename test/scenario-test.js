@@ -0,0 +1,137 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { getInputPrice } = require("../lib");
+const { loadScenario, runScenario, formatCsv, writeTimeline } = require("../scenarios/runner");
+const { expectRejection } = require("./utils");
+const { ETH_RESERVE, HAY_RESERVE, DEN_RESERVE, ETH_SOLD } = require("./constants");
+
+const { ethers } = hre;
+const eth = ethers.utils.parseEther;
+const EXAMPLE = path.join(__dirname, "..", "scenarios", "example.yaml");
+
+describe("Scenario runner", function () {
+  beforeEach(function () {
+    this.dir = fs.mkdtempSync(path.join(os.tmpdir(), "uniswap-scenario-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(this.dir, { recursive: true, force: true });
+  });
+
+  it("runs the example and records the state after every step", async function () {
+    const { factory, tokens, timeline } = await runScenario(hre, loadScenario(EXAMPLE));
+    expect(timeline.map((row) => row.action)).to.be.deep.eq([
+      "initial",
+      "ethToTokenSwapInput",
+      "addLiquidity",
+      "wait",
+      "tokenToExchangeSwapInput",
+      "tokenToEthTransferOutput",
+      "ethToTokenSwapOutput",
+      "removeLiquidity",
+    ]);
+    const uniswapFactory = await ethers.getContractAt("UniswapFactoryV1", factory);
+    expect(await uniswapFactory.getExchangeWithFee(tokens.DEN.token, 100)).to.be.eq(tokens.DEN.exchange);
+
+    const [initial, swap, , wait] = timeline;
+    expect(initial.pools.HAY).to.be.deep.eq({
+      ethReserve: ethers.utils.formatEther(ETH_RESERVE),
+      tokenReserve: ethers.utils.formatEther(HAY_RESERVE),
+      totalSupply: ethers.utils.formatEther(ETH_RESERVE),
+      price: "0.5",
+    });
+    expect(initial.pools.DEN.tokenReserve).to.be.eq(ethers.utils.formatEther(DEN_RESERVE));
+    expect(initial.actors.trader).to.include({ ETH: "100.0", HAY: "100.0", "HAY-LP": "0.0" });
+
+    // ETH balances are net of gas
+    const bought = getInputPrice(ETH_SOLD, ETH_RESERVE, HAY_RESERVE);
+    expect(swap.pools.HAY.tokenReserve).to.be.eq(ethers.utils.formatEther(HAY_RESERVE.sub(bought)));
+    expect(swap.actors.trader.HAY).to.be.eq(ethers.utils.formatEther(eth("100").add(bought)));
+    expect(swap.actors.trader.ETH).to.be.eq("99.0");
+    expect(wait.timestamp - swap.timestamp).to.be.gte(3600);
+
+    const [transfer, reverted, removed] = timeline.slice(5);
+    expect(transfer.actors.lp.ETH).to.be.eq("45.5");
+    expect(reverted.status).to.match(/^reverted: /);
+    expect(reverted.pools).to.be.deep.eq(transfer.pools);
+    expect(removed.status).to.be.eq("ok");
+    const minted = eth(timeline[2].actors.lp["HAY-LP"]);
+    expect(eth(removed.actors.lp["HAY-LP"])).to.be.eq(minted.sub(eth("2.5")));
+  });
+
+  it("exports the timeline as CSV or JSON", async function () {
+    const scenario = {
+      tokens: [{ symbol: "HAY", reserves: { eth: "5", tokens: "10" } }],
+      actors: [{ name: "alice", tokens: { HAY: "1" } }],
+      steps: [{ actor: "alice", action: "tokenToEthSwapInput", token: "HAY", amount: "2" }],
+    };
+    const file = path.join(this.dir, "scenario.json");
+    fs.writeFileSync(file, JSON.stringify(scenario));
+
+    const logged = [];
+    const result = await runScenario(hre, loadScenario(file), { log: (line) => logged.push(line) });
+    expect(logged).to.have.length(1);
+    expect(logged[0]).to.match(/^1\. alice tokenToEthSwapInput: reverted: /);
+    writeTimeline(path.join(this.dir, "timeline.json"), result.timeline);
+    writeTimeline(path.join(this.dir, "timeline.csv"), result.timeline);
+
+    const json = JSON.parse(fs.readFileSync(path.join(this.dir, "timeline.json"), "utf8"));
+    expect(json).to.be.deep.eq(result.timeline);
+    expect(json[1].status).to.match(/^reverted: /);
+
+    const lines = fs.readFileSync(path.join(this.dir, "timeline.csv"), "utf8").trimEnd().split("\n");
+    expect(lines).to.have.length(3);
+    expect(lines[0]).to.be.eq(
+      "step,action,actor,status,blockNumber,timestamp,HAY.ethReserve,HAY.tokenReserve,HAY.totalSupply,HAY.price," +
+        "alice.ETH,alice.HAY,alice.HAY-LP"
+    );
+    expect(lines[1]).to.match(/^0,initial,,ok,\d+,\d+,5.0,10.0,5.0,0.5,/);
+    expect(formatCsv([{ ...json[1], status: 'reverted: a "b", c' }])).to.include(',"reverted: a ""b"", c",');
+  });
+
+  it("trades token to token within a fee tier", async function () {
+    const tokens = ["HAY", "DEN"].map((symbol) => ({ symbol, fee: 100, reserves: { eth: "5", tokens: "10" } }));
+    const steps = [{ action: "tokenToTokenSwapInput", actor: "alice", token: "HAY", to: "DEN", amount: "1" }];
+    const { timeline } = await runScenario(hre, { tokens, actors: [{ name: "alice", tokens: { HAY: "1" } }], steps });
+
+    const ethBought = getInputPrice(eth("1"), eth("10"), eth("5"), 100);
+    const denBought = getInputPrice(ethBought, eth("5"), eth("10"), 100);
+    expect(timeline[1].status).to.be.eq("ok");
+    expect(timeline[1].actors.alice.DEN).to.be.eq(ethers.utils.formatEther(denBought));
+  });
+
+  it("rejects invalid scenarios", async function () {
+    const token = { symbol: "HAY", reserves: { eth: "5", tokens: "10" } };
+    const scenario = (steps, actors = [{ name: "alice" }]) => ({ tokens: [token], actors, steps });
+
+    await expectRejection(runScenario(hre, {}), "scenario: scenario must have a tokens array");
+    await expectRejection(runScenario(hre, { tokens: [token, token], steps: [] }), "duplicate token symbol HAY");
+    await expectRejection(runScenario(hre, scenario([{ action: "flash" }])), "step 1 (flash): unknown action");
+    await expectRejection(
+      runScenario(hre, scenario([{ action: "addLiquidity", actor: "bob", token: "HAY", eth: "1" }])),
+      "unknown actor bob"
+    );
+    await expectRejection(
+      runScenario(hre, scenario([{ action: "tokenToTokenSwapInput", actor: "alice", token: "HAY", amount: "1" }])),
+      "to must be another token"
+    );
+    const tiered = { tokens: [token, { symbol: "DEN", fee: 100 }], actors: [{ name: "alice" }] };
+    await expectRejection(
+      runScenario(hre, {
+        ...tiered,
+        steps: [{ action: "tokenToTokenSwapInput", actor: "alice", token: "HAY", to: "DEN", amount: "1" }],
+      }),
+      "DEN is in neither the fee tier of HAY nor the default one, use tokenToExchange"
+    );
+    await expectRejection(runScenario(hre, scenario([{ action: "wait", seconds: -1 }])), "seconds must be");
+    await expectRejection(
+      hre.run("uniswap:scenario", { file: EXAMPLE, output: "timeline.txt" }),
+      "--output must end in .csv or .json"
+    );
+    expect(() => loadScenario(__filename)).to.throw("is neither JSON nor YAML");
+  });
+});
@@ -0,0 +1,108 @@
+const { ethers } = require("hardhat");
+const { expect } = require("chai");
+
+const {
+  DEFAULT_DEADLINE_TTL,
+  getDeadline,
+  swapLimits,
+  quoteSwapLimits,
+  withSlippageDown,
+  withSlippageUp,
+} = require("../lib");
+const { swapInput, swapOutput, expectRejection } = require("./utils");
+const { loadFixture, seededPools } = require("./fixtures");
+const { ETH_RESERVE, HAY_RESERVE, DEN_RESERVE, ETH_SOLD, HAY_SOLD, HAY_BOUGHT, DEN_BOUGHT } = require("./constants");
+
+describe("Slippage and deadline helpers", function () {
+  beforeEach(async function () {
+    Object.assign(this, await loadFixture(seededPools));
+  });
+
+  it("derives deadlines from chain time", async function () {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    expect(await getDeadline(ethers.provider)).to.be.eq(timestamp + DEFAULT_DEADLINE_TTL);
+    expect(await getDeadline(ethers.provider, 60)).to.be.eq(timestamp + 60);
+
+    // the deadline follows the chain, however far it is from the local clock
+    await ethers.provider.send("evm_increaseTime", [10 * 365 * 24 * 3600]);
+    await ethers.provider.send("evm_mine", []);
+    const { timestamp: later } = await ethers.provider.getBlock("latest");
+    expect(await getDeadline(ethers.provider)).to.be.eq(later + DEFAULT_DEADLINE_TTL);
+  });
+
+  it("bounds every swap variant", function () {
+    const quote = ethers.utils.parseEther("2");
+    const down = quote.mul(9950).div(10000);
+    const up = quote.mul(10050).div(10000);
+
+    expect(swapLimits("ethToTokenSwapInput", quote).minTokens).to.be.eq(down);
+    expect(swapLimits("ethToTokenTransferOutput", quote).maxEth).to.be.eq(up);
+    expect(swapLimits("tokenToEthTransferInput", quote).minEth).to.be.eq(down);
+    expect(swapLimits("tokenToEthSwapOutputWithPermit", quote).maxTokens).to.be.eq(up);
+
+    const input = swapLimits("tokenToTokenSwapInput", { tokensBought: quote, ethBought: quote.div(2) });
+    expect(input.minTokensBought).to.be.eq(down);
+    expect(input.minEthBought).to.be.eq(down.div(2));
+    const output = swapLimits("tokenToExchangeTransferOutput", { tokensSold: quote, ethSold: quote.div(2) }, 100);
+    expect(output.maxTokensSold).to.be.eq(quote.mul(101).div(100));
+    expect(output.maxEthSold).to.be.eq(quote.div(2).mul(101).div(100));
+
+    // minimums never reach zero, which the exchange rejects, and maximums round up
+    expect(withSlippageDown(1, 50)).to.be.eq(1);
+    expect(withSlippageUp(1, 50)).to.be.eq(2);
+    expect(swapLimits("ethToTokenSwapInput", quote, 0).minTokens).to.be.eq(quote);
+
+    expect(() => swapLimits("addLiquidity", quote)).to.throw("slippage: addLiquidity is not a swap");
+    expect(() => swapLimits("ethToTokenSwapInput", quote, 10000)).to.throw("slippage: invalid slippage 10000 bps");
+    expect(() => swapLimits("ethToTokenSwapInput", quote, 0.5)).to.throw("slippage: invalid slippage 0.5 bps");
+  });
+
+  it("quotes swaps from the exchanges", async function () {
+    const { HAY_exchange, DEN_exchange, DEN_token } = this;
+    const [, a1] = await ethers.getSigners();
+
+    const buy = await quoteSwapLimits(HAY_exchange, "ethToTokenSwapInput", ETH_SOLD);
+    expect(buy.quote).to.be.eq(swapInput(ETH_SOLD, ETH_RESERVE, HAY_RESERVE));
+    expect(buy.minTokens).to.be.eq(withSlippageDown(buy.quote, 50));
+    expect(buy.deadline).to.be.eq(await getDeadline(ethers.provider));
+
+    const sell = await quoteSwapLimits(HAY_exchange, "tokenToEthSwapOutput", HAY_BOUGHT, { slippageBps: 0 });
+    expect(sell.maxTokens).to.be.eq(swapOutput(HAY_BOUGHT, HAY_RESERVE, ETH_RESERVE));
+
+    const ethBought = swapInput(HAY_SOLD, HAY_RESERVE, ETH_RESERVE);
+    const input = await quoteSwapLimits(HAY_exchange, "tokenToTokenSwapInput", HAY_SOLD, {
+      boughtExchange: DEN_exchange,
+    });
+    expect(input.quote.ethBought).to.be.eq(ethBought);
+    expect(input.quote.tokensBought).to.be.eq(swapInput(ethBought, ETH_RESERVE, DEN_RESERVE));
+
+    const ethSold = swapOutput(DEN_BOUGHT, ETH_RESERVE, DEN_RESERVE);
+    const output = await quoteSwapLimits(HAY_exchange, "tokenToTokenSwapOutput", DEN_BOUGHT, {
+      boughtExchange: DEN_exchange,
+      deadlineTtl: 60,
+    });
+    expect(output.quote.ethSold).to.be.eq(ethSold);
+    expect(output.quote.tokensSold).to.be.eq(swapOutput(ethSold, HAY_RESERVE, ETH_RESERVE));
+    expect(output.deadline).to.be.eq(await getDeadline(ethers.provider, 60));
+
+    await expectRejection(
+      quoteSwapLimits(HAY_exchange, "tokenToTokenSwapInput", HAY_SOLD),
+      "slippage: tokenToTokenSwapInput needs the boughtExchange"
+    );
+
+    // the limits protect against the price moving past the tolerance before the swap lands
+    const { minTokens, deadline } = buy;
+    await HAY_exchange.ethToTokenSwapInput(1, deadline, { value: ETH_SOLD.div(50) });
+    await expect(HAY_exchange.connect(a1).ethToTokenSwapInput(minTokens, deadline, { value: ETH_SOLD })).to.be.reverted;
+    const { minTokensBought, minEthBought } = input;
+    await this.HAY_token.transfer(a1.address, HAY_SOLD);
+    await this.HAY_token.connect(a1).approve(HAY_exchange.address, HAY_SOLD);
+    await HAY_exchange.connect(a1).tokenToTokenSwapInput(
+      HAY_SOLD,
+      minTokensBought,
+      minEthBought,
+      deadline,
+      DEN_token.address
+    );
+  });
+});
@@ -0,0 +1,177 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+
+const { UniswapV1Client } = require("../lib");
+const { runTask, expectRejection } = require("./utils");
+
+const { ethers } = hre;
+const eth = ethers.utils.parseEther;
+
+describe("uniswap:* tasks", function () {
+  beforeEach(async function () {
+    const tokenFactory = await ethers.getContractFactory("ERC20Test");
+    this.HAY_token = await tokenFactory.deploy("Hay token", "HAY", ethers.constants.MaxUint256);
+    this.DEN_token = await tokenFactory.deploy("Den token", "DEN", ethers.constants.MaxUint256);
+
+    this.factory = await runTask(hre, "uniswap:deploy-factory");
+  });
+
+  it("creates exchanges and manages liquidity", async function () {
+    const { factory, HAY_token } = this;
+    const token = HAY_token.address;
+
+    const exchangeAddr = await runTask(hre, "uniswap:create-exchange", { factory, token });
+    const uniswapFactory = await ethers.getContractAt("UniswapFactoryV1", factory);
+    expect(await uniswapFactory.getExchange(token)).to.be.eq(exchangeAddr);
+
+    await expectRejection(runTask(hre, "uniswap:create-exchange", { factory, token }), "already has exchange");
+    await expectRejection(runTask(hre, "uniswap:create-exchange", { factory, token, fee: 31 }), "not a fee tier");
+    const tieredAddr = await runTask(hre, "uniswap:create-exchange", { factory, token, fee: 100 });
+    expect(await uniswapFactory.getExchangeWithFee(token, 100)).to.be.eq(tieredAddr);
+    await expectRejection(runTask(hre, "uniswap:add-liquidity", { factory, token, eth: "5" }), "--tokens is required");
+
+    let result = await runTask(hre, "uniswap:add-liquidity", { factory, token, eth: "5", tokens: "10" });
+    expect(result.ethAmount).to.be.eq(eth("5"));
+    expect(result.tokenAmount).to.be.eq(eth("10"));
+    expect(result.liquidityMinted).to.be.eq(eth("5"));
+
+    result = await runTask(hre, "uniswap:add-liquidity", { factory, token, eth: "1" });
+    expect(result.tokenAmount).to.be.eq(eth("2").add(1));
+
+    await expectRejection(
+      runTask(hre, "uniswap:remove-liquidity", { factory, token, amount: "7", account: 0 }),
+      "account holds only 6.0 UNI-V1"
+    );
+    result = await runTask(hre, "uniswap:remove-liquidity", { factory, token, amount: "3" });
+    expect(result.ethAmount).to.be.eq(eth("3"));
+
+    // the 1% exchange, seeded, traded and drained through --fee
+    await expectRejection(
+      runTask(hre, "uniswap:quote", { factory, from: "ETH", to: token, amount: "1", fee: 5 }),
+      `no exchange for token ${token} in fee tier 5`
+    );
+    result = await runTask(hre, "uniswap:add-liquidity", { factory, token, eth: "2", tokens: "4", fee: 100 });
+    expect(result.liquidityMinted).to.be.eq(eth("2"));
+    const tiered = await ethers.getContractAt("UniswapExchangeV1", tieredAddr);
+    const quote = await runTask(hre, "uniswap:quote", { factory, from: "ETH", to: token, amount: "1", fee: 100 });
+    expect(quote.amountOut).to.be.eq(await tiered.getEthToTokenInputPrice(eth("1")));
+    result = await runTask(hre, "uniswap:swap", { factory, from: "ETH", to: token, amount: "1", fee: 100 });
+    expect(result.amountOut).to.be.eq(quote.amountOut);
+    expect(await ethers.provider.getBalance(tieredAddr)).to.be.eq(eth("3"));
+    await runTask(hre, "uniswap:remove-liquidity", { factory, token, amount: "2", fee: 100 });
+    expect(await tiered.totalSupply()).to.be.eq(0);
+
+    const exchanges = await runTask(hre, "uniswap:list-exchanges", { factory });
+    expect(exchanges).to.have.length(2);
+    expect(exchanges[0].symbol).to.be.eq("HAY");
+    expect(exchanges[0].exchange).to.be.eq(exchangeAddr);
+    expect(exchanges[0].ethReserve).to.be.eq(eth("3"));
+    expect(exchanges.map((e) => e.fee)).to.be.deep.eq([30, 100]);
+    expect(exchanges[1].exchange).to.be.eq(tieredAddr);
+    expect(exchanges[1].ethReserve).to.be.eq(0);
+
+    const fees = await runTask(hre, "uniswap:protocol-fees", { factory });
+    expect(fees.feeTo).to.be.eq(ethers.constants.AddressZero);
+    expect(fees.exchanges.map((e) => e.exchange)).to.be.deep.eq([exchangeAddr, tieredAddr]);
+    expect(fees.exchanges[0].accrued).to.be.eq(0);
+  });
+
+  it("quotes and swaps", async function () {
+    const [a0, a1] = await ethers.getSigners();
+    const { factory, HAY_token, DEN_token } = this;
+
+    for (const [token, tokens] of [
+      [HAY_token.address, "10"],
+      [DEN_token.address, "20"],
+    ]) {
+      await runTask(hre, "uniswap:create-exchange", { factory, token });
+      await runTask(hre, "uniswap:add-liquidity", { factory, token, eth: "5", tokens });
+    }
+
+    const quote = await runTask(hre, "uniswap:quote", { factory, from: "eth", to: HAY_token.address, amount: "1" });
+    expect(quote.amountIn).to.be.eq(eth("1"));
+
+    let result = await runTask(hre, "uniswap:swap", {
+      factory,
+      from: "ETH",
+      to: HAY_token.address,
+      amount: "1",
+      account: 1,
+    });
+    expect(result.amountOut).to.be.eq(quote.amountOut);
+    expect(await HAY_token.balanceOf(a1.address)).to.be.eq(quote.amountOut);
+
+    const hayBought = quote.amountOut;
+    result = await runTask(hre, "uniswap:swap", {
+      factory,
+      from: HAY_token.address,
+      to: DEN_token.address,
+      amount: "0.5",
+      exactOutput: true,
+      account: 1,
+    });
+    expect(result.amountOut).to.be.eq(eth("0.5"));
+    expect(await DEN_token.balanceOf(a1.address)).to.be.eq(eth("0.5"));
+    expect(await HAY_token.balanceOf(a1.address)).to.be.eq(hayBought.sub(result.amountIn));
+
+    // a trade landing between the quote and the swap: the task reports what was swapped
+    const swap = UniswapV1Client.prototype.swapEthToTokenInput;
+    UniswapV1Client.prototype.swapEthToTokenInput = async function (...args) {
+      UniswapV1Client.prototype.swapEthToTokenInput = swap;
+      await runTask(hre, "uniswap:swap", { factory, from: "ETH", to: HAY_token.address, amount: "0.5" });
+      return swap.apply(this, args);
+    };
+    const before = await HAY_token.balanceOf(a1.address);
+    try {
+      result = await runTask(hre, "uniswap:swap", {
+        factory,
+        from: "ETH",
+        to: HAY_token.address,
+        amount: "1",
+        account: 1,
+      });
+    } finally {
+      UniswapV1Client.prototype.swapEthToTokenInput = swap;
+    }
+    expect(result.amountIn).to.be.eq(eth("1"));
+    expect(result.amountOut).to.be.lt(result.quoted.amountOut);
+    expect(await HAY_token.balanceOf(a1.address)).to.be.eq(before.add(result.amountOut));
+  });
+
+  it("validates parameters", async function () {
+    const { factory, HAY_token } = this;
+    const token = HAY_token.address;
+
+    await expectRejection(
+      runTask(hre, "uniswap:create-exchange", { factory: "0x1234", token }),
+      "--factory is not a valid address"
+    );
+    await expectRejection(
+      runTask(hre, "uniswap:create-exchange", { factory: (await ethers.getSigners())[1].address, token }),
+      "no contract deployed"
+    );
+    await expectRejection(
+      runTask(hre, "uniswap:create-exchange", { factory, token, account: 99 }),
+      "--account must be between"
+    );
+
+    const trade = { factory, from: "ETH", to: token, amount: "1" };
+    await expectRejection(runTask(hre, "uniswap:quote", trade), "no exchange for token");
+    // a contract that is no factory fails the call rather than reporting a missing exchange
+    await expectRejection(runTask(hre, "uniswap:quote", { ...trade, factory: token }), "call revert exception");
+    await expectRejection(runTask(hre, "uniswap:quote", { ...trade, to: "eth" }), "cannot both be ETH");
+    await expectRejection(runTask(hre, "uniswap:quote", { ...trade, amount: "abc" }), "--amount is not a valid amount");
+    await expectRejection(runTask(hre, "uniswap:quote", { ...trade, amount: "0" }), "--amount must be positive");
+    await expectRejection(runTask(hre, "uniswap:quote", { ...trade, slippage: 10000 }), "--slippage must be");
+
+    // V1 is not deployed on the in-process network
+    await expectRejection(
+      runTask(hre, "uniswap:vendor-vyper"),
+      "no contract at 0xc0a47dFe034B400B47bDaD5FecDa2621de6c4d95"
+    );
+    await expectRejection(
+      runTask(hre, "uniswap:vendor-vyper", { factory: "0x1234" }),
+      "--factory is not a valid address"
+    );
+  });
+});
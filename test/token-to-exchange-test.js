@@ -3,51 +3,15 @@ const { expect } = require("chai");
 const { BigNumber } = require("ethers");
 
 const { swapInput, swapOutput } = require("./utils");
+const { loadFixture, seededPools } = require("./fixtures");
 
-const {
-  ETH_RESERVE,
-  HAY_RESERVE,
-  DEN_RESERVE,
-  HAY_SOLD,
-  MIN_ETH_BOUGHT,
-  MIN_DEN_BOUGHT,
-  DEN_BOUGHT,
-  MAX_HAY_SOLD,
-  MAX_ETH_SOLD,
-  DEADLINE,
-} = require("./constants");
+const { getDeadline, swapLimits } = require("../lib");
+const { ETH_RESERVE, HAY_RESERVE, DEN_RESERVE, HAY_SOLD, DEN_BOUGHT, MAX_HAY_SOLD } = require("./constants");
 
 describe("UniswapExchangeV1: Token to Exchange trades", function () {
   beforeEach(async function () {
-    const tokenFactory = await ethers.getContractFactory("ERC20Test");
-
-    this.HAY_token = await tokenFactory.deploy("Hay token", "HAY", ethers.constants.MaxUint256);
-    this.DEN_token = await tokenFactory.deploy("Den token", "DEN", ethers.constants.MaxUint256);
-
-    const uniswapExchangeFactory = await ethers.getContractFactory("UniswapExchangeV1");
-    const uniswapFactoryFactory = await ethers.getContractFactory("UniswapFactoryV1");
-    const uniswapFactory = await uniswapFactoryFactory.deploy();
-
-    let tx = await uniswapFactory.createExchange(this.HAY_token.address);
-    let receipt = await tx.wait();
-    expect(await uniswapFactory.tokenCount()).to.be.eq(1);
-    const [, HAY_exchangeAddr] = receipt.events.find((e) => e.event === "NewExchange")?.args;
-
-    this.HAY_exchange = await uniswapExchangeFactory.attach(HAY_exchangeAddr);
-
-    tx = await uniswapFactory.createExchange(this.DEN_token.address);
-    receipt = await tx.wait();
-    expect(await uniswapFactory.tokenCount()).to.be.eq(2);
-    const [, DEN_exchangeAddr] = receipt.events.find((e) => e.event === "NewExchange")?.args;
-
-    this.DEN_exchange = await uniswapExchangeFactory.attach(DEN_exchangeAddr);
-
-    // First liquidity provider (signer0) adds liquidity
-    await this.HAY_token.approve(this.HAY_exchange.address, HAY_RESERVE);
-    await this.HAY_exchange.addLiquidity(0, HAY_RESERVE, DEADLINE, { value: ETH_RESERVE });
-    // First liquidity provider (signer0) adds liquidity
-    await this.DEN_token.approve(this.DEN_exchange.address, DEN_RESERVE);
-    await this.DEN_exchange.addLiquidity(0, DEN_RESERVE, DEADLINE, { value: ETH_RESERVE });
+    Object.assign(this, await loadFixture(seededPools));
+    this.deadline = await getDeadline(ethers.provider);
   });
 
   it("processes token to exchange swap input", async function () {
@@ -57,6 +21,10 @@ describe("UniswapExchangeV1: Token to Exchange trades", function () {
 
     const ETH_PURCHASED = swapInput(HAY_SOLD, HAY_RESERVE, ETH_RESERVE);
     const DEN_PURCHASED = swapInput(ETH_PURCHASED, ETH_RESERVE, DEN_RESERVE);
+    const { minTokensBought, minEthBought } = swapLimits("tokenToExchangeSwapInput", {
+      tokensBought: DEN_PURCHASED,
+      ethBought: ETH_PURCHASED,
+    });
 
     // Transfer HAY to BUYER
     await HAY_token.transfer(a1.address, HAY_SOLD);
@@ -68,9 +36,9 @@ describe("UniswapExchangeV1: Token to Exchange trades", function () {
     // BUYER converts ETH to UNI
     const tx = await HAY_exchange.connect(a1).tokenToExchangeSwapInput(
       HAY_SOLD,
-      MIN_DEN_BOUGHT,
-      MIN_ETH_BOUGHT,
-      DEADLINE,
+      minTokensBought,
+      minEthBought,
+      this.deadline,
       DEN_exchange.address
     );
 
@@ -100,6 +68,10 @@ describe("UniswapExchangeV1: Token to Exchange trades", function () {
 
     const ETH_PURCHASED = swapInput(HAY_SOLD, HAY_RESERVE, ETH_RESERVE);
     const DEN_PURCHASED = swapInput(ETH_PURCHASED, ETH_RESERVE, DEN_RESERVE);
+    const { minTokensBought, minEthBought } = swapLimits("tokenToExchangeTransferInput", {
+      tokensBought: DEN_PURCHASED,
+      ethBought: ETH_PURCHASED,
+    });
 
     // Transfer HAY to BUYER
     await HAY_token.transfer(a1.address, HAY_SOLD);
@@ -112,9 +84,9 @@ describe("UniswapExchangeV1: Token to Exchange trades", function () {
     // BUYER converts ETH to UNI
     const tx = await HAY_exchange.connect(a1).tokenToExchangeTransferInput(
       HAY_SOLD,
-      MIN_DEN_BOUGHT,
-      MIN_ETH_BOUGHT,
-      DEADLINE,
+      minTokensBought,
+      minEthBought,
+      this.deadline,
       a2.address,
       DEN_exchange.address
     );
@@ -151,6 +123,10 @@ describe("UniswapExchangeV1: Token to Exchange trades", function () {
     const ETH_COST = swapOutput(DEN_BOUGHT, ETH_RESERVE, DEN_RESERVE);
     // how much HAY should i pay to get ETH_COST
     const HAY_COST = swapOutput(ETH_COST, HAY_RESERVE, ETH_RESERVE);
+    const { maxTokensSold, maxEthSold } = swapLimits("tokenToExchangeSwapOutput", {
+      tokensSold: HAY_COST,
+      ethSold: ETH_COST,
+    });
 
     // Transfer HAY to BUYER
     await HAY_token.transfer(a1.address, MAX_HAY_SOLD);
@@ -162,9 +138,9 @@ describe("UniswapExchangeV1: Token to Exchange trades", function () {
     // BUYER converts ETH to UNI
     const tx = await HAY_exchange.connect(a1).tokenToExchangeSwapOutput(
       DEN_BOUGHT,
-      MAX_HAY_SOLD,
-      MAX_ETH_SOLD,
-      DEADLINE,
+      maxTokensSold,
+      maxEthSold,
+      this.deadline,
       DEN_exchange.address
     );
 
@@ -196,6 +172,10 @@ describe("UniswapExchangeV1: Token to Exchange trades", function () {
     const ETH_COST = swapOutput(DEN_BOUGHT, ETH_RESERVE, DEN_RESERVE);
     // how much HAY should i pay to get ETH_COST
     const HAY_COST = swapOutput(ETH_COST, HAY_RESERVE, ETH_RESERVE);
+    const { maxTokensSold, maxEthSold } = swapLimits("tokenToExchangeTransferOutput", {
+      tokensSold: HAY_COST,
+      ethSold: ETH_COST,
+    });
 
     // Transfer HAY to BUYER
     await HAY_token.transfer(a1.address, MAX_HAY_SOLD);
@@ -208,9 +188,9 @@ describe("UniswapExchangeV1: Token to Exchange trades", function () {
     // BUYER converts ETH to UNI
     const tx = await HAY_exchange.connect(a1).tokenToExchangeTransferOutput(
       DEN_BOUGHT,
-      MAX_HAY_SOLD,
-      MAX_ETH_SOLD,
-      DEADLINE,
+      maxTokensSold,
+      maxEthSold,
+      this.deadline,
       a2.address,
       DEN_exchange.address
     );
@@ -3,52 +3,23 @@ const { expect } = require("chai");
 const { BigNumber } = require("ethers");
 
 const { swapInput, swapOutput } = require("./utils");
+const { loadFixture, seededPools, withTokens } = require("./fixtures");
+const { getDeadline, swapLimits } = require("../lib");
 const {
   ETH_RESERVE,
   HAY_RESERVE,
   DEN_RESERVE,
   HAY_SOLD,
-  MIN_ETH_BOUGHT,
-  MIN_DEN_BOUGHT,
   DEN_BOUGHT,
   MAX_HAY_SOLD,
-  MAX_ETH_SOLD,
   INITIAL_ETH,
-  DEADLINE,
   ZERO_ADDR,
 } = require("./constants");
 
 describe("UniswapExchangeV1: Token to Token trades", function () {
   beforeEach(async function () {
-    const tokenFactory = await ethers.getContractFactory("ERC20Test");
-
-    this.HAY_token = await tokenFactory.deploy("Hay token", "HAY", ethers.constants.MaxUint256);
-    this.DEN_token = await tokenFactory.deploy("Den token", "DEN", ethers.constants.MaxUint256);
-
-    const uniswapExchangeFactory = await ethers.getContractFactory("UniswapExchangeV1");
-    const uniswapFactoryFactory = await ethers.getContractFactory("UniswapFactoryV1");
-    const uniswapFactory = await uniswapFactoryFactory.deploy();
-
-    let tx = await uniswapFactory.createExchange(this.HAY_token.address);
-    let receipt = await tx.wait();
-    expect(await uniswapFactory.tokenCount()).to.be.eq(1);
-    const [, HAY_exchangeAddr] = receipt.events.find((e) => e.event === "NewExchange")?.args;
-
-    this.HAY_exchange = await uniswapExchangeFactory.attach(HAY_exchangeAddr);
-
-    tx = await uniswapFactory.createExchange(this.DEN_token.address);
-    receipt = await tx.wait();
-    expect(await uniswapFactory.tokenCount()).to.be.eq(2);
-    const [, DEN_exchangeAddr] = receipt.events.find((e) => e.event === "NewExchange")?.args;
-
-    this.DEN_exchange = await uniswapExchangeFactory.attach(DEN_exchangeAddr);
-
-    // First liquidity provider (signer0) adds liquidity
-    await this.HAY_token.approve(this.HAY_exchange.address, HAY_RESERVE);
-    await this.HAY_exchange.addLiquidity(0, HAY_RESERVE, DEADLINE, { value: ETH_RESERVE });
-    // First liquidity provider (signer0) adds liquidity
-    await this.DEN_token.approve(this.DEN_exchange.address, DEN_RESERVE);
-    await this.DEN_exchange.addLiquidity(0, DEN_RESERVE, DEADLINE, { value: ETH_RESERVE });
+    Object.assign(this, await loadFixture(seededPools));
+    this.deadline = await getDeadline(ethers.provider);
   });
 
   it("processes token to token swap input", async function () {
@@ -58,6 +29,10 @@ describe("UniswapExchangeV1: Token to Token trades", function () {
 
     const ETH_PURCHASED = swapInput(HAY_SOLD, HAY_RESERVE, ETH_RESERVE);
     const DEN_PURCHASED = swapInput(ETH_PURCHASED, ETH_RESERVE, DEN_RESERVE);
+    const { minTokensBought, minEthBought } = swapLimits("tokenToTokenSwapInput", {
+      tokensBought: DEN_PURCHASED,
+      ethBought: ETH_PURCHASED,
+    });
 
     // Transfer HAY to BUYER
     await HAY_token.transfer(a1.address, HAY_SOLD);
@@ -66,12 +41,12 @@ describe("UniswapExchangeV1: Token to Token trades", function () {
 
     // tokens sold == 0
     await expect(
-      HAY_exchange.connect(a1).tokenToTokenSwapInput(0, MIN_DEN_BOUGHT, MIN_ETH_BOUGHT, DEADLINE, DEN_token.address)
+      HAY_exchange.connect(a1).tokenToTokenSwapInput(0, minTokensBought, minEthBought, this.deadline, DEN_token.address)
     ).to.be.reverted;
 
     // min tokens bought == 0
     await expect(
-      HAY_exchange.connect(a1).tokenToTokenSwapInput(HAY_SOLD, 0, MIN_ETH_BOUGHT, DEADLINE, DEN_token.address)
+      HAY_exchange.connect(a1).tokenToTokenSwapInput(HAY_SOLD, 0, minEthBought, this.deadline, DEN_token.address)
     ).to.be.reverted;
 
     // min tokens bought > tokens bought
@@ -79,40 +54,40 @@ describe("UniswapExchangeV1: Token to Token trades", function () {
       HAY_exchange.connect(a1).tokenToTokenSwapInput(
         HAY_SOLD,
         DEN_PURCHASED.add(1),
-        MIN_ETH_BOUGHT,
-        DEADLINE,
+        minEthBought,
+        this.deadline,
         DEN_token.address
       )
     ).to.be.reverted;
 
     // min eth bought == 0
     await expect(
-      HAY_exchange.connect(a1).tokenToTokenSwapInput(HAY_SOLD, MIN_DEN_BOUGHT, 0, DEADLINE, DEN_token.address)
+      HAY_exchange.connect(a1).tokenToTokenSwapInput(HAY_SOLD, minTokensBought, 0, this.deadline, DEN_token.address)
     ).to.be.reverted;
 
     // min eth bought > eth bought
     await expect(
       HAY_exchange.connect(a1).tokenToTokenSwapInput(
         HAY_SOLD,
-        MIN_DEN_BOUGHT,
+        minTokensBought,
         ETH_PURCHASED.add(1),
-        DEADLINE,
+        this.deadline,
         DEN_token.address
       )
     ).to.be.reverted;
 
     // deadline < block.timestamp
     await expect(
-      HAY_exchange.connect(a1).tokenToTokenSwapInput(HAY_SOLD, MIN_DEN_BOUGHT, MIN_ETH_BOUGHT, 1, DEN_token.address)
+      HAY_exchange.connect(a1).tokenToTokenSwapInput(HAY_SOLD, minTokensBought, minEthBought, 1, DEN_token.address)
     ).to.be.reverted;
 
     // output token == input token
     await expect(
       HAY_exchange.connect(a1).tokenToTokenSwapInput(
         HAY_SOLD,
-        MIN_DEN_BOUGHT,
-        MIN_ETH_BOUGHT,
-        DEADLINE,
+        minTokensBought,
+        minEthBought,
+        this.deadline,
         HAY_token.address
       )
     ).to.be.reverted;
@@ -121,16 +96,16 @@ describe("UniswapExchangeV1: Token to Token trades", function () {
     await expect(
       HAY_exchange.connect(a1).tokenToTokenSwapInput(
         HAY_SOLD,
-        MIN_DEN_BOUGHT,
-        MIN_ETH_BOUGHT,
-        DEADLINE,
+        minTokensBought,
+        minEthBought,
+        this.deadline,
         HAY_exchange.address
       )
     ).to.be.reverted;
 
     // output token == ZERO_ADDR
     await expect(
-      HAY_exchange.connect(a1).tokenToTokenSwapInput(HAY_SOLD, MIN_DEN_BOUGHT, MIN_ETH_BOUGHT, DEADLINE, ZERO_ADDR)
+      HAY_exchange.connect(a1).tokenToTokenSwapInput(HAY_SOLD, minTokensBought, minEthBought, this.deadline, ZERO_ADDR)
     ).to.be.reverted;
 
     const INITIAL_ETH = await ethers.provider.getBalance(a1.address);
@@ -138,9 +113,9 @@ describe("UniswapExchangeV1: Token to Token trades", function () {
     // BUYER converts ETH to UNI
     const tx = await HAY_exchange.connect(a1).tokenToTokenSwapInput(
       HAY_SOLD,
-      MIN_DEN_BOUGHT,
-      MIN_ETH_BOUGHT,
-      DEADLINE,
+      minTokensBought,
+      minEthBought,
+      this.deadline,
       DEN_token.address
     );
 
@@ -169,6 +144,10 @@ describe("UniswapExchangeV1: Token to Token trades", function () {
 
     const ETH_PURCHASED = swapInput(HAY_SOLD, HAY_RESERVE, ETH_RESERVE);
     const DEN_PURCHASED = swapInput(ETH_PURCHASED, ETH_RESERVE, DEN_RESERVE);
+    const { minTokensBought, minEthBought } = swapLimits("tokenToTokenTransferInput", {
+      tokensBought: DEN_PURCHASED,
+      ethBought: ETH_PURCHASED,
+    });
 
     // Transfer HAY to BUYER
     await HAY_token.transfer(a1.address, HAY_SOLD);
@@ -179,9 +158,9 @@ describe("UniswapExchangeV1: Token to Token trades", function () {
     await expect(
       HAY_exchange.connect(a1).tokenToTokenTransferInput(
         HAY_SOLD,
-        MIN_DEN_BOUGHT,
-        MIN_ETH_BOUGHT,
-        DEADLINE,
+        minTokensBought,
+        minEthBought,
+        this.deadline,
         ZERO_ADDR,
         DEN_token.address
       )
@@ -191,9 +170,9 @@ describe("UniswapExchangeV1: Token to Token trades", function () {
     await expect(
       HAY_exchange.connect(a1).tokenToTokenTransferInput(
         HAY_SOLD,
-        MIN_DEN_BOUGHT,
-        MIN_ETH_BOUGHT,
-        DEADLINE,
+        minTokensBought,
+        minEthBought,
+        this.deadline,
         DEN_exchange.address,
         DEN_token.address
       )
@@ -205,9 +184,9 @@ describe("UniswapExchangeV1: Token to Token trades", function () {
     // BUYER converts ETH to UNI
     const tx = await HAY_exchange.connect(a1).tokenToTokenTransferInput(
       HAY_SOLD,
-      MIN_DEN_BOUGHT,
-      MIN_ETH_BOUGHT,
-      DEADLINE,
+      minTokensBought,
+      minEthBought,
+      this.deadline,
       a2.address,
       DEN_token.address
     );
@@ -244,6 +223,10 @@ describe("UniswapExchangeV1: Token to Token trades", function () {
     const ETH_COST = swapOutput(DEN_BOUGHT, ETH_RESERVE, DEN_RESERVE);
     // how much HAY should i pay to get ETH_COST
     const HAY_COST = swapOutput(ETH_COST, HAY_RESERVE, ETH_RESERVE);
+    const { maxTokensSold, maxEthSold } = swapLimits("tokenToTokenSwapOutput", {
+      tokensSold: HAY_COST,
+      ethSold: ETH_COST,
+    });
 
     // Transfer HAY to BUYER
     await HAY_token.transfer(a1.address, MAX_HAY_SOLD);
@@ -252,7 +235,7 @@ describe("UniswapExchangeV1: Token to Token trades", function () {
 
     // tokens bought == 0
     await expect(
-      HAY_exchange.connect(a1).tokenToTokenSwapOutput(0, MAX_HAY_SOLD, MAX_ETH_SOLD, DEADLINE, DEN_token.address)
+      HAY_exchange.connect(a1).tokenToTokenSwapOutput(0, maxTokensSold, maxEthSold, this.deadline, DEN_token.address)
     ).to.be.reverted;
 
     // max tokens < token cost
@@ -260,8 +243,8 @@ describe("UniswapExchangeV1: Token to Token trades", function () {
       HAY_exchange.connect(a1).tokenToTokenSwapOutput(
         DEN_BOUGHT,
         HAY_COST.sub(1),
-        MAX_ETH_SOLD,
-        DEADLINE,
+        maxEthSold,
+        this.deadline,
         DEN_token.address
       )
     ).to.be.reverted;
@@ -270,25 +253,25 @@ describe("UniswapExchangeV1: Token to Token trades", function () {
     await expect(
       HAY_exchange.connect(a1).tokenToTokenSwapOutput(
         DEN_BOUGHT,
-        MAX_HAY_SOLD,
+        maxTokensSold,
         ETH_COST.sub(1),
-        DEADLINE,
+        this.deadline,
         DEN_token.address
       )
     ).to.be.reverted;
 
     // deadline < block.timestamp
     await expect(
-      HAY_exchange.connect(a1).tokenToTokenSwapOutput(DEN_BOUGHT, MAX_HAY_SOLD, MAX_ETH_SOLD, 1, DEN_token.address)
+      HAY_exchange.connect(a1).tokenToTokenSwapOutput(DEN_BOUGHT, maxTokensSold, maxEthSold, 1, DEN_token.address)
     ).to.be.reverted;
 
     // output token == input token
     await expect(
       HAY_exchange.connect(a1).tokenToTokenSwapOutput(
         DEN_BOUGHT,
-        MAX_HAY_SOLD,
-        MAX_ETH_SOLD,
-        DEADLINE,
+        maxTokensSold,
+        maxEthSold,
+        this.deadline,
         HAY_token.address
       )
     ).to.be.reverted;
@@ -297,16 +280,16 @@ describe("UniswapExchangeV1: Token to Token trades", function () {
     await expect(
       HAY_exchange.connect(a1).tokenToTokenSwapOutput(
         DEN_BOUGHT,
-        MAX_HAY_SOLD,
-        MAX_ETH_SOLD,
-        DEADLINE,
+        maxTokensSold,
+        maxEthSold,
+        this.deadline,
         HAY_exchange.address
       )
     ).to.be.reverted;
 
     // output token == ZERO_ADDR
     await expect(
-      HAY_exchange.connect(a1).tokenToTokenSwapOutput(DEN_BOUGHT, MAX_HAY_SOLD, MAX_ETH_SOLD, DEADLINE, ZERO_ADDR)
+      HAY_exchange.connect(a1).tokenToTokenSwapOutput(DEN_BOUGHT, maxTokensSold, maxEthSold, this.deadline, ZERO_ADDR)
     ).to.be.reverted;
 
     const INITIAL_ETH = await ethers.provider.getBalance(a1.address);
@@ -314,9 +297,9 @@ describe("UniswapExchangeV1: Token to Token trades", function () {
     // BUYER converts ETH to UNI
     const tx = await HAY_exchange.connect(a1).tokenToTokenSwapOutput(
       DEN_BOUGHT,
-      MAX_HAY_SOLD,
-      MAX_ETH_SOLD,
-      DEADLINE,
+      maxTokensSold,
+      maxEthSold,
+      this.deadline,
       DEN_token.address
     );
 
@@ -348,6 +331,10 @@ describe("UniswapExchangeV1: Token to Token trades", function () {
     const ETH_COST = swapOutput(DEN_BOUGHT, ETH_RESERVE, DEN_RESERVE);
     // how much HAY should i pay to get ETH_COST
     const HAY_COST = swapOutput(ETH_COST, HAY_RESERVE, ETH_RESERVE);
+    const { maxTokensSold, maxEthSold } = swapLimits("tokenToTokenTransferOutput", {
+      tokensSold: HAY_COST,
+      ethSold: ETH_COST,
+    });
 
     // Transfer HAY to BUYER
     await HAY_token.transfer(a1.address, MAX_HAY_SOLD);
@@ -358,9 +345,9 @@ describe("UniswapExchangeV1: Token to Token trades", function () {
     await expect(
       HAY_exchange.connect(a1).tokenToTokenTransferOutput(
         DEN_BOUGHT,
-        MAX_HAY_SOLD,
-        MAX_ETH_SOLD,
-        DEADLINE,
+        maxTokensSold,
+        maxEthSold,
+        this.deadline,
         ZERO_ADDR,
         DEN_token.address
       )
@@ -370,9 +357,9 @@ describe("UniswapExchangeV1: Token to Token trades", function () {
     await expect(
       HAY_exchange.connect(a1).tokenToTokenTransferOutput(
         DEN_BOUGHT,
-        MAX_HAY_SOLD,
-        MAX_ETH_SOLD,
-        DEADLINE,
+        maxTokensSold,
+        maxEthSold,
+        this.deadline,
         DEN_exchange.address,
         DEN_token.address
       )
@@ -384,9 +371,9 @@ describe("UniswapExchangeV1: Token to Token trades", function () {
     // BUYER converts ETH to UNI
     const tx = await HAY_exchange.connect(a1).tokenToTokenTransferOutput(
       DEN_BOUGHT,
-      MAX_HAY_SOLD,
-      MAX_ETH_SOLD,
-      DEADLINE,
+      maxTokensSold,
+      maxEthSold,
+      this.deadline,
       a2.address,
       DEN_token.address
     );
@@ -414,4 +401,37 @@ describe("UniswapExchangeV1: Token to Token trades", function () {
     expect(await DEN_token.balanceOf(a2.address)).to.be.eq(DEN_BOUGHT);
     expect(await ethers.provider.getBalance(a2.address)).to.be.eq(INITIAL_ETH_2);
   });
+
+  it("buys on the exchange of the seller's fee tier, else of the default one", async function () {
+    const { uniswapFactory, HAY_token, HAY_exchange, DEN_token, DEN_exchange, deadline } = this;
+    // CAT is listed at 1% only, HAY at 1% too
+    const listed = { uniswapFactory, symbols: [] };
+    await withTokens({ CAT: { reserves: [ETH_RESERVE, HAY_RESERVE], fee: 100 } })(listed);
+    const { CAT_token, CAT_exchange } = listed;
+    await uniswapFactory.createExchangeWithFee(HAY_token.address, 100);
+    const HAY_tiered = await ethers.getContractAt(
+      "UniswapExchangeV1",
+      await uniswapFactory.getExchangeWithFee(HAY_token.address, 100)
+    );
+    await HAY_token.approve(HAY_tiered.address, ethers.constants.MaxUint256);
+    await HAY_tiered.addLiquidity(0, HAY_RESERVE, deadline, { value: ETH_RESERVE });
+
+    const ethBought = swapInput(HAY_SOLD, HAY_RESERVE, ETH_RESERVE, 100);
+    const catBought = swapInput(ethBought, ETH_RESERVE, HAY_RESERVE, 100);
+    await expect(HAY_tiered.tokenToTokenSwapInput(HAY_SOLD, catBought, ethBought, deadline, CAT_token.address))
+      .to.emit(CAT_exchange, "TokenPurchase")
+      .withArgs(HAY_tiered.address, ethBought, catBought);
+
+    // DEN has no 1% exchange, it is bought on the default one
+    const denReserve = await DEN_token.balanceOf(DEN_exchange.address);
+    await expect(HAY_tiered.tokenToTokenSwapInput(HAY_SOLD, 1, 1, deadline, DEN_token.address)).to.emit(
+      DEN_exchange,
+      "TokenPurchase"
+    );
+    expect(await DEN_token.balanceOf(DEN_exchange.address)).to.be.lt(denReserve);
+
+    // and CAT has no default one
+    await HAY_token.approve(HAY_exchange.address, HAY_SOLD);
+    await expect(HAY_exchange.tokenToTokenSwapInput(HAY_SOLD, 1, 1, deadline, CAT_token.address)).to.be.reverted;
+  });
 });
@@ -1,6 +1,9 @@
 const { BigNumber } = require("ethers");
 
-module.exports.swapInput = function (inputAmount, inputReserve, outputReserve) {
+const { getInputPrice, getOutputPrice } = require("../lib/pricing");
+
+// exact exchange math lives in lib/pricing.js, these only insist on BigNumber arguments
+module.exports.swapInput = function (inputAmount, inputReserve, outputReserve, fee) {
   if (
     !BigNumber.isBigNumber(inputAmount) ||
     !BigNumber.isBigNumber(inputReserve) ||
@@ -9,12 +12,10 @@ module.exports.swapInput = function (inputAmount, inputReserve, outputReserve) {
     throw new Error("swapInput: argument is not a BigNumber");
   }
 
-  const numerator = inputAmount.mul(997).mul(outputReserve);
-  const denominator = inputReserve.mul(1000).add(inputAmount.mul(997));
-  return numerator.div(denominator);
+  return getInputPrice(inputAmount, inputReserve, outputReserve, fee);
 };
 
-module.exports.swapOutput = function (outputAmount, inputReserve, outputReserve) {
+module.exports.swapOutput = function (outputAmount, inputReserve, outputReserve, fee) {
   if (
     !BigNumber.isBigNumber(outputAmount) ||
     !BigNumber.isBigNumber(inputReserve) ||
@@ -23,7 +24,31 @@ module.exports.swapOutput = function (outputAmount, inputReserve, outputReserve)
     throw new Error("swapOutput: argument is not a BigNumber");
   }
 
-  const numerator = inputReserve.mul(outputAmount).mul(1000);
-  const denominator = outputReserve.sub(outputAmount).mul(997);
-  return numerator.div(denominator).add(1);
+  return getOutputPrice(outputAmount, inputReserve, outputReserve, fee);
+};
+
+// runs a hardhat task without the report it prints, which would clutter the mocha output
+module.exports.runTask = async function (hre, name, args) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await hre.run(name, args);
+  } finally {
+    console.log = log;
+  }
+};
+
+module.exports.expectRejection = async function (promise, message) {
+  let error;
+  try {
+    await promise;
+  } catch (e) {
+    error = e;
+  }
+  if (!error) {
+    throw new Error(`expected rejection with "${message}"`);
+  }
+  if (!error.message.includes(message)) {
+    throw new Error(`expected rejection with "${message}", got "${error.message}"`);
+  }
 };